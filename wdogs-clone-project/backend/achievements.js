@@ -0,0 +1,166 @@
+// backend/achievements.js
+// Achievements: badges (and optionally DOGS) for reaching milestones. The rules are data - ACHIEVEMENTS
+// below - and one engine checks them whenever an event that could change the answer happens:
+//   login            - POST /api/auth/validate (also catches up on anything missed, e.g. after a rule was added)
+//   referral         - the referrer's referralsMade went up (new user signed up, or a held referral was approved)
+//   wallet_connected - POST /api/wallet/connect
+// An earned achievement is a users/{id}/achievements/{achievementId} document ({ earnedAt, reward }),
+// created in the same transaction as its ledger entry, so it is awarded (and paid) exactly once.
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { LEADERBOARD_FIELDS, countRank } = require('./leaderboard');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const ACHIEVEMENT_EVENTS = {
+    LOGIN: 'login',
+    REFERRAL: 'referral',
+    WALLET_CONNECTED: 'wallet_connected',
+};
+
+// --- Rules ---
+// id: stable, stored and used in the ledger reference ('achievement:<id>') and the frontend's text keys
+// events: when to check it (every rule is also checked on login)
+// condition:
+//   { type: 'min', field, value }   - user field (dotted path) is at least value; progress is shown
+//   { type: 'set', field }          - user field is set
+//   { type: 'rank', board, max }    - rank on a leaderboard (see leaderboard.js) is max or better
+// reward: DOGS paid once when earned (0 for a badge only)
+const ACHIEVEMENTS = [
+    { id: 'first_referral', icon: '🤝', events: [ACHIEVEMENT_EVENTS.REFERRAL], condition: { type: 'min', field: 'referralsMade', value: 1 }, reward: 50 },
+    { id: 'ten_referrals', icon: '👥', events: [ACHIEVEMENT_EVENTS.REFERRAL], condition: { type: 'min', field: 'referralsMade', value: 10 }, reward: 500 },
+    { id: 'streak_7', icon: '🔥', events: [], condition: { type: 'min', field: 'streak.longest', value: 7 }, reward: 100 },
+    { id: 'wallet_connected', icon: '👛', events: [ACHIEVEMENT_EVENTS.WALLET_CONNECTED], condition: { type: 'set', field: 'connectedWallet' }, reward: 0 },
+    { id: 'top_100', icon: '🏆', events: [], condition: { type: 'rank', board: 'tokens', max: 100 }, reward: 0 },
+];
+// --- End Rules ---
+
+function getField(user, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), user);
+}
+
+function isTriggeredBy(achievement, event) {
+    return event === ACHIEVEMENT_EVENTS.LOGIN || achievement.events.includes(event);
+}
+
+// --- Conditions ---
+// { met, progress } for one user. progress is { value, target } where it means something, else null.
+// Ranks count users with more tokens (one aggregation query); nobody with 0 tokens is "top 100".
+async function checkCondition(db, repos, user, condition) {
+    switch (condition.type) {
+        case 'min': {
+            const value = getField(user, condition.field) || 0;
+            return { met: value >= condition.value, progress: { value: Math.min(value, condition.value), target: condition.value } };
+        }
+        case 'set':
+            return { met: getField(user, condition.field) != null, progress: null };
+        case 'rank': {
+            const value = user[LEADERBOARD_FIELDS[condition.board]] || 0;
+            if (value <= 0) return { met: false, progress: null };
+            const rank = await countRank(db, repos, condition.board, value);
+            return { met: rank <= condition.max, progress: { value: rank, target: condition.max } };
+        }
+        default:
+            throw new Error(`Unknown achievement condition '${condition.type}'`);
+    }
+}
+// --- End Conditions ---
+
+// --- Engine ---
+function createAchievements({ db, admin, repos, rules = ACHIEVEMENTS }) {
+    // Awards whatever `event` made the user eligible for. Fire and forget: never rejects (a failure is
+    // logged and the next login catches up). Resolves to the ids awarded now.
+    async function evaluate(userId, event) {
+        try {
+            const [user, earned] = await Promise.all([repos.users.get(userId), repos.achievements.listEarned(userId)]);
+            if (!user || user.banned) return [];
+
+            const candidates = rules.filter(rule => !earned[rule.id] && isTriggeredBy(rule, event));
+            const checks = await Promise.all(candidates.map(rule => checkCondition(db, repos, user, rule.condition)));
+            const eligible = candidates.filter((rule, index) => checks[index].met);
+            if (eligible.length === 0) return [];
+
+            const awarded = await db.runTransaction(async (transaction) => {
+                // Re-read inside the transaction: a concurrent evaluation may have awarded some already
+                const [userDoc, ...docs] = await Promise.all([
+                    transaction.get(repos.users.ref(userId)),
+                    ...eligible.map(rule => transaction.get(repos.achievements.ref(userId, rule.id))),
+                ]);
+                const fresh = eligible.filter((rule, index) => !docs[index].exists);
+                for (const rule of fresh) {
+                    transaction.set(repos.achievements.ref(userId, rule.id), { earnedAt: admin.firestore.FieldValue.serverTimestamp(), reward: rule.reward });
+                    if (rule.reward > 0) {
+                        repos.ledger.append(transaction, userId, { amount: rule.reward, reason: LEDGER_REASONS.ACHIEVEMENT, reference: `achievement:${rule.id}` }, userDoc.data());
+                    }
+                }
+                return fresh;
+            });
+
+            for (const rule of awarded) {
+                logger.info("Achievement earned", { userId, achievement: rule.id, reward: rule.reward, event });
+                metrics.achievementsEarned.inc({ achievement: rule.id });
+                if (rule.reward > 0) metrics.tokensIssued.inc({ reason: LEDGER_REASONS.ACHIEVEMENT }, rule.reward);
+            }
+            return awarded.map(rule => rule.id);
+        } catch (error) {
+            logger.error("Failed to evaluate achievements", { userId, event, error });
+            return [];
+        }
+    }
+
+    return { evaluate };
+}
+// --- End Engine ---
+
+// --- Router ---
+// requireAuth must set req.userId (string Telegram user ID)
+// streakSettings: config.streaks (the freeze price and limit are shown next to the streak)
+function createAchievementsRouter({ db, repos, requireAuth, streakSettings, rules = ACHIEVEMENTS }) {
+    const router = express.Router();
+
+    // GET /api/me/achievements - every achievement (earned or not, with progress) and the daily streak
+    router.get('/', requireAuth, async (req, res) => {
+        try {
+            const [user, earned] = await Promise.all([repos.users.get(req.userId), repos.achievements.listEarned(req.userId)]);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+
+            const achievements = await Promise.all(rules.map(async (rule) => {
+                const earnedEntry = earned[rule.id];
+                const { progress } = earnedEntry ? { progress: null } : await checkCondition(db, repos, user, rule.condition);
+                return {
+                    id: rule.id,
+                    icon: rule.icon,
+                    condition: rule.condition.type, // How progress reads: 'min' (value of target), 'rank' (value is the rank)
+                    reward: rule.reward,
+                    earned: Boolean(earnedEntry),
+                    earnedAt: earnedEntry?.earnedAt?.toDate().toISOString() || null,
+                    progress,
+                };
+            }));
+
+            res.status(200).json({
+                achievements,
+                streak: {
+                    current: 0, longest: 0, lastActiveDay: null, freezes: 0, freezesUsed: 0, ...user.streak,
+                    freezePrice: streakSettings.freezePrice,
+                    maxFreezes: streakSettings.maxFreezes,
+                },
+            });
+        } catch (error) {
+            logger.error("Failed to load achievements", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading achievements." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    ACHIEVEMENT_EVENTS,
+    ACHIEVEMENTS,
+    checkCondition,
+    createAchievements,
+    createAchievementsRouter,
+};
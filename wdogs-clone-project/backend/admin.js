@@ -0,0 +1,397 @@
+// backend/admin.js
+// Admin API: user search, profiles with referral trees, balance adjustments, bans, task management
+// and the review queue for referrals held by risk scoring (see risk.js / referrals.js).
+// Every change is written to the 'adminAuditLog' collection, in the same transaction/batch as the change.
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { validateTaskInput } = require('./tasks');
+const { REFERRAL_STATUS, creditReferral, referrerRefusal } = require('./referrals');
+const { DEFAULT_RISK_RULES } = require('./risk');
+const { ACHIEVEMENT_EVENTS } = require('./achievements');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const SEARCH_LIMIT = 20;
+const REFERRAL_TREE_LIMIT = 100; // Direct referrals listed per user
+const REVIEW_QUEUE_LIMIT = 100;
+
+// Adds an audit entry to a transaction or batch (both have .set)
+function writeAuditEntry(writer, db, admin, { adminId, action, targetType, targetId, details = {} }) {
+    writer.set(db.collection('adminAuditLog').doc(), {
+        adminId,
+        action,
+        targetType,
+        targetId: String(targetId),
+        details,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+function toIsoString(timestamp) {
+    return timestamp?.toDate ? timestamp.toDate().toISOString() : null;
+}
+
+// Profile fields admins see (timestamps as ISO strings)
+function toAdminUser(doc) {
+    const user = doc.data();
+    return {
+        id: doc.id,
+        username: user.username || null,
+        firstName: user.firstName || null,
+        lastName: user.lastName || null,
+        languageCode: user.languageCode || null,
+        tokens: user.tokens || 0,
+        referralCode: user.referralCode || null,
+        referredBy: user.referredBy || null,
+        referralsMade: user.referralsMade || 0,
+        referralStatus: user.referralStatus || null,
+        risk: user.risk ? { score: user.risk.score, level: user.risk.level, reasons: user.risk.reasons } : null,
+        riskSignals: user.riskSignals || null,
+        connectedWallet: user.connectedWallet || null,
+        banned: Boolean(user.banned),
+        banReason: user.banReason || null,
+        createdAt: toIsoString(user.createdAt),
+        lastLogin: toIsoString(user.lastLogin),
+    };
+}
+
+// repos: from repositories.js; requireAdmin from adminAuth.js (sets req.adminId)
+// idempotency: Idempotency-Key middleware from idempotency.js, for balance adjustments
+// achievements: engine from achievements.js (null when achievements are off); approved referrals can earn some
+function createAdminRouter({ db, admin, repos, requireAdmin, idempotency = (req, res, next) => next(), riskRules = DEFAULT_RISK_RULES, achievements = null }) {
+    const router = express.Router();
+    const referralsCol = db.collection('referrals');
+
+    router.use(requireAdmin);
+
+    // --- Users ---
+
+    // GET /api/admin/users/search?q=<id | username | referralCode>
+    router.get('/users/search', async (req, res) => {
+        const query = String(req.query.q || '').trim();
+        if (!query) {
+            return res.status(400).json({ message: "Query parameter 'q' is required.", error: 'invalid_request' });
+        }
+        try {
+            const [idDoc, usernameSnap, codeSnap] = await Promise.all([
+                /^\d+$/.test(query) ? repos.users.ref(query).get() : Promise.resolve(null),
+                repos.users.query().where('username', '==', query.replace(/^@/, '')).limit(SEARCH_LIMIT).get(),
+                repos.users.query().where('referralCode', '==', query).limit(SEARCH_LIMIT).get(),
+            ]);
+            const found = new Map();
+            if (idDoc?.exists) found.set(idDoc.id, toAdminUser(idDoc));
+            for (const doc of [...usernameSnap.docs, ...codeSnap.docs]) {
+                found.set(doc.id, toAdminUser(doc));
+            }
+            res.status(200).json({ users: [...found.values()] });
+        } catch (error) {
+            logger.error("Admin user search failed", { query, error });
+            res.status(500).json({ message: "Internal server error searching users." });
+        }
+    });
+
+    // GET /api/admin/users/:id - profile, referrer and direct referrals
+    router.get('/users/:id', async (req, res) => {
+        try {
+            const userDoc = await repos.users.ref(req.params.id).get();
+            if (!userDoc.exists) {
+                return res.status(404).json({ message: "User not found.", error: 'user_not_found' });
+            }
+            const user = toAdminUser(userDoc);
+            const [referrerDoc, referralsSnap] = await Promise.all([
+                user.referredBy ? repos.users.ref(user.referredBy).get() : Promise.resolve(null),
+                repos.users.query().where('referredBy', '==', userDoc.id).limit(REFERRAL_TREE_LIMIT).get(),
+            ]);
+            res.status(200).json({
+                user,
+                referrer: referrerDoc?.exists ? toAdminUser(referrerDoc) : null,
+                // Each referral's own referralsMade shows the next level of the tree
+                referrals: referralsSnap.docs.map(toAdminUser),
+            });
+        } catch (error) {
+            logger.error("Admin failed to load user", { userId: req.params.id, error });
+            res.status(500).json({ message: "Internal server error loading user." });
+        }
+    });
+
+    // POST /api/admin/users/:id/adjust-balance - body: { amount, reason }
+    // Scripts should send an Idempotency-Key so a retried adjustment isn't applied twice (see idempotency.js)
+    router.post('/users/:id/adjust-balance', idempotency, async (req, res) => {
+        const { amount, reason } = req.body || {};
+        if (!Number.isInteger(amount) || amount === 0) {
+            return res.status(400).json({ message: "amount must be a non-zero integer.", error: 'invalid_request' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ message: "A reason is required for balance adjustments.", error: 'invalid_request' });
+        }
+        const userRef = repos.users.ref(req.params.id);
+
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) {
+                    return { status: 404, body: { message: "User not found.", error: 'user_not_found' } };
+                }
+                const balance = userDoc.data().tokens || 0;
+                if (balance + amount < 0) {
+                    return { status: 400, body: { message: `Adjustment would make the balance negative (current: ${balance}).`, error: 'insufficient_balance' } };
+                }
+                repos.ledger.append(transaction, userRef.id, {
+                    amount,
+                    reason: LEDGER_REASONS.ADMIN_ADJUSTMENT,
+                    reference: `admin:${req.adminId}: ${reason.trim()}`,
+                }, userDoc.data());
+                writeAuditEntry(transaction, db, admin, {
+                    adminId: req.adminId,
+                    action: 'adjust_balance',
+                    targetType: 'user',
+                    targetId: userRef.id,
+                    details: { amount, reason: reason.trim(), balanceBefore: balance },
+                });
+                return { status: 200, body: { message: "Balance adjusted.", tokens: balance + amount } };
+            });
+            if (result.status === 200) {
+                logger.info("Admin adjusted balance", { adminId: req.adminId, userId: userRef.id, amount });
+                if (amount > 0) {
+                    metrics.tokensIssued.inc({ reason: LEDGER_REASONS.ADMIN_ADJUSTMENT }, amount);
+                }
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Admin failed to adjust balance", { userId: req.params.id, error });
+            res.status(500).json({ message: "Internal server error adjusting balance." });
+        }
+    });
+
+    // POST /api/admin/users/:id/ban - body: { reason }  /  POST /api/admin/users/:id/unban
+    const setBanned = (banned) => async (req, res) => {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        if (banned && !reason) {
+            return res.status(400).json({ message: "A reason is required to ban a user.", error: 'invalid_request' });
+        }
+        const userRef = repos.users.ref(req.params.id);
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) {
+                    return { status: 404, body: { message: "User not found.", error: 'user_not_found' } };
+                }
+                transaction.update(userRef, {
+                    banned,
+                    banReason: banned ? reason : null,
+                    bannedAt: banned ? admin.firestore.FieldValue.serverTimestamp() : null,
+                });
+                writeAuditEntry(transaction, db, admin, {
+                    adminId: req.adminId,
+                    action: banned ? 'ban_user' : 'unban_user',
+                    targetType: 'user',
+                    targetId: userRef.id,
+                    details: banned ? { reason } : {},
+                });
+                return { status: 200, body: { message: banned ? "User banned." : "User unbanned.", banned } };
+            });
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error(`Admin failed to ${banned ? 'ban' : 'unban'} user`, { userId: req.params.id, error });
+            res.status(500).json({ message: "Internal server error updating user." });
+        }
+    };
+    router.post('/users/:id/ban', setBanned(true));
+    router.post('/users/:id/unban', setBanned(false));
+
+    // --- Tasks ---
+
+    // GET /api/admin/tasks - all tasks, including disabled ones
+    router.get('/tasks', async (req, res) => {
+        try {
+            res.status(200).json({ tasks: await repos.tasks.listAll() });
+        } catch (error) {
+            logger.error("Admin failed to list tasks", { error });
+            res.status(500).json({ message: "Internal server error listing tasks." });
+        }
+    });
+
+    // POST /api/admin/tasks - body: task fields (+ optional id)
+    router.post('/tasks', async (req, res) => {
+        const validation = validateTaskInput(req.body || {});
+        if (!validation.valid) {
+            return res.status(400).json({ message: validation.error, error: 'invalid_task' });
+        }
+        const taskId = req.body.id ? String(req.body.id) : null;
+        if (taskId && !/^[a-z0-9-]{1,64}$/.test(taskId)) {
+            return res.status(400).json({ message: "id may only contain lowercase letters, digits and dashes.", error: 'invalid_task' });
+        }
+        const taskRef = taskId ? repos.tasks.ref(taskId) : repos.tasks.newRef();
+        const task = { active: true, ...validation.task };
+
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const existing = await transaction.get(taskRef);
+                if (existing.exists) {
+                    return { status: 409, body: { message: "A task with this id already exists.", error: 'task_exists' } };
+                }
+                transaction.set(taskRef, task);
+                writeAuditEntry(transaction, db, admin, { adminId: req.adminId, action: 'create_task', targetType: 'task', targetId: taskRef.id, details: task });
+                return { status: 201, body: { message: "Task created.", task: { id: taskRef.id, ...task } } };
+            });
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Admin failed to create task", { error });
+            res.status(500).json({ message: "Internal server error creating task." });
+        }
+    });
+
+    // Shared by edit and disable: applies `changes` to an existing task
+    const updateTask = async (req, res, changes, action) => {
+        const taskRef = repos.tasks.ref(req.params.id);
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const taskDoc = await transaction.get(taskRef);
+                if (!taskDoc.exists) {
+                    return { status: 404, body: { message: "Task not found.", error: 'task_not_found' } };
+                }
+                transaction.update(taskRef, changes);
+                writeAuditEntry(transaction, db, admin, { adminId: req.adminId, action, targetType: 'task', targetId: taskRef.id, details: { before: taskDoc.data(), changes } });
+                return { status: 200, body: { message: "Task updated.", task: { id: taskRef.id, ...taskDoc.data(), ...changes } } };
+            });
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Admin failed to update task", { taskId: req.params.id, error });
+            res.status(500).json({ message: "Internal server error updating task." });
+        }
+    };
+
+    // PATCH /api/admin/tasks/:id - body: fields to change
+    router.patch('/tasks/:id', (req, res) => {
+        const validation = validateTaskInput(req.body || {}, { partial: true });
+        if (!validation.valid) {
+            return res.status(400).json({ message: validation.error, error: 'invalid_task' });
+        }
+        if (Object.keys(validation.task).length === 0) {
+            return res.status(400).json({ message: "Nothing to update.", error: 'invalid_task' });
+        }
+        return updateTask(req, res, validation.task, 'edit_task');
+    });
+
+    // POST /api/admin/tasks/:id/disable - hides the task from users (claims are kept)
+    router.post('/tasks/:id/disable', (req, res) => updateTask(req, res, { active: false }, 'disable_task'));
+
+    // --- Referral Review ---
+
+    // GET /api/admin/referrals/pending - referrals held by risk scoring, oldest first
+    router.get('/referrals/pending', async (req, res) => {
+        try {
+            const pendingSnap = await referralsCol.where('status', '==', REFERRAL_STATUS.PENDING).limit(REVIEW_QUEUE_LIMIT).get();
+            const referrals = pendingSnap.docs
+                .map(doc => ({ id: doc.id, ...doc.data(), createdAt: toIsoString(doc.data().createdAt) }))
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+            res.status(200).json({ referrals });
+        } catch (error) {
+            logger.error("Admin failed to load pending referrals", { error });
+            res.status(500).json({ message: "Internal server error loading pending referrals." });
+        }
+    });
+
+    // GET /api/admin/risk/rules - the active scoring rules (set with RISK_RULES)
+    router.get('/risk/rules', (req, res) => {
+        res.status(200).json({ rules: riskRules });
+    });
+
+    // POST /api/admin/referrals/:id/approve  /  POST /api/admin/referrals/:id/reject - body: { reason }
+    // :id is the referred user's ID. Approving pays the bonuses stored on the referral record.
+    const reviewReferral = (approve) => async (req, res) => {
+        const note = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        const referralRef = referralsCol.doc(req.params.id);
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const referralDoc = await transaction.get(referralRef);
+                if (!referralDoc.exists) {
+                    return { status: 404, body: { message: "Referral not found.", error: 'referral_not_found' } };
+                }
+                const referral = referralDoc.data();
+                if (referral.status !== REFERRAL_STATUS.PENDING) {
+                    return { status: 409, body: { message: `Referral is already ${referral.status}.`, error: 'referral_not_pending' } };
+                }
+                const referrerRef = repos.users.ref(referral.referrerId);
+                const referredRef = repos.users.ref(referral.referredId);
+                const [referrerDoc, referredDoc] = await Promise.all([transaction.get(referrerRef), transaction.get(referredRef)]);
+                if (approve && (!referrerDoc.exists || !referredDoc.exists)) {
+                    return { status: 404, body: { message: "Referrer or referred user no longer exists.", error: 'user_not_found' } };
+                }
+                const refusal = approve ? referrerRefusal(referrerDoc.data()) : null;
+                if (refusal) {
+                    return { status: 409, body: { message: "The referrer is banned or deleted; reject the referral instead.", error: refusal } };
+                }
+
+                // --- Writes (after all reads) ---
+                const status = approve ? REFERRAL_STATUS.CREDITED : REFERRAL_STATUS.REJECTED;
+                if (approve) {
+                    creditReferral(transaction, admin, repos, {
+                        referrerRef,
+                        referredRef,
+                        referrer: referrerDoc.data(),
+                        referred: referredDoc.data(),
+                        referrerBonus: referral.referrerBonus,
+                        referredBonus: referral.referredBonus,
+                    });
+                }
+                transaction.update(referralRef, {
+                    status,
+                    reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    reviewedBy: req.adminId,
+                    reviewNote: note || null,
+                });
+                if (referredDoc.exists) {
+                    transaction.update(referredRef, { referralStatus: status });
+                }
+                writeAuditEntry(transaction, db, admin, {
+                    adminId: req.adminId,
+                    action: approve ? 'approve_referral' : 'reject_referral',
+                    targetType: 'referral',
+                    targetId: referralRef.id,
+                    details: { referrerId: referral.referrerId, riskScore: referral.riskScore, reason: note || null },
+                });
+                const credited = approve ? Math.max(referral.referrerBonus, 0) + Math.max(referral.referredBonus, 0) : 0;
+                return { status: 200, body: { message: approve ? "Referral approved and credited." : "Referral rejected.", status }, credited, referrerId: referral.referrerId };
+            });
+            if (result.status === 200) {
+                logger.info(`Admin ${approve ? 'approved' : 'rejected'} referral`, { adminId: req.adminId, userId: referralRef.id });
+                metrics.referrals.inc({ status: approve ? 'approved' : 'rejected' });
+                metrics.tokensIssued.inc({ reason: LEDGER_REASONS.REFERRAL }, result.credited);
+                if (approve) {
+                    achievements?.evaluate(result.referrerId, ACHIEVEMENT_EVENTS.REFERRAL);
+                }
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Admin failed to review referral", { referralId: req.params.id, error });
+            res.status(500).json({ message: "Internal server error reviewing referral." });
+        }
+    };
+    router.post('/referrals/:id/approve', reviewReferral(true));
+    router.post('/referrals/:id/reject', reviewReferral(false));
+
+    // --- Audit Log ---
+
+    // GET /api/admin/audit-log?limit=50&targetId=... - newest first
+    router.get('/audit-log', async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        try {
+            let query = db.collection('adminAuditLog').orderBy('createdAt', 'desc').limit(limit);
+            if (req.query.targetId) {
+                query = db.collection('adminAuditLog').where('targetId', '==', String(req.query.targetId)).orderBy('createdAt', 'desc').limit(limit);
+            }
+            const logSnap = await query.get();
+            res.status(200).json({
+                entries: logSnap.docs.map(doc => ({ id: doc.id, ...doc.data(), createdAt: toIsoString(doc.data().createdAt) })),
+            });
+        } catch (error) {
+            logger.error("Admin failed to load audit log", { error });
+            res.status(500).json({ message: "Internal server error loading audit log." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter, writeAuditEntry };
@@ -0,0 +1,39 @@
+// backend/adminAuth.js
+// Admin access: either a session belonging to one of ADMIN_TELEGRAM_IDS,
+// or the shared ADMIN_SECRET in the `X-Admin-Secret` header (for scripts and cron jobs).
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+function parseAdminIds(value) {
+    return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function isSecretMatch(received, expected) {
+    if (!received || !expected) return false;
+    // Compare digests so the lengths always match for timingSafeEqual
+    const receivedDigest = crypto.createHash('sha256').update(String(received)).digest();
+    const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(receivedDigest, expectedDigest);
+}
+
+// requireAuth: session middleware from session.js (sets req.userId)
+// On success sets req.adminId: the admin's Telegram ID, or 'secret' when the shared secret was used.
+function createRequireAdmin({ requireAuth, adminIds = parseAdminIds(process.env.ADMIN_TELEGRAM_IDS), adminSecret = process.env.ADMIN_SECRET }) {
+    return function requireAdmin(req, res, next) {
+        if (isSecretMatch(req.headers['x-admin-secret'], adminSecret)) {
+            req.adminId = 'secret';
+            return next();
+        }
+
+        requireAuth(req, res, () => {
+            if (!adminIds.includes(req.userId)) {
+                logger.warn("Admin access denied", { userId: req.userId, method: req.method, url: req.originalUrl });
+                return res.status(403).json({ message: "Admin access required.", error: 'forbidden' });
+            }
+            req.adminId = req.userId;
+            next();
+        });
+    };
+}
+
+module.exports = { parseAdminIds, isSecretMatch, createRequireAdmin };
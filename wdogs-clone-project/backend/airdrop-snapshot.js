@@ -0,0 +1,67 @@
+// backend/airdrop-snapshot.js
+// CLI: build an airdrop snapshot and write the claim list as CSV and JSON.
+// Usage: node airdrop-snapshot.js [--at <ISO date>] [--min-balance N] [--min-age-days N]
+//                                 [--no-wallet-required] [--out <dir>] [--dry-run]
+//   --at        freeze balances as of this time (default: now)
+//   --out       directory for airdrop-<id>.csv / .json (default: current directory)
+//   --dry-run   only write the files; don't store the snapshot in Firestore
+// Rules not given on the command line come from config.airdrop (AIRDROP_* env, see config.js).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createDataStore } = require('./datastore');
+const { admin, db } = createDataStore(); // DATA_STORE picks Firestore or the local file store
+const { createRepositories } = require('./repositories');
+const { validateRules, buildSnapshot, saveSnapshot, toCsv, toExportJson } = require('./airdrop');
+const { loadConfig } = require('./config');
+
+function readOption(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const snapshotAt = readOption(args, '--at') ? new Date(readOption(args, '--at')) : new Date();
+    if (Number.isNaN(snapshotAt.getTime())) {
+        console.error("--at must be a valid date, e.g. 2025-05-01T00:00:00Z");
+        return 1;
+    }
+
+    // Only whole numbers; anything else is left as a string so validateRules reports it
+    const toInteger = (value) => (/^\d+$/.test(value || '') ? parseInt(value, 10) : value);
+    const rules = {};
+    if (readOption(args, '--min-balance') !== undefined) rules.minBalance = toInteger(readOption(args, '--min-balance'));
+    if (readOption(args, '--min-age-days') !== undefined) rules.minAccountAgeDays = toInteger(readOption(args, '--min-age-days'));
+    if (args.includes('--no-wallet-required')) rules.requireWallet = false;
+    const problems = validateRules(rules);
+    if (problems.length) {
+        console.error(`Invalid rules: ${problems.join('; ')}`);
+        return 1;
+    }
+    const outDir = readOption(args, '--out') || process.cwd();
+    const dryRun = args.includes('--dry-run');
+
+    console.log(`Building snapshot as of ${snapshotAt.toISOString()}...`);
+    const snapshot = await buildSnapshot(createRepositories({ db, admin }), { snapshotAt, defaults: loadConfig().airdrop, rules });
+    const snapshotId = dryRun ? `dry-run-${snapshotAt.getTime()}` : await saveSnapshot(db, admin, snapshot, { createdBy: 'cli' });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const csvPath = path.join(outDir, `airdrop-${snapshotId}.csv`);
+    const jsonPath = path.join(outDir, `airdrop-${snapshotId}.json`);
+    fs.writeFileSync(csvPath, toCsv(snapshot.claims));
+    fs.writeFileSync(jsonPath, JSON.stringify(toExportJson(snapshotId, snapshot, snapshot.claims), null, 2) + '\n');
+
+    console.log(`Snapshot ${snapshotId}${dryRun ? ' (not stored)' : ''}: ${snapshot.claims.length} claims, ${snapshot.totalAmount} DOGS total.`);
+    console.log(`Merkle root: ${snapshot.merkleRoot}`);
+    console.log(`Excluded: ${JSON.stringify(snapshot.excluded)}`);
+    console.log(`Wrote ${csvPath} and ${jsonPath}`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error("Snapshot failed:", error);
+        process.exit(1);
+    });
@@ -0,0 +1,321 @@
+// backend/airdrop.js
+// Airdrop snapshots: freeze eligible balances at a point in time and build a Merkle claim list.
+//
+// Balances are recomputed from the ledger up to snapshotAt, so a snapshot taken "as of" a past
+// time isn't affected by tokens earned afterwards. The claim list is sorted by user ID, so the same
+// inputs always produce the same list and the same Merkle root.
+//
+// Stored as airdropSnapshots/{snapshotId} (summary) + airdropSnapshots/{snapshotId}/claims/{userId}.
+const crypto = require('crypto');
+const express = require('express');
+const { writeAuditEntry } = require('./admin');
+const { logger } = require('./logger');
+
+// --- Eligibility Rules ---
+// Defaults come from config.airdrop; a snapshot can override any rule (admin route body, CLI flags)
+const RULE_TYPES = { minBalance: 'integer', minAccountAgeDays: 'integer', requireWallet: 'boolean', excludeBanned: 'boolean' };
+
+// Returns a list of problems with rule overrides (empty if they are usable)
+function validateRules(rules) {
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) return ['rules must be an object'];
+    return Object.entries(rules).flatMap(([key, value]) => {
+        if (!(key in RULE_TYPES)) return [`unknown rule '${key}'`];
+        if (RULE_TYPES[key] === 'boolean') return typeof value === 'boolean' ? [] : [`${key} must be true or false`];
+        return Number.isInteger(value) && value >= 0 ? [] : [`${key} must be an integer >= 0`];
+    });
+}
+
+// Returns null when eligible, otherwise the reason the user was excluded
+function getIneligibilityReason(user, balance, snapshotAt, rules) {
+    if (rules.excludeBanned && user.banned) return 'banned';
+    if (rules.requireWallet && !user.connectedWalletRaw) return 'no_wallet';
+    if (balance < rules.minBalance) return 'balance_too_low';
+    const createdAt = user.createdAt?.toDate ? user.createdAt.toDate() : null;
+    const minCreatedAt = new Date(snapshotAt.getTime() - rules.minAccountAgeDays * 24 * 3600 * 1000);
+    if (!createdAt || createdAt > minCreatedAt) return 'account_too_new';
+    return null;
+}
+
+// --- Merkle Tree ---
+// leaf   = sha256("<index>:<address>:<amount>")
+// parent = sha256(min(a, b) ++ max(a, b))  (sorted pairs, so a proof is just the list of siblings)
+// A node without a sibling is carried up to the next level unchanged.
+function hashLeaf({ index, address, amount }) {
+    return crypto.createHash('sha256').update(`${index}:${address}:${amount}`).digest();
+}
+
+function hashPair(a, b) {
+    const [first, second] = Buffer.compare(a, b) <= 0 ? [a, b] : [b, a];
+    return crypto.createHash('sha256').update(Buffer.concat([first, second])).digest();
+}
+
+// Returns { root, proofs } with hex strings; proofs[i] belongs to leaves[i]
+function buildMerkleTree(leaves) {
+    if (leaves.length === 0) {
+        return { root: null, proofs: [] };
+    }
+    let level = leaves.map(hashLeaf);
+    const proofs = leaves.map(() => []);
+    let positions = leaves.map((_, i) => i); // Each leaf's node index on the current level
+
+    while (level.length > 1) {
+        const nextLevel = [];
+        for (let i = 0; i < level.length; i += 2) {
+            nextLevel.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        positions = positions.map((position, leafIndex) => {
+            const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+            if (siblingIndex < level.length) {
+                proofs[leafIndex].push(level[siblingIndex].toString('hex'));
+            }
+            return Math.floor(position / 2);
+        });
+        level = nextLevel;
+    }
+    return { root: level[0].toString('hex'), proofs };
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+    let hash = hashLeaf(leaf);
+    for (const sibling of proof) {
+        hash = hashPair(hash, Buffer.from(sibling, 'hex'));
+    }
+    return hash.toString('hex') === root;
+}
+
+// --- Snapshot ---
+// Walks all users and returns the deterministic claim list. Doesn't write anything.
+// repos: from repositories.js; defaults: config.airdrop; rules: overrides for this snapshot (throws if validateRules finds problems)
+// Returns { snapshotAt, rules, merkleRoot, totalAmount, claims: [{ index, userId, address, amount, proof }], excluded }
+async function buildSnapshot(repos, { snapshotAt = new Date(), defaults, rules = {}, pageSize = 200 }) {
+    const problems = validateRules(rules);
+    if (problems.length) {
+        throw new Error(`Invalid airdrop rules: ${problems.join('; ')}`);
+    }
+    const effectiveRules = { excludeBanned: true, ...defaults, ...rules };
+    const eligible = [];
+    const excluded = {};
+    let lastDoc = null;
+
+    for (;;) {
+        let query = repos.users.queryById().limit(pageSize);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const page = await query.get();
+        if (page.empty) break;
+
+        for (const doc of page.docs) {
+            const user = doc.data();
+            const balance = await repos.ledger.balanceAt(doc.id, snapshotAt);
+            const reason = getIneligibilityReason(user, balance, snapshotAt, effectiveRules);
+            if (reason) {
+                excluded[reason] = (excluded[reason] || 0) + 1;
+            } else {
+                eligible.push({ userId: doc.id, address: user.connectedWalletRaw || null, amount: balance });
+            }
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+    }
+
+    // Numeric Telegram IDs sort numerically; the order defines each claim's index
+    eligible.sort((a, b) => (BigInt(a.userId) < BigInt(b.userId) ? -1 : BigInt(a.userId) > BigInt(b.userId) ? 1 : 0));
+    const leaves = eligible.map((entry, index) => ({ index, address: entry.address, amount: entry.amount }));
+    const { root, proofs } = buildMerkleTree(leaves);
+
+    const claims = eligible.map((entry, index) => ({ index, ...entry, proof: proofs[index] }));
+    return {
+        snapshotAt: snapshotAt.toISOString(),
+        rules: effectiveRules,
+        merkleRoot: root,
+        totalAmount: claims.reduce((sum, claim) => sum + claim.amount, 0),
+        claims,
+        excluded,
+    };
+}
+
+// Stores a built snapshot. Returns the new snapshot ID.
+async function saveSnapshot(db, admin, snapshot, { createdBy = null } = {}) {
+    const snapshotRef = db.collection('airdropSnapshots').doc();
+    await snapshotRef.set({
+        snapshotAt: admin.firestore.Timestamp.fromDate(new Date(snapshot.snapshotAt)),
+        rules: snapshot.rules,
+        merkleRoot: snapshot.merkleRoot,
+        totalAmount: snapshot.totalAmount,
+        claimCount: snapshot.claims.length,
+        excluded: snapshot.excluded,
+        createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < snapshot.claims.length; i += 500) {
+        const batch = db.batch();
+        for (const { userId, ...claim } of snapshot.claims.slice(i, i + 500)) {
+            batch.set(snapshotRef.collection('claims').doc(userId), claim);
+        }
+        await batch.commit();
+    }
+    return snapshotRef.id;
+}
+
+// --- Export ---
+function toCsv(claims) {
+    const lines = ['index,userId,address,amount,proof'];
+    for (const claim of claims) {
+        lines.push([claim.index, claim.userId, claim.address, claim.amount, claim.proof.join(';')].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toExportJson(snapshotId, summary, claims) {
+    return {
+        snapshotId,
+        snapshotAt: summary.snapshotAt,
+        merkleRoot: summary.merkleRoot,
+        totalAmount: summary.totalAmount,
+        rules: summary.rules,
+        claims,
+    };
+}
+
+async function loadSnapshotClaims(snapshotRef) {
+    const claimsSnap = await snapshotRef.collection('claims').get();
+    return claimsSnap.docs
+        .map(doc => ({ userId: doc.id, ...doc.data() }))
+        .sort((a, b) => a.index - b.index);
+}
+
+function toSnapshotSummary(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        snapshotAt: data.snapshotAt?.toDate().toISOString() || null,
+        merkleRoot: data.merkleRoot,
+        totalAmount: data.totalAmount,
+        claimCount: data.claimCount,
+        excluded: data.excluded || {},
+        rules: data.rules,
+    };
+}
+
+// --- Routers ---
+// Admin: create and export snapshots. repos: from repositories.js; requireAdmin from adminAuth.js; defaultRules: config.airdrop.
+function createAirdropAdminRouter({ db, admin, repos, requireAdmin, defaultRules }) {
+    const router = express.Router();
+
+    // POST /api/admin/airdrop/snapshots - body: { snapshotAt?, rules? }
+    router.post('/snapshots', requireAdmin, async (req, res) => {
+        const snapshotAt = req.body?.snapshotAt ? new Date(req.body.snapshotAt) : new Date();
+        if (Number.isNaN(snapshotAt.getTime()) || snapshotAt > new Date()) {
+            return res.status(400).json({ message: "snapshotAt must be a valid date that is not in the future.", error: 'invalid_snapshot_at' });
+        }
+        const rules = req.body?.rules || {};
+        const problems = validateRules(rules);
+        if (problems.length) {
+            return res.status(400).json({ message: `Invalid rules: ${problems.join('; ')}.`, error: 'invalid_rules' });
+        }
+        try {
+            const snapshot = await buildSnapshot(repos, { snapshotAt, defaults: defaultRules, rules });
+            const snapshotId = await saveSnapshot(db, admin, snapshot, { createdBy: req.adminId });
+            const auditBatch = db.batch();
+            writeAuditEntry(auditBatch, db, admin, {
+                adminId: req.adminId,
+                action: 'create_airdrop_snapshot',
+                targetType: 'airdrop_snapshot',
+                targetId: snapshotId,
+                details: { snapshotAt: snapshot.snapshotAt, merkleRoot: snapshot.merkleRoot, claimCount: snapshot.claims.length },
+            });
+            await auditBatch.commit();
+            logger.info("Airdrop snapshot created", { snapshotId, adminId: req.adminId, claimCount: snapshot.claims.length, merkleRoot: snapshot.merkleRoot });
+            res.status(201).json({
+                snapshotId,
+                snapshotAt: snapshot.snapshotAt,
+                merkleRoot: snapshot.merkleRoot,
+                totalAmount: snapshot.totalAmount,
+                claimCount: snapshot.claims.length,
+                excluded: snapshot.excluded,
+            });
+        } catch (error) {
+            logger.error("Failed to create airdrop snapshot", { error });
+            res.status(500).json({ message: "Internal server error creating snapshot." });
+        }
+    });
+
+    // GET /api/admin/airdrop/snapshots - newest first
+    router.get('/snapshots', requireAdmin, async (req, res) => {
+        try {
+            const snapshotsSnap = await db.collection('airdropSnapshots').orderBy('createdAt', 'desc').limit(50).get();
+            res.status(200).json({ snapshots: snapshotsSnap.docs.map(toSnapshotSummary) });
+        } catch (error) {
+            logger.error("Failed to list airdrop snapshots", { error });
+            res.status(500).json({ message: "Internal server error listing snapshots." });
+        }
+    });
+
+    // GET /api/admin/airdrop/snapshots/:id/export?format=json|csv
+    router.get('/snapshots/:id/export', requireAdmin, async (req, res) => {
+        const snapshotRef = db.collection('airdropSnapshots').doc(req.params.id);
+        try {
+            const snapshotDoc = await snapshotRef.get();
+            if (!snapshotDoc.exists) {
+                return res.status(404).json({ message: "Snapshot not found.", error: 'snapshot_not_found' });
+            }
+            const claims = await loadSnapshotClaims(snapshotRef);
+            if (req.query.format === 'csv') {
+                res.type('text/csv').attachment(`airdrop-${snapshotDoc.id}.csv`).send(toCsv(claims));
+            } else {
+                res.status(200).json(toExportJson(snapshotDoc.id, toSnapshotSummary(snapshotDoc), claims));
+            }
+        } catch (error) {
+            logger.error("Failed to export airdrop snapshot", { snapshotId: req.params.id, error });
+            res.status(500).json({ message: "Internal server error exporting snapshot." });
+        }
+    });
+
+    return router;
+}
+
+// User: their own claim in the latest (or a given) snapshot
+function createAirdropRouter({ db, requireAuth }) {
+    const router = express.Router();
+
+    // GET /api/airdrop/claim?snapshotId=...
+    router.get('/claim', requireAuth, async (req, res) => {
+        try {
+            let snapshotDoc;
+            if (req.query.snapshotId) {
+                snapshotDoc = await db.collection('airdropSnapshots').doc(String(req.query.snapshotId)).get();
+            } else {
+                const latestSnap = await db.collection('airdropSnapshots').orderBy('createdAt', 'desc').limit(1).get();
+                snapshotDoc = latestSnap.docs[0];
+            }
+            if (!snapshotDoc?.exists) {
+                return res.status(200).json({ snapshot: null, eligible: false, claim: null });
+            }
+
+            const claimDoc = await snapshotDoc.ref.collection('claims').doc(req.userId).get();
+            const summary = toSnapshotSummary(snapshotDoc);
+            res.status(200).json({
+                snapshot: { id: summary.id, snapshotAt: summary.snapshotAt, merkleRoot: summary.merkleRoot },
+                eligible: claimDoc.exists,
+                claim: claimDoc.exists ? claimDoc.data() : null,
+            });
+        } catch (error) {
+            logger.error("Failed to load airdrop claim", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading airdrop claim." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    validateRules,
+    buildMerkleTree,
+    verifyMerkleProof,
+    buildSnapshot,
+    saveSnapshot,
+    toCsv,
+    toExportJson,
+    createAirdropAdminRouter,
+    createAirdropRouter,
+};
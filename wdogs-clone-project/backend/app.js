@@ -0,0 +1,494 @@
+// backend/app.js
+// Builds the Express app without starting it. index.js picks the data store and calls listen();
+// tests (see test/helpers.js) call createApp with the in-memory store and an explicit config, and send requests to it.
+// Settings come from config.js (loadConfig); pass `config` to override them.
+const express = require('express');
+const cors = require('cors');
+const { nanoid } = require('nanoid');
+const { LEDGER_REASONS, createTransactionsRouter } = require('./ledger');
+const { createTasksRouter } = require('./tasks');
+const { createMiningRouter } = require('./mining');
+const { createOnboardingRouter } = require('./onboarding');
+const { STREAK_OUTCOMES, recordStreakVisit, createStreakRouter } = require('./streaks');
+const { ACHIEVEMENT_EVENTS, createAchievements, createAchievementsRouter } = require('./achievements');
+const { createLeaderboardRouter } = require('./leaderboard');
+const { createSquadsRouter } = require('./squads');
+const { createPrivacyRouter } = require('./privacy');
+const { resolveSigningKeys, createSessionToken, createRequireAuth } = require('./session');
+const { createWalletRouter } = require('./wallet');
+const { isSecretMatch, createRequireAdmin } = require('./adminAuth');
+const { createAirdropRouter, createAirdropAdminRouter } = require('./airdrop');
+const { createAdminRouter } = require('./admin');
+const { REFERRAL_CODE_PATTERN, REFERRAL_STATUS, createUserWithReferral, createReferralsRouter } = require('./referrals');
+const { collectLoginSignals, computeRiskScore } = require('./risk');
+const { createBotApi } = require('./botApi');
+const { NOTIFICATIONS, createNotifier } = require('./notifier');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { createBotWebhookRouter } = require('./bot');
+const { createRepositories } = require('./repositories');
+const { INIT_DATA_ERRORS, TELEGRAM_PUBLIC_KEYS, createReplayCache, isValidTelegramData } = require('./telegramAuth');
+const { loadConfig, getPublicConfig, isOriginAllowed, toHostMatchers } = require('./config');
+const { createMemoryRateLimitStore, createRateLimiters } = require('./rateLimit');
+const { IDEMPOTENCY_KEY_HEADER, createIdempotency } = require('./idempotency');
+const { REQUEST_ID_HEADER, logger, requestContextMiddleware } = require('./logger');
+const { registry, metrics, metricsMiddleware } = require('./metrics');
+
+// Counts a committed signup (result of createUserWithReferral) in the business metrics
+function recordSignupMetrics(result, rewards) {
+    metrics.signups.inc();
+    metrics.tokensIssued.inc({ reason: LEDGER_REASONS.SIGNUP }, rewards.signupBonus);
+    if (result.applied) {
+        metrics.referrals.inc({ status: REFERRAL_STATUS.CREDITED });
+        metrics.tokensIssued.inc({ reason: LEDGER_REASONS.REFERRAL }, rewards.referralBonusReferrer + rewards.referralBonusReferred);
+    } else if (result.reason === 'pending_review') {
+        metrics.referrals.inc({ status: REFERRAL_STATUS.PENDING });
+    }
+}
+
+// Profile as sent to the user's own client (risk data is for admins only)
+function toClientProfile(user) {
+    const profile = { ...user };
+    delete profile.risk;
+    delete profile.riskSignals;
+    return profile;
+}
+
+// { db, admin }: from datastore.js
+// config: validated settings from config.js (loaded from env / CONFIG_FILE when omitted)
+// botApi: Bot API client (see botApi.js); telegram.apiBaseUrl or an injected client can point it at a local stub
+// rateLimitStore: counter store for rate limits (see rateLimit.js); pass a Redis client when running several instances
+// now: clock in ms for time-based rewards (see mining.js, streaks.js); tests pass a fake one to move time by hand
+function createApp({
+    db,
+    admin,
+    config = loadConfig(),
+    botApi = createBotApi({ token: config.telegram.botToken, baseUrl: config.telegram.apiBaseUrl }),
+    rateLimitStore = createMemoryRateLimitStore(),
+    now = Date.now,
+}) {
+    const repos = createRepositories({ db, admin });
+    const allowedOrigins = config.cors.allowedOrigins;
+
+    // --- Reward Settings ---
+    // Signup/referral bonuses: config.rewards. Referral codes: see referrals.js. Referral risk rules: see risk.js.
+    const riskRules = config.risk.rules;
+    const accountAgeTable = config.onboarding.accountAgeTable; // Onboarding reward: Telegram id -> estimated account age (see onboarding.js)
+    // --- End Reward Settings ---
+
+
+    // --- Telegram InitData Validation ---
+    // Each initData is accepted once; replays within its max age are rejected (see telegramAuth.js)
+    const initDataReplayCache = createReplayCache();
+    const initDataValidationOptions = {
+        replayCache: initDataReplayCache,
+        maxAgeSeconds: config.auth.initDataMaxAgeSeconds,
+        // Optional: accept Telegram's Ed25519 'signature' when the bot-token hash doesn't match
+        allowSignature: config.telegram.allowSignature,
+        botId: config.telegram.botId || undefined,
+        publicKeyHex: config.telegram.testEnvironment ? TELEGRAM_PUBLIC_KEYS.test : TELEGRAM_PUBLIC_KEYS.production,
+        // Development: initData from the frontend's Telegram emulator (never set in production, see config.js)
+        devBotToken: config.auth.devBotToken,
+    };
+    if (config.auth.devBotToken) {
+        logger.warn("DEV_BOT_TOKEN is set: initData signed by the development Telegram emulator is accepted.");
+    }
+    // Drop expired replay entries every 10 minutes so the cache doesn't grow forever
+    setInterval(() => initDataReplayCache.prune(), 10 * 60 * 1000).unref(); // unref: doesn't keep the process (or a test run) alive
+    // --- End Validation Setup ---
+
+    // --- Telegram Bot ---
+    const notifier = createNotifier({
+        botApi,
+        maxPerSecond: config.notifier.maxPerSecond,
+        perChatIntervalMs: config.notifier.perChatIntervalMs,
+        // The user blocked the bot (or deleted their account): stop messaging them
+        onBlocked: (chatId) => repos.users.update(chatId, { canMessage: false })
+            .catch(error => logger.error("Failed to mark user as unreachable", { userId: chatId, error })),
+    });
+    // --- End Telegram Bot ---
+
+    // --- Achievements ---
+    // Checked after the events that can earn them; evaluate never rejects (see achievements.js)
+    const achievements = config.features.achievements ? createAchievements({ db, admin, repos }) : null;
+    // --- End Achievements ---
+
+    // --- Abuse Protection ---
+    // Per-IP and per-user request limits by route group (config.rateLimit), and Idempotency-Key
+    // support on reward-granting POSTs so a retried request never pays twice
+    const rateLimiters = createRateLimiters({ store: rateLimitStore, limits: config.rateLimit });
+    if (typeof rateLimitStore.prune === 'function') {
+        setInterval(() => rateLimitStore.prune(), 60 * 1000).unref();
+    }
+    const idempotency = createIdempotency({ db, admin });
+    // --- End Abuse Protection ---
+
+    // --- Session Auth ---
+    // /api/auth/validate checks initData once and issues a short-lived session token (see session.js).
+    // Every other API route uses requireAuth, which checks that token (and that the account wasn't deleted).
+    const sessionKeys = resolveSigningKeys(config.session.signingKeys, config.telegram.botToken);
+    const requireSession = createRequireAuth(sessionKeys);
+    // A deleted account (a tombstone, see privacy.js) is signed out for good: its sessions are refused
+    // before they expire, so nothing more is written to the tombstone
+    const rejectDeletedAccount = async (req, res, next) => {
+        try {
+            const user = await repos.users.get(req.userId);
+            if (user?.deletedAt) {
+                return res.status(401).json({ message: "This account was deleted.", error: 'account_deleted' });
+            }
+            next();
+        } catch (error) {
+            logger.error("Failed to check account", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error checking account." });
+        }
+    };
+    // Signed-in requests also count against the caller's per-user budget
+    const requireAuth = [requireSession, rateLimiters.apiByUser, rejectDeletedAccount];
+    const requireClaimAuth = [...requireAuth, rateLimiters.claimsByUser, idempotency];
+    // Tap batches arrive every few seconds, so they stay out of the claim limit (mining.js rate-checks them itself)
+    const requireTapAuth = [...requireAuth, idempotency];
+    // Admin routes: session of an admin.telegramIds user, or X-Admin-Secret: admin.secret (see adminAuth.js)
+    const requireAdmin = createRequireAdmin({ requireAuth: requireSession, adminIds: config.admin.telegramIds, adminSecret: config.admin.secret });
+    // --- End Session Auth ---
+
+    const app = express();
+    app.set('trust proxy', config.server.trustProxy); // req.ip is the client, not the proxy (per-IP rate limits)
+
+    // --- Observability ---
+    // Request id (X-Request-Id header, attached to every log line of the request) and request metrics
+    app.use(requestContextMiddleware);
+    app.use(metricsMiddleware);
+
+    // GET /metrics - Prometheus text format. With metrics.token set, scrapers must send `Authorization: Bearer <token>`.
+    if (config.metrics.enabled) {
+        app.get('/metrics', (req, res) => {
+            if (config.metrics.token && !isSecretMatch((req.get('authorization') || '').replace(/^Bearer\s+/i, ''), config.metrics.token)) {
+                return res.status(401).json({ message: "Metrics token required.", error: 'unauthorized' });
+            }
+            res.type('text/plain; version=0.0.4').send(registry.render());
+        });
+    }
+
+    // --- Middlewares ---
+    // **FIX: APPLY CORS FIRST with Explicit Options** (origins: config.cors.allowedOrigins, '*' wildcards allowed)
+    app.use(cors({
+        origin: function (origin, callback) {
+            // Allow requests with no origin (like mobile apps or curl requests) during dev? Check implications.
+            // For stricter security, remove '!origin' check in production.
+            if (!origin || isOriginAllowed(origin, allowedOrigins)) {
+                callback(null, true);
+            } else {
+                logger.warn("CORS rejected origin", { origin });
+                callback(new Error('Not allowed by CORS'));
+            }
+        },
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'], // Explicitly allow methods including OPTIONS
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Secret', IDEMPOTENCY_KEY_HEADER], // Allow common headers (add 'X-Requested-With' etc. if needed)
+        exposedHeaders: ['Retry-After', 'RateLimit-Remaining', 'Idempotent-Replayed', REQUEST_ID_HEADER],
+    }));
+
+    // Apply other middleware AFTER CORS
+    app.use(express.json());
+
+    // --- Telegram Bot Webhook ---
+    // Before the per-IP limits: updates come from Telegram's servers and are checked by the webhook secret
+    if (config.features.botWebhook) {
+        app.use('/api/telegram', createBotWebhookRouter({
+            db,
+            admin,
+            repos,
+            botApi,
+            webhookSecret: config.telegram.webhookSecret,
+            webAppUrl: config.telegram.webAppUrl,
+            botUsername: config.telegram.botUsername,
+            referralReward: config.rewards.referralBonusReferrer,
+            referralCodeTtlDays: config.referrals.pendingCodeTtlDays,
+        }));
+    }
+
+    // --- Rate Limits ---
+    app.use('/api', rateLimiters.apiByIp);
+    app.use('/api/auth', rateLimiters.authByIp);
+
+    // --- Basic Routes ---
+    app.get('/api', (req, res) => {
+        res.json({ message: 'Hello from wDogs Clone Backend!' }); // Send JSON response
+    });
+
+    // --- Public Config Route ---
+    // Settings the frontend needs before login: bot username, reward amounts, feature flags
+    const publicConfig = getPublicConfig(config);
+    app.get('/api/config', (req, res) => {
+        res.status(200).json({ config: publicConfig });
+    });
+
+    // --- Telegram Authentication Route ---
+    app.post('/api/auth/validate', async (req, res) => { // Make the handler async
+        logger.debug("Received /api/auth/validate request", { origin: req.headers.origin || null });
+        const { initData } = req.body;
+
+        if (!initData) {
+            logger.warn("Validation rejected: missing initData");
+            metrics.initDataFailures.inc({ reason: INIT_DATA_ERRORS.MISSING_INIT_DATA });
+            return res.status(400).json({ message: "Missing initData", error: INIT_DATA_ERRORS.MISSING_INIT_DATA });
+        }
+
+        // 1. Validate initData
+        const validationResult = isValidTelegramData(initData, config.telegram.botToken, initDataValidationOptions);
+
+        if (!validationResult.valid || !validationResult.user) {
+            const reason = validationResult.error || INIT_DATA_ERRORS.INTERNAL_ERROR;
+            logger.warn("Validation failed for received initData", { reason });
+            metrics.initDataFailures.inc({ reason });
+            return res.status(401).json({ message: "Invalid or expired initData", error: reason });
+        }
+
+        // 2. Validation successful, proceed with Firestore
+        const telegramUser = validationResult.user;
+        const userIdString = String(telegramUser.id); // Use String ID for Firestore docs
+        const userRef = repos.users.ref(userIdString);
+
+        try {
+            logger.debug("Validation successful, loading user", { userId: userIdString });
+            const existingData = await repos.users.get(userIdString);
+
+            let userProfileData;
+            let referralResult = { applied: false, reason: null };
+
+            if (existingData) {
+                // --- User Exists ---
+                logger.debug("Existing user, updating last login", { userId: userIdString });
+                if (existingData.banned) {
+                    logger.warn("Login rejected: user is banned", { userId: userIdString });
+                    return res.status(403).json({ message: "This account is banned.", error: 'banned' });
+                }
+                // Read, compute and write in one transaction, like the streak freeze purchase (streaks.js)
+                const loginResult = await repos.users.recordLogin(userIdString, (user) => {
+                    if (user.banned) return null;
+                    const streakVisit = recordStreakVisit(user.streak, now(), config.streaks);
+                    const changes = {
+                        lastLogin: admin.firestore.FieldValue.serverTimestamp(),
+                        username: telegramUser.username || user.username || null,
+                        firstName: telegramUser.first_name || user.firstName,
+                        lastName: telegramUser.last_name || user.lastName || null,
+                        languageCode: telegramUser.language_code || user.languageCode,
+                        canMessage: telegramUser.allows_write_to_pm === true || user.canMessage === true,
+                        streak: streakVisit.streak,
+                        // Back after deleting their account (DELETE /api/me): a fresh profile on the tombstone
+                        ...(user.deletedAt ? { referralCode: nanoid(8), deletedAt: null } : {}),
+                    };
+                    // Re-score with this login's signals (burst and wallet signals are kept from earlier events)
+                    const riskSignals = { ...user.riskSignals, ...collectLoginSignals(telegramUser) };
+                    return { changes, riskSignals, risk: computeRiskScore(riskSignals, riskRules), streakVisit };
+                });
+                if (!loginResult?.login) {
+                    // Banned since the read above (users are tombstoned, never removed)
+                    logger.warn("Login rejected: user is banned", { userId: userIdString });
+                    return res.status(403).json({ message: "This account is banned.", error: 'banned' });
+                }
+                const { changes, streakVisit } = loginResult.login;
+                if (streakVisit.outcome !== STREAK_OUTCOMES.SAME_DAY) {
+                    logger.debug("Streak updated", { userId: userIdString, outcome: streakVisit.outcome, current: streakVisit.streak.current });
+                }
+                // Prepare response data: merge the profile as read in the transaction with updated fields
+                userProfileData = { ...loginResult.user, ...changes };
+                // Ensure defaults if somehow missing (belt-and-suspenders)
+                userProfileData.tokens = userProfileData.tokens ?? 0;
+                userProfileData.referralsMade = userProfileData.referralsMade ?? 0;
+                // Referrals only count for brand-new users
+                if (validationResult.startParam && REFERRAL_CODE_PATTERN.test(validationResult.startParam)) {
+                    logger.info("Ignoring referral code for existing user", { userId: userIdString });
+                    referralResult.reason = 'existing_user';
+                }
+
+            } else {
+                // --- New User ---
+                logger.debug("New user, creating user document", { userId: userIdString });
+                const newUserProfile = {
+                    userId: telegramUser.id, // Store numeric ID as well
+                    username: telegramUser.username || null,
+                    firstName: telegramUser.first_name || 'User',
+                    lastName: telegramUser.last_name || null,
+                    languageCode: telegramUser.language_code || 'en',
+                    locale: null, // Language chosen in the Mini App's settings (PATCH /api/me); null follows languageCode
+                    tokens: 0, // Starting balance (changes only through the ledger, see ledger.js)
+                    referralCode: nanoid(8), // Generate an 8-character referral code
+                    referredBy: null, // Referrer's user ID (string), set below if a valid referral code was used
+                    referralsMade: 0,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    lastLogin: admin.firestore.FieldValue.serverTimestamp(),
+                    onboarding: null, // Account age reward, set once claimed (see onboarding.js)
+                    mining: null, // Farming session and tap energy, as timestamps (see mining.js)
+                    streak: recordStreakVisit(null, now(), config.streaks).streak, // Daily visit streak (see streaks.js)
+                    squadId: null, // Squad the user is in (see squads.js)
+                    connectedWallet: null, // Friendly TON address, set by /api/wallet/connect (see wallet.js)
+                    connectedWalletRaw: null,
+                    canMessage: telegramUser.allows_write_to_pm === true, // Whether the bot may send notifications (see notifier.js)
+                    // Task claims are stored in the users/{id}/taskClaims subcollection (see tasks.js)
+                };
+                // Create the user (and credit the referral, if any) in one transaction
+                referralResult = await createUserWithReferral(db, admin, repos, userRef, newUserProfile, {
+                    startParam: validationResult.startParam,
+                    telegramUser,
+                    rules: riskRules,
+                    rewards: config.rewards,
+                });
+                userProfileData = referralResult.profile; // Response data is the new profile
+                logger.info("New user created", { userId: userIdString, referralCode: userProfileData.referralCode, referral: referralResult.reason || (referralResult.applied ? 'applied' : null) });
+                if (referralResult.created) {
+                    recordSignupMetrics(referralResult, config.rewards);
+                }
+                if (referralResult.applied) {
+                    // Fire and forget: the notifier queues and rate-limits, and never rejects
+                    notifier.notify(referralResult.referrerId, NOTIFICATIONS.friendJoined(referralResult.referrerLocale, userProfileData.firstName));
+                    achievements?.evaluate(referralResult.referrerId, ACHIEVEMENT_EVENTS.REFERRAL);
+                }
+            }
+            // Fire and forget: anything earned shows up on the profile screen (and in the balance on the next refresh)
+            achievements?.evaluate(userIdString, ACHIEVEMENT_EVENTS.LOGIN);
+
+            // 3. Issue a session token so later requests don't need initData
+            const session = createSessionToken(sessionKeys, userIdString, { ttlSeconds: config.session.ttlSeconds });
+
+            // 4. Send back the full user profile
+            res.status(200).json({
+                message: "User validated and profile retrieved/created.",
+                user: toClientProfile(userProfileData), // Send the data from Firestore
+                referral: { applied: referralResult.applied, reason: referralResult.reason },
+                session, // { token, expiresAt } - send as `Authorization: Bearer <token>`
+            });
+
+        } catch (error) {
+            logger.error("Database error during validation", { userId: userIdString, error });
+            res.status(500).json({ message: "Internal server error interacting with database." });
+        }
+    });
+
+    // --- Session Refresh Route ---
+    // Exchanges a still-valid session token for a fresh one (signed with the current active key).
+    // Once a token has expired the client has to go through /api/auth/validate again.
+    // Banned users can't refresh, so a ban takes effect within one session lifetime; deleted accounts are
+    // already turned away by requireAuth, and checked again here.
+    app.post('/api/auth/refresh', requireAuth, async (req, res) => {
+        try {
+            const user = await repos.users.get(req.userId);
+            if (!user || user.banned || user.deletedAt) {
+                const error = !user ? 'user_not_found' : user.banned ? 'banned' : 'account_deleted';
+                return res.status(403).json({ message: "Session can't be refreshed.", error });
+            }
+            const session = createSessionToken(sessionKeys, req.userId, { ttlSeconds: config.session.ttlSeconds });
+            res.status(200).json({ message: "Session refreshed.", session });
+        } catch (error) {
+            logger.error("Failed to refresh session", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error refreshing session." });
+        }
+    });
+
+    // --- Profile Route ---
+    // The signed-in user's current profile, so the client can pick up balance changes made elsewhere
+    // (referral bonuses, admin adjustments) without validating initData again
+    app.get('/api/me', requireAuth, async (req, res) => {
+        try {
+            const user = await repos.users.get(req.userId);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            res.status(200).json({ user: toClientProfile(user) });
+        } catch (error) {
+            logger.error("Failed to load profile", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading profile." });
+        }
+    });
+
+    // PATCH /api/me - body: { locale } - one of SUPPORTED_LOCALES (see i18n.js), or null to follow the Telegram language
+    app.patch('/api/me', requireAuth, async (req, res) => {
+        const { locale } = req.body || {};
+        if (locale !== null && !SUPPORTED_LOCALES.includes(locale)) {
+            return res.status(400).json({ message: `locale must be one of ${SUPPORTED_LOCALES.join(', ')} or null.`, error: 'invalid_locale' });
+        }
+        try {
+            const user = await repos.users.get(req.userId);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            await repos.users.update(req.userId, { locale });
+            logger.info("Profile updated", { userId: req.userId, locale });
+            res.status(200).json({ user: toClientProfile({ ...user, locale }) });
+        } catch (error) {
+            logger.error("Failed to update profile", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error updating profile." });
+        }
+    });
+
+    // --- Privacy Routes ---
+    // GET /api/me/export and DELETE /api/me (see privacy.js); an export reads everything, so it counts as a claim
+    app.use('/api/me', createPrivacyRouter({ db, admin, repos, requireExportAuth: [...requireAuth, rateLimiters.claimsByUser], requireClaimAuth }));
+
+    // --- Streak and Achievement Routes ---
+    if (config.features.achievements) {
+        app.use('/api/me/achievements', createAchievementsRouter({ db, repos, requireAuth, streakSettings: config.streaks }));
+        app.use('/api/me/streak', createStreakRouter({ db, repos, requireClaimAuth, settings: config.streaks }));
+    }
+
+    // --- Daily Tasks Routes ---
+    app.use('/api/tasks', createTasksRouter({ db, admin, repos, requireAuth: [...requireAuth, rateLimiters.tasksByUser], requireClaimAuth, botApi }));
+
+    // --- Onboarding Routes ---
+    if (config.features.onboarding) {
+        app.use('/api/onboarding', createOnboardingRouter({ db, admin, repos, requireAuth, requireClaimAuth, table: accountAgeTable, settings: config.onboarding, now }));
+    }
+
+    // --- Mining Routes ---
+    if (config.features.mining) {
+        app.use('/api/mining', createMiningRouter({ db, repos, requireAuth, requireClaimAuth, requireTapAuth, settings: config.mining, now }));
+    }
+
+    // --- Leaderboard Routes ---
+    if (config.features.leaderboard) {
+        app.use('/api/leaderboard', createLeaderboardRouter({ db, repos, requireAuth, includeSquads: config.features.squads, settings: config.leaderboard }));
+    }
+
+    // --- Squad Routes ---
+    if (config.features.squads) {
+        app.use('/api/squads', createSquadsRouter({ db, admin, repos, requireAuth, requireClaimAuth, settings: config.squads }));
+    }
+
+    // --- Transaction History Routes ---
+    app.use('/api/me/transactions', createTransactionsRouter({ repos, requireAuth }));
+
+    // --- Referral List Routes ---
+    app.use('/api/me/referrals', createReferralsRouter({ db, repos, requireAuth }));
+
+    // --- TON Wallet Routes ---
+    // ton_proof domains must be one of the hosts the frontend is served from
+    if (config.features.wallet) {
+        const tonProofDomains = toHostMatchers(allowedOrigins);
+        app.use('/api/wallet', createWalletRouter({ db, admin, repos, requireAuth, allowedDomains: tonProofDomains, proofMaxAgeSeconds: config.wallet.proofMaxAgeSeconds, riskRules, achievements }));
+    }
+
+    // --- Airdrop Routes ---
+    // Admin snapshot routes stay mounted so snapshots can be prepared before the airdrop is switched on
+    if (config.features.airdrop) {
+        app.use('/api/airdrop', createAirdropRouter({ db, requireAuth }));
+    }
+    app.use('/api/admin/airdrop', createAirdropAdminRouter({ db, admin, repos, requireAdmin, defaultRules: config.airdrop }));
+
+    // --- Admin Routes ---
+    // Mounted after the more specific /api/admin/* routers above
+    app.use('/api/admin', createAdminRouter({ db, admin, repos, requireAdmin, idempotency, riskRules, achievements }));
+
+    // --- Error Handling Middleware (Basic Example) ---
+    // Add this *after* all your routes
+    app.use((err, req, res, next) => {
+        logger.error("Unhandled error", { method: req.method, url: req.originalUrl, error: err });
+        // Specifically handle CORS errors triggered by the check function
+        if (err.message === 'Not allowed by CORS') {
+             res.status(403).json({ message: "Origin not allowed by CORS policy." });
+        } else {
+             res.status(500).json({ message: 'Something broke on the server!' });
+        }
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
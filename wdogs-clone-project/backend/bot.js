@@ -0,0 +1,175 @@
+// backend/bot.js
+// Telegram bot webhook: POST /api/telegram/webhook
+// Telegram sends every update with the X-Telegram-Bot-Api-Secret-Token header set to the secret_token
+// given to setWebhook (see set-webhook.js); anything else is rejected.
+//
+// Commands:
+//   /start [referralCode]  - replies with a button that opens the Mini App. A referral code is remembered
+//                            so the user's first /api/auth/validate can credit it (see referrals.js).
+//   /balance               - current DOGS balance
+//   /help                  - list of commands
+//
+// Inline queries (@bot in any chat, or the Friends screen's switchInlineQuery): answered with one result,
+// an invite message carrying the user's own referral link. Needs inline mode on in @BotFather (/setinline)
+// and 'inline_query' in the webhook's allowed_updates (see set-webhook.js).
+//
+// Replies are in the user's language: the one saved on their profile, else Telegram's language_code (see i18n.js).
+const express = require('express');
+const { isSecretMatch } = require('./adminAuth');
+const { REFERRAL_CODE_PATTERN, rememberReferralCode } = require('./referrals');
+const { translate, resolveUserLocale } = require('./i18n');
+const { logger } = require('./logger');
+
+const WEBHOOK_SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Texts come from the shared catalogs (see i18n.js); every message takes the reader's locale first
+const BOT_MESSAGES = {
+    welcome: (locale, firstName) => translate(locale, 'bot.welcome', { name: firstName }),
+    welcomeReferred: (locale, firstName) => translate(locale, 'bot.welcomeReferred', { name: firstName }),
+    balance: (locale, tokens) => translate(locale, 'bot.balance', { tokens }),
+    noAccount: (locale) => translate(locale, 'bot.noAccount'),
+    help: (locale) => translate(locale, 'bot.help'),
+    openAppButton: (locale) => translate(locale, 'bot.openAppButton'),
+    inviteTitle: (locale) => translate(locale, 'bot.inviteTitle'),
+    inviteDescription: (locale, reward) => (reward
+        ? translate(locale, 'bot.inviteDescription', { reward })
+        : translate(locale, 'bot.inviteDescriptionNoReward')),
+    inviteMessage: (locale, firstName) => translate(locale, 'bot.inviteMessage', { name: firstName }),
+    inviteButton: (locale) => translate(locale, 'bot.inviteButton'),
+};
+
+const INLINE_QUERY_CACHE_SECONDS = 300;
+
+// "/start@wdogs_bot abc" -> { command: 'start', args: 'abc' }; null for non-command text
+function parseCommand(text) {
+    const match = /^\/([a-z_]+)(?:@\w+)?(?:\s+(.*))?$/is.exec((text || '').trim());
+    return match ? { command: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+}
+
+// repos: from repositories.js; botApi: client from botApi.js
+// webhookSecret: secret_token given to setWebhook (config.telegram.webhookSecret); without it every update is rejected
+// webAppUrl: HTTPS URL of the Mini App, opened by the reply button
+// botUsername: for referral links in inline query answers (inline queries get no results without it)
+// referralReward: DOGS the inviter gets per referral, shown in the inline result
+// referralCodeTtlDays: how long a /start referral code waits for the user's signup (config.referrals.pendingCodeTtlDays)
+function createBotWebhookRouter({
+    db,
+    admin,
+    repos,
+    botApi,
+    webhookSecret = null,
+    webAppUrl = null,
+    botUsername = null,
+    referralReward = null,
+    referralCodeTtlDays,
+}) {
+    const router = express.Router();
+    if (!webhookSecret) {
+        logger.warn("TELEGRAM_WEBHOOK_SECRET is not set; the bot webhook will reject all updates.");
+    }
+
+    const openAppMarkup = (locale) => (webAppUrl
+        ? { reply_markup: { inline_keyboard: [[{ text: BOT_MESSAGES.openAppButton(locale), web_app: { url: webAppUrl } }]] } }
+        : {});
+
+    // --- Commands ---
+    const handlers = {
+        async start(message, args) {
+            const userId = String(message.from.id);
+            const userRef = repos.users.ref(userId);
+            const userDoc = await userRef.get();
+            const locale = resolveUserLocale(userDoc.exists ? userDoc.data() : null, message.from.language_code);
+            let referred = false;
+
+            if (userDoc.exists) {
+                // They've talked to the bot, so notifications can reach them
+                await userRef.update({ canMessage: true });
+            } else if (REFERRAL_CODE_PATTERN.test(args)) {
+                // Mini Apps opened from the button don't get a start_param, so keep the code for signup
+                await rememberReferralCode(db, admin, userId, args, { ttlDays: referralCodeTtlDays });
+                referred = true;
+                logger.info("Remembered referral code for future user", { userId, referralCode: args });
+            }
+
+            const firstName = message.from.first_name || translate(locale, 'bot.defaultFriendName');
+            const text = referred ? BOT_MESSAGES.welcomeReferred(locale, firstName) : BOT_MESSAGES.welcome(locale, firstName);
+            await botApi.sendMessage(message.chat.id, text, openAppMarkup(locale));
+        },
+
+        async balance(message) {
+            const user = await repos.users.get(message.from.id);
+            if (!user) {
+                const locale = resolveUserLocale(null, message.from.language_code);
+                return botApi.sendMessage(message.chat.id, BOT_MESSAGES.noAccount(locale), openAppMarkup(locale));
+            }
+            return botApi.sendMessage(message.chat.id, BOT_MESSAGES.balance(resolveUserLocale(user, message.from.language_code), user.tokens || 0));
+        },
+
+        async help(message) {
+            const locale = resolveUserLocale(await repos.users.get(message.from.id), message.from.language_code);
+            return botApi.sendMessage(message.chat.id, BOT_MESSAGES.help(locale));
+        },
+    };
+
+    // --- Inline Queries ---
+    async function answerInlineQuery(inlineQuery) {
+        const user = await repos.users.get(inlineQuery.from.id);
+        const locale = resolveUserLocale(user, inlineQuery.from.language_code);
+        const results = [];
+        if (user?.referralCode && botUsername) {
+            // startapp= opens the Mini App directly with the code as start_param (see referrals.js)
+            const referralLink = `https://t.me/${botUsername}?startapp=${user.referralCode}`;
+            results.push({
+                type: 'article',
+                id: `invite-${user.referralCode}`,
+                title: BOT_MESSAGES.inviteTitle(locale),
+                description: BOT_MESSAGES.inviteDescription(locale, referralReward),
+                input_message_content: {
+                    message_text: `${BOT_MESSAGES.inviteMessage(locale, user.firstName || translate(locale, 'bot.defaultInviterName'))}\n${referralLink}`,
+                },
+                reply_markup: { inline_keyboard: [[{ text: BOT_MESSAGES.inviteButton(locale), url: referralLink }]] },
+            });
+        } else if (!botUsername) {
+            logger.warn("Inline query left unanswered: TELEGRAM_BOT_USERNAME is not set");
+        }
+        // is_personal: every user gets their own link, so Telegram must not share the cached answer
+        await botApi.answerInlineQuery(inlineQuery.id, results, { cache_time: INLINE_QUERY_CACHE_SECONDS, is_personal: true });
+    }
+
+    // POST /api/telegram/webhook - body: Telegram Update
+    router.post('/webhook', async (req, res) => {
+        if (!isSecretMatch(req.headers[WEBHOOK_SECRET_HEADER], webhookSecret)) {
+            logger.warn("Bot webhook rejected: bad secret token", { ip: req.ip });
+            return res.status(401).json({ message: "Invalid webhook secret.", error: 'invalid_secret' });
+        }
+
+        const inlineQuery = req.body?.inline_query;
+        if (inlineQuery?.from && !inlineQuery.from.is_bot) {
+            try {
+                await answerInlineQuery(inlineQuery);
+            } catch (error) {
+                logger.error("Inline query failed", { userId: String(inlineQuery.from.id), error });
+            }
+            return res.status(200).json({ ok: true });
+        }
+
+        const message = req.body?.message;
+        // Only private chats with a real user; everything else is acknowledged and ignored
+        const parsed = message?.chat?.type === 'private' && message.from && !message.from.is_bot ? parseCommand(message.text) : null;
+        const handler = parsed && Object.prototype.hasOwnProperty.call(handlers, parsed.command) ? handlers[parsed.command] : null;
+
+        if (handler) {
+            try {
+                await handler(message, parsed.args);
+            } catch (error) {
+                // Still answer 200: otherwise Telegram keeps redelivering the same update
+                logger.error("Bot command failed", { command: parsed.command, userId: String(message.from.id), error });
+            }
+        }
+        res.status(200).json({ ok: true });
+    });
+
+    return router;
+}
+
+module.exports = { BOT_MESSAGES, parseCommand, createBotWebhookRouter };
@@ -0,0 +1,49 @@
+// backend/botApi.js
+// Minimal Telegram Bot API client.
+// The base URL is configurable (TELEGRAM_API_BASE_URL) so the bot can be pointed at a local stub,
+// which only has to answer POST /bot<token>/<method> with Telegram's { ok, result | description } shape.
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+
+class BotApiError extends Error {
+    constructor(method, data) {
+        super(`Bot API ${method} failed: ${data.description || 'unknown error'}`);
+        this.name = 'BotApiError';
+        this.method = method;
+        this.errorCode = data.error_code || null;
+        // Set on 429 Too Many Requests: seconds to wait before retrying
+        this.retryAfter = data.parameters?.retry_after || null;
+    }
+}
+
+function createBotApi({
+    token = process.env.TELEGRAM_BOT_TOKEN,
+    baseUrl = process.env.TELEGRAM_API_BASE_URL || DEFAULT_API_BASE_URL,
+    fetchImpl = fetch,
+} = {}) {
+    // Resolves with `result`, rejects with BotApiError when Telegram answers ok: false
+    async function call(method, params = {}) {
+        if (!token) {
+            throw new Error('TELEGRAM_BOT_TOKEN is not configured');
+        }
+        const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/bot${token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params),
+        });
+        const data = await response.json().catch(() => ({ ok: false, description: `HTTP ${response.status}` }));
+        if (!data.ok) {
+            throw new BotApiError(method, { error_code: response.status, ...data });
+        }
+        return data.result;
+    }
+
+    return {
+        call,
+        sendMessage: (chatId, text, extra = {}) => call('sendMessage', { chat_id: chatId, text, ...extra }),
+        getChatMember: (chatId, userId) => call('getChatMember', { chat_id: chatId, user_id: userId }),
+        answerInlineQuery: (inlineQueryId, results, extra = {}) => call('answerInlineQuery', { inline_query_id: inlineQueryId, results, ...extra }),
+        setWebhook: (params) => call('setWebhook', params),
+    };
+}
+
+module.exports = { DEFAULT_API_BASE_URL, BotApiError, createBotApi };
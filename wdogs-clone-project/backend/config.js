@@ -0,0 +1,386 @@
+// backend/config.js
+// Central configuration: defaults < optional JSON config file (CONFIG_FILE) < environment variables.
+// Everything is validated against CONFIG_SCHEMA at startup; loadConfig() throws a ConfigError listing
+// every problem at once, e.g.
+//   rewards.signupBonus (SIGNUP_BONUS): must be an integer >= 0, got "ten"
+//
+// The config file uses the same shape as the loaded config, e.g.
+//   { "cors": { "allowedOrigins": ["https://*.example.com"] }, "features": { "airdrop": false } }
+// Fields marked `public` are served to the frontend by GET /api/config (see getPublicConfig).
+const fs = require('fs');
+const path = require('path');
+const { DATA_STORES, DEFAULT_DATA_FILE } = require('./datastore');
+const { LOG_LEVELS } = require('./logger');
+const { DEFAULT_RISK_RULES, parseRiskRules } = require('./risk');
+const { DEFAULT_ACCOUNT_AGE_TABLE, validateAccountAgeTable } = require('./onboarding');
+const { parseSigningKeys } = require('./session');
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// --- Origin Patterns ---
+// Allowed origins may contain '*' in the hostname, matching one DNS label part (no dots), e.g.
+// 'https://mywdogsclonebot--*.web.app' for Firebase Hosting preview channels.
+const ORIGIN_PATTERN = /^https?:\/\/[A-Za-z0-9*.-]+(:\d+)?$/;
+
+function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileOriginPattern(pattern) {
+    return new RegExp(`^${escapeRegExp(pattern).replace(/\*/g, '[A-Za-z0-9-]+')}$`);
+}
+
+function isOriginAllowed(origin, patterns) {
+    return patterns.some(pattern => (pattern.includes('*') ? compileOriginPattern(pattern).test(origin) : pattern === origin));
+}
+
+// Host part of each origin pattern ('https://app.example.com:8443' -> 'app.example.com:8443'),
+// as strings for exact origins and RegExps for wildcard ones
+function toHostMatchers(patterns) {
+    return patterns.map(pattern => {
+        const host = pattern.replace(/^https?:\/\//, '');
+        return host.includes('*') ? compileOriginPattern(host) : host;
+    });
+}
+// --- End Origin Patterns ---
+
+// --- Schema ---
+// Each leaf: { env, type, default, public?, ...type options }. `default` may be a function of the env.
+//   type: 'integer' (min, max), 'boolean', 'string' (pattern, minLength), 'url', 'enum' (values),
+//         'list' (comma-separated in env; itemPattern, parse), 'originList',
+//         'json' (JSON in env; parse)
+//   parse: value -> { value, errors } checks (and may convert) the whole value, e.g. risk.js's parseRiskRules
+const CONFIG_SCHEMA = {
+    server: {
+        port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3001 },
+        // Number of proxies in front of the backend (ngrok, load balancer); needed for real client IPs in req.ip
+        trustProxy: { env: 'TRUST_PROXY', type: 'integer', min: 0, default: 0 },
+    },
+    dataStore: {
+        store: { env: 'DATA_STORE', type: 'enum', values: DATA_STORES, default: 'firestore' },
+        file: { env: 'DATA_FILE', type: 'string', default: DEFAULT_DATA_FILE },
+    },
+    cors: {
+        allowedOrigins: {
+            env: 'ALLOWED_ORIGINS',
+            type: 'originList',
+            default: [
+                'http://localhost:5173',               // Vite dev server
+                'http://127.0.0.1:5173',               // Vite dev server alternate
+                'https://mywdogsclonebot.web.app',     // Firebase Hosting
+                'https://mywdogsclonebot--*.web.app',  // Firebase Hosting preview channels
+            ],
+        },
+    },
+    auth: {
+        // initData older than this is rejected: 1 hour in production, 24 hours otherwise
+        initDataMaxAgeSeconds: { env: 'INIT_DATA_MAX_AGE_SECONDS', type: 'integer', min: 60, default: (env) => (env.NODE_ENV === 'production' ? 3600 : 24 * 3600) },
+        // Development only: initData signed with this made-up bot token is accepted too. The frontend's Telegram
+        // emulator (frontend/src/telegramEmulator.js) signs with the same value, VITE_DEV_BOT_TOKEN. Refused in production.
+        devBotToken: { env: 'DEV_BOT_TOKEN', type: 'string', pattern: /^\d+:[A-Za-z0-9_-]+$/, default: null },
+    },
+    // Session tokens (see session.js). Signing keys are 'kid:secret' pairs, the first one signs; required in
+    // production, otherwise a key is derived from the bot token.
+    session: {
+        signingKeys: { env: 'SESSION_SIGNING_KEYS', type: 'list', parse: parseSigningKeys, default: [] },
+        ttlSeconds: { env: 'SESSION_TTL_SECONDS', type: 'integer', min: 60, max: 24 * 3600, default: 900 },
+    },
+    logging: {
+        level: { env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LOG_LEVELS), default: 'info' },
+    },
+    // GET /metrics (see metrics.js); set a token when the backend is reachable from the internet
+    metrics: {
+        enabled: { env: 'METRICS_ENABLED', type: 'boolean', default: true },
+        token: { env: 'METRICS_TOKEN', type: 'string', minLength: 16, default: null },
+    },
+    // Requests per window per bucket (see rateLimit.js); 0 turns a single limit off
+    rateLimit: {
+        enabled: { env: 'RATE_LIMIT_ENABLED', type: 'boolean', default: true },
+        windowSeconds: { env: 'RATE_LIMIT_WINDOW_SECONDS', type: 'integer', min: 1, default: 60 },
+        authPerIp: { env: 'RATE_LIMIT_AUTH_PER_IP', type: 'integer', min: 0, default: 20 },
+        apiPerIp: { env: 'RATE_LIMIT_API_PER_IP', type: 'integer', min: 0, default: 300 },
+        apiPerUser: { env: 'RATE_LIMIT_API_PER_USER', type: 'integer', min: 0, default: 120 },
+        tasksPerUser: { env: 'RATE_LIMIT_TASKS_PER_USER', type: 'integer', min: 0, default: 60 },
+        claimsPerUser: { env: 'RATE_LIMIT_CLAIMS_PER_USER', type: 'integer', min: 0, default: 10 },
+    },
+    rewards: {
+        signupBonus: { env: 'SIGNUP_BONUS', type: 'integer', min: 0, default: 0, public: true },
+        referralBonusReferrer: { env: 'REFERRAL_BONUS_REFERRER', type: 'integer', min: 0, default: 100, public: true },
+        referralBonusReferred: { env: 'REFERRAL_BONUS_REFERRED', type: 'integer', min: 0, default: 50, public: true },
+    },
+    referrals: {
+        // How long a code from the bot's /start is kept for a user who hasn't opened the Mini App yet
+        pendingCodeTtlDays: { env: 'PENDING_REFERRAL_CODE_TTL_DAYS', type: 'integer', min: 1, default: 7 },
+    },
+    // Optional entries of the default task catalog seeded at startup (see getDefaultTasks in tasks.js); unset ones are left out
+    tasks: {
+        channelUsername: { env: 'TASK_CHANNEL_USERNAME', type: 'string', pattern: /^@?[A-Za-z][A-Za-z0-9_]{4,31}$/, default: null },
+        visitUrl: { env: 'TASK_VISIT_URL', type: 'url', default: null },
+    },
+    // Anti-abuse scoring (see risk.js), e.g. RISK_RULES='{"thresholds":{"high":50}}' (merged over the defaults)
+    risk: {
+        rules: { env: 'RISK_RULES', type: 'json', parse: parseRiskRules, default: DEFAULT_RISK_RULES },
+    },
+    // One-time onboarding reward by estimated Telegram account age (see onboarding.js):
+    // baseReward + rewardPerYear per full year, plus premiumBonus
+    onboarding: {
+        baseReward: { env: 'ONBOARDING_BASE_REWARD', type: 'integer', min: 0, default: 100 },
+        rewardPerYear: { env: 'ONBOARDING_REWARD_PER_YEAR', type: 'integer', min: 0, default: 250 },
+        premiumBonus: { env: 'ONBOARDING_PREMIUM_BONUS', type: 'integer', min: 0, default: 500 },
+        // Id-to-date points, e.g. ACCOUNT_AGE_TABLE='[[1,"2013-08-14"],[7000000000,"2024-03-01"]]' (replaces the table)
+        accountAgeTable: {
+            env: 'ACCOUNT_AGE_TABLE',
+            type: 'json',
+            parse: (table) => ({ value: table, errors: validateAccountAgeTable(table) }),
+            default: DEFAULT_ACCOUNT_AGE_TABLE,
+        },
+    },
+    // Farming sessions and tap-to-earn (see mining.js). Accrual is computed on the server from timestamps.
+    mining: {
+        farmingDurationSeconds: { env: 'MINING_FARMING_DURATION_SECONDS', type: 'integer', min: 60, default: 8 * 3600, public: true },
+        farmingReward: { env: 'MINING_FARMING_REWARD', type: 'integer', min: 1, default: 60, public: true },
+        energyMax: { env: 'MINING_ENERGY_MAX', type: 'integer', min: 1, default: 500, public: true },
+        // Energy refilled per second; one tap uses one energy
+        energyRegenPerSecond: { env: 'MINING_ENERGY_REGEN_PER_SECOND', type: 'integer', min: 1, default: 1, public: true },
+        tapReward: { env: 'MINING_TAP_REWARD', type: 'integer', min: 1, default: 1, public: true },
+        // Anti-cheat: tap batches faster than this are rejected; a batch covers at most maxTapBatchSeconds
+        maxTapsPerSecond: { env: 'MINING_MAX_TAPS_PER_SECOND', type: 'integer', min: 1, default: 15 },
+        maxTapBatchSeconds: { env: 'MINING_MAX_TAP_BATCH_SECONDS', type: 'integer', min: 1, default: 10 },
+    },
+    // Daily streaks and streak freezes (see streaks.js)
+    streaks: {
+        // A visit in the first graceHours of a UTC day still counts for a missed day before it
+        graceHours: { env: 'STREAK_GRACE_HOURS', type: 'integer', min: 0, max: 23, default: 3, public: true },
+        freezePrice: { env: 'STREAK_FREEZE_PRICE', type: 'integer', min: 1, default: 200, public: true },
+        maxFreezes: { env: 'STREAK_MAX_FREEZES', type: 'integer', min: 0, default: 2, public: true },
+    },
+    // Cached leaderboards (see leaderboard.js): entries kept per board, and how long a board is served before a refresh
+    leaderboard: {
+        size: { env: 'LEADERBOARD_SIZE', type: 'integer', min: 1, max: 10000, default: 500 },
+        ttlMs: { env: 'LEADERBOARD_TTL_MS', type: 'integer', min: 0, default: 60000 },
+    },
+    // Squads (see squads.js)
+    squads: {
+        // At most 100: the member list (and so isMember) covers up to 100 members
+        maxMembers: { env: 'SQUAD_MAX_MEMBERS', type: 'integer', min: 2, max: 100, default: 50, public: true },
+    },
+    // TON wallet connection (see wallet.js): how long a ton_proof payload, and a signed proof, stay valid
+    wallet: {
+        proofMaxAgeSeconds: { env: 'TON_PROOF_MAX_AGE_SECONDS', type: 'integer', min: 60, max: 24 * 3600, default: 900 },
+    },
+    // How long records that are only kept for a while stay (see pruneExpiredData in privacy.js)
+    privacy: {
+        loginSignalRetentionDays: { env: 'LOGIN_SIGNAL_RETENTION_DAYS', type: 'integer', min: 1, default: 90 },
+        auditLogRetentionDays: { env: 'AUDIT_LOG_RETENTION_DAYS', type: 'integer', min: 1, default: 365 },
+    },
+    // Default airdrop eligibility (see airdrop.js); each snapshot can override them
+    airdrop: {
+        minBalance: { env: 'AIRDROP_MIN_BALANCE', type: 'integer', min: 0, default: 100 },
+        minAccountAgeDays: { env: 'AIRDROP_MIN_ACCOUNT_AGE_DAYS', type: 'integer', min: 0, default: 7 },
+        requireWallet: { env: 'AIRDROP_REQUIRE_WALLET', type: 'boolean', default: true },
+    },
+    telegram: {
+        botToken: { env: 'TELEGRAM_BOT_TOKEN', type: 'string', pattern: /^\d+:[A-Za-z0-9_-]+$/, required: true },
+        botUsername: { env: 'TELEGRAM_BOT_USERNAME', type: 'string', pattern: /^[A-Za-z][A-Za-z0-9_]{3,31}$/, default: null, public: true },
+        botId: { env: 'TELEGRAM_BOT_ID', type: 'string', pattern: /^\d+$/, default: null },
+        // Accept Telegram's Ed25519 'signature' when the bot-token hash doesn't match
+        allowSignature: { env: 'TELEGRAM_ALLOW_SIGNATURE', type: 'boolean', default: false },
+        testEnvironment: { env: 'TELEGRAM_TEST_ENV', type: 'boolean', default: false },
+        webAppUrl: { env: 'TELEGRAM_WEBAPP_URL', type: 'url', default: null },
+        webhookSecret: { env: 'TELEGRAM_WEBHOOK_SECRET', type: 'string', pattern: /^[A-Za-z0-9_-]{1,256}$/, default: null },
+        apiBaseUrl: { env: 'TELEGRAM_API_BASE_URL', type: 'url', default: 'https://api.telegram.org' },
+    },
+    // Outbound bot notifications (see notifier.js); Telegram allows about 30 messages/second and 1/second per chat
+    notifier: {
+        maxPerSecond: { env: 'NOTIFIER_MAX_PER_SECOND', type: 'integer', min: 1, max: 30, default: 25 },
+        perChatIntervalMs: { env: 'NOTIFIER_PER_CHAT_INTERVAL_MS', type: 'integer', min: 0, default: 1000 },
+    },
+    admin: {
+        telegramIds: { env: 'ADMIN_TELEGRAM_IDS', type: 'list', itemPattern: /^\d+$/, default: [] },
+        secret: { env: 'ADMIN_SECRET', type: 'string', minLength: 16, default: null },
+    },
+    features: {
+        wallet: { env: 'FEATURE_WALLET', type: 'boolean', default: true, public: true },
+        airdrop: { env: 'FEATURE_AIRDROP', type: 'boolean', default: true, public: true },
+        leaderboard: { env: 'FEATURE_LEADERBOARD', type: 'boolean', default: true, public: true },
+        mining: { env: 'FEATURE_MINING', type: 'boolean', default: true, public: true },
+        onboarding: { env: 'FEATURE_ONBOARDING', type: 'boolean', default: true, public: true },
+        achievements: { env: 'FEATURE_ACHIEVEMENTS', type: 'boolean', default: true, public: true },
+        squads: { env: 'FEATURE_SQUADS', type: 'boolean', default: true, public: true },
+        botWebhook: { env: 'FEATURE_BOT_WEBHOOK', type: 'boolean', default: true },
+    },
+};
+
+function isLeaf(node) {
+    return typeof node.type === 'string';
+}
+
+// Runs a leaf's `parse` hook, if any
+function parseStructured(spec, value) {
+    if (!spec.parse) return { value };
+    const parsed = spec.parse(value);
+    return parsed.errors.length ? { error: parsed.errors.join('; ') } : { value: parsed.value };
+}
+
+// Parses an env string (or checks a config file value) against a leaf. Returns { value } or { error }.
+function parseValue(spec, raw, fromEnv) {
+    const fail = (expected) => ({ error: `must be ${expected}, got ${JSON.stringify(raw)}` });
+
+    switch (spec.type) {
+        case 'integer': {
+            const value = fromEnv ? (/^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : NaN) : raw;
+            const range = spec.max !== undefined ? `an integer between ${spec.min} and ${spec.max}` : `an integer >= ${spec.min}`;
+            if (!Number.isInteger(value) || value < spec.min || (spec.max !== undefined && value > spec.max)) return fail(range);
+            return { value };
+        }
+        case 'boolean': {
+            if (!fromEnv) return typeof raw === 'boolean' ? { value: raw } : fail('true or false');
+            const normalized = raw.trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(normalized)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(normalized)) return { value: false };
+            return fail('true or false');
+        }
+        case 'string': {
+            if (typeof raw !== 'string') return fail('a string');
+            if (spec.pattern && !spec.pattern.test(raw)) return fail(`a string matching ${spec.pattern}`);
+            if (spec.minLength && raw.length < spec.minLength) return { error: `must be at least ${spec.minLength} characters long` };
+            return { value: raw };
+        }
+        case 'url': {
+            if (typeof raw !== 'string' || !/^https?:\/\//.test(raw)) return fail('an http(s) URL');
+            try {
+                new URL(raw);
+            } catch {
+                return fail('a valid URL');
+            }
+            return { value: raw.replace(/\/$/, '') };
+        }
+        case 'enum':
+            return spec.values.includes(raw) ? { value: raw } : fail(`one of ${spec.values.join(', ')}`);
+        case 'list':
+        case 'originList': {
+            const items = fromEnv ? raw.split(',').map(item => item.trim()).filter(Boolean) : raw;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) return fail('a list of strings');
+            const itemPattern = spec.type === 'originList' ? ORIGIN_PATTERN : spec.itemPattern;
+            const invalid = itemPattern ? items.filter(item => !itemPattern.test(item)) : [];
+            if (invalid.length) {
+                return { error: `contains invalid ${spec.type === 'originList' ? 'origins (expected e.g. https://app.example.com or https://*.example.com)' : 'entries'}: ${invalid.join(', ')}` };
+            }
+            return parseStructured(spec, items);
+        }
+        case 'json': {
+            let value = raw;
+            if (fromEnv) {
+                try {
+                    value = JSON.parse(raw);
+                } catch {
+                    return fail('valid JSON');
+                }
+            }
+            return parseStructured(spec, value);
+        }
+        default:
+            throw new Error(`Unknown config type '${spec.type}'`);
+    }
+}
+
+function readConfigFile(filePath) {
+    try {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('expected a JSON object');
+        }
+        return parsed;
+    } catch (error) {
+        throw new ConfigError([`CONFIG_FILE (${filePath}): ${error.message}`]);
+    }
+}
+
+// Walks the schema, taking each value from env, then the file, then the default
+function resolveSection(schema, fileSection, env, pathPrefix, errors) {
+    const result = {};
+    if (fileSection !== undefined && (fileSection === null || typeof fileSection !== 'object' || Array.isArray(fileSection))) {
+        errors.push(`${pathPrefix.slice(0, -1)} (config file): must be an object`);
+        fileSection = {};
+    }
+    for (const [key, node] of Object.entries(schema)) {
+        const keyPath = `${pathPrefix}${key}`;
+        const fileValue = fileSection?.[key];
+        if (!isLeaf(node)) {
+            result[key] = resolveSection(node, fileValue, env, `${keyPath}.`, errors);
+            continue;
+        }
+
+        const envValue = env[node.env];
+        let parsed = null;
+        if (envValue !== undefined && envValue !== '') {
+            parsed = parseValue(node, envValue, true);
+            if (parsed.error) errors.push(`${keyPath} (${node.env}): ${parsed.error}`);
+        } else if (fileValue !== undefined && fileValue !== null) {
+            parsed = parseValue(node, fileValue, false);
+            if (parsed.error) errors.push(`${keyPath} (config file): ${parsed.error}`);
+        } else if (node.required) {
+            errors.push(`${keyPath} (${node.env}): is required`);
+        }
+        result[key] = parsed && !parsed.error ? parsed.value : (typeof node.default === 'function' ? node.default(env) : node.default);
+    }
+
+    // Unknown keys are almost always typos
+    for (const key of Object.keys(fileSection || {})) {
+        if (!(key in schema)) errors.push(`${pathPrefix}${key} (config file): unknown setting`);
+    }
+    return result;
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+// Returns the validated, frozen config. Throws ConfigError with every problem found.
+function loadConfig({ env = process.env, configFile = env.CONFIG_FILE } = {}) {
+    const fileValues = configFile ? readConfigFile(path.resolve(configFile)) : {};
+    const errors = [];
+    const config = resolveSection(CONFIG_SCHEMA, fileValues, env, '', errors);
+    if (config.auth.devBotToken && env.NODE_ENV === 'production') {
+        errors.push("auth.devBotToken (DEV_BOT_TOKEN): must not be set when NODE_ENV is production");
+    }
+    if (config.session.signingKeys.length === 0 && env.NODE_ENV === 'production') {
+        errors.push("session.signingKeys (SESSION_SIGNING_KEYS): is required when NODE_ENV is production");
+    }
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+    return deepFreeze(config);
+}
+
+// Only the fields marked `public` in the schema, in the same shape (served by GET /api/config)
+function getPublicConfig(config, schema = CONFIG_SCHEMA) {
+    const result = {};
+    for (const [key, node] of Object.entries(schema)) {
+        if (isLeaf(node)) {
+            if (node.public) result[key] = config[key];
+        } else {
+            const section = getPublicConfig(config[key], node);
+            if (Object.keys(section).length) result[key] = section;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    ConfigError,
+    loadConfig,
+    getPublicConfig,
+    isOriginAllowed,
+    toHostMatchers,
+};
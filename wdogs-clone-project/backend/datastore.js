@@ -0,0 +1,27 @@
+// backend/datastore.js
+// Picks the database behind the backend, configured with DATA_STORE:
+//   firestore (default) - Cloud Firestore through firebase-admin (needs serviceAccountKey.json)
+//   memory              - in-memory store, emptied on restart (see memoryStore.js)
+//   file                - in-memory store saved to DATA_FILE (default: ./data/dev-store.json)
+// All three return { admin, db } with the same Firestore API, so the rest of the code doesn't care.
+const path = require('path');
+const { logger } = require('./logger');
+
+const DATA_STORES = ['firestore', 'memory', 'file'];
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'dev-store.json');
+
+function createDataStore({ store = process.env.DATA_STORE || 'firestore', filePath = process.env.DATA_FILE || DEFAULT_DATA_FILE } = {}) {
+    if (!DATA_STORES.includes(store)) {
+        throw new Error(`DATA_STORE must be one of ${DATA_STORES.join(', ')} (got '${store}')`);
+    }
+    if (store === 'firestore') {
+        // Required lazily so memory/file setups don't load firebase-admin at all
+        return { ...require('./firebase').initFirebase(), store };
+    }
+    const { createMemoryStore } = require('./memoryStore');
+    const dataStore = createMemoryStore({ filePath: store === 'file' ? path.resolve(filePath) : null });
+    logger.info(store === 'file' ? "Using file-backed data store" : "Using in-memory data store (data is lost on restart)", store === 'file' ? { filePath: path.resolve(filePath) } : {});
+    return { ...dataStore, store };
+}
+
+module.exports = { DATA_STORES, DEFAULT_DATA_FILE, createDataStore };
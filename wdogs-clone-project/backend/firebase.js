@@ -0,0 +1,29 @@
+// backend/firebase.js
+// Firebase Admin SDK setup. Used through datastore.js when DATA_STORE=firestore (the default).
+const path = require('path');
+const admin = require('firebase-admin');
+const { logger } = require('./logger');
+
+const DEFAULT_SERVICE_ACCOUNT_PATH = path.join(__dirname, 'serviceAccountKey.json');
+
+// Initializes the Admin SDK once and returns { admin, db }.
+// Throws (instead of exiting) if the service account key can't be loaded, so callers decide what to do.
+function initFirebase({ serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || DEFAULT_SERVICE_ACCOUNT_PATH } = {}) {
+    if (admin.apps.length === 0) {
+        let serviceAccount;
+        try {
+            serviceAccount = require(path.resolve(serviceAccountPath)); // Load the key
+        } catch (error) {
+            throw new Error(`Failed to load Firebase service account key from '${serviceAccountPath}': ${error.message}. ` +
+                "Put serviceAccountKey.json in the 'backend' directory (or set FIREBASE_SERVICE_ACCOUNT_PATH), " +
+                "or set DATA_STORE=memory / DATA_STORE=file to run without Firestore.");
+        }
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount)
+        });
+        logger.info("Firebase Admin SDK initialized successfully.");
+    }
+    return { admin, db: admin.firestore() };
+}
+
+module.exports = { initFirebase };
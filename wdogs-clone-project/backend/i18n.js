@@ -0,0 +1,158 @@
+// backend/i18n.js
+// Translations for bot messages and notifications, from the catalogs shared with the Mini App
+// (../locales/<locale>.json - the backend deployment needs that folder next to backend/).
+//
+// Messages use a subset of ICU MessageFormat; frontend/src/i18n.js implements the same subset, keep them in sync:
+//   {name}                                      - value as is
+//   {amount, number}                            - locale-aware number (1,234 / 1 234 / 1.234)
+//   {count, plural, =0 {...} one {...} other {...}} - plural branch by Intl.PluralRules, # is the formatted count
+//   {kind, select, a {...} other {...}}          - branch by value
+// Missing keys fall back to English, then to the key itself.
+const CATALOGS = {
+    en: require('../locales/en.json'),
+    ru: require('../locales/ru.json'),
+    es: require('../locales/es.json'),
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// 'ru', 'ru-RU', 'es_419' -> supported locale; null when unsupported or not a string
+function resolveLocale(code) {
+    if (typeof code !== 'string') return null;
+    const language = code.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// The user's chosen locale (PATCH /api/me), else their Telegram language, else fallbackLanguageCode
+// (e.g. message.from.language_code for someone without an account), else English
+function resolveUserLocale(user, fallbackLanguageCode) {
+    return resolveLocale(user?.locale) || resolveLocale(user?.languageCode) || resolveLocale(fallbackLanguageCode) || DEFAULT_LOCALE;
+}
+
+// --- Message Parsing ---
+const parsedMessages = new Map(); // message -> nodes
+
+// Nodes: { type: 'text', value } | { type: 'arg' | 'number', name } | { type: 'pound' }
+//        | { type: 'plural' | 'select', name, options: { selector: nodes } }
+function parseMessage(message) {
+    let pos = 0;
+
+    const fail = (reason) => { throw new Error(`Invalid message "${message}": ${reason} at ${pos}`); };
+    const skipWhitespace = () => { while (/\s/.test(message[pos] || '')) pos++; };
+    const readUntil = (pattern) => {
+        const start = pos;
+        while (pos < message.length && !pattern.test(message[pos])) pos++;
+        if (pos >= message.length) fail('unterminated argument');
+        return message.slice(start, pos).trim();
+    };
+
+    function parseNodes(inPlural) {
+        const nodes = [];
+        let text = '';
+        const flush = () => {
+            if (text) nodes.push({ type: 'text', value: text });
+            text = '';
+        };
+        while (pos < message.length && message[pos] !== '}') {
+            if (message[pos] === '{') {
+                flush();
+                pos++;
+                nodes.push(parseArgument(inPlural));
+            } else if (message[pos] === '#' && inPlural) {
+                flush();
+                nodes.push({ type: 'pound' });
+                pos++;
+            } else {
+                text += message[pos++];
+            }
+        }
+        flush();
+        return nodes;
+    }
+
+    function parseArgument(inPlural) {
+        const name = readUntil(/[,}]/);
+        if (message[pos++] === '}') return { type: 'arg', name };
+        const type = readUntil(/[,}]/);
+        if (message[pos++] === '}') return { type: type === 'number' ? 'number' : 'arg', name };
+        if (type !== 'plural' && type !== 'select') fail(`unknown argument type "${type}"`);
+
+        const options = {};
+        for (;;) {
+            skipWhitespace();
+            if (message[pos] === '}') {
+                pos++;
+                break;
+            }
+            const selector = readUntil(/[\s{]/);
+            skipWhitespace();
+            if (message[pos++] !== '{') fail(`expected "{" after "${selector}"`);
+            options[selector] = parseNodes(inPlural || type === 'plural');
+            if (message[pos++] !== '}') fail(`unterminated "${selector}" branch`);
+        }
+        if (!options.other) fail(`"${name}" has no "other" branch`);
+        return { type, name, options };
+    }
+
+    const nodes = parseNodes(false);
+    if (pos < message.length) fail('unexpected "}"');
+    return nodes;
+}
+
+// --- Formatting ---
+const numberFormats = new Map(); // locale -> Intl.NumberFormat
+const pluralRules = new Map(); // locale -> Intl.PluralRules
+
+function formatNumber(locale, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return String(value ?? '');
+    if (!numberFormats.has(locale)) numberFormats.set(locale, new Intl.NumberFormat(locale));
+    return numberFormats.get(locale).format(value);
+}
+
+function pluralCategory(locale, value) {
+    if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+    return pluralRules.get(locale).select(value);
+}
+
+function formatNodes(locale, nodes, values, pluralValue) {
+    return nodes.map(node => {
+        const value = values[node.name];
+        switch (node.type) {
+            case 'text': return node.value;
+            case 'arg': return value === undefined || value === null ? '' : String(value);
+            case 'number': return formatNumber(locale, value);
+            case 'pound': return formatNumber(locale, pluralValue);
+            case 'plural': {
+                const count = Number(value) || 0;
+                const branch = node.options[`=${count}`] || node.options[pluralCategory(locale, count)] || node.options.other;
+                return formatNodes(locale, branch, values, count);
+            }
+            default: // select
+                return formatNodes(locale, node.options[String(value)] || node.options.other, values, pluralValue);
+        }
+    }).join('');
+}
+
+function formatMessage(locale, message, values = {}) {
+    if (!parsedMessages.has(message)) parsedMessages.set(message, parseMessage(message));
+    return formatNodes(locale, parsedMessages.get(message), values);
+}
+
+// translate('ru', 'bot.balance', { tokens: 1500 }) -> "Ваш баланс: 1 500 DOGS 🦴"
+function translate(locale, key, values) {
+    const resolved = resolveLocale(locale) || DEFAULT_LOCALE;
+    const message = CATALOGS[resolved][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+    return formatMessage(CATALOGS[resolved][key] === undefined ? DEFAULT_LOCALE : resolved, message, values);
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    resolveUserLocale,
+    formatNumber,
+    formatMessage,
+    translate,
+};
@@ -0,0 +1,102 @@
+// backend/idempotency.js
+// Idempotency keys for reward-granting POSTs. A client that sends `Idempotency-Key: <key>` can retry
+// the request (e.g. after a timeout) and gets the first response back instead of a second run.
+// Keys are stored in idempotencyKeys/{sha256(scope:key)}:
+//   { scope, fingerprint, state: 'in_progress' | 'completed', status, body, createdAt, completedAt, expiresAt }
+// scope is the caller (user or admin ID), so two users can't collide on the same key.
+// Requests without the header are handled as before.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/; // UUIDs and nanoids fit
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10); // Retries after this run again
+const ALREADY_EXISTS = 6; // Firestore error code for create() on an existing document
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Same key with a different request is a client bug, not a retry
+function requestFingerprint(req) {
+    return sha256(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`);
+}
+
+// Mount after requireAuth / requireAdmin (uses req.adminId or req.userId as the scope)
+function createIdempotency({ db, admin, now = Date.now }) {
+    const keysCol = db.collection('idempotencyKeys');
+
+    // Reserves the key. Returns null if this request should run, or the existing record otherwise.
+    async function reserve(ref, record) {
+        try {
+            await ref.create(record);
+            return null;
+        } catch (error) {
+            if (error.code !== ALREADY_EXISTS) throw error;
+        }
+        const existing = await ref.get();
+        if (!existing.exists) {
+            return reserve(ref, record); // Deleted in between (a failed first attempt)
+        }
+        if (existing.data().expiresAt <= now()) {
+            await ref.delete();
+            return reserve(ref, record);
+        }
+        return existing.data();
+    }
+
+    return async function idempotency(req, res, next) {
+        const key = req.get(IDEMPOTENCY_KEY_HEADER);
+        if (key === undefined) return next();
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return res.status(400).json({ message: `${IDEMPOTENCY_KEY_HEADER} must be 8-128 letters, digits, '-' or '_'.`, error: 'invalid_idempotency_key' });
+        }
+
+        const scope = req.adminId ? `admin:${req.adminId}` : `user:${req.userId}`;
+        const ref = keysCol.doc(sha256(`${scope}:${key}`));
+        const fingerprint = requestFingerprint(req);
+
+        let existing;
+        try {
+            existing = await reserve(ref, {
+                scope,
+                fingerprint,
+                state: 'in_progress',
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000,
+            });
+        } catch (error) {
+            logger.error("Idempotency key lookup failed", { scope, error });
+            return res.status(500).json({ message: "Internal server error checking the idempotency key." });
+        }
+
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return res.status(422).json({ message: "This idempotency key was already used for a different request.", error: 'idempotency_key_reused' });
+            }
+            if (existing.state !== 'completed') {
+                res.set('Retry-After', '1');
+                return res.status(409).json({ message: "The original request is still being processed.", error: 'request_in_progress' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.status).json(existing.body);
+        }
+
+        // Remember the response; server errors release the key so the retry runs again
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            const saved = res.statusCode >= 500
+                ? ref.delete()
+                : ref.update({ state: 'completed', status: res.statusCode, body, completedAt: admin.firestore.FieldValue.serverTimestamp() });
+            saved.catch(error => logger.error("Failed to save idempotent response", { scope, error }));
+            return sendJson(body);
+        };
+        next();
+    };
+}
+
+module.exports = {
+    IDEMPOTENCY_KEY_HEADER,
+    IDEMPOTENCY_KEY_PATTERN,
+    createIdempotency,
+};
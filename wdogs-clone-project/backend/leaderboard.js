@@ -0,0 +1,220 @@
+// backend/leaderboard.js
+// Leaderboards: users ranked by tokens or referralsMade, and squads ranked by their members' total tokens.
+// The top of each board is cached in memory and refreshed with a limited, ordered query (paged on only
+// as far as needed to skip banned and deleted users), so a request never scans the whole collection.
+const express = require('express');
+const { logger } = require('./logger');
+
+// Board type -> user document field it ranks by
+const LEADERBOARD_FIELDS = {
+    tokens: 'tokens',
+    referrals: 'referralsMade',
+};
+
+// Squads are ranked by squads/{id}.totalTokens (see squads.js)
+const SQUAD_BOARD = 'squads';
+const SQUAD_FIELD = 'totalTokens';
+
+// Board type -> { collection, field, toName(doc data), isListed(doc data) }
+const BOARDS = {
+    tokens: { collection: 'users', field: LEADERBOARD_FIELDS.tokens, toName: toDisplayName, isListed: isListedUser },
+    referrals: { collection: 'users', field: LEADERBOARD_FIELDS.referrals, toName: toDisplayName, isListed: isListedUser },
+    [SQUAD_BOARD]: { collection: 'squads', field: SQUAD_FIELD, toName: (squad) => squad.name, isListed: () => true },
+};
+
+// Same values as the config.leaderboard defaults (see config.js)
+const DEFAULT_LEADERBOARD_SETTINGS = {
+    size: 500,    // Entries kept per cached board
+    ttlMs: 60000, // How long a cached board is served
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Public display name: first name + last initial, never the full profile
+function toDisplayName(user) {
+    const firstName = user.firstName || 'DOGS User';
+    return user.lastName ? `${firstName} ${user.lastName.charAt(0)}.` : firstName;
+}
+
+// Banned users and deleted accounts (tombstones, see privacy.js) are left off the boards and out of ranks
+function isListedUser(user) {
+    return !user.banned && !user.deletedAt;
+}
+
+// Competition ranking ("1, 2, 2, 4") of listed docs only: equal values share a rank.
+// Matches the rank computed for users outside the board (count of strictly greater listed values + 1).
+// `id` is the user (or squad) id, only used to find the caller's own entry; of the profile, rows carry
+// only the display name.
+function assignRanks(docs, field, toName = toDisplayName) {
+    let previousValue = null;
+    let previousRank = 0;
+    return docs.map((doc, index) => {
+        const value = doc[field] || 0;
+        const rank = value === previousValue ? previousRank : index + 1;
+        previousValue = value;
+        previousRank = rank;
+        return { rank, id: doc.id, name: toName(doc), value };
+    });
+}
+
+// Cursors are opaque to the client; internally they are the offset into the cached board.
+// Pages requested across a refresh may shift slightly, which is fine for a leaderboard.
+function encodeCursor(offset) {
+    return Buffer.from(String(offset)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return 0;
+    const offset = parseInt(Buffer.from(String(cursor), 'base64url').toString(), 10);
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+}
+
+// Base query for a board: users come from the repositories (repositories.js), squads from their own collection
+function boardCollection(db, repos, type) {
+    const { collection } = BOARDS[type];
+    return collection === 'users' ? repos.users.query() : db.collection(collection);
+}
+
+// settings: config.leaderboard
+function createLeaderboardCache(db, repos, settings = DEFAULT_LEADERBOARD_SETTINGS) {
+    const boards = {}; // type -> { entries, updatedAt, pending }
+
+    async function refresh(type) {
+        const { field, toName, isListed } = BOARDS[type];
+        const docs = [];
+        let query = boardCollection(db, repos, type).orderBy(field, 'desc').limit(settings.size);
+        for (;;) {
+            const snapshot = await query.get();
+            docs.push(...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(isListed));
+            if (docs.length >= settings.size || snapshot.docs.length < settings.size) break;
+            query = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+        }
+        boards[type] = { entries: assignRanks(docs.slice(0, settings.size), field, toName), updatedAt: Date.now(), pending: null };
+        return boards[type];
+    }
+
+    // Returns the cached board, refreshing it when stale. Concurrent callers share one refresh.
+    async function getBoard(type) {
+        const board = boards[type];
+        if (board && Date.now() - board.updatedAt < settings.ttlMs) {
+            return board;
+        }
+        if (board?.pending) {
+            return board.pending;
+        }
+        const pending = refresh(type).catch(error => {
+            if (boards[type]) boards[type].pending = null;
+            throw error;
+        });
+        boards[type] = { ...(board || { entries: [], updatedAt: 0 }), pending };
+        return pending;
+    }
+
+    return { getBoard };
+}
+
+// Rank of `value` on a board: count listed users (or squads) with a strictly greater value.
+// count() is an aggregation query, so it doesn't read every document. Banned and deleted users above
+// the value are counted too and taken off (users that are both are added back once).
+async function countRank(db, repos, type, value) {
+    const { collection, field } = BOARDS[type];
+    const above = boardCollection(db, repos, type).where(field, '>', value);
+    const count = async (query) => (await query.count().get()).data().count;
+    if (collection !== 'users') {
+        return await count(above) + 1;
+    }
+    const banned = above.where('banned', '==', true);
+    const [all, bannedCount, deletedCount, bannedAndDeletedCount] = await Promise.all([
+        count(above),
+        count(banned),
+        count(above.where('deletedAt', '!=', null)),
+        count(banned.where('deletedAt', '!=', null)),
+    ]);
+    return all - bannedCount - deletedCount + bannedAndDeletedCount + 1;
+}
+
+// Rank for a user (or squad) that may be outside the cached board
+async function getRank(db, repos, board, type, id, value) {
+    const cachedEntry = board.entries.find(entry => entry.id === id);
+    if (cachedEntry) {
+        return cachedEntry.rank;
+    }
+    return countRank(db, repos, type, value);
+}
+
+// repos: from repositories.js; requireAuth must set req.userId (string Telegram user ID)
+// includeSquads: serve the squad board too (when squads are on); settings: config.leaderboard
+function createLeaderboardRouter({ db, repos, requireAuth, includeSquads = false, settings = DEFAULT_LEADERBOARD_SETTINGS }) {
+    const router = express.Router();
+    const cache = createLeaderboardCache(db, repos, settings);
+
+    // Same handler for every board; only the ranked field differs
+    const handleLeaderboard = (type) => async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = decodeCursor(req.query.cursor);
+        if (offset === null) {
+            return res.status(400).json({ message: "Invalid cursor.", error: 'invalid_cursor' });
+        }
+
+        try {
+            const [board, user] = await Promise.all([
+                cache.getBoard(type),
+                repos.users.get(req.userId),
+            ]);
+
+            // On the squad board "me" is the caller's squad
+            const myId = type === SQUAD_BOARD ? user?.squadId || null : req.userId;
+            const page = board.entries.slice(offset, offset + limit).map(({ id, ...entry }) => ({
+                ...entry,
+                isMe: id === myId,
+            }));
+            const nextOffset = offset + page.length;
+            const nextCursor = nextOffset < board.entries.length ? encodeCursor(nextOffset) : null;
+
+            let me = null;
+            if (type === SQUAD_BOARD && myId) {
+                const squadDoc = await db.collection('squads').doc(myId).get();
+                if (squadDoc.exists) {
+                    const squad = squadDoc.data();
+                    const value = squad[SQUAD_FIELD] || 0;
+                    me = { rank: await getRank(db, repos, board, type, myId, value), value, name: squad.name };
+                }
+            } else if (type !== SQUAD_BOARD && user) {
+                const value = user[LEADERBOARD_FIELDS[type]] || 0;
+                const rank = await getRank(db, repos, board, type, req.userId, value);
+                me = { rank, value, tokens: user.tokens || 0, name: toDisplayName(user) };
+            }
+
+            res.status(200).json({
+                type,
+                entries: page,
+                nextCursor,
+                me,
+                updatedAt: new Date(board.updatedAt).toISOString(),
+            });
+        } catch (error) {
+            logger.error("Failed to load leaderboard", { type, userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading leaderboard." });
+        }
+    };
+
+    // GET /api/leaderboard?limit=20&cursor=... - ranked by tokens
+    router.get('/', requireAuth, handleLeaderboard('tokens'));
+    // GET /api/leaderboard/referrals?limit=20&cursor=... - ranked by referralsMade
+    router.get('/referrals', requireAuth, handleLeaderboard('referrals'));
+    // GET /api/leaderboard/squads?limit=20&cursor=... - squads ranked by their members' total tokens
+    if (includeSquads) {
+        router.get('/squads', requireAuth, handleLeaderboard(SQUAD_BOARD));
+    }
+
+    return router;
+}
+
+module.exports = {
+    DEFAULT_LEADERBOARD_SETTINGS,
+    LEADERBOARD_FIELDS,
+    toDisplayName,
+    assignRanks,
+    countRank,
+    createLeaderboardRouter,
+};
@@ -0,0 +1,164 @@
+// backend/ledger.js
+// Append-only token ledger. Every credit/debit is an entry in users/{id}/ledger,
+// and users/{id}.tokens is the running balance, kept in sync inside the same transaction.
+// A squad member's balance is also counted in squads/{id}.totalTokens (see squads.js), moved by the same entry.
+// Never write `tokens` directly - always go through appendLedgerEntry.
+const express = require('express');
+const { logger } = require('./logger');
+
+const LEDGER_REASONS = {
+    SIGNUP: 'signup',
+    REFERRAL: 'referral',
+    TASK: 'task',
+    FARMING: 'farming', // Claimed farming session (see mining.js)
+    TAPS: 'taps',       // Tap batch (see mining.js)
+    ONBOARDING: 'onboarding', // One-time account age reward (see onboarding.js)
+    ACHIEVEMENT: 'achievement', // Token reward of an achievement (see achievements.js)
+    STREAK_FREEZE: 'streak_freeze', // Bought streak freeze, a debit (see streaks.js)
+    ACCOUNT_DELETED: 'account_deleted', // Remaining balance written off when the user deletes their account (see privacy.js)
+    ADMIN_ADJUSTMENT: 'admin_adjustment',
+    OPENING_BALANCE: 'opening_balance', // Balance a user already had before the ledger existed
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function getLedgerCollection(userRef) {
+    return userRef.collection('ledger');
+}
+
+// Adds one entry and moves the balance by the same amount. Must be called inside a transaction,
+// after all of the transaction's reads (Firestore requires reads before writes).
+//   amount    - signed integer (negative for debits)
+//   reason    - one of LEDGER_REASONS
+//   reference - what caused it, e.g. 'task:daily-checkin:2025-04-02' or 'referral:12345'
+// user: the user's data as read in this transaction (null for a user created in it). If they are in a
+// squad, the squad's total moves by the same amount - so pass it whenever the user may have one.
+// Returns the new entry's document reference.
+function appendLedgerEntry(transaction, admin, userRef, { amount, reason, reference }, user = null) {
+    if (!Number.isInteger(amount) || amount === 0) {
+        throw new Error(`Ledger amount must be a non-zero integer, got ${amount}`);
+    }
+    if (!Object.values(LEDGER_REASONS).includes(reason)) {
+        throw new Error(`Unknown ledger reason '${reason}'`);
+    }
+
+    const entryRef = getLedgerCollection(userRef).doc();
+    transaction.set(entryRef, {
+        amount,
+        reason,
+        reference: reference || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(userRef, { tokens: admin.firestore.FieldValue.increment(amount) });
+    if (user?.squadId) {
+        transaction.update(userRef.firestore.collection('squads').doc(user.squadId), { totalTokens: admin.firestore.FieldValue.increment(amount) });
+    }
+    return entryRef;
+}
+
+// --- Reconciliation ---
+// Recomputes a user's balance from the ledger and reports drift against the stored `tokens`.
+// With { fix: true } the stored balance is overwritten with the ledger total - except for users
+// with no ledger entries at all (created before the ledger), who get an opening_balance entry instead.
+async function reconcileUserBalance(db, admin, userId, { fix = false } = {}) {
+    const userRef = db.collection('users').doc(String(userId));
+
+    return db.runTransaction(async (transaction) => {
+        const [userDoc, ledgerSnap] = await Promise.all([
+            transaction.get(userRef),
+            transaction.get(getLedgerCollection(userRef)),
+        ]);
+        if (!userDoc.exists) {
+            return { userId: String(userId), found: false };
+        }
+
+        const balance = userDoc.data().tokens || 0;
+        const ledgerTotal = ledgerSnap.docs.reduce((sum, doc) => sum + (doc.data().amount || 0), 0);
+        const drift = balance - ledgerTotal;
+
+        if (drift !== 0 && fix) {
+            if (ledgerSnap.empty) {
+                transaction.set(getLedgerCollection(userRef).doc(), {
+                    amount: balance,
+                    reason: LEDGER_REASONS.OPENING_BALANCE,
+                    reference: 'reconciliation',
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+            } else {
+                transaction.update(userRef, { tokens: ledgerTotal });
+                if (userDoc.data().squadId) {
+                    transaction.update(db.collection('squads').doc(userDoc.data().squadId), { totalTokens: admin.firestore.FieldValue.increment(-drift) });
+                }
+            }
+        }
+        return { userId: String(userId), found: true, balance, ledgerTotal, drift, fixed: drift !== 0 && fix };
+    });
+}
+
+// Walks every user in pages and reconciles each one. Returns only the users with drift.
+async function reconcileAllBalances(db, admin, { fix = false, pageSize = 200 } = {}) {
+    const drifted = [];
+    let checked = 0;
+    let lastDoc = null;
+
+    for (;;) {
+        let query = db.collection('users').orderBy('__name__').limit(pageSize);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const page = await query.get();
+        if (page.empty) break;
+
+        for (const doc of page.docs) {
+            const result = await reconcileUserBalance(db, admin, doc.id, { fix });
+            checked++;
+            if (result.found && result.drift !== 0) {
+                logger.warn("Ledger drift", { userId: doc.id, balance: result.balance, ledgerTotal: result.ledgerTotal, drift: result.drift, fixed: result.fixed });
+                drifted.push(result);
+            }
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+    }
+
+    return { checked, drifted };
+}
+
+// --- Router ---
+// requireAuth must set req.userId (string Telegram user ID)
+// repos: from repositories.js
+function createTransactionsRouter({ repos, requireAuth }) {
+    const router = express.Router();
+
+    // GET /api/me/transactions?limit=20&cursor=<entryId> - newest first
+    router.get('/', requireAuth, async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        try {
+            const page = await repos.ledger.listEntries(req.userId, { limit, cursor: req.query.cursor || null });
+            if (!page) {
+                return res.status(400).json({ message: "Invalid cursor.", error: 'invalid_cursor' });
+            }
+            const transactions = page.entries.map(entry => ({
+                id: entry.id,
+                amount: entry.amount,
+                reason: entry.reason,
+                reference: entry.reference,
+                createdAt: entry.createdAt?.toDate().toISOString() || null,
+            }));
+            res.status(200).json({ transactions, nextCursor: page.nextCursor });
+        } catch (error) {
+            logger.error("Failed to load transactions", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading transactions." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    LEDGER_REASONS,
+    getLedgerCollection,
+    appendLedgerEntry,
+    reconcileUserBalance,
+    reconcileAllBalances,
+    createTransactionsRouter,
+};
@@ -0,0 +1,124 @@
+// backend/logger.js
+// Structured JSON logging: one line per entry on stdout, e.g.
+//   {"time":"2025-04-02T10:00:00.000Z","level":"info","msg":"Task completed","requestId":"…","userId":"123","taskId":"daily-checkin"}
+// Usage: logger.info(message, fields) with levels debug < info < warn < error (LOG_LEVEL / config.logging.level).
+// Inside a request (see requestContextMiddleware) every entry also gets the request's id.
+// Fields are redacted before writing: initData, hashes, signatures, tokens and secrets never reach the logs.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// --- Redaction ---
+const REDACTED = '[REDACTED]';
+// Field names whose values are never logged: these names, or anything ending in token/secret/hash/signature/initData
+const SENSITIVE_KEY_PATTERN = /^(initdata|hash|signature|token|authorization|cookie|secret|password|privatekey|x-admin-secret|x-telegram-bot-api-secret-token)$|(token|secret|hash|signature|initdata)$/i;
+// Secrets embedded in strings: bearer tokens, initData-style hash/signature params, bot tokens
+const SENSITIVE_STRING_PATTERNS = [
+    [/Bearer\s+[A-Za-z0-9._~+/=-]+/g, `Bearer ${REDACTED}`],
+    [/\b(hash|signature)=[^&\s"]+/g, `$1=${REDACTED}`],
+    [/\b\d{5,}:[A-Za-z0-9_-]{30,}\b/g, REDACTED], // Telegram bot token
+    [/\/bot[^/\s]+\//g, `/bot${REDACTED}/`],      // Bot API URLs
+];
+
+function redactString(text) {
+    return SENSITIVE_STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(String(error.message)),
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.stack ? { stack: redactString(error.stack) } : {}),
+    };
+}
+
+// Deep copy with sensitive values replaced; depth-limited so odd objects can't blow up a log call
+function redact(value, depth = 0) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= 6) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    if (typeof value.toDate === 'function') return value.toDate().toISOString(); // Firestore Timestamp
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+}
+// --- End Redaction ---
+
+// --- Request Context ---
+// Carries { requestId } through everything a request's handler awaits
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/; // Incoming ids (from a proxy) are kept if they look sane
+
+function getRequestId() {
+    return requestContext.getStore()?.requestId;
+}
+
+function requestContextMiddleware(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, req.id);
+    requestContext.run({ requestId: req.id }, next);
+}
+// --- End Request Context ---
+
+// write: receives each finished line (default: stdout, errors to stderr)
+function createLogger({ level = process.env.LOG_LEVEL || 'info', bindings = {}, write } = {}) {
+    const state = { minLevel: LOG_LEVELS[level] ?? LOG_LEVELS.info }; // Shared with child loggers
+    const writeLine = write || ((line, entryLevel) => (entryLevel === 'error' ? process.stderr : process.stdout).write(`${line}\n`));
+    return buildLogger(state, bindings, writeLine);
+}
+
+function buildLogger(state, bindings, writeLine) {
+    const log = (entryLevel, message, fields) => {
+        if (LOG_LEVELS[entryLevel] < state.minLevel) return;
+        const requestId = getRequestId();
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg: redactString(String(message)),
+            ...(requestId ? { requestId } : {}),
+            ...redact(bindings),
+            ...(fields instanceof Error ? { error: serializeError(fields) } : redact(fields || {})),
+        };
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch {
+            line = JSON.stringify({ time: entry.time, level: entryLevel, msg: entry.msg, requestId, note: 'fields not serializable' });
+        }
+        writeLine(line, entryLevel);
+    };
+
+    return {
+        debug: (message, fields) => log('debug', message, fields),
+        info: (message, fields) => log('info', message, fields),
+        warn: (message, fields) => log('warn', message, fields),
+        error: (message, fields) => log('error', message, fields),
+        // Same output and level, with extra fields on every entry (e.g. { component: 'notifier' })
+        child: (extraBindings) => buildLogger(state, { ...bindings, ...extraBindings }, writeLine),
+        setLevel(newLevel) {
+            if (!(newLevel in LOG_LEVELS)) throw new Error(`Unknown log level '${newLevel}'`);
+            state.minLevel = LOG_LEVELS[newLevel];
+        },
+    };
+}
+
+// Shared instance used across the backend
+const logger = createLogger();
+
+module.exports = {
+    LOG_LEVELS,
+    REQUEST_ID_HEADER,
+    redact,
+    createLogger,
+    getRequestId,
+    requestContextMiddleware,
+    logger,
+};
@@ -0,0 +1,491 @@
+// backend/memoryStore.js
+// In-memory stand-in for the Firestore client, for running the backend offline and in tests.
+// Implements the part of the Firestore API this backend uses: collections/subcollections, documents,
+// where/orderBy/limit/startAfter/count queries, getAll, batches and transactions, plus the
+// FieldValue (serverTimestamp, increment, arrayUnion, arrayRemove, delete), Timestamp and FieldPath helpers.
+// With a filePath the data is also saved to a JSON file after every write and loaded on startup.
+//
+// Transactions run one at a time and, like Firestore, refuse reads after the first write.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Values ---
+class Timestamp {
+    constructor(seconds, nanoseconds = 0) {
+        this.seconds = seconds;
+        this.nanoseconds = nanoseconds;
+    }
+    static fromMillis(ms) {
+        return new Timestamp(Math.floor(ms / 1000), Math.round((ms % 1000) * 1e6));
+    }
+    static fromDate(date) {
+        return Timestamp.fromMillis(date.getTime());
+    }
+    static now() {
+        return Timestamp.fromMillis(Date.now());
+    }
+    toMillis() {
+        return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+    }
+    toDate() {
+        return new Date(this.toMillis());
+    }
+    isEqual(other) {
+        return other instanceof Timestamp && other.toMillis() === this.toMillis();
+    }
+}
+
+class FieldValueSentinel {
+    constructor(kind, operand) {
+        this.kind = kind;
+        this.operand = operand;
+    }
+}
+
+const FieldValue = {
+    serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+    increment: (n) => new FieldValueSentinel('increment', n),
+    arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+    arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements),
+    delete: () => new FieldValueSentinel('delete'),
+};
+
+const DOCUMENT_ID = '__name__';
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, cloneValue(inner)]));
+    }
+    return value; // Primitives, Timestamps and sentinels are immutable
+}
+
+// Orders values like Firestore: null < booleans < numbers < timestamps < strings < arrays < maps
+function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 2;
+    if (value instanceof Timestamp || value instanceof Date) return 3;
+    if (typeof value === 'string') return 4;
+    if (Array.isArray(value)) return 5;
+    return 6;
+}
+
+function compareValues(a, b) {
+    const rankDiff = typeRank(a) - typeRank(b);
+    if (rankDiff !== 0) return rankDiff;
+    if (a instanceof Timestamp || a instanceof Date) {
+        const toMs = v => (v instanceof Date ? v.getTime() : v.toMillis());
+        return toMs(a) - toMs(b);
+    }
+    if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+    if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+    return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+}
+
+function getField(data, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// --- Applying writes ---
+function resolveSentinel(sentinel, current) {
+    switch (sentinel.kind) {
+        case 'serverTimestamp': return Timestamp.now();
+        case 'increment': return (typeof current === 'number' ? current : 0) + sentinel.operand;
+        case 'arrayUnion': {
+            const result = Array.isArray(current) ? [...current] : [];
+            for (const element of sentinel.operand) {
+                if (!result.some(existing => valuesEqual(existing, element))) result.push(cloneValue(element));
+            }
+            return result;
+        }
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : []).filter(existing => !sentinel.operand.some(element => valuesEqual(existing, element)));
+        default:
+            throw new Error(`Unsupported FieldValue '${sentinel.kind}'`);
+    }
+}
+
+// Writes one value under a literal key, resolving sentinels against the current value
+function assignValue(node, key, value) {
+    if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+        delete node[key];
+    } else if (value instanceof FieldValueSentinel) {
+        node[key] = resolveSentinel(value, node[key]);
+    } else if (isPlainObject(value)) {
+        node[key] = {};
+        for (const [innerKey, inner] of Object.entries(value)) assignValue(node[key], innerKey, inner);
+    } else {
+        node[key] = cloneValue(value);
+    }
+}
+
+// update(): keys are field paths, so 'a.b' means field b inside map a
+function setField(target, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(node[key])) node[key] = {};
+        node = node[key];
+    }
+    assignValue(node, keys[keys.length - 1], value);
+}
+
+// set(..., { merge: true }): nested maps are merged instead of replaced
+function mergeInto(target, data) {
+    for (const [key, value] of Object.entries(data)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInto(target[key], value);
+        } else {
+            assignValue(target, key, value);
+        }
+    }
+}
+
+function applyWrite(current, write) {
+    switch (write.type) {
+        case 'set': {
+            const next = write.options?.merge && current ? cloneValue(current) : {};
+            mergeInto(next, write.data);
+            return next;
+        }
+        case 'create':
+            if (current) throw firestoreError(6, `Document already exists: ${write.path}`);
+            return applyWrite(null, { ...write, type: 'set' });
+        case 'update': {
+            if (!current) throw firestoreError(5, `No document to update: ${write.path}`);
+            const next = cloneValue(current);
+            for (const [fieldPath, value] of Object.entries(write.data)) setField(next, fieldPath, value);
+            return next;
+        }
+        case 'delete':
+            return null;
+        default:
+            throw new Error(`Unknown write type '${write.type}'`);
+    }
+}
+
+function firestoreError(code, message) {
+    const error = new Error(message);
+    error.code = code; // Same numeric codes as Firestore (5 = NOT_FOUND, 6 = ALREADY_EXISTS)
+    return error;
+}
+
+function autoId() {
+    return crypto.randomBytes(15).toString('base64url').replace(/[-_]/g, '').slice(0, 20).padEnd(20, '0');
+}
+
+// --- File persistence ---
+function encodeForFile(value) {
+    if (value instanceof Timestamp) return { __timestamp: value.toMillis() };
+    if (Array.isArray(value)) return value.map(encodeForFile);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, encodeForFile(inner)]));
+    return value;
+}
+
+function decodeFromFile(value) {
+    if (Array.isArray(value)) return value.map(decodeFromFile);
+    if (isPlainObject(value)) {
+        if (Object.keys(value).length === 1 && typeof value.__timestamp === 'number') return Timestamp.fromMillis(value.__timestamp);
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, decodeFromFile(inner)]));
+    }
+    return value;
+}
+
+// --- Snapshots ---
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data != null;
+        this._data = data;
+    }
+    data() {
+        return this.exists ? cloneValue(this._data) : undefined;
+    }
+    get(fieldPath) {
+        return this.exists ? cloneValue(getField(this._data, fieldPath)) : undefined;
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+// --- References and queries ---
+class Query {
+    constructor(store, collectionPath, { filters = [], orders = [], limit = null, startAfter = null } = {}) {
+        this._store = store;
+        this._collectionPath = collectionPath;
+        this._spec = { filters, orders, limit, startAfter };
+    }
+    _with(changes) {
+        return new Query(this._store, this._collectionPath, { ...this._spec, ...changes });
+    }
+    where(fieldPath, op, value) {
+        return this._with({ filters: [...this._spec.filters, { fieldPath: String(fieldPath), op, value }] });
+    }
+    orderBy(fieldPath, direction = 'asc') {
+        return this._with({ orders: [...this._spec.orders, { fieldPath: String(fieldPath), direction }] });
+    }
+    limit(n) {
+        return this._with({ limit: n });
+    }
+    startAfter(snapshot) {
+        return this._with({ startAfter: snapshot });
+    }
+    count() {
+        return { get: async () => ({ data: () => ({ count: this._run().length }) }) };
+    }
+    async get() {
+        return new QuerySnapshot(this._run());
+    }
+
+    _fieldOf(id, data, fieldPath) {
+        return fieldPath === DOCUMENT_ID ? id : getField(data, fieldPath);
+    }
+
+    _matches(id, data) {
+        return this._spec.filters.every(({ fieldPath, op, value }) => {
+            const actual = this._fieldOf(id, data, fieldPath);
+            if (actual === undefined) return false;
+            switch (op) {
+                case '==': return valuesEqual(actual, value);
+                case '!=': return !valuesEqual(actual, value);
+                case '<': return typeRank(actual) === typeRank(value) && compareValues(actual, value) < 0;
+                case '<=': return typeRank(actual) === typeRank(value) && compareValues(actual, value) <= 0;
+                case '>': return typeRank(actual) === typeRank(value) && compareValues(actual, value) > 0;
+                case '>=': return typeRank(actual) === typeRank(value) && compareValues(actual, value) >= 0;
+                case 'in': return value.some(candidate => valuesEqual(actual, candidate));
+                case 'array-contains': return Array.isArray(actual) && actual.some(element => valuesEqual(element, value));
+                default: throw new Error(`Unsupported query operator '${op}'`);
+            }
+        });
+    }
+
+    // Compares two (id, data) pairs by the query's orderBy fields, then by document id
+    _compare(a, b) {
+        for (const { fieldPath, direction } of this._spec.orders) {
+            const diff = compareValues(this._fieldOf(a.id, a.data, fieldPath), this._fieldOf(b.id, b.data, fieldPath));
+            if (diff !== 0) return direction === 'desc' ? -diff : diff;
+        }
+        const lastDirection = this._spec.orders.length ? this._spec.orders[this._spec.orders.length - 1].direction : 'asc';
+        const idDiff = compareValues(a.id, b.id);
+        return lastDirection === 'desc' ? -idDiff : idDiff;
+    }
+
+    _run() {
+        const collection = this._store.collections.get(this._collectionPath) || new Map();
+        let rows = [...collection.entries()]
+            .map(([id, data]) => ({ id, data }))
+            .filter(({ id, data }) => this._matches(id, data))
+            // Like Firestore, ordering by a field leaves out documents that don't have it
+            .filter(({ id, data }) => this._spec.orders.every(({ fieldPath }) => this._fieldOf(id, data, fieldPath) !== undefined))
+            .sort((a, b) => this._compare(a, b));
+
+        if (this._spec.startAfter) {
+            const cursor = { id: this._spec.startAfter.id, data: this._spec.startAfter._data || {} };
+            rows = rows.filter(row => this._compare(row, cursor) > 0);
+        }
+        if (this._spec.limit != null) rows = rows.slice(0, this._spec.limit);
+        const collectionRef = new CollectionReference(this._store, this._collectionPath);
+        return rows.map(({ id, data }) => new DocumentSnapshot(collectionRef.doc(id), data));
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(store, collectionPath) {
+        super(store, collectionPath);
+        this.path = collectionPath;
+        this.id = collectionPath.split('/').pop();
+    }
+    doc(id = autoId()) {
+        return new DocumentReference(this._store, `${this.path}/${id}`);
+    }
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class DocumentReference {
+    constructor(store, documentPath) {
+        this._store = store;
+        this.path = documentPath;
+        const parts = documentPath.split('/');
+        this.id = parts.pop();
+        this._collectionPath = parts.join('/');
+    }
+    get parent() {
+        return new CollectionReference(this._store, this._collectionPath);
+    }
+    get firestore() {
+        return this._store;
+    }
+    collection(name) {
+        return new CollectionReference(this._store, `${this.path}/${name}`);
+    }
+    isEqual(other) {
+        return other instanceof DocumentReference && other.path === this.path;
+    }
+    async get() {
+        return new DocumentSnapshot(this, this._store.read(this.path));
+    }
+    async set(data, options) {
+        this._store.commit([{ type: 'set', path: this.path, data, options }]);
+    }
+    async create(data) {
+        this._store.commit([{ type: 'create', path: this.path, data }]);
+    }
+    async update(data) {
+        this._store.commit([{ type: 'update', path: this.path, data }]);
+    }
+    async delete() {
+        this._store.commit([{ type: 'delete', path: this.path }]);
+    }
+}
+
+// --- Batches and transactions ---
+class WriteBatch {
+    constructor(store) {
+        this._store = store;
+        this._writes = [];
+    }
+    set(ref, data, options) {
+        this._writes.push({ type: 'set', path: ref.path, data, options });
+        return this;
+    }
+    create(ref, data) {
+        this._writes.push({ type: 'create', path: ref.path, data });
+        return this;
+    }
+    update(ref, data) {
+        this._writes.push({ type: 'update', path: ref.path, data });
+        return this;
+    }
+    delete(ref) {
+        this._writes.push({ type: 'delete', path: ref.path });
+        return this;
+    }
+    async commit() {
+        this._store.commit(this._writes);
+    }
+}
+
+class Transaction extends WriteBatch {
+    async get(refOrQuery) {
+        if (this._writes.length > 0) {
+            throw new Error('Firestore transactions require all reads to be executed before all writes.');
+        }
+        return refOrQuery.get();
+    }
+    async getAll(...refs) {
+        return Promise.all(refs.map(ref => this.get(ref)));
+    }
+}
+
+// --- Store ---
+class MemoryFirestore {
+    constructor({ filePath = null } = {}) {
+        this.collections = new Map(); // collection path -> Map(doc id -> data)
+        this._filePath = filePath;
+        this._transactionQueue = Promise.resolve();
+        if (filePath && fs.existsSync(filePath)) {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const [collectionPath, docs] of Object.entries(saved)) {
+                this.collections.set(collectionPath, new Map(Object.entries(docs).map(([id, data]) => [id, decodeFromFile(data)])));
+            }
+        }
+    }
+
+    collection(collectionPath) {
+        return new CollectionReference(this, collectionPath);
+    }
+    doc(documentPath) {
+        return new DocumentReference(this, documentPath);
+    }
+    batch() {
+        return new WriteBatch(this);
+    }
+    async getAll(...refs) {
+        return Promise.all(refs.map(ref => ref.get()));
+    }
+
+    // Runs one transaction at a time; writes are applied only if updateFunction resolves
+    runTransaction(updateFunction) {
+        const run = this._transactionQueue.then(async () => {
+            const transaction = new Transaction(this);
+            const result = await updateFunction(transaction);
+            this.commit(transaction._writes);
+            return result;
+        });
+        this._transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    read(documentPath) {
+        const index = documentPath.lastIndexOf('/');
+        return this.collections.get(documentPath.slice(0, index))?.get(documentPath.slice(index + 1)) ?? null;
+    }
+
+    // Applies all writes or none of them
+    commit(writes) {
+        if (writes.length === 0) return;
+        const staged = new Map();
+        for (const write of writes) {
+            const current = staged.has(write.path) ? staged.get(write.path) : this.read(write.path);
+            staged.set(write.path, applyWrite(current, write));
+        }
+        for (const [documentPath, data] of staged) {
+            const index = documentPath.lastIndexOf('/');
+            const collectionPath = documentPath.slice(0, index);
+            if (!this.collections.has(collectionPath)) this.collections.set(collectionPath, new Map());
+            if (data === null) {
+                this.collections.get(collectionPath).delete(documentPath.slice(index + 1));
+            } else {
+                this.collections.get(collectionPath).set(documentPath.slice(index + 1), data);
+            }
+        }
+        this._save();
+    }
+
+    _save() {
+        if (!this._filePath) return;
+        const serialized = {};
+        for (const [collectionPath, docs] of this.collections) {
+            if (docs.size > 0) serialized[collectionPath] = Object.fromEntries([...docs].map(([id, data]) => [id, encodeForFile(data)]));
+        }
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+        const tempPath = `${this._filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(serialized));
+        fs.renameSync(tempPath, this._filePath);
+    }
+}
+
+// Same shape as firebase-admin where the backend uses it: admin.firestore.FieldValue / Timestamp / FieldPath
+function createMemoryStore({ filePath } = {}) {
+    return {
+        db: new MemoryFirestore({ filePath }),
+        admin: { firestore: { FieldValue, Timestamp, FieldPath } },
+    };
+}
+
+module.exports = { Timestamp, FieldValue, FieldPath, createMemoryStore };
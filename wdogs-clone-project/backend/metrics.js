@@ -0,0 +1,128 @@
+// backend/metrics.js
+// Prometheus metrics, served as text by GET /metrics (see app.js).
+// A small in-process registry with counters and histograms - enough for one backend instance;
+// Prometheus scrapes each instance and sums them.
+//
+// Business metrics are counted after the change is committed (never inside a transaction callback,
+// which Firestore may run more than once).
+
+// --- Registry ---
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+// Series are keyed by their label values, in the order of labelNames
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map(); // labelKey -> { labels, value }
+        const metric = {
+            inc(labels = {}, amount = 1) {
+                if (amount < 0) throw new Error(`Counter ${name} can't decrease`);
+                const key = labelKey(labelNames, labels);
+                const entry = series.get(key) || { labels: Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])), value: 0 };
+                entry.value += amount;
+                series.set(key, entry);
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+                if (labelNames.length === 0 && series.size === 0) lines.push(`${name} 0`);
+                for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+                return lines.join('\n');
+            },
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        const series = new Map(); // labelKey -> { labels, counts (per bucket), sum, count }
+        const metric = {
+            observe(labels, value) {
+                const key = labelKey(labelNames, labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { labels: Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            },
+            render() {
+                const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+                for (const { labels, counts, sum, count } of series.values()) {
+                    buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                    lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                    lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+                }
+                return lines.join('\n');
+            },
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    return {
+        counter,
+        histogram,
+        // Prometheus text exposition format (version 0.0.4)
+        render: () => `${metrics.map(metric => metric.render()).join('\n')}\n`,
+    };
+}
+// --- End Registry ---
+
+// --- App Metrics ---
+const registry = createRegistry();
+
+const metrics = {
+    httpRequests: registry.counter('http_requests_total', 'HTTP requests by method, route and status code.', ['method', 'route', 'status']),
+    httpDuration: registry.histogram('http_request_duration_seconds', 'HTTP request latency by method and route.', ['method', 'route']),
+    initDataFailures: registry.counter('initdata_validation_failures_total', 'Rejected /api/auth/validate requests by reason.', ['reason']),
+    signups: registry.counter('user_signups_total', 'New user accounts created.'),
+    accountDeletions: registry.counter('account_deletions_total', 'Accounts deleted by their users (DELETE /api/me).'),
+    referrals: registry.counter('referrals_total', 'Referrals recorded, by status (credited, pending review, approved, rejected).', ['status']),
+    tokensIssued: registry.counter('tokens_issued_total', 'DOGS tokens credited through the ledger, by reason.', ['reason']),
+    tapBatchesRejected: registry.counter('mining_tap_batches_rejected_total', 'Tap batches rejected by the anti-cheat checks, by reason.', ['reason']),
+    achievementsEarned: registry.counter('achievements_earned_total', 'Achievements awarded, by achievement id.', ['achievement']),
+    rateLimited: registry.counter('rate_limited_requests_total', 'Requests rejected by rate limits, by route group.', ['group']),
+};
+
+// Route label for a finished request: the matched route pattern, never the raw URL
+// (keeps label cardinality bounded - '/api/tasks/:id/complete', not one series per task)
+function routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    return `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+}
+
+// Counts every request and its latency once the response is sent
+function metricsMiddleware(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = routeLabel(req);
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+}
+
+module.exports = {
+    createRegistry,
+    registry,
+    metrics,
+    metricsMiddleware,
+};
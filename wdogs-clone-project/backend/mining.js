@@ -0,0 +1,252 @@
+// backend/mining.js
+// Farming and tap-to-earn. Both are server-authoritative: the user document only stores timestamps
+// (users/{id}.mining), and everything the client sees - accrued DOGS, current energy - is computed
+// from them with the server's clock. The client only says "start", "claim" or "I tapped N times".
+//
+//   mining: {
+//     farming: { startedAt, endsAt, reward } | null, // Running or unclaimed session (ms); reward fixed at start
+//     energy, energyUpdatedAt,                       // Energy as of energyUpdatedAt (ms); refills from there
+//     lastTapBatchAt,                                // When the last accepted tap batch arrived (ms)
+//   }
+//
+// Anti-cheat for taps: a batch may not be faster than maxTapsPerSecond over the time since the previous
+// batch (at most maxTapBatchSeconds), otherwise it is rejected as a whole. Accepted taps are clamped
+// to the energy available, so even a client right at the rate limit can't earn more than the regen allows.
+//
+// All functions take `now` (ms) and the router takes a `now()` clock, so tests can move time by hand.
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// Same values as the config.mining defaults (see config.js)
+const DEFAULT_MINING_SETTINGS = {
+    farmingDurationSeconds: 8 * 3600,
+    farmingReward: 60,
+    energyMax: 500,
+    energyRegenPerSecond: 1,
+    tapReward: 1,
+    maxTapsPerSecond: 15,
+    maxTapBatchSeconds: 10,
+};
+
+// Why a tap batch was rejected (the `error` code of the 400/422 response and the metric label)
+const TAP_REJECTIONS = {
+    INVALID_TAPS: 'invalid_taps',
+    TAP_RATE_EXCEEDED: 'tap_rate_exceeded',
+};
+
+// --- Accrual ---
+// Energy as of `now`: { energy (integer), asOf } - asOf is the time the partly refilled unit started at,
+// so storing { energy, energyUpdatedAt: asOf } loses no refill time. New users start with a full tank.
+function computeEnergy(mining, now, settings) {
+    if (mining?.energyUpdatedAt == null) {
+        return { energy: settings.energyMax, asOf: now };
+    }
+    const stored = Math.min(mining.energy ?? settings.energyMax, settings.energyMax);
+    const elapsedMs = Math.max(now - mining.energyUpdatedAt, 0); // A clock going backwards never drains energy
+    const refilled = Math.floor(elapsedMs * settings.energyRegenPerSecond / 1000);
+    if (stored + refilled >= settings.energyMax) {
+        return { energy: settings.energyMax, asOf: now };
+    }
+    return { energy: stored + refilled, asOf: mining.energyUpdatedAt + Math.ceil(refilled * 1000 / settings.energyRegenPerSecond) };
+}
+
+// The farming session as of `now`, or null if none is running. accrued grows linearly up to reward.
+function computeFarming(mining, now) {
+    const farming = mining?.farming;
+    if (!farming) return null;
+    const durationMs = farming.endsAt - farming.startedAt;
+    const progress = Math.min(Math.max(now - farming.startedAt, 0) / durationMs, 1);
+    return {
+        startedAt: farming.startedAt,
+        endsAt: farming.endsAt,
+        reward: farming.reward,
+        accrued: Math.floor(farming.reward * progress),
+        isFinished: progress >= 1,
+    };
+}
+
+// Checks a batch of `taps` against the rate limit and the energy.
+// Returns { valid: true, accepted, energy, asOf } (accepted <= taps, clamped to energy) or { valid: false, error }.
+function checkTapBatch(mining, taps, now, settings) {
+    const maxBatch = settings.maxTapsPerSecond * settings.maxTapBatchSeconds;
+    if (!Number.isInteger(taps) || taps < 1 || taps > maxBatch) {
+        return { valid: false, error: TAP_REJECTIONS.INVALID_TAPS };
+    }
+
+    const secondsSinceLastBatch = mining?.lastTapBatchAt == null ? settings.maxTapBatchSeconds : Math.max(now - mining.lastTapBatchAt, 0) / 1000;
+    const allowed = Math.ceil(Math.min(secondsSinceLastBatch, settings.maxTapBatchSeconds) * settings.maxTapsPerSecond);
+    if (taps > allowed) {
+        return { valid: false, error: TAP_REJECTIONS.TAP_RATE_EXCEEDED, allowed };
+    }
+
+    const { energy, asOf } = computeEnergy(mining, now, settings);
+    return { valid: true, accepted: Math.min(taps, energy), energy, asOf };
+}
+
+// What the client gets: computed values plus the server time they were computed at,
+// so the client can keep counting without trusting its own clock
+function toMiningState(mining, now, settings) {
+    return {
+        serverTime: now,
+        farming: computeFarming(mining, now),
+        energy: { current: computeEnergy(mining, now, settings).energy, max: settings.energyMax, regenPerSecond: settings.energyRegenPerSecond },
+        tapReward: settings.tapReward,
+        farmingReward: settings.farmingReward,
+        farmingDurationSeconds: settings.farmingDurationSeconds,
+    };
+}
+
+// --- Router ---
+// requireAuth must set req.userId (string Telegram user ID)
+// requireClaimAuth: same, for the reward-granting POSTs (with the claim rate limit and Idempotency-Key support)
+// requireTapAuth: same, for tap batches (sent every few seconds, so not under the claim rate limit)
+// settings: config.mining; now: clock in ms (Date.now, or a fake one in tests)
+function createMiningRouter({ db, repos, requireAuth, requireClaimAuth = requireAuth, requireTapAuth = requireAuth, settings = DEFAULT_MINING_SETTINGS, now = Date.now }) {
+    const router = express.Router();
+
+    // Runs `change(user, time)` in a transaction on the caller's user document. change returns
+    // { status, body } for a rejection, or { mining, ledgerEntry?, body } to save the new mining state.
+    async function updateMining(userId, change) {
+        const userRef = repos.users.ref(userId);
+        return db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) {
+                return { status: 404, body: { message: "User not found. Validate first.", error: 'user_not_found' } };
+            }
+            const user = userDoc.data();
+            if (user.banned) {
+                return { status: 403, body: { message: "This account is banned.", error: 'banned' } };
+            }
+
+            const time = now(); // Read inside the callback: a retried transaction uses the retry's time
+            const result = change(user.mining || null, time);
+            if (result.status) return result;
+
+            transaction.update(userRef, { mining: result.mining });
+            const amount = result.ledgerEntry?.amount || 0;
+            if (amount > 0) {
+                repos.ledger.append(transaction, userId, result.ledgerEntry, user);
+            }
+            return {
+                status: 200,
+                amount,
+                body: { ...result.body, tokens: (user.tokens || 0) + amount, mining: toMiningState(result.mining, time, settings) },
+            };
+        });
+    }
+
+    // GET /api/mining - farming session and energy as of now
+    router.get('/', requireAuth, async (req, res) => {
+        try {
+            const user = await repos.users.get(req.userId);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            res.status(200).json({ mining: toMiningState(user.mining || null, now(), settings) });
+        } catch (error) {
+            logger.error("Failed to load mining state", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading mining state." });
+        }
+    });
+
+    // POST /api/mining/farming/start - starts a session; the previous one has to be claimed first
+    router.post('/farming/start', requireClaimAuth, async (req, res) => {
+        try {
+            const result = await updateMining(req.userId, (mining, time) => {
+                const farming = computeFarming(mining, time);
+                if (farming) {
+                    return farming.isFinished
+                        ? { status: 409, body: { message: "Claim your farmed DOGS first.", error: 'farming_unclaimed' } }
+                        : { status: 409, body: { message: "Farming is already running.", error: 'farming_active' } };
+                }
+                return {
+                    mining: { ...mining, farming: { startedAt: time, endsAt: time + settings.farmingDurationSeconds * 1000, reward: settings.farmingReward } },
+                    body: { message: "Farming started." },
+                };
+            });
+            if (result.status === 200) {
+                logger.info("Farming started", { userId: req.userId, endsAt: result.body.mining.farming.endsAt });
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to start farming", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error starting farming." });
+        }
+    });
+
+    // POST /api/mining/farming/claim - pays a finished session through the ledger
+    router.post('/farming/claim', requireClaimAuth, async (req, res) => {
+        try {
+            const result = await updateMining(req.userId, (mining, time) => {
+                const farming = computeFarming(mining, time);
+                if (!farming) {
+                    return { status: 409, body: { message: "Start farming first.", error: 'farming_not_started' } };
+                }
+                if (!farming.isFinished) {
+                    return { status: 409, body: { message: "Farming isn't finished yet.", error: 'farming_not_finished', endsAt: farming.endsAt } };
+                }
+                return {
+                    mining: { ...mining, farming: null },
+                    ledgerEntry: { amount: farming.reward, reason: LEDGER_REASONS.FARMING, reference: `farming:${farming.startedAt}` },
+                    body: { message: "Farming reward claimed!", reward: farming.reward },
+                };
+            });
+            if (result.status === 200) {
+                logger.info("Farming claimed", { userId: req.userId, reward: result.amount });
+                metrics.tokensIssued.inc({ reason: LEDGER_REASONS.FARMING }, result.amount);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to claim farming", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error claiming farming." });
+        }
+    });
+
+    // POST /api/mining/taps - body: { taps } - taps since the previous batch. Answers with how many were
+    // accepted (clamped to the energy left) and the reward for them.
+    router.post('/taps', requireTapAuth, async (req, res) => {
+        const taps = req.body?.taps;
+        try {
+            const result = await updateMining(req.userId, (mining, time) => {
+                const check = checkTapBatch(mining, taps, time, settings);
+                if (!check.valid) {
+                    return check.error === TAP_REJECTIONS.INVALID_TAPS
+                        ? { status: 400, rejection: check.error, body: { message: `taps must be an integer between 1 and ${settings.maxTapsPerSecond * settings.maxTapBatchSeconds}.`, error: check.error } }
+                        : { status: 422, rejection: check.error, allowed: check.allowed, body: { message: "Too many taps in too little time.", error: check.error } };
+                }
+                const reward = check.accepted * settings.tapReward;
+                return {
+                    mining: { ...mining, energy: check.energy - check.accepted, energyUpdatedAt: check.asOf, lastTapBatchAt: time },
+                    ledgerEntry: { amount: reward, reason: LEDGER_REASONS.TAPS, reference: `taps:${time}` },
+                    body: { message: "Taps counted.", accepted: check.accepted, rejected: taps - check.accepted, reward },
+                };
+            });
+            if (result.rejection) {
+                logger.warn("Tap batch rejected", { userId: req.userId, reason: result.rejection, taps, allowed: result.allowed });
+                metrics.tapBatchesRejected.inc({ reason: result.rejection });
+                return res.status(result.status).json(result.body);
+            }
+            if (result.amount > 0) {
+                metrics.tokensIssued.inc({ reason: LEDGER_REASONS.TAPS }, result.amount);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to count taps", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error counting taps." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    DEFAULT_MINING_SETTINGS,
+    TAP_REJECTIONS,
+    computeEnergy,
+    computeFarming,
+    checkTapBatch,
+    toMiningState,
+    createMiningRouter,
+};
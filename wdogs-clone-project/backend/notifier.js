@@ -0,0 +1,131 @@
+// backend/notifier.js
+// Outbound bot notifications ("your friend joined", "daily tasks reset", ...) with rate limiting.
+// Telegram allows roughly 30 messages/second overall and 1 message/second per chat, so messages
+// are queued and sent no faster than that. A 429 pauses the whole queue for its retry_after.
+const { BotApiError } = require('./botApi');
+const { translate } = require('./i18n');
+const { logger } = require('./logger');
+
+const NOTIFIER_MAX_QUEUE = 10000; // Further messages are dropped rather than piling up in memory
+
+const log = logger.child({ component: 'notifier' });
+
+// --- Message Templates ---
+// Take the recipient's locale first (see i18n.js resolveUserLocale)
+const NOTIFICATIONS = {
+    friendJoined: (locale, friendName) => translate(locale, 'notifications.friendJoined', { name: friendName }),
+    dailyReset: (locale) => translate(locale, 'notifications.dailyReset'),
+};
+
+// botApi: client from botApi.js
+// maxPerSecond / perChatIntervalMs: send rate overall and per chat (config.notifier)
+// onBlocked(chatId): called when Telegram refuses a chat (user blocked the bot, deleted account, ...)
+// now / setTimer: injectable for tests
+function createNotifier({
+    botApi,
+    maxPerSecond,
+    perChatIntervalMs,
+    onBlocked = () => {},
+    now = () => Date.now(),
+    setTimer = setTimeout,
+}) {
+    const queue = []; // { chatId, text, extra, resolve }
+    const chatReadyAt = new Map(); // chatId -> earliest time the next message may go out
+    let recentSends = []; // send times within the last second
+    let pausedUntil = 0;
+    let timer = null;
+    let sending = false;
+    let idleWaiters = [];
+
+    function schedule(delayMs) {
+        if (timer) return;
+        timer = setTimer(() => {
+            timer = null;
+            processQueue();
+        }, Math.max(delayMs, 0));
+        if (timer?.unref) timer.unref();
+    }
+
+    // Returns the wait (ms) before anything can be sent, or the index of the next sendable message
+    function pickNext(currentTime) {
+        if (currentTime < pausedUntil) return { wait: pausedUntil - currentTime };
+        recentSends = recentSends.filter(sentAt => currentTime - sentAt < 1000);
+        if (recentSends.length >= maxPerSecond) return { wait: 1000 - (currentTime - recentSends[0]) };
+
+        let wait = Infinity;
+        for (let i = 0; i < queue.length; i++) {
+            const readyAt = chatReadyAt.get(queue[i].chatId) || 0;
+            if (readyAt <= currentTime) return { index: i };
+            wait = Math.min(wait, readyAt - currentTime);
+        }
+        return { wait };
+    }
+
+    async function processQueue() {
+        if (sending) return;
+        sending = true;
+        try {
+            while (queue.length > 0) {
+                const currentTime = now();
+                const next = pickNext(currentTime);
+                if (next.index === undefined) {
+                    schedule(next.wait);
+                    return;
+                }
+                const [message] = queue.splice(next.index, 1);
+                recentSends.push(currentTime);
+                chatReadyAt.set(message.chatId, currentTime + perChatIntervalMs);
+
+                try {
+                    await botApi.sendMessage(message.chatId, message.text, message.extra);
+                    message.resolve({ sent: true });
+                } catch (error) {
+                    if (error instanceof BotApiError && error.retryAfter) {
+                        log.warn("Rate limited by Telegram, pausing the queue", { retryAfterSeconds: error.retryAfter });
+                        pausedUntil = now() + error.retryAfter * 1000;
+                        queue.unshift(message);
+                    } else if (error instanceof BotApiError && (error.errorCode === 403 || error.errorCode === 400)) {
+                        log.warn("Notification refused", { chatId: message.chatId, error });
+                        onBlocked(message.chatId);
+                        message.resolve({ sent: false, error: 'blocked' });
+                    } else {
+                        log.error("Notification failed", { chatId: message.chatId, error });
+                        message.resolve({ sent: false, error: 'send_failed' });
+                    }
+                }
+            }
+        } finally {
+            sending = false;
+        }
+        // Forget chats whose interval has passed so the map doesn't grow forever
+        const currentTime = now();
+        for (const [chatId, readyAt] of chatReadyAt) {
+            if (readyAt <= currentTime) chatReadyAt.delete(chatId);
+        }
+        idleWaiters.forEach(resolve => resolve());
+        idleWaiters = [];
+    }
+
+    // Queues a message. Resolves with { sent: true } or { sent: false, error } - never rejects,
+    // so callers can fire and forget.
+    function notify(chatId, text, extra = {}) {
+        if (queue.length >= NOTIFIER_MAX_QUEUE) {
+            log.warn("Queue full, dropping message", { chatId });
+            return Promise.resolve({ sent: false, error: 'queue_full' });
+        }
+        return new Promise(resolve => {
+            queue.push({ chatId: String(chatId), text, extra, resolve });
+            processQueue();
+        });
+    }
+
+    // Resolves once every queued message has been handled (used by CLI jobs before exiting)
+    function idle() {
+        if (queue.length === 0 && !sending) return Promise.resolve();
+        return new Promise(resolve => idleWaiters.push(resolve));
+    }
+
+    return { notify, idle, pending: () => queue.length };
+}
+
+module.exports = { NOTIFICATIONS, createNotifier };
@@ -0,0 +1,60 @@
+// backend/notify-daily-reset.js
+// CLI: tell every reachable user that daily tasks have reset. Run from cron shortly after 00:00 UTC.
+// Usage: node notify-daily-reset.js [--dry-run]
+// Messages go through the rate-limited notifier (see notifier.js), so large user bases take a while.
+require('dotenv').config();
+const { createDataStore } = require('./datastore');
+const { admin, db } = createDataStore(); // DATA_STORE picks Firestore or the local file store
+const { createRepositories } = require('./repositories');
+const { createBotApi } = require('./botApi');
+const { NOTIFICATIONS, createNotifier } = require('./notifier');
+const { resolveUserLocale } = require('./i18n');
+const { loadConfig } = require('./config');
+
+const PAGE_SIZE = 500;
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const results = { sent: 0, failed: 0 };
+    const config = loadConfig();
+    const repos = createRepositories({ db, admin });
+    const notifier = createNotifier({
+        botApi: createBotApi({ token: config.telegram.botToken, baseUrl: config.telegram.apiBaseUrl }),
+        maxPerSecond: config.notifier.maxPerSecond,
+        perChatIntervalMs: config.notifier.perChatIntervalMs,
+        onBlocked: (chatId) => repos.users.update(chatId, { canMessage: false })
+            .catch(error => console.error(`Failed to mark user ${chatId} as unreachable:`, error.message)),
+    });
+
+    let lastDoc = null;
+    let queued = 0;
+    for (;;) {
+        let query = repos.users.queryById().where('canMessage', '==', true).limit(PAGE_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const page = await query.get();
+        if (page.empty) break;
+
+        for (const doc of page.docs) {
+            const user = doc.data();
+            if (user.banned) continue;
+            queued++;
+            if (!dryRun) {
+                notifier.notify(doc.id, NOTIFICATIONS.dailyReset(resolveUserLocale(user)))
+                    .then(result => { results[result.sent ? 'sent' : 'failed']++; });
+            }
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+        // Don't read further ahead than the notifier can send
+        await notifier.idle();
+    }
+
+    console.log(dryRun ? `Would notify ${queued} users.` : `Notified ${results.sent} of ${queued} users (${results.failed} failed).`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error("Daily reset notification failed:", error);
+        process.exit(1);
+    });
@@ -0,0 +1,184 @@
+// backend/onboarding.js
+// Onboarding reward (the "age check"): every user gets DOGS once, more the older their Telegram
+// account is, plus a bonus for Telegram Premium. The result is kept on users/{id}.onboarding:
+//   { estimatedCreatedAt, accountYears, isPremium, ageReward, premiumBonus, reward, claimedAt }
+// null (or missing, for users from before onboarding) until claimed.
+//
+// Telegram doesn't tell anyone when an account was created, but it hands out user ids roughly in
+// sign-up order, so the age is estimated from the id with a table of known (id, date) points.
+// Estimation is pure and takes `now`, e.g.
+//   estimateAccountCreationDate(1000000000, DEFAULT_ACCOUNT_AGE_TABLE) -> 2019-09-01
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// --- Id-to-Date Table ---
+// [userId, 'YYYY-MM-DD'] points, ids ascending and dates not going backwards. Approximate sign-up dates
+// of those ids; between points the date is interpolated linearly, past the last point it is
+// extrapolated along the last segment (never beyond now). Add points as Telegram grows.
+// Override with ACCOUNT_AGE_TABLE (config.onboarding.accountAgeTable, checked by validateAccountAgeTable at startup)
+const DEFAULT_ACCOUNT_AGE_TABLE = [
+    [1, '2013-08-14'], // Telegram launch
+    [10000000, '2014-03-01'],
+    [100000000, '2015-06-01'],
+    [200000000, '2016-03-01'],
+    [300000000, '2016-12-01'],
+    [400000000, '2017-08-01'],
+    [500000000, '2018-01-01'],
+    [700000000, '2018-12-01'],
+    [1000000000, '2019-09-01'],
+    [1200000000, '2020-04-01'],
+    [1500000000, '2021-01-01'],
+    [2000000000, '2021-07-01'],
+    [5000000000, '2022-01-01'],
+    [6000000000, '2023-01-01'],
+    [7000000000, '2024-03-01'],
+    [8000000000, '2025-02-01'],
+];
+
+// Returns a list of problems (empty if the table is usable)
+function validateAccountAgeTable(table) {
+    if (!Array.isArray(table) || table.length < 2) return ['must be a list of at least two [userId, "YYYY-MM-DD"] points'];
+    const errors = [];
+    table.forEach((point, index) => {
+        if (!Array.isArray(point) || point.length !== 2 || !Number.isSafeInteger(point[0]) || point[0] < 1
+            || typeof point[1] !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(point[1]) || Number.isNaN(Date.parse(point[1]))) {
+            errors.push(`point ${index}: expected [userId, "YYYY-MM-DD"], got ${JSON.stringify(point)}`);
+            return;
+        }
+        const previous = table[index - 1];
+        if (index > 0 && Array.isArray(previous)) {
+            if (point[0] <= previous[0]) errors.push(`point ${index}: ids must be ascending (${point[0]} after ${previous[0]})`);
+            if (point[1] < previous[1]) errors.push(`point ${index}: dates must not go backwards (${point[1]} after ${previous[1]})`);
+        }
+    });
+    return errors;
+}
+// --- End Id-to-Date Table ---
+
+// --- Estimation ---
+// Estimated creation date of the account with this Telegram user id
+function estimateAccountCreationDate(userId, table = DEFAULT_ACCOUNT_AGE_TABLE, now = Date.now()) {
+    const id = Number(userId);
+    const points = table.map(([pointId, date]) => [pointId, Date.parse(date)]);
+    if (id <= points[0][0]) return new Date(points[0][1]);
+
+    // The segment containing the id, or the last one for ids past the table
+    let index = points.findIndex(([pointId]) => pointId >= id);
+    if (index === -1) index = points.length - 1;
+    const [fromId, fromTime] = points[index - 1];
+    const [toId, toTime] = points[index];
+    const time = fromTime + (id - fromId) * (toTime - fromTime) / (toId - fromId);
+    return new Date(Math.min(Math.round(time), now));
+}
+
+// Whole years between the estimated creation date and now
+function estimateAccountYears(userId, table = DEFAULT_ACCOUNT_AGE_TABLE, now = Date.now()) {
+    return Math.max(Math.floor((now - estimateAccountCreationDate(userId, table, now).getTime()) / YEAR_MS), 0);
+}
+
+// settings: config.onboarding ({ baseReward, rewardPerYear, premiumBonus })
+function computeOnboardingReward({ userId, isPremium }, { table = DEFAULT_ACCOUNT_AGE_TABLE, settings, now = Date.now() }) {
+    const accountYears = estimateAccountYears(userId, table, now);
+    const ageReward = settings.baseReward + accountYears * settings.rewardPerYear;
+    const premiumBonus = isPremium ? settings.premiumBonus : 0;
+    return {
+        estimatedCreatedAt: estimateAccountCreationDate(userId, table, now).toISOString(),
+        accountYears,
+        isPremium: Boolean(isPremium),
+        ageReward,
+        premiumBonus,
+        reward: ageReward + premiumBonus,
+    };
+}
+// --- End Estimation ---
+
+// Premium comes from the signed initData of the user's last login (see risk.js collectLoginSignals)
+function toRewardInput(userId, user) {
+    return { userId, isPremium: user.riskSignals?.isPremium === true };
+}
+
+// Stored onboarding as sent to the client (claimedAt as an ISO string)
+function toClientOnboarding(onboarding) {
+    return { ...onboarding, claimedAt: onboarding.claimedAt?.toDate().toISOString() || null };
+}
+
+// --- Router ---
+// requireAuth must set req.userId (string Telegram user ID)
+// requireClaimAuth: same, for the reward-granting POST (app.js adds the claim rate limit and Idempotency-Key support)
+// table: id-to-date table (config.onboarding.accountAgeTable); settings: config.onboarding; now: clock in ms
+function createOnboardingRouter({ db, admin, repos, requireAuth, requireClaimAuth = requireAuth, table = DEFAULT_ACCOUNT_AGE_TABLE, settings, now = Date.now }) {
+    const router = express.Router();
+
+    // GET /api/onboarding - the reward the user gets (or got), with how it was worked out
+    router.get('/', requireAuth, async (req, res) => {
+        try {
+            const user = await repos.users.get(req.userId);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            const onboarding = user.onboarding
+                ? toClientOnboarding(user.onboarding)
+                : { ...computeOnboardingReward(toRewardInput(req.userId, user), { table, settings, now: now() }), claimedAt: null };
+            res.status(200).json({ onboarding, claimed: Boolean(user.onboarding) });
+        } catch (error) {
+            logger.error("Failed to load onboarding", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading onboarding." });
+        }
+    });
+
+    // POST /api/onboarding/claim - grants the reward once, through the ledger
+    router.post('/claim', requireClaimAuth, async (req, res) => {
+        const userRef = repos.users.ref(req.userId);
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) {
+                    return { status: 404, body: { message: "User not found. Validate first.", error: 'user_not_found' } };
+                }
+                const user = userDoc.data();
+                if (user.banned) {
+                    return { status: 403, body: { message: "This account is banned.", error: 'banned' } };
+                }
+                if (user.onboarding) {
+                    return { status: 409, body: { message: "Onboarding reward already claimed.", error: 'onboarding_claimed' } };
+                }
+
+                const time = now();
+                const onboarding = computeOnboardingReward(toRewardInput(req.userId, user), { table, settings, now: time });
+                transaction.update(userRef, { onboarding: { ...onboarding, claimedAt: admin.firestore.FieldValue.serverTimestamp() } });
+                if (onboarding.reward > 0) {
+                    repos.ledger.append(transaction, req.userId, { amount: onboarding.reward, reason: LEDGER_REASONS.ONBOARDING, reference: 'onboarding' }, user);
+                }
+                return {
+                    status: 200,
+                    reward: onboarding.reward,
+                    body: { message: "Onboarding reward claimed!", onboarding: { ...onboarding, claimedAt: new Date(time).toISOString() }, reward: onboarding.reward, tokens: (user.tokens || 0) + onboarding.reward },
+                };
+            });
+
+            if (result.status === 200) {
+                logger.info("Onboarding reward claimed", { userId: req.userId, reward: result.reward, accountYears: result.body.onboarding.accountYears, isPremium: result.body.onboarding.isPremium });
+                metrics.tokensIssued.inc({ reason: LEDGER_REASONS.ONBOARDING }, result.reward);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to claim onboarding reward", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error claiming onboarding reward." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    DEFAULT_ACCOUNT_AGE_TABLE,
+    validateAccountAgeTable,
+    estimateAccountCreationDate,
+    estimateAccountYears,
+    computeOnboardingReward,
+    createOnboardingRouter,
+};
@@ -0,0 +1,222 @@
+// backend/privacy.js
+// The user's own data: GET /api/me/export returns everything stored about them as JSON, and
+// DELETE /api/me deletes their account. Deleting tombstones users/{id} instead of removing it,
+// because other users' records point at it:
+//   removed - names, username, language, login times, risk signals and the login signal log, the
+//             wallet binding, farming/streak state, the referral code and any remembered referral code;
+//             the user leaves their squad (see squads.js) and the balance is written off through the ledger
+//   kept    - the ledger, task claims, achievements and referral records (so reconcile.js still adds up,
+//             one-time rewards aren't paid twice and referrers keep their counts), plus referredBy,
+//             referralsMade and any ban on the tombstone (deletedAt set)
+// Signing in again later starts a fresh profile on the tombstone (see /api/auth/validate in app.js).
+//
+// Retention: pruneExpiredData deletes what is only kept for a while (run it daily, see prune-expired-data.js):
+//   idempotencyKeys, walletProofPayloads, pendingReferralCodes - once expiresAt has passed
+//   users/{id}/loginSignals - after config.privacy.loginSignalRetentionDays (LOGIN_SIGNAL_RETENTION_DAYS, default 90)
+//   adminAuditLog - after config.privacy.auditLogRetentionDays (AUDIT_LOG_RETENTION_DAYS, default 365)
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { removeFromSquad } = require('./squads');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const EXPIRING_COLLECTIONS = ['idempotencyKeys', 'walletProofPayloads', 'pendingReferralCodes']; // expiresAt: ms
+const DELETE_BATCH_SIZE = 500; // Firestore's limit of writes per batch
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Firestore data as plain JSON: Timestamps become ISO strings
+function toExportValue(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(toExportValue);
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toExportValue(item)]));
+}
+
+// Referral record without the admin-only review data (risk score, reviewer)
+function toReferralExport(referral) {
+    const { riskScore, riskReasons, reviewedBy, ...rest } = referral;
+    return toExportValue(rest);
+}
+
+// Deletes every document `query` matches, a batch at a time. Returns how many were deleted.
+async function deleteQueryResults(db, query) {
+    let deleted = 0;
+    for (;;) {
+        const snapshot = await query.limit(DELETE_BATCH_SIZE).get();
+        if (snapshot.empty) return deleted;
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        deleted += snapshot.docs.length;
+        if (snapshot.docs.length < DELETE_BATCH_SIZE) return deleted;
+    }
+}
+
+// --- Export ---
+// Everything stored about the user, or null if they don't exist. The risk score is left out (admin
+// data, like in GET /api/me); the signals it is computed from are included.
+async function exportUserData(db, repos, userId) {
+    const userRef = repos.users.ref(userId);
+    const referralsCol = db.collection('referrals');
+    const [userDoc, ledger, claimsSnap, earned, signalsSnap, referredByDoc, referredSnap] = await Promise.all([
+        userRef.get(),
+        repos.ledger.listAll(userId),
+        userRef.collection('taskClaims').get(),
+        repos.achievements.listEarned(userId),
+        userRef.collection('loginSignals').orderBy('createdAt', 'asc').get(),
+        referralsCol.doc(userId).get(),
+        referralsCol.where('referrerId', '==', userId).get(),
+    ]);
+    if (!userDoc.exists) return null;
+
+    const { risk, ...profile } = userDoc.data();
+    return {
+        userId,
+        profile: toExportValue(profile),
+        ledger: ledger.map(({ id, ...entry }) => ({ id, ...toExportValue(entry) })),
+        taskCompletions: claimsSnap.docs.map(doc => ({ id: doc.id, ...toExportValue(doc.data()) })),
+        achievements: Object.entries(earned).map(([id, achievement]) => ({ id, ...toExportValue(achievement) })),
+        loginSignals: signalsSnap.docs.map(doc => toExportValue({ signals: doc.data().signals, createdAt: doc.data().createdAt })),
+        referrals: {
+            referredBy: referredByDoc.exists ? toReferralExport(referredByDoc.data()) : null,
+            referred: referredSnap.docs.map(doc => toReferralExport(doc.data())),
+        },
+    };
+}
+// --- End Export ---
+
+// --- Deletion ---
+// Tombstones the user (see the top of this file). Resolves to { found, squad, writtenOff }: the squad
+// exit ({ squadId, deleted, newOwnerId }, or null) and the balance written off.
+async function deleteUserAccount(db, admin, repos, userId) {
+    const { serverTimestamp } = admin.firestore.FieldValue;
+    const userRef = repos.users.ref(userId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (!userDoc.exists) return { found: false };
+        const user = userDoc.data();
+
+        // removeFromSquad does its own reads, so it goes first; it already takes the balance off the squad
+        const squad = user.squadId ? await removeFromSquad(transaction, db, admin, repos, userRef, user) : null;
+        const writtenOff = user.tokens || 0;
+        if (writtenOff !== 0) {
+            repos.ledger.append(transaction, userId, { amount: -writtenOff, reason: LEDGER_REASONS.ACCOUNT_DELETED, reference: 'account_deleted' }, { ...user, squadId: null });
+        }
+        if (user.connectedWalletRaw) {
+            transaction.delete(db.collection('walletBindings').doc(user.connectedWalletRaw));
+        }
+        transaction.update(userRef, {
+            username: null,
+            firstName: null,
+            lastName: null,
+            languageCode: null,
+            locale: null,
+            lastLogin: null,
+            referralCode: null,
+            referralBurst: null,
+            riskSignals: null,
+            risk: null,
+            mining: null,
+            streak: null,
+            // Only what stops the reward from being claimed again
+            onboarding: user.onboarding ? { reward: user.onboarding.reward, claimedAt: user.onboarding.claimedAt } : null,
+            connectedWallet: null,
+            connectedWalletRaw: null,
+            canMessage: false,
+            deletedAt: serverTimestamp(),
+        });
+        transaction.delete(db.collection('pendingReferralCodes').doc(userId));
+        return { found: true, squad, writtenOff };
+    });
+
+    if (result.found) {
+        // The login signal log has no bearing on anyone else, so it goes outside the transaction
+        await deleteQueryResults(db, userRef.collection('loginSignals'));
+    }
+    return result;
+}
+// --- End Deletion ---
+
+// --- Retention ---
+// Deletes expired and old records (see the top of this file). With { dryRun: true } only counts them.
+// repos: from repositories.js; retention: config.privacy ({ loginSignalRetentionDays, auditLogRetentionDays }).
+// Resolves to { <collection>: count }.
+async function pruneExpiredData(db, admin, repos, { retention, now = Date.now(), dryRun = false }) {
+    const { Timestamp } = admin.firestore;
+    const prune = async (query) => (dryRun ? (await query.count().get()).data().count : deleteQueryResults(db, query));
+    const results = {};
+
+    for (const name of EXPIRING_COLLECTIONS) {
+        results[name] = await prune(db.collection(name).where('expiresAt', '<=', now));
+    }
+    results.adminAuditLog = await prune(db.collection('adminAuditLog').where('createdAt', '<', Timestamp.fromMillis(now - retention.auditLogRetentionDays * DAY_MS)));
+
+    // loginSignals is per user, so walk the users a page at a time
+    const signalsCutoff = Timestamp.fromMillis(now - retention.loginSignalRetentionDays * DAY_MS);
+    results.loginSignals = 0;
+    let lastDoc = null;
+    for (;;) {
+        let query = repos.users.queryById().limit(DELETE_BATCH_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const page = await query.get();
+        if (page.empty) break;
+        for (const doc of page.docs) {
+            results.loginSignals += await prune(doc.ref.collection('loginSignals').where('createdAt', '<', signalsCutoff));
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+    }
+
+    logger.info(dryRun ? "Expired data counted" : "Expired data pruned", results);
+    return results;
+}
+// --- End Retention ---
+
+// --- Router ---
+// Mounted at /api/me. requireAuth must set req.userId (string Telegram user ID).
+// requireExportAuth: requireAuth plus a tighter rate limit (an export reads every record of the user).
+// requireClaimAuth: same, for the deletion (app.js adds the claim rate limit and Idempotency-Key support)
+function createPrivacyRouter({ db, admin, repos, requireExportAuth, requireClaimAuth }) {
+    const router = express.Router();
+
+    // GET /api/me/export - everything stored about the user, as a JSON download
+    router.get('/export', requireExportAuth, async (req, res) => {
+        try {
+            const data = await exportUserData(db, repos, req.userId);
+            if (!data) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            logger.info("User data exported", { userId: req.userId, ledgerEntries: data.ledger.length });
+            res.set('Content-Disposition', `attachment; filename="wdogs-data-${req.userId}.json"`);
+            res.status(200).json({ exportedAt: new Date().toISOString(), ...data });
+        } catch (error) {
+            logger.error("Failed to export user data", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error exporting data." });
+        }
+    });
+
+    // DELETE /api/me - deletes the account (tombstones it, see above). The client should sign out afterwards.
+    router.delete('/', requireClaimAuth, async (req, res) => {
+        try {
+            const result = await deleteUserAccount(db, admin, repos, req.userId);
+            if (!result.found) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            logger.info("Account deleted", { userId: req.userId, writtenOff: result.writtenOff, squad: result.squad });
+            metrics.accountDeletions.inc();
+            res.status(200).json({ message: "Your account was deleted.", deleted: true });
+        } catch (error) {
+            logger.error("Failed to delete account", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error deleting account." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    exportUserData,
+    deleteUserAccount,
+    pruneExpiredData,
+    createPrivacyRouter,
+};
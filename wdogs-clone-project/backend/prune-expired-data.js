@@ -0,0 +1,27 @@
+// backend/prune-expired-data.js
+// CLI: delete expired idempotency keys, wallet proof payloads and remembered referral codes, and login
+// signal / admin audit log entries past their retention period (see pruneExpiredData in privacy.js).
+// Run from cron once a day.
+// Usage: node prune-expired-data.js [--dry-run]
+require('dotenv').config();
+const { createDataStore } = require('./datastore');
+const { admin, db } = createDataStore(); // DATA_STORE picks Firestore or the local file store
+const { createRepositories } = require('./repositories');
+const { pruneExpiredData } = require('./privacy');
+const { loadConfig } = require('./config');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const results = await pruneExpiredData(db, admin, createRepositories({ db, admin }), { retention: loadConfig().privacy, dryRun });
+    for (const [collection, count] of Object.entries(results)) {
+        console.log(`${collection}: ${count} ${dryRun ? 'would be deleted' : 'deleted'}`);
+    }
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error("Pruning expired data failed:", error);
+        process.exit(1);
+    });
@@ -0,0 +1,140 @@
+// backend/rateLimit.js
+// Fixed-window rate limiting per client IP and per Telegram user, with separate limits per route group.
+// Over the limit: 429 { error: 'rate_limited', retryAfter } with a Retry-After header (seconds).
+//
+// Counters live in a store with a small Redis-compatible interface:
+//   incr(key) -> Promise<number>, pexpire(key, ms) -> Promise, pttl(key) -> Promise<number> (-2 missing, -1 no expiry)
+// createMemoryRateLimitStore() implements it for a single process; with several backend instances pass
+// a shared Redis client instead (an ioredis client works as is) so the limits hold across instances.
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// --- Route Groups ---
+// Limits are requests per window per bucket; overridden by config.rateLimit (see config.js)
+const RATE_LIMIT_GROUPS = {
+    AUTH: 'auth',     // /api/auth/* - initData checks and session refreshes, per IP
+    API: 'api',       // Every /api route, per IP and (once authenticated) per user
+    TASKS: 'tasks',   // Task list reads, per user
+    CLAIMS: 'claims', // Reward-granting POSTs, per user
+};
+
+const DEFAULT_RATE_LIMITS = {
+    windowSeconds: 60,
+    authPerIp: 20,
+    apiPerIp: 300,
+    apiPerUser: 120,
+    tasksPerUser: 60,
+    claimsPerUser: 10,
+};
+
+// --- Memory Store ---
+function createMemoryRateLimitStore({ now = Date.now } = {}) {
+    const entries = new Map(); // key -> { count, expiresAt (ms, or null) }
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    return {
+        async incr(key) {
+            const entry = live(key) || { count: 0, expiresAt: null };
+            entry.count += 1;
+            entries.set(key, entry);
+            return entry.count;
+        },
+        async pexpire(key, ms) {
+            const entry = live(key);
+            if (!entry) return 0;
+            entry.expiresAt = now() + ms;
+            return 1;
+        },
+        async pttl(key) {
+            const entry = live(key);
+            if (!entry) return -2;
+            return entry.expiresAt === null ? -1 : entry.expiresAt - now();
+        },
+        // Drops expired counters; the app calls this periodically
+        prune() {
+            for (const key of entries.keys()) live(key);
+        },
+        get size() {
+            return entries.size;
+        },
+    };
+}
+
+// Counts one request against `key`. Returns { count, resetMs } (ms until the window ends).
+async function hit(store, key, windowMs) {
+    const count = await store.incr(key);
+    let resetMs = count === 1 ? windowMs : await store.pttl(key);
+    if (count === 1 || resetMs < 0) {
+        // New window, or a counter left without expiry (e.g. the process died between incr and pexpire)
+        await store.pexpire(key, windowMs);
+        resetMs = windowMs;
+    }
+    return { count, resetMs };
+}
+
+// --- Middleware ---
+// group: RATE_LIMIT_GROUPS value (part of the counter key and the log line)
+// by: 'ip' (req.ip - set server.trustProxy behind a proxy) or 'user' (req.userId, so mount after requireAuth)
+// limit: requests per window; 0 disables this limiter
+function createRateLimiter({ store, group, by, limit, windowSeconds = DEFAULT_RATE_LIMITS.windowSeconds }) {
+    const windowMs = windowSeconds * 1000;
+
+    return async function rateLimit(req, res, next) {
+        const id = by === 'user' ? req.userId : req.ip;
+        if (!limit || !id) return next();
+
+        let result;
+        try {
+            result = await hit(store, `rl:${group}:${by}:${id}`, windowMs);
+        } catch (error) {
+            // Fail open: a broken counter store shouldn't take the whole API down
+            logger.error("Rate limit store error", { group, error });
+            return next();
+        }
+
+        const resetSeconds = Math.ceil(result.resetMs / 1000);
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(Math.max(limit - result.count, 0)));
+        res.set('RateLimit-Reset', String(resetSeconds));
+        if (result.count > limit) {
+            if (result.count === limit + 1) {
+                logger.warn("Rate limit hit", { group, by, id, limit, windowSeconds, method: req.method, url: req.originalUrl });
+            }
+            metrics.rateLimited.inc({ group });
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ message: "Too many requests. Please slow down and try again shortly.", error: 'rate_limited', retryAfter: resetSeconds });
+        }
+        next();
+    };
+}
+
+// All limiters for the route groups. limits: config.rateLimit ({ enabled, windowSeconds, authPerIp, ... }).
+// Returns middlewares: { authByIp, apiByIp, apiByUser, tasksByUser, claimsByUser }
+function createRateLimiters({ store = createMemoryRateLimitStore(), limits = {} } = {}) {
+    const { enabled = true, windowSeconds, ...perBucket } = { ...DEFAULT_RATE_LIMITS, ...limits };
+    const limiter = (group, by, limit) => createRateLimiter({ store, group, by, limit: enabled ? limit : 0, windowSeconds });
+
+    return {
+        authByIp: limiter(RATE_LIMIT_GROUPS.AUTH, 'ip', perBucket.authPerIp),
+        apiByIp: limiter(RATE_LIMIT_GROUPS.API, 'ip', perBucket.apiPerIp),
+        apiByUser: limiter(RATE_LIMIT_GROUPS.API, 'user', perBucket.apiPerUser),
+        tasksByUser: limiter(RATE_LIMIT_GROUPS.TASKS, 'user', perBucket.tasksPerUser),
+        claimsByUser: limiter(RATE_LIMIT_GROUPS.CLAIMS, 'user', perBucket.claimsPerUser),
+    };
+}
+
+module.exports = {
+    RATE_LIMIT_GROUPS,
+    DEFAULT_RATE_LIMITS,
+    createMemoryRateLimitStore,
+    createRateLimiter,
+    createRateLimiters,
+};
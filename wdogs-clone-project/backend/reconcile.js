@@ -0,0 +1,46 @@
+// backend/reconcile.js
+// CLI: recompute every user's balance from the ledger, then every squad's totals from its members,
+// and report drift.
+// Usage: node reconcile.js [--fix] [--user <telegramUserId>]
+//   --fix   overwrite users/{id}.tokens with the ledger total where they differ
+//           (users with no ledger yet get an opening_balance entry instead), and squad totals likewise
+//   --user  only check a single user (squads are skipped)
+require('dotenv').config();
+const { createDataStore } = require('./datastore');
+const { admin, db } = createDataStore(); // DATA_STORE picks Firestore or the local file store
+const { createRepositories } = require('./repositories');
+const { reconcileUserBalance, reconcileAllBalances } = require('./ledger');
+const { reconcileSquadTotals } = require('./squads');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const fix = args.includes('--fix');
+    const userIndex = args.indexOf('--user');
+    const userId = userIndex !== -1 ? args[userIndex + 1] : null;
+
+    if (userIndex !== -1 && !userId) {
+        console.error("Usage: node reconcile.js [--fix] [--user <telegramUserId>]");
+        return 1;
+    }
+
+    if (userId) {
+        const result = await reconcileUserBalance(db, admin, userId, { fix });
+        console.log(JSON.stringify(result, null, 2));
+        return result.found && result.drift !== 0 && !fix ? 2 : 0;
+    }
+
+    const { checked, drifted } = await reconcileAllBalances(db, admin, { fix });
+    console.log(`Checked ${checked} users, ${drifted.length} with drift${fix ? ' (fixed)' : ''}.`);
+    // Squads after users: fixed balances are what the squad totals should add up to
+    const squads = await reconcileSquadTotals(db, createRepositories({ db, admin }), { fix });
+    console.log(`Checked ${squads.checked} squads, ${squads.drifted.length} with drift${fix ? ' (fixed)' : ''}.`);
+    // Non-zero exit when drift was found and left in place, so this can run from cron/CI
+    return (drifted.length > 0 || squads.drifted.length > 0) && !fix ? 2 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error("Reconciliation failed:", error);
+        process.exit(1);
+    });
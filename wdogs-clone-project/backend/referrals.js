@@ -0,0 +1,251 @@
+// backend/referrals.js
+// Referral capture for new users. Every applied referral gets a record in referrals/{referredUserId}:
+//   { referrerId, referredId, status: 'credited' | 'pending' | 'rejected', referrerBonus, referredBonus,
+//     riskScore, riskReasons, createdAt, reviewedAt, reviewedBy }
+// Referrals of high-risk new users (see risk.js) are stored as 'pending' and only paid once an admin approves them.
+// Codes from the bot's /start <code> (see bot.js) wait in pendingReferralCodes/{userId} until the user's signup.
+// GET /api/me/referrals lists a user's own referrals (see createReferralsRouter).
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { toDisplayName } = require('./leaderboard');
+const { collectLoginSignals, nextReferralBurst, computeRiskScore, shouldHoldReferral, recordRiskAssessment } = require('./risk');
+const { resolveUserLocale } = require('./i18n');
+const { logger } = require('./logger');
+
+// Referral codes come from nanoid(8), so anything else in start_param is not a referral code
+const REFERRAL_CODE_PATTERN = /^[A-Za-z0-9_-]{8}$/;
+
+const REFERRAL_STATUS = Object.freeze({ CREDITED: 'credited', PENDING: 'pending', REJECTED: 'rejected' });
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const REFERRAL_TOTALS_LIMIT = 1000; // Referral records read for the totals (and second-level reads) per request
+
+// Remembers a referral code for a Telegram user who has no account yet (last code wins)
+// ttlDays: config.referrals.pendingCodeTtlDays
+async function rememberReferralCode(db, admin, userId, code, { ttlDays, now = Date.now() }) {
+    await db.collection('pendingReferralCodes').doc(String(userId)).set({
+        code,
+        expiresAt: now + ttlDays * 24 * 60 * 60 * 1000,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+// Banned users and deleted accounts (tombstones, see privacy.js) can't refer anyone, so a banned farm
+// account doesn't keep collecting invites. Returns the reason a referrer is refused, or null.
+function referrerRefusal(referrer) {
+    if (referrer.banned) return 'referrer_banned';
+    if (referrer.deletedAt) return 'referrer_deleted';
+    return null;
+}
+
+// Pays both referral bonuses and counts the referral for the referrer. Call after all transaction reads.
+// repos: from repositories.js; referrer / referred: the users' data as read in the transaction (null for a user created in it)
+function creditReferral(transaction, admin, repos, { referrerRef, referredRef, referrer = null, referred = null, referrerBonus, referredBonus }) {
+    transaction.update(referrerRef, { referralsMade: admin.firestore.FieldValue.increment(1) });
+    if (referrerBonus > 0) {
+        repos.ledger.append(transaction, referrerRef.id, { amount: referrerBonus, reason: LEDGER_REASONS.REFERRAL, reference: `referral:${referredRef.id}` }, referrer);
+    }
+    if (referredBonus > 0) {
+        repos.ledger.append(transaction, referredRef.id, { amount: referredBonus, reason: LEDGER_REASONS.REFERRAL, reference: `referral:${referrerRef.id}` }, referred);
+    }
+}
+
+// Creates the new user document and, if startParam (or a code remembered by the bot) holds a valid referral code,
+// links the referrer and pays both bonuses - or holds them for review if the new user looks risky.
+// Everything happens in ONE transaction so a referral is either fully recorded or not at all.
+// rules: risk rules (config.risk.rules); rewards: { signupBonus, referralBonusReferrer, referralBonusReferred } (config.rewards).
+// Returns { profile, created, applied, reason, referrerId, referrerLocale } where reason explains a rejected or held referral
+// and created is false if a parallel request created the user first. referrerLocale is for notifying the referrer.
+async function createUserWithReferral(db, admin, repos, userRef, newUserProfile, { startParam, telegramUser, rules, rewards, now = Date.now() }) {
+    const { signupBonus, referralBonusReferrer, referralBonusReferred } = rewards;
+    const startParamCode = startParam && REFERRAL_CODE_PATTERN.test(startParam) ? startParam : null;
+    const signals = collectLoginSignals(telegramUser);
+    const pendingCodeRef = db.collection('pendingReferralCodes').doc(userRef.id);
+
+    return db.runTransaction(async (transaction) => {
+        // Re-read inside the transaction: a parallel request may have created the user already
+        const freshDoc = await transaction.get(userRef);
+        if (freshDoc.exists) {
+            logger.warn("User was created concurrently, skipping creation and referral", { userId: userRef.id });
+            return { profile: freshDoc.data(), created: false, applied: false, reason: startParamCode ? 'existing_user' : null, referrerId: null, referrerLocale: null };
+        }
+
+        // A start_param from the link wins over a code remembered by the bot
+        const pendingCodeDoc = await transaction.get(pendingCodeRef);
+        const pendingCode = pendingCodeDoc.exists && pendingCodeDoc.data().expiresAt > now ? pendingCodeDoc.data().code : null;
+        const referralCode = startParamCode || pendingCode;
+
+        // Balance starts at 0 and is only ever changed through ledger entries
+        const profile = { ...newUserProfile, tokens: 0, referralStatus: null };
+        let reason = null;
+        let referrerRef = null;
+        let referrer = null;
+        let referrerLocale = null;
+        let referralBurst = null;
+
+        if (referralCode) {
+            // All reads must happen before any writes in a Firestore transaction
+            const referrerQuery = repos.users.query().where('referralCode', '==', referralCode).limit(1);
+            const referrerSnap = await transaction.get(referrerQuery);
+            const refusal = referrerSnap.empty ? null : referrerRefusal(referrerSnap.docs[0].data());
+
+            if (referrerSnap.empty) {
+                logger.warn("Referral rejected: unknown code", { userId: userRef.id, referralCode });
+                reason = 'unknown_code';
+            } else if (referrerSnap.docs[0].id === userRef.id) {
+                logger.warn("Referral rejected: self-referral", { userId: userRef.id });
+                reason = 'self_referral';
+            } else if (refusal) {
+                logger.warn("Referral rejected: referrer is banned or deleted", { userId: userRef.id, referrerId: referrerSnap.docs[0].id, reason: refusal });
+                reason = refusal;
+            } else {
+                referrerRef = referrerSnap.docs[0].ref;
+                referrer = referrerSnap.docs[0].data();
+                referrerLocale = resolveUserLocale(referrer);
+                referralBurst = nextReferralBurst(referrer.referralBurst, now, rules);
+                signals.referralBurstCount = referralBurst.count;
+                profile.referredBy = referrerRef.id;
+            }
+        }
+
+        const risk = computeRiskScore(signals, rules);
+        const held = Boolean(referrerRef) && shouldHoldReferral(risk);
+        if (referrerRef) {
+            profile.referralStatus = held ? REFERRAL_STATUS.PENDING : REFERRAL_STATUS.CREDITED;
+        }
+        // The balance the ledger entries below add up to, for the response only: `profile` is what set()
+        // stores, and the entries move the stored balance themselves
+        let tokens = 0;
+
+        // --- Writes (after all reads) ---
+        transaction.set(userRef, profile);
+        if (pendingCodeDoc.exists) {
+            transaction.delete(pendingCodeRef);
+        }
+        recordRiskAssessment(transaction, admin, userRef, signals, risk);
+        if (signupBonus > 0) {
+            repos.ledger.append(transaction, userRef.id, { amount: signupBonus, reason: LEDGER_REASONS.SIGNUP, reference: 'signup' });
+            tokens += signupBonus;
+        }
+        if (referrerRef) {
+            transaction.update(referrerRef, { referralBurst });
+            transaction.set(db.collection('referrals').doc(userRef.id), {
+                referrerId: referrerRef.id,
+                referredId: userRef.id,
+                status: profile.referralStatus,
+                referrerBonus: referralBonusReferrer,
+                referredBonus: referralBonusReferred,
+                riskScore: risk.score,
+                riskReasons: risk.reasons,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                reviewedAt: null,
+                reviewedBy: null,
+            });
+
+            if (held) {
+                reason = 'pending_review';
+                logger.warn("Referral held for review", { referrerId: referrerRef.id, userId: userRef.id, riskScore: risk.score, riskReasons: risk.reasons });
+            } else {
+                creditReferral(transaction, admin, repos, {
+                    referrerRef,
+                    referredRef: userRef,
+                    referrer,
+                    referrerBonus: referralBonusReferrer,
+                    referredBonus: referralBonusReferred,
+                });
+                tokens += Math.max(referralBonusReferred, 0);
+                logger.info("Referral applied", { referrerId: referrerRef.id, userId: userRef.id });
+            }
+        }
+        return { profile: { ...profile, tokens }, created: true, applied: Boolean(referrerRef) && !held, reason, referrerId: referrerRef ? referrerRef.id : null, referrerLocale };
+    });
+}
+
+// --- Router ---
+// Tokens the referrer got from one referral record (bonuses are only paid once credited)
+function referrerEarnings(referral) {
+    return referral.status === REFERRAL_STATUS.CREDITED ? Math.max(referral.referrerBonus || 0, 0) : 0;
+}
+
+// repos: from repositories.js; requireAuth must set req.userId (string Telegram user ID)
+function createReferralsRouter({ db, repos, requireAuth }) {
+    const router = express.Router();
+    const referralsCol = db.collection('referrals');
+
+    // Counts over all of a user's referrals. With secondLevel, also the referrals their friends made
+    // (one read per direct referral, so only on request).
+    async function loadTotals(userId, { secondLevel }) {
+        const snapshot = await referralsCol.where('referrerId', '==', userId).limit(REFERRAL_TOTALS_LIMIT).get();
+        const totals = { referrals: snapshot.size, credited: 0, pending: 0, tokensEarned: 0, truncated: snapshot.size === REFERRAL_TOTALS_LIMIT };
+        snapshot.docs.forEach(doc => {
+            const referral = doc.data();
+            if (referral.status === REFERRAL_STATUS.CREDITED) totals.credited += 1;
+            if (referral.status === REFERRAL_STATUS.PENDING) totals.pending += 1;
+            totals.tokensEarned += referrerEarnings(referral);
+        });
+        if (secondLevel) {
+            const referredUsers = await repos.users.getMany(snapshot.docs.map(doc => doc.id));
+            totals.secondLevelReferrals = referredUsers.reduce((sum, user) => sum + (user?.referralsMade || 0), 0);
+        }
+        return totals;
+    }
+
+    // GET /api/me/referrals?limit=20&cursor=<referredUserId>&secondLevel=true - newest first.
+    // The first page (no cursor) also carries `totals`.
+    // Firestore needs a composite index on referrals (referrerId ==, createdAt desc); its error message links to it.
+    router.get('/', requireAuth, async (req, res) => {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const cursor = req.query.cursor || null;
+
+        try {
+            let query = referralsCol.where('referrerId', '==', req.userId).orderBy('createdAt', 'desc').limit(limit);
+            if (cursor) {
+                const cursorDoc = await referralsCol.doc(String(cursor)).get();
+                if (!cursorDoc.exists || cursorDoc.data().referrerId !== req.userId) {
+                    return res.status(400).json({ message: "Invalid cursor.", error: 'invalid_cursor' });
+                }
+                query = query.startAfter(cursorDoc);
+            }
+
+            const snapshot = await query.get();
+            const referredUsers = await repos.users.getMany(snapshot.docs.map(doc => doc.id));
+            const referrals = snapshot.docs.map((doc, index) => {
+                const referral = doc.data();
+                const referred = referredUsers[index] || {};
+                return {
+                    id: doc.id,
+                    name: toDisplayName(referred),
+                    joinedAt: referral.createdAt?.toDate().toISOString() || null,
+                    status: referral.status,
+                    tokensEarned: referrerEarnings(referral),
+                    referralsMade: referred.referralsMade || 0, // Their own referrals: the second level
+                };
+            });
+
+            const body = {
+                referrals,
+                nextCursor: snapshot.docs.length === limit ? snapshot.docs[snapshot.docs.length - 1].id : null,
+            };
+            if (!cursor) {
+                body.totals = await loadTotals(req.userId, { secondLevel: req.query.secondLevel === 'true' });
+            }
+            res.status(200).json(body);
+        } catch (error) {
+            logger.error("Failed to load referrals", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading referrals." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    REFERRAL_CODE_PATTERN,
+    REFERRAL_STATUS,
+    referrerRefusal,
+    rememberReferralCode,
+    creditReferral,
+    createUserWithReferral,
+    createReferralsRouter,
+};
@@ -0,0 +1,152 @@
+// backend/repositories.js
+// Data access for users, the ledger, tasks and achievements, on top of whatever datastore.js returned
+// (Firestore, or the in-memory/file store with the same API).
+// The single access point for these: route modules and CLIs never build users/..., their ledger or tasks/...
+// paths themselves (ledger.js, which this builds on, is the one exception). Other collections (squads,
+// referrals, ...) stay with the module that owns them. Multi-document changes still run in
+// db.runTransaction; the repositories hand out the refs, queries and transaction-aware helpers for that.
+const { appendLedgerEntry, getLedgerCollection } = require('./ledger');
+const { recordRiskAssessment } = require('./risk');
+
+function createRepositories({ db, admin }) {
+    const usersCol = db.collection('users');
+    const tasksCol = db.collection('tasks');
+
+    // --- Users ---
+    const users = {
+        ref: (userId) => usersCol.doc(String(userId)),
+
+        // Profile data, or null if the user doesn't exist
+        async get(userId) {
+            const doc = await users.ref(userId).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        // Profile data of several users, in the same order; null for a user that doesn't exist
+        async getMany(userIds) {
+            if (userIds.length === 0) return [];
+            const docs = await db.getAll(...userIds.map(userId => users.ref(userId)));
+            return docs.map(doc => (doc.exists ? doc.data() : null));
+        },
+
+        update: (userId, changes) => users.ref(userId).update(changes),
+
+        // Base query over all users, for where/orderBy/limit (e.g. users.query().where('squadId', '==', id))
+        query: () => usersCol,
+
+        // All users in document id order, for walking them a page at a time with startAfter
+        queryById: () => usersCol.orderBy(admin.firestore.FieldPath.documentId()),
+
+        // Login bookkeeping in one transaction: buildLogin(user) works out { changes, riskSignals, risk }
+        // from the profile as read inside it, so a concurrent write (e.g. a streak freeze bought, see
+        // streaks.js) isn't overwritten with stale data. buildLogin returns null to write nothing.
+        // Resolves to { user, login } (the profile as read, buildLogin's result), or null if the user doesn't exist.
+        async recordLogin(userId, buildLogin) {
+            const userRef = users.ref(userId);
+            return db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) return null;
+                const user = userDoc.data();
+                const login = buildLogin(user);
+                if (login) {
+                    transaction.update(userRef, login.changes);
+                    recordRiskAssessment(transaction, admin, userRef, login.riskSignals, login.risk);
+                }
+                return { user, login };
+            });
+        },
+    };
+
+    // --- Ledger ---
+    const ledger = {
+        // Inside a transaction, after all reads (see ledger.js). user: the user's data as read in the transaction.
+        append: (transaction, userId, entry, user = null) => appendLedgerEntry(transaction, admin, users.ref(userId), entry, user),
+
+        // Sum of the entries up to (and including) `at` (a Date), e.g. the balance an airdrop snapshot freezes
+        async balanceAt(userId, at) {
+            const snapshot = await getLedgerCollection(users.ref(userId))
+                .where('createdAt', '<=', admin.firestore.Timestamp.fromDate(at))
+                .get();
+            return snapshot.docs.reduce((sum, doc) => sum + (doc.data().amount || 0), 0);
+        },
+
+        // Oldest first, every entry (exports)
+        async listAll(userId) {
+            const snapshot = await getLedgerCollection(users.ref(userId)).orderBy('createdAt', 'asc').get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        // Newest first. Returns { entries, nextCursor }, or null if `cursor` isn't one of the user's entries.
+        async listEntries(userId, { limit, cursor = null }) {
+            const ledgerCol = getLedgerCollection(users.ref(userId));
+            let query = ledgerCol.orderBy('createdAt', 'desc').limit(limit);
+            if (cursor) {
+                const cursorDoc = await ledgerCol.doc(String(cursor)).get();
+                if (!cursorDoc.exists) return null;
+                query = query.startAfter(cursorDoc);
+            }
+            const snapshot = await query.get();
+            return {
+                entries: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+                nextCursor: snapshot.docs.length === limit ? snapshot.docs[snapshot.docs.length - 1].id : null,
+            };
+        },
+    };
+
+    // --- Tasks ---
+    const tasks = {
+        ref: (taskId) => tasksCol.doc(String(taskId)),
+        // Ref for a new task with a generated id
+        newRef: () => tasksCol.doc(),
+
+        // Task data, or null if it doesn't exist
+        async get(taskId) {
+            const doc = await tasks.ref(taskId).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        // Every task as [{ id, ...task }], in display order (admin list)
+        async listAll() {
+            const snapshot = await tasksCol.get();
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+        },
+
+        // Active tasks as [{ id, ...task }], in display order
+        async listActive() {
+            const snapshot = await tasksCol.where('active', '==', true).get();
+            return snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+        },
+
+        // Claim documents live in users/{id}/taskClaims/{taskId}_{periodKey}.
+        // One document per period means a second claim in the same period finds it already there.
+        claimRef: (userId, taskId, periodKey) => users.ref(userId).collection('taskClaims').doc(`${taskId}_${periodKey}`),
+
+        // claims: [{ taskId, periodKey }] -> [true if already claimed, ...] in the same order
+        async getClaimStatuses(userId, claims) {
+            if (claims.length === 0) return [];
+            const docs = await db.getAll(...claims.map(({ taskId, periodKey }) => tasks.claimRef(userId, taskId, periodKey)));
+            return docs.map(doc => doc.exists);
+        },
+    };
+
+    // --- Achievements ---
+    // Earned achievements live in users/{id}/achievements/{achievementId}: { earnedAt, reward }.
+    // One document per achievement, so it can only be earned once (see achievements.js).
+    const achievements = {
+        ref: (userId, achievementId) => users.ref(userId).collection('achievements').doc(String(achievementId)),
+
+        // achievementId -> { earnedAt, reward } for everything the user has earned
+        async listEarned(userId) {
+            const snapshot = await users.ref(userId).collection('achievements').get();
+            return Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()]));
+        },
+    };
+
+    return { users, ledger, tasks, achievements };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,172 @@
+// backend/risk.js
+// Anti-abuse risk scoring for referral farming and multi-accounting.
+// Signals are recorded on every login (users/{id}.riskSignals, plus a users/{id}/loginSignals log)
+// and scored with configurable rules. Referrals of high-risk new users are held for admin review
+// instead of being credited (see referrals.js).
+//
+// Scoring is pure: computeRiskScore(signals, rules) only looks at its arguments, so rules can be
+// tried out on synthetic users, e.g.
+//   computeRiskScore({ telegramId: 7400000000, hasUsername: false, isPremium: false, referralBurstCount: 12 })
+
+// --- Rules ---
+// Override any of these with RISK_RULES='{"thresholds":{"high":50}}' (JSON, merged over the defaults; see config.js)
+const DEFAULT_RISK_RULES = {
+    // Telegram assigns user ids roughly in sign-up order, so high ids mean recently created accounts
+    accountIdRanges: [
+        { min: 6000000000, max: 7000000000, weight: 10, label: 'new_account' },
+        { min: 7000000000, max: null, weight: 20, label: 'very_new_account' },
+    ],
+    missingUsernameWeight: 15,
+    premiumWeight: -30, // Premium costs money, farms rarely pay for it
+    missingLanguageWeight: 10,
+    languageWeights: {}, // e.g. { "xx": 10 } for languages over-represented in farms
+    // More than `threshold` new referrals under one referrer within the window looks like a farm
+    referralBurst: { windowSeconds: 3600, threshold: 10, weight: 30 },
+    // Weight per other account that has connected the same TON wallet before
+    walletReuseWeight: 40,
+    // Score >= medium -> 'medium', >= high -> 'high'. Referrals of 'high' users are held as pending.
+    thresholds: { medium: 30, high: 60 },
+};
+
+const RISK_LEVELS = Object.freeze({ LOW: 'low', MEDIUM: 'medium', HIGH: 'high' });
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep-merges overrides into the defaults (arrays are replaced, not merged)
+function mergeRules(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeRules(base[key], value) : value;
+    }
+    return merged;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of problems with merged rules (empty if they are usable)
+function validateRiskRules(rules) {
+    const errors = [];
+    for (const key of ['missingUsernameWeight', 'premiumWeight', 'missingLanguageWeight', 'walletReuseWeight']) {
+        if (!isNumber(rules[key])) errors.push(`${key} must be a number`);
+    }
+    if (!Array.isArray(rules.accountIdRanges) || rules.accountIdRanges.some(range => !isPlainObject(range)
+        || !isNumber(range.min) || (range.max != null && !isNumber(range.max)) || !isNumber(range.weight) || typeof range.label !== 'string')) {
+        errors.push('accountIdRanges must be a list of { min, max (or null), weight, label }');
+    }
+    if (!isPlainObject(rules.languageWeights) || !Object.values(rules.languageWeights).every(isNumber)) {
+        errors.push('languageWeights must map language codes to numbers');
+    }
+    const burst = rules.referralBurst;
+    if (!isPlainObject(burst) || !Number.isInteger(burst.windowSeconds) || burst.windowSeconds < 1 || !Number.isInteger(burst.threshold) || !isNumber(burst.weight)) {
+        errors.push('referralBurst must be { windowSeconds (>= 1), threshold (integer), weight }');
+    }
+    if (!isPlainObject(rules.thresholds) || !isNumber(rules.thresholds.medium) || !isNumber(rules.thresholds.high) || rules.thresholds.medium > rules.thresholds.high) {
+        errors.push('thresholds must be { medium, high } numbers with medium <= high');
+    }
+    return errors;
+}
+
+// Overrides (e.g. RISK_RULES, see config.js) merged over the defaults. Returns { value, errors }.
+function parseRiskRules(overrides) {
+    if (!isPlainObject(overrides)) return { value: null, errors: ['must be a JSON object'] };
+    const rules = mergeRules(DEFAULT_RISK_RULES, overrides);
+    return { value: rules, errors: validateRiskRules(rules) };
+}
+// --- End Rules ---
+
+// --- Signals ---
+// Login signals from the validated initData user object (Telegram's field names)
+function collectLoginSignals(telegramUser) {
+    return {
+        telegramId: Number(telegramUser.id),
+        hasUsername: Boolean(telegramUser.username),
+        isPremium: telegramUser.is_premium === true,
+        languageCode: telegramUser.language_code || null,
+    };
+}
+
+// Referral burst counter kept on the referrer: { windowStart (ms), count }.
+// Returns the counter after one more referral at `now`.
+function nextReferralBurst(burst, now = Date.now(), rules = DEFAULT_RISK_RULES) {
+    const windowMs = rules.referralBurst.windowSeconds * 1000;
+    if (!burst || !Number.isFinite(burst.windowStart) || now - burst.windowStart >= windowMs) {
+        return { windowStart: now, count: 1 };
+    }
+    return { windowStart: burst.windowStart, count: (burst.count || 0) + 1 };
+}
+// --- End Signals ---
+
+// --- Scoring ---
+// signals: login signals plus, when known, referralBurstCount (referrals under the same referrer
+// in the current window, including this one) and walletSharedWith (other accounts that used the wallet).
+// Returns { score (0-100), level, reasons: [label, ...] }.
+function computeRiskScore(signals, rules = DEFAULT_RISK_RULES) {
+    let score = 0;
+    const reasons = [];
+    const add = (weight, label) => {
+        if (!weight) return;
+        score += weight;
+        reasons.push(label);
+    };
+
+    const range = rules.accountIdRanges.find(r => signals.telegramId >= r.min && (r.max == null || signals.telegramId < r.max));
+    if (range) add(range.weight, range.label);
+
+    if (!signals.hasUsername) add(rules.missingUsernameWeight, 'missing_username');
+    if (signals.isPremium) add(rules.premiumWeight, 'premium');
+
+    if (!signals.languageCode) {
+        add(rules.missingLanguageWeight, 'missing_language');
+    } else if (rules.languageWeights[signals.languageCode]) {
+        add(rules.languageWeights[signals.languageCode], `language_${signals.languageCode}`);
+    }
+
+    if ((signals.referralBurstCount || 0) > rules.referralBurst.threshold) {
+        add(rules.referralBurst.weight, 'referral_burst');
+    }
+    if ((signals.walletSharedWith || 0) > 0) {
+        add(rules.walletReuseWeight * signals.walletSharedWith, 'wallet_reuse');
+    }
+
+    score = Math.min(Math.max(score, 0), 100);
+    let level = RISK_LEVELS.LOW;
+    if (score >= rules.thresholds.high) level = RISK_LEVELS.HIGH;
+    else if (score >= rules.thresholds.medium) level = RISK_LEVELS.MEDIUM;
+    return { score, level, reasons };
+}
+
+function shouldHoldReferral(risk) {
+    return risk.level === RISK_LEVELS.HIGH;
+}
+// --- End Scoring ---
+
+// --- Persistence ---
+// Stores the latest signals and score on the user and appends to the login signal log.
+// writer: a transaction or batch (both have .set/.update)
+function recordRiskAssessment(writer, admin, userRef, signals, risk, { logLogin = true } = {}) {
+    writer.update(userRef, {
+        riskSignals: signals,
+        risk: { ...risk, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    });
+    if (logLogin) {
+        writer.set(userRef.collection('loginSignals').doc(), {
+            signals,
+            score: risk.score,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    }
+}
+// --- End Persistence ---
+
+module.exports = {
+    DEFAULT_RISK_RULES,
+    RISK_LEVELS,
+    parseRiskRules,
+    collectLoginSignals,
+    nextReferralBurst,
+    computeRiskScore,
+    shouldHoldReferral,
+    recordRiskAssessment,
+};
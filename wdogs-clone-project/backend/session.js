@@ -0,0 +1,137 @@
+// backend/session.js
+// Short-lived session tokens issued by /api/auth/validate, so the client doesn't have to
+// send raw initData with every request. Tokens are HS256 JWTs: { sub, iat, exp } + 'kid' header.
+//
+// Signing keys come from SESSION_SIGNING_KEYS as a comma-separated list of kid:secret pairs (config.session,
+// checked at startup by parseSigningKeys). The FIRST key signs new tokens; every listed key is accepted for
+// verification. To rotate: put the new key first, keep the old one listed until SESSION_TTL_SECONDS has passed,
+// then drop it.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const MIN_SECRET_LENGTH = 32;
+
+// 'kid:secret' entries -> { value: [{ kid, secret }], errors }. Secrets never appear in the errors.
+function parseSigningKeys(entries) {
+    const errors = [];
+    const keys = [];
+    entries.forEach((entry, index) => {
+        const separatorIndex = entry.indexOf(':');
+        if (separatorIndex <= 0) {
+            errors.push(`entry ${index + 1} must look like 'kid:secret'`);
+            return;
+        }
+        const kid = entry.slice(0, separatorIndex);
+        const secret = entry.slice(separatorIndex + 1);
+        if (secret.length < MIN_SECRET_LENGTH) {
+            errors.push(`key '${kid}' must have a secret of at least ${MIN_SECRET_LENGTH} characters`);
+        } else if (keys.some(key => key.kid === kid)) {
+            errors.push(`key '${kid}' is listed twice`);
+        } else {
+            keys.push({ kid, secret });
+        }
+    });
+    return { value: keys, errors };
+}
+
+// Returns [{ kid, secret }], active key first: config.session.signingKeys, or for development a key
+// derived from the bot token (no rotation possible) when none are configured
+function resolveSigningKeys(configuredKeys, botToken) {
+    if (configuredKeys.length > 0) {
+        return configuredKeys;
+    }
+    logger.warn("SESSION_SIGNING_KEYS not set. Deriving the session key from TELEGRAM_BOT_TOKEN (development only).");
+    const secret = crypto.createHmac('sha256', 'SessionKey').update(botToken).digest('hex');
+    return [{ kid: 'derived', secret }];
+}
+
+function base64UrlJson(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// keys: from resolveSigningKeys(); ttlSeconds: config.session.ttlSeconds; now: seconds since epoch (injectable for tests)
+function createSessionToken(keys, userId, { ttlSeconds, now = Math.floor(Date.now() / 1000) }) {
+    const activeKey = keys[0];
+    if (!activeKey) {
+        throw new Error("No session signing key configured");
+    }
+    const header = base64UrlJson({ alg: 'HS256', typ: 'JWT', kid: activeKey.kid });
+    const payload = base64UrlJson({ sub: String(userId), iat: now, exp: now + ttlSeconds });
+    const signature = sign(`${header}.${payload}`, activeKey.secret);
+    return { token: `${header}.${payload}.${signature}`, expiresAt: now + ttlSeconds };
+}
+
+// Returns { valid: true, userId, exp } or { valid: false, error }
+function verifySessionToken(keys, token, now = Math.floor(Date.now() / 1000)) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return { valid: false, error: 'malformed_token' };
+    }
+    const [encodedHeader, encodedPayload, signature] = parts;
+
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    } catch {
+        return { valid: false, error: 'malformed_token' };
+    }
+
+    // Only accept what we issue; never trust the token's own 'alg'
+    if (header.alg !== 'HS256') {
+        return { valid: false, error: 'malformed_token' };
+    }
+    const key = keys.find(k => k.kid === header.kid);
+    if (!key) {
+        return { valid: false, error: 'unknown_key' };
+    }
+
+    const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, key.secret));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, error: 'invalid_signature' };
+    }
+    if (typeof payload.exp !== 'number' || payload.exp <= now) {
+        return { valid: false, error: 'token_expired' };
+    }
+    if (!payload.sub) {
+        return { valid: false, error: 'malformed_token' };
+    }
+
+    return { valid: true, userId: String(payload.sub), exp: payload.exp };
+}
+
+// --- Express Middleware ---
+// Accepts `Authorization: Bearer <sessionToken>`. On success sets req.userId (string Telegram user ID).
+function createRequireAuth(keys) {
+    return function requireAuth(req, res, next) {
+        const authHeader = req.headers.authorization || '';
+        const [scheme, token] = authHeader.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ message: "Missing Authorization header", error: 'missing_auth' });
+        }
+
+        const result = verifySessionToken(keys, token);
+        if (!result.valid) {
+            return res.status(401).json({ message: "Invalid or expired session", error: result.error });
+        }
+
+        req.userId = result.userId;
+        req.sessionExpiresAt = result.exp;
+        next();
+    };
+}
+
+module.exports = {
+    parseSigningKeys,
+    resolveSigningKeys,
+    createSessionToken,
+    verifySessionToken,
+    createRequireAuth,
+};
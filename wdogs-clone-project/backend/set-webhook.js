@@ -0,0 +1,32 @@
+// backend/set-webhook.js
+// CLI: register the bot webhook with Telegram.
+// Usage: node set-webhook.js <public backend URL>
+//   e.g. node set-webhook.js https://api.example.com  ->  https://api.example.com/api/telegram/webhook
+// Uses TELEGRAM_BOT_TOKEN and TELEGRAM_WEBHOOK_SECRET from .env (TELEGRAM_API_BASE_URL for a stub).
+require('dotenv').config();
+const { createBotApi } = require('./botApi');
+
+async function main() {
+    const baseUrl = process.argv[2];
+    if (!baseUrl || !/^https:\/\//.test(baseUrl)) {
+        console.error("Usage: node set-webhook.js <https://your-backend-host>");
+        return 1;
+    }
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret || !/^[A-Za-z0-9_-]{1,256}$/.test(secret)) {
+        console.error("TELEGRAM_WEBHOOK_SECRET must be set (1-256 characters: A-Z, a-z, 0-9, _ and -).");
+        return 1;
+    }
+
+    const url = `${baseUrl.replace(/\/$/, '')}/api/telegram/webhook`;
+    await createBotApi().setWebhook({ url, secret_token: secret, allowed_updates: ['message', 'inline_query'] });
+    console.log(`Webhook set to ${url}`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error("setWebhook failed:", error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,329 @@
+// backend/squads.js
+// Squads: teams of users whose balances are pooled on the squad leaderboard (see leaderboard.js).
+// A user is in at most one squad at a time (users/{id}.squadId). A squad is squads/{code}:
+//   { name, ownerId, memberCount, totalTokens, createdAt }
+// The code is the document id; it is what people join with, by hand or through the deep link
+// t.me/<bot>?startapp=squad_<code>.
+//
+// totalTokens is the sum of the members' `tokens`, kept exact transactionally:
+//   - every ledger entry of a member moves it by the same amount (appendLedgerEntry, see ledger.js)
+//   - joining adds the member's balance, leaving or being kicked takes it off again
+// Both read the user document in their transaction, so a balance change and a membership change
+// can't interleave. reconcileSquadTotals recomputes the totals from the members, for checking drift.
+//
+// The member list is a query on users (squadId ==, tokens desc) - Firestore needs a composite index for it.
+const express = require('express');
+const { nanoid } = require('nanoid');
+const { toDisplayName } = require('./leaderboard');
+const { logger } = require('./logger');
+
+const SQUAD_CODE_PATTERN = /^[A-Za-z0-9_-]{10}$/; // Longer than referral codes (8), so the two never mix
+const SQUAD_NAME_MIN_LENGTH = 3;
+const SQUAD_NAME_MAX_LENGTH = 32;
+const MEMBER_LIST_LIMIT = 100; // Members listed per squad, richest first
+
+// Same values as the config.squads defaults (see config.js)
+const DEFAULT_SQUAD_SETTINGS = {
+    maxMembers: 50,
+};
+
+// Trimmed name, or null if it isn't 3-32 characters of printable text
+function normalizeSquadName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    const length = [...trimmed].length;
+    if (length < SQUAD_NAME_MIN_LENGTH || length > SQUAD_NAME_MAX_LENGTH || /\p{C}/u.test(trimmed)) return null;
+    return trimmed;
+}
+
+function getSquadsCollection(db) {
+    return db.collection('squads');
+}
+
+function memberQuery(repos, squadId, limit = MEMBER_LIST_LIMIT) {
+    return repos.users.query().where('squadId', '==', squadId).orderBy('tokens', 'desc').limit(limit);
+}
+
+// Squad as sent to the client. Member ids are only included for the owner (who needs them to kick);
+// everyone else sees display names, like on the leaderboard.
+function toSquadView(squadId, squad, memberDocs, userId, settings) {
+    const isOwner = squad.ownerId === userId;
+    return {
+        code: squadId,
+        name: squad.name,
+        memberCount: squad.memberCount,
+        maxMembers: settings.maxMembers,
+        totalTokens: squad.totalTokens,
+        isOwner,
+        isMember: memberDocs.some(doc => doc.id === userId),
+        members: memberDocs.map(doc => ({
+            ...(isOwner ? { userId: doc.id } : {}),
+            name: toDisplayName(doc.data()),
+            tokens: doc.data().tokens || 0,
+            isOwner: doc.id === squad.ownerId,
+            isMe: doc.id === userId,
+        })),
+    };
+}
+
+// Takes a user out of their squad inside `transaction`: the last member leaving deletes the squad; an
+// owner leaving hands the squad to the richest remaining member. Reads, then writes - so call it after
+// the transaction's other reads. repos: from repositories.js; user: the user's data as read in the transaction, with squadId set.
+// Resolves to { squadId, deleted, newOwnerId } (used by POST /api/squads/leave and account deletion).
+async function removeFromSquad(transaction, db, admin, repos, userRef, user) {
+    const { increment } = admin.firestore.FieldValue;
+    const squadRef = getSquadsCollection(db).doc(user.squadId);
+    const [squadDoc, membersSnap] = await Promise.all([transaction.get(squadRef), transaction.get(memberQuery(repos, user.squadId, 2))]);
+    const squad = squadDoc.exists ? squadDoc.data() : null;
+    const nextOwner = membersSnap.docs.find(doc => doc.id !== userRef.id);
+
+    // --- Writes (after all reads) ---
+    transaction.update(userRef, { squadId: null });
+    if (squad && !nextOwner) {
+        transaction.delete(squadRef);
+    } else if (squad) {
+        transaction.update(squadRef, {
+            memberCount: increment(-1),
+            totalTokens: increment(-(user.tokens || 0)),
+            ...(squad.ownerId === userRef.id ? { ownerId: nextOwner.id } : {}),
+        });
+    }
+    return {
+        squadId: user.squadId,
+        deleted: Boolean(squad) && !nextOwner,
+        newOwnerId: squad?.ownerId === userRef.id && nextOwner ? nextOwner.id : null,
+    };
+}
+
+// --- Reconciliation ---
+// Recomputes every squad's memberCount and totalTokens from its members and reports drift.
+// With { fix: true } the stored aggregates are overwritten (each squad in its own transaction).
+async function reconcileSquadTotals(db, repos, { fix = false } = {}) {
+    const squadsSnap = await getSquadsCollection(db).get();
+    const drifted = [];
+    for (const squadDoc of squadsSnap.docs) {
+        const result = await db.runTransaction(async (transaction) => {
+            const [freshDoc, membersSnap] = await Promise.all([
+                transaction.get(squadDoc.ref),
+                transaction.get(repos.users.query().where('squadId', '==', squadDoc.id)),
+            ]);
+            if (!freshDoc.exists) return null;
+            const squad = freshDoc.data();
+            const memberCount = membersSnap.docs.length;
+            const totalTokens = membersSnap.docs.reduce((sum, doc) => sum + (doc.data().tokens || 0), 0);
+            const drift = squad.totalTokens - totalTokens;
+            if (drift === 0 && squad.memberCount === memberCount) return null;
+            if (fix) {
+                transaction.update(squadDoc.ref, { memberCount, totalTokens });
+            }
+            return { squadId: squadDoc.id, memberCount: squad.memberCount, actualMemberCount: memberCount, totalTokens: squad.totalTokens, actualTotalTokens: totalTokens, drift, fixed: fix };
+        });
+        if (result) {
+            logger.warn("Squad total drift", result);
+            drifted.push(result);
+        }
+    }
+    return { checked: squadsSnap.docs.length, drifted };
+}
+// --- End Reconciliation ---
+
+// --- Router ---
+// requireAuth must set req.userId (string Telegram user ID)
+// requireClaimAuth: same, for membership changes (app.js adds the claim rate limit and Idempotency-Key support)
+// settings: config.squads
+function createSquadsRouter({ db, admin, repos, requireAuth, requireClaimAuth = requireAuth, settings = DEFAULT_SQUAD_SETTINGS }) {
+    const router = express.Router();
+    const squadsCol = getSquadsCollection(db);
+    const { increment, serverTimestamp } = admin.firestore.FieldValue;
+
+    async function loadSquadView(squadId, userId) {
+        const [squadDoc, membersSnap] = await Promise.all([squadsCol.doc(squadId).get(), memberQuery(repos, squadId).get()]);
+        return squadDoc.exists ? toSquadView(squadId, squadDoc.data(), membersSnap.docs, userId, settings) : null;
+    }
+
+    // Runs `change(transaction, user)` in a transaction on the caller's user document. change returns
+    // { status, body }; it does its own reads first, then its writes.
+    async function updateMembership(userId, change) {
+        const userRef = repos.users.ref(userId);
+        return db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) {
+                return { status: 404, body: { message: "User not found. Validate first.", error: 'user_not_found' } };
+            }
+            const user = userDoc.data();
+            if (user.banned) {
+                return { status: 403, body: { message: "This account is banned.", error: 'banned' } };
+            }
+            return change(transaction, user);
+        });
+    }
+
+    // Answers a committed membership change with the squad as it is now (null after leaving)
+    async function respond(req, res, result, squadId) {
+        if (result.status !== 200) {
+            return res.status(result.status).json(result.body);
+        }
+        const squad = squadId ? await loadSquadView(squadId, req.userId) : null;
+        res.status(200).json({ ...result.body, squad });
+    }
+
+    // GET /api/squads/mine - the caller's squad, or null
+    router.get('/mine', requireAuth, async (req, res) => {
+        try {
+            const user = await repos.users.get(req.userId);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            res.status(200).json({ squad: user.squadId ? await loadSquadView(user.squadId, req.userId) : null });
+        } catch (error) {
+            logger.error("Failed to load squad", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading squad." });
+        }
+    });
+
+    // POST /api/squads - body: { name } - creates a squad with the caller as owner and only member
+    router.post('/', requireClaimAuth, async (req, res) => {
+        const name = normalizeSquadName(req.body?.name);
+        if (!name) {
+            return res.status(400).json({ message: `Squad names are ${SQUAD_NAME_MIN_LENGTH}-${SQUAD_NAME_MAX_LENGTH} characters.`, error: 'invalid_squad_name' });
+        }
+        const squadId = nanoid(10);
+        try {
+            const result = await updateMembership(req.userId, (transaction, user) => {
+                if (user.squadId) {
+                    return { status: 409, body: { message: "Leave your squad first.", error: 'already_in_squad' } };
+                }
+                transaction.create(squadsCol.doc(squadId), {
+                    name,
+                    ownerId: req.userId,
+                    memberCount: 1,
+                    totalTokens: user.tokens || 0,
+                    createdAt: serverTimestamp(),
+                });
+                transaction.update(repos.users.ref(req.userId), { squadId });
+                return { status: 200, body: { message: "Squad created." } };
+            });
+            if (result.status === 200) {
+                logger.info("Squad created", { userId: req.userId, squadId, name });
+            }
+            await respond(req, res, result, squadId);
+        } catch (error) {
+            logger.error("Failed to create squad", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error creating squad." });
+        }
+    });
+
+    // POST /api/squads/leave - leaves the caller's squad. The last member leaving deletes the squad;
+    // an owner leaving hands the squad to the richest remaining member.
+    router.post('/leave', requireClaimAuth, async (req, res) => {
+        try {
+            const result = await updateMembership(req.userId, async (transaction, user) => {
+                if (!user.squadId) {
+                    return { status: 409, body: { message: "You are not in a squad.", error: 'not_in_squad' } };
+                }
+                const exit = await removeFromSquad(transaction, db, admin, repos, repos.users.ref(req.userId), user);
+                return { status: 200, ...exit, body: { message: "You left the squad." } };
+            });
+            if (result.status === 200) {
+                logger.info("Left squad", { userId: req.userId, squadId: result.squadId, deleted: result.deleted, newOwnerId: result.newOwnerId });
+            }
+            await respond(req, res, result, null);
+        } catch (error) {
+            logger.error("Failed to leave squad", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error leaving squad." });
+        }
+    });
+
+    // GET /api/squads/:code - any squad, e.g. the one an invite link points to
+    router.get('/:code', requireAuth, async (req, res) => {
+        if (!SQUAD_CODE_PATTERN.test(req.params.code)) {
+            return res.status(404).json({ message: "Squad not found.", error: 'squad_not_found' });
+        }
+        try {
+            const squad = await loadSquadView(req.params.code, req.userId);
+            if (!squad) {
+                return res.status(404).json({ message: "Squad not found.", error: 'squad_not_found' });
+            }
+            res.status(200).json({ squad });
+        } catch (error) {
+            logger.error("Failed to load squad", { userId: req.userId, squadId: req.params.code, error });
+            res.status(500).json({ message: "Internal server error loading squad." });
+        }
+    });
+
+    // POST /api/squads/:code/join
+    router.post('/:code/join', requireClaimAuth, async (req, res) => {
+        const squadId = req.params.code;
+        if (!SQUAD_CODE_PATTERN.test(squadId)) {
+            return res.status(404).json({ message: "Squad not found.", error: 'squad_not_found' });
+        }
+        try {
+            const result = await updateMembership(req.userId, async (transaction, user) => {
+                const squadRef = squadsCol.doc(squadId);
+                const squadDoc = await transaction.get(squadRef);
+                if (!squadDoc.exists) {
+                    return { status: 404, body: { message: "Squad not found.", error: 'squad_not_found' } };
+                }
+                if (user.squadId) {
+                    return { status: 409, body: { message: user.squadId === squadId ? "You are already in this squad." : "Leave your squad first.", error: 'already_in_squad' } };
+                }
+                if (squadDoc.data().memberCount >= settings.maxMembers) {
+                    return { status: 409, body: { message: `Squads have at most ${settings.maxMembers} members.`, error: 'squad_full' } };
+                }
+                transaction.update(repos.users.ref(req.userId), { squadId });
+                transaction.update(squadRef, { memberCount: increment(1), totalTokens: increment(user.tokens || 0) });
+                return { status: 200, body: { message: "You joined the squad." } };
+            });
+            if (result.status === 200) {
+                logger.info("Joined squad", { userId: req.userId, squadId });
+            }
+            await respond(req, res, result, squadId);
+        } catch (error) {
+            logger.error("Failed to join squad", { userId: req.userId, squadId, error });
+            res.status(500).json({ message: "Internal server error joining squad." });
+        }
+    });
+
+    // POST /api/squads/:code/members/:userId/kick - owner only
+    router.post('/:code/members/:userId/kick', requireClaimAuth, async (req, res) => {
+        const squadId = req.params.code;
+        const memberId = String(req.params.userId);
+        if (memberId === req.userId) {
+            return res.status(400).json({ message: "You can't kick yourself. Leave the squad instead.", error: 'cannot_kick_self' });
+        }
+        try {
+            const result = await updateMembership(req.userId, async (transaction, user) => {
+                const squadRef = squadsCol.doc(squadId);
+                const memberRef = repos.users.ref(memberId);
+                const [squadDoc, memberDoc] = await Promise.all([transaction.get(squadRef), transaction.get(memberRef)]);
+                if (user.squadId !== squadId || !squadDoc.exists || squadDoc.data().ownerId !== req.userId) {
+                    return { status: 403, body: { message: "Only the squad owner can do that.", error: 'not_squad_owner' } };
+                }
+                if (!memberDoc.exists || memberDoc.data().squadId !== squadId) {
+                    return { status: 404, body: { message: "That user isn't in your squad.", error: 'not_squad_member' } };
+                }
+                transaction.update(memberRef, { squadId: null });
+                transaction.update(squadRef, { memberCount: increment(-1), totalTokens: increment(-(memberDoc.data().tokens || 0)) });
+                return { status: 200, body: { message: "Member removed." } };
+            });
+            if (result.status === 200) {
+                logger.info("Squad member kicked", { userId: req.userId, squadId, memberId });
+            }
+            await respond(req, res, result, squadId);
+        } catch (error) {
+            logger.error("Failed to kick squad member", { userId: req.userId, squadId, memberId, error });
+            res.status(500).json({ message: "Internal server error removing squad member." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    SQUAD_CODE_PATTERN,
+    DEFAULT_SQUAD_SETTINGS,
+    normalizeSquadName,
+    removeFromSquad,
+    reconcileSquadTotals,
+    createSquadsRouter,
+};
@@ -0,0 +1,133 @@
+// backend/streaks.js
+// Daily streaks, in UTC days. A day counts when the user opens the app (POST /api/auth/validate).
+// Kept on users/{id}.streak:
+//   { current, longest, lastActiveDay: 'YYYY-MM-DD', freezes, freezesUsed }
+//
+// Grace: a visit in the first graceHours of a UTC day also counts for the day before if that day was
+// missed, so opening the app just after midnight doesn't cost the streak.
+// Freezes: bought with DOGS (POST /api/me/streak/freezes), at most maxFreezes held at a time. Each
+// one covers one missed day, used up automatically; frozen days keep the streak but don't add to it.
+//
+// recordStreakVisit is pure and takes `now`, e.g.
+//   recordStreakVisit({ current: 3, longest: 5, lastActiveDay: '2025-04-01', freezes: 1 }, Date.parse('2025-04-03T12:00Z'), settings)
+//   -> { streak: { current: 4, ..., freezes: 0, freezesUsed: 1 }, outcome: 'frozen' }
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What a visit did to the streak
+const STREAK_OUTCOMES = {
+    STARTED: 'started',   // First visit ever, or after the streak was lost
+    EXTENDED: 'extended', // Visit on the day after the last active day (or within the grace window)
+    FROZEN: 'frozen',     // Missed days were covered by freezes
+    SAME_DAY: 'same_day', // Already counted today
+};
+
+// Same values as the config.streaks defaults (see config.js)
+const DEFAULT_STREAK_SETTINGS = {
+    graceHours: 3,
+    freezePrice: 200,
+    maxFreezes: 2,
+};
+
+function utcDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+}
+
+// --- Streak Rules ---
+// Counts a visit at `now` (ms). Returns { streak, outcome } with the new streak state.
+function recordStreakVisit(streak, now, settings) {
+    const previous = { current: 0, longest: 0, lastActiveDay: null, freezes: 0, freezesUsed: 0, ...streak };
+    const today = utcDay(now);
+    const start = (outcome) => ({
+        streak: { ...previous, current: 1, longest: Math.max(previous.longest, 1), lastActiveDay: today },
+        outcome,
+    });
+
+    if (!previous.lastActiveDay) return start(STREAK_OUTCOMES.STARTED);
+    const gap = daysBetween(previous.lastActiveDay, today);
+    if (gap <= 0) return { streak: previous, outcome: STREAK_OUTCOMES.SAME_DAY }; // A clock going backwards changes nothing
+
+    // Within the grace window, the visit counts for yesterday (the next visit after it counts for today)
+    let day = today;
+    let missedDays = gap - 1;
+    if (missedDays > 0 && now - Date.parse(today) < settings.graceHours * 60 * 60 * 1000) {
+        day = utcDay(now - DAY_MS);
+        missedDays -= 1;
+    }
+
+    if (missedDays > previous.freezes) return start(STREAK_OUTCOMES.STARTED);
+    const current = previous.current + 1;
+    return {
+        streak: {
+            ...previous,
+            current,
+            longest: Math.max(previous.longest, current),
+            lastActiveDay: day,
+            freezes: previous.freezes - missedDays,
+            freezesUsed: previous.freezesUsed + missedDays,
+        },
+        outcome: missedDays > 0 ? STREAK_OUTCOMES.FROZEN : STREAK_OUTCOMES.EXTENDED,
+    };
+}
+// --- End Streak Rules ---
+
+// --- Router ---
+// requireClaimAuth must set req.userId (app.js adds the claim rate limit and Idempotency-Key support)
+// settings: config.streaks
+function createStreakRouter({ db, repos, requireClaimAuth, settings = DEFAULT_STREAK_SETTINGS }) {
+    const router = express.Router();
+
+    // POST /api/me/streak/freezes - buys one streak freeze for freezePrice DOGS
+    router.post('/freezes', requireClaimAuth, async (req, res) => {
+        const userRef = repos.users.ref(req.userId);
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) {
+                    return { status: 404, body: { message: "User not found. Validate first.", error: 'user_not_found' } };
+                }
+                const user = userDoc.data();
+                if (user.banned) {
+                    return { status: 403, body: { message: "This account is banned.", error: 'banned' } };
+                }
+                const streak = { current: 0, longest: 0, lastActiveDay: null, freezes: 0, freezesUsed: 0, ...user.streak };
+                if (streak.freezes >= settings.maxFreezes) {
+                    return { status: 409, body: { message: `You can hold at most ${settings.maxFreezes} streak freezes.`, error: 'max_freezes' } };
+                }
+                if ((user.tokens || 0) < settings.freezePrice) {
+                    return { status: 400, body: { message: `A streak freeze costs ${settings.freezePrice} DOGS.`, error: 'insufficient_balance' } };
+                }
+
+                const nextStreak = { ...streak, freezes: streak.freezes + 1 };
+                transaction.update(userRef, { streak: nextStreak });
+                repos.ledger.append(transaction, req.userId, { amount: -settings.freezePrice, reason: LEDGER_REASONS.STREAK_FREEZE, reference: `streak_freeze:${nextStreak.freezes + nextStreak.freezesUsed}` }, user);
+                return { status: 200, body: { message: "Streak freeze bought.", streak: nextStreak, tokens: user.tokens - settings.freezePrice } };
+            });
+
+            if (result.status === 200) {
+                logger.info("Streak freeze bought", { userId: req.userId, freezes: result.body.streak.freezes, price: settings.freezePrice });
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to buy streak freeze", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error buying streak freeze." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    STREAK_OUTCOMES,
+    DEFAULT_STREAK_SETTINGS,
+    utcDay,
+    recordStreakVisit,
+    createStreakRouter,
+};
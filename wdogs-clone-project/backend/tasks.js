@@ -0,0 +1,254 @@
+// backend/tasks.js
+// Daily tasks: task catalog (Firestore 'tasks' collection), claim tracking and rewards.
+const express = require('express');
+const { LEDGER_REASONS } = require('./ledger');
+const { createBotApi } = require('./botApi');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+
+// --- Task Types ---
+const TASK_TYPES = {
+    DAILY_CHECKIN: 'daily_checkin', // Claimable once per UTC day, no requirement
+    JOIN_CHANNEL: 'join_channel',   // Verified through the Bot API (bot must be admin in the channel)
+    VISIT_LINK: 'visit_link',       // Client opens the link, then claims
+    INVITE_FRIENDS: 'invite_friends', // Requires referralsMade >= target
+};
+
+// How often a task can be claimed again
+const TASK_PERIODS = {
+    DAILY: 'daily', // Resets every day at 00:00 UTC
+    ONCE: 'once',   // Never resets
+};
+
+// --- Default Catalog ---
+// Seeded into Firestore on startup when a task with the same id does not exist yet.
+// Existing task documents are never overwritten, so edits made in Firestore are kept.
+// settings: config.tasks ({ channelUsername, visitUrl }); the channel and link tasks are only added when set
+function getDefaultTasks({ channelUsername = null, visitUrl = null } = {}) {
+    const tasks = [
+        { id: 'daily-checkin', type: TASK_TYPES.DAILY_CHECKIN, period: TASK_PERIODS.DAILY, title: 'Daily Check-in', description: 'Open the app every day to collect DOGS.', reward: 10, order: 1 },
+        { id: 'invite-3-friends', type: TASK_TYPES.INVITE_FRIENDS, period: TASK_PERIODS.ONCE, title: 'Invite 3 Friends', description: 'Get 3 friends to join with your referral link.', reward: 150, target: 3, order: 10 },
+        { id: 'invite-10-friends', type: TASK_TYPES.INVITE_FRIENDS, period: TASK_PERIODS.ONCE, title: 'Invite 10 Friends', description: 'Get 10 friends to join with your referral link.', reward: 600, target: 10, order: 11 },
+    ];
+    if (channelUsername) {
+        tasks.push({ id: 'join-channel', type: TASK_TYPES.JOIN_CHANNEL, period: TASK_PERIODS.ONCE, title: 'Join Our Channel', description: 'Subscribe to our Telegram channel.', reward: 50, channelUsername, order: 5 });
+    }
+    if (visitUrl) {
+        tasks.push({ id: 'visit-link', type: TASK_TYPES.VISIT_LINK, period: TASK_PERIODS.ONCE, title: 'Visit Our Website', description: 'Take a look at our website.', reward: 20, url: visitUrl, order: 6 });
+    }
+    return tasks;
+}
+
+// repos: from repositories.js; settings: config.tasks
+async function seedDefaultTasks(repos, settings) {
+    for (const task of getDefaultTasks(settings)) {
+        const { id, ...data } = task;
+        const ref = repos.tasks.ref(id);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            await ref.set({ ...data, active: true });
+            logger.info("Seeded default task", { taskId: id });
+        }
+    }
+}
+
+// --- Task Input Validation ---
+// Checks task fields sent by admins. With partial = true (edits), missing fields are allowed.
+// Returns { valid: true, task } with only the known fields, or { valid: false, error }.
+function validateTaskInput(input, { partial = false } = {}) {
+    const task = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (has('type') || !partial) {
+        if (!Object.values(TASK_TYPES).includes(input.type)) return { valid: false, error: `type must be one of ${Object.values(TASK_TYPES).join(', ')}` };
+        task.type = input.type;
+    }
+    if (has('period') || !partial) {
+        const period = input.period || TASK_PERIODS.ONCE;
+        if (!Object.values(TASK_PERIODS).includes(period)) return { valid: false, error: `period must be one of ${Object.values(TASK_PERIODS).join(', ')}` };
+        task.period = period;
+    }
+    if (has('title') || !partial) {
+        if (typeof input.title !== 'string' || !input.title.trim()) return { valid: false, error: 'title is required' };
+        task.title = input.title.trim();
+    }
+    if (has('description')) {
+        task.description = String(input.description);
+    }
+    if (has('reward') || !partial) {
+        if (!Number.isInteger(input.reward) || input.reward < 0) return { valid: false, error: 'reward must be a non-negative integer' };
+        task.reward = input.reward;
+    }
+    if (has('order')) {
+        if (!Number.isInteger(input.order)) return { valid: false, error: 'order must be an integer' };
+        task.order = input.order;
+    }
+    if (has('url')) task.url = input.url ? String(input.url) : null;
+    if (has('channelUsername')) task.channelUsername = input.channelUsername ? String(input.channelUsername) : null;
+    if (has('target')) {
+        if (input.target !== null && (!Number.isInteger(input.target) || input.target < 1)) return { valid: false, error: 'target must be a positive integer' };
+        task.target = input.target;
+    }
+    if (has('active')) task.active = Boolean(input.active);
+
+    // Type-specific requirements (only checkable when the type is known)
+    if (task.type === TASK_TYPES.VISIT_LINK && !partial && !task.url) return { valid: false, error: 'url is required for visit_link tasks' };
+    if (task.type === TASK_TYPES.JOIN_CHANNEL && !partial && !task.channelUsername) return { valid: false, error: 'channelUsername is required for join_channel tasks' };
+    if (task.type === TASK_TYPES.INVITE_FRIENDS && !partial && !task.target) return { valid: false, error: 'target is required for invite_friends tasks' };
+
+    return { valid: true, task };
+}
+
+// --- Period Helpers (all in UTC) ---
+// Key identifying the reset period a claim belongs to, e.g. '2025-04-02' for daily tasks
+function getPeriodKey(period, now = new Date()) {
+    if (period === TASK_PERIODS.DAILY) {
+        return now.toISOString().slice(0, 10);
+    }
+    return 'once';
+}
+
+// Next 00:00 UTC after `now`
+function getNextDailyReset(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+// Shape sent to the frontend (never leak internal fields)
+function toPublicTask(id, task) {
+    return {
+        id,
+        type: task.type,
+        period: task.period || TASK_PERIODS.ONCE,
+        title: task.title,
+        description: task.description || '',
+        reward: task.reward || 0,
+        url: task.url || null,
+        channelUsername: task.channelUsername || null,
+        target: task.target || null,
+    };
+}
+
+// --- Requirement Checks ---
+// Asks the Bot API whether the user is a member of the task's channel
+async function isChannelMember(botApi, channelUsername, userId) {
+    const chatId = channelUsername.startsWith('@') ? channelUsername : `@${channelUsername}`;
+    try {
+        const member = await botApi.getChatMember(chatId, userId);
+        return ['creator', 'administrator', 'member', 'restricted'].includes(member?.status);
+    } catch (error) {
+        logger.warn("getChatMember failed", { chatId, userId, error });
+        return false;
+    }
+}
+
+// --- Router ---
+// requireAuth must set req.userId (string Telegram user ID)
+// requireClaimAuth: same, for the reward-granting POST (app.js adds the claim rate limit and Idempotency-Key support)
+// repos: from repositories.js (task catalog, claim documents)
+// botApi: Bot API client from botApi.js, used for channel membership checks
+function createTasksRouter({ db, admin, repos, requireAuth, requireClaimAuth = requireAuth, botApi = createBotApi() }) {
+    const router = express.Router();
+
+    // GET /api/tasks - active tasks with the caller's claim status for the current period
+    router.get('/', requireAuth, async (req, res) => {
+        const now = new Date();
+        try {
+            const [user, activeTasks] = await Promise.all([repos.users.get(req.userId), repos.tasks.listActive()]);
+            if (!user) {
+                return res.status(404).json({ message: "User not found. Validate first.", error: 'user_not_found' });
+            }
+            const claimed = await repos.tasks.getClaimStatuses(req.userId, activeTasks.map(task => ({ taskId: task.id, periodKey: getPeriodKey(task.period, now) })));
+
+            const tasks = activeTasks.map((activeTask, i) => {
+                const task = toPublicTask(activeTask.id, activeTask);
+                const completed = claimed[i];
+                let progress = null;
+                let claimable = !completed;
+                if (task.type === TASK_TYPES.INVITE_FRIENDS) {
+                    progress = Math.min(user.referralsMade || 0, task.target || 0);
+                    claimable = claimable && (user.referralsMade || 0) >= (task.target || 0);
+                }
+                return { ...task, completed, claimable, progress };
+            });
+
+            res.status(200).json({ tasks, nextResetAt: getNextDailyReset(now).toISOString() });
+        } catch (error) {
+            logger.error("Failed to load tasks", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error loading tasks." });
+        }
+    });
+
+    // POST /api/tasks/:id/complete - verify the requirement and award the reward once per period
+    router.post('/:id/complete', requireClaimAuth, async (req, res) => {
+        const taskId = req.params.id;
+        const userRef = repos.users.ref(req.userId);
+
+        try {
+            const task = await repos.tasks.get(taskId);
+            if (!task || !task.active) {
+                return res.status(404).json({ message: "Task not found.", error: 'task_not_found' });
+            }
+
+            // Bot API checks can't run inside a transaction, so do them first
+            if (task.type === TASK_TYPES.JOIN_CHANNEL) {
+                const isMember = await isChannelMember(botApi, task.channelUsername, req.userId);
+                if (!isMember) {
+                    return res.status(400).json({ message: "Join the channel first, then try again.", error: 'requirement_not_met' });
+                }
+            }
+
+            const periodKey = getPeriodKey(task.period);
+            const claimRef = repos.tasks.claimRef(req.userId, taskId, periodKey);
+            const reward = task.reward || 0;
+
+            const result = await db.runTransaction(async (transaction) => {
+                const [userDoc, claimDoc] = await Promise.all([transaction.get(userRef), transaction.get(claimRef)]);
+                if (!userDoc.exists) {
+                    return { status: 404, body: { message: "User not found. Validate first.", error: 'user_not_found' } };
+                }
+                if (userDoc.data().banned) {
+                    return { status: 403, body: { message: "This account is banned.", error: 'banned' } };
+                }
+                if (claimDoc.exists) {
+                    return { status: 409, body: { message: "Task already completed for this period.", error: 'already_claimed' } };
+                }
+                const user = userDoc.data();
+                if (task.type === TASK_TYPES.INVITE_FRIENDS && (user.referralsMade || 0) < (task.target || 0)) {
+                    return { status: 400, body: { message: `Invite ${task.target} friends to complete this task.`, error: 'requirement_not_met' } };
+                }
+
+                transaction.set(claimRef, {
+                    taskId,
+                    periodKey,
+                    reward,
+                    claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                if (reward > 0) {
+                    repos.ledger.append(transaction, req.userId, { amount: reward, reason: LEDGER_REASONS.TASK, reference: `task:${taskId}:${periodKey}` }, user);
+                }
+                return { status: 200, body: { message: "Task completed!", taskId, reward, tokens: (user.tokens || 0) + reward } };
+            });
+
+            if (result.status === 200) {
+                logger.info("Task completed", { userId: req.userId, taskId, periodKey, reward });
+                metrics.tokensIssued.inc({ reason: LEDGER_REASONS.TASK }, reward);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to complete task", { userId: req.userId, taskId, error });
+            res.status(500).json({ message: "Internal server error completing task." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    TASK_TYPES,
+    TASK_PERIODS,
+    getPeriodKey,
+    getNextDailyReset,
+    validateTaskInput,
+    seedDefaultTasks,
+    createTasksRouter,
+};
@@ -0,0 +1,218 @@
+// backend/telegramAuth.js
+// Telegram Mini App initData validation.
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// --- Error Codes ---
+// Returned as `error` on failure and passed through to the frontend, which maps them to messages.
+const INIT_DATA_ERRORS = {
+    MISSING_INIT_DATA: 'missing_init_data',
+    HASH_MISSING: 'hash_missing',
+    AUTH_DATE_MISSING: 'auth_date_missing',
+    AUTH_DATE_INVALID: 'auth_date_invalid',
+    EXPIRED: 'expired',
+    HASH_MISMATCH: 'hash_mismatch',
+    SIGNATURE_INVALID: 'signature_invalid',
+    REPLAYED: 'replayed',
+    USER_MISSING: 'user_missing',
+    USER_INVALID: 'user_invalid',
+    INTERNAL_ERROR: 'internal_error',
+};
+
+// Small clock skew allowance for auth_date slightly in the future
+const MAX_FUTURE_SKEW_SECONDS = 60;
+
+// --- Ed25519 Public Keys ---
+// Telegram signs initData for third parties with these keys (the 'signature' field).
+const TELEGRAM_PUBLIC_KEYS = {
+    production: 'e7bf03a2fa4602af4580703d88dda5bb59f32ed8b02a56c187fe7d34caed242d',
+    test: '40055058a4ee38156a06562e52eece92a771bcd8346a8c4615cb7376eddf72ec',
+};
+// DER prefix that turns a raw 32-byte Ed25519 key into SPKI, which node's crypto can import
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function ed25519PublicKeyFromHex(hex) {
+    return crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, 'hex')]),
+        format: 'der',
+        type: 'spki',
+    });
+}
+
+// --- Replay Cache ---
+// Remembers hashes of initData that was already accepted, until that initData would expire anyway.
+// In-memory, so each server instance has its own cache.
+function createReplayCache() {
+    const entries = new Map(); // hash -> expiresAt (seconds)
+
+    return {
+        has(key, now = Math.floor(Date.now() / 1000)) {
+            const expiresAt = entries.get(key);
+            return expiresAt !== undefined && expiresAt > now;
+        },
+        add(key, expiresAt) {
+            entries.set(key, expiresAt);
+        },
+        // Drops expired entries; returns how many were removed
+        prune(now = Math.floor(Date.now() / 1000)) {
+            let removed = 0;
+            for (const [key, expiresAt] of entries) {
+                if (expiresAt <= now) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+        get size() {
+            return entries.size;
+        },
+    };
+}
+
+// --- Signature Checks ---
+function timingSafeEqualStrings(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// key=value lines sorted by key, skipping the excluded fields
+function buildDataCheckString(urlParams, excludedKeys) {
+    const dataCheckArr = [];
+    for (const [key, value] of urlParams) {
+        if (!excludedKeys.includes(key)) {
+            dataCheckArr.push(`${key}=${value}`);
+        }
+    }
+    return dataCheckArr.sort().join('\n');
+}
+
+// Standard path: HMAC-SHA256 with a key derived from the bot token
+function isValidHash(urlParams, hash, botToken) {
+    const dataCheckString = buildDataCheckString(urlParams, ['hash']);
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    return timingSafeEqualStrings(calculatedHash, hash);
+}
+
+// Third-party path: Ed25519 'signature' over "<bot_id>:WebAppData\n<data check string>"
+function isValidSignature(urlParams, signature, botId, publicKeyHex) {
+    const dataCheckString = `${botId}:WebAppData\n${buildDataCheckString(urlParams, ['hash', 'signature'])}`;
+    try {
+        return crypto.verify(null, Buffer.from(dataCheckString), ed25519PublicKeyFromHex(publicKeyHex), Buffer.from(signature, 'base64url'));
+    } catch {
+        return false;
+    }
+}
+
+// --- Validation ---
+// options:
+//   maxAgeSeconds    - reject initData older than this (required; config.auth.initDataMaxAgeSeconds)
+//   replayCache      - from createReplayCache(); when given, each initData is accepted only once
+//   allowSignature   - also accept a valid Ed25519 'signature' when the hash check fails
+//   botId            - bot id for the signature check (defaults to the numeric prefix of botToken)
+//   publicKeyHex     - Telegram public key for the signature check (default: production key)
+//   devBotToken      - also accept a hash made with this token (initData from the frontend's Telegram emulator)
+//   now              - current time in seconds (for tests)
+// Returns { valid: true, user, startParam } or { valid: false, user: null, error: <INIT_DATA_ERRORS code> }
+function isValidTelegramData(initData, botToken, options = {}) {
+    const {
+        maxAgeSeconds,
+        replayCache = null,
+        allowSignature = false,
+        botId = botToken ? botToken.split(':')[0] : null,
+        publicKeyHex = TELEGRAM_PUBLIC_KEYS.production,
+        devBotToken = null,
+        now = Math.floor(Date.now() / 1000),
+    } = options;
+    const fail = (error) => ({ valid: false, user: null, error });
+
+    if (!Number.isInteger(maxAgeSeconds)) {
+        throw new Error("isValidTelegramData: options.maxAgeSeconds is required");
+    }
+    if (!initData || !botToken) {
+        logger.debug("initData validation: missing initData or bot token");
+        return fail(INIT_DATA_ERRORS.MISSING_INIT_DATA);
+    }
+
+    try {
+        const urlParams = new URLSearchParams(initData);
+        const hash = urlParams.get('hash');
+        const signature = urlParams.get('signature');
+        if (!hash && !(allowSignature && signature)) {
+            logger.debug("initData validation: hash parameter missing");
+            return fail(INIT_DATA_ERRORS.HASH_MISSING);
+        }
+
+        // auth_date is required and must be recent
+        const authDateParam = urlParams.get('auth_date');
+        if (!authDateParam) {
+            logger.debug("initData validation: auth_date missing");
+            return fail(INIT_DATA_ERRORS.AUTH_DATE_MISSING);
+        }
+        const authDate = Number(authDateParam);
+        if (!Number.isInteger(authDate) || authDate > now + MAX_FUTURE_SKEW_SECONDS) {
+            logger.debug("initData validation: auth_date is not a valid timestamp", { authDate: authDateParam });
+            return fail(INIT_DATA_ERRORS.AUTH_DATE_INVALID);
+        }
+        if (now - authDate > maxAgeSeconds) {
+            logger.debug("initData validation: expired", { authDate, maxAgeSeconds });
+            return fail(INIT_DATA_ERRORS.EXPIRED);
+        }
+
+        // Prefer the bot-token HMAC; fall back to Telegram's Ed25519 signature when allowed
+        let replayKey = null;
+        if (hash && isValidHash(urlParams, hash, botToken)) {
+            replayKey = `hash:${hash}`;
+        } else if (hash && devBotToken && isValidHash(urlParams, hash, devBotToken)) {
+            logger.debug("initData validation: signed with the development bot token");
+            replayKey = `hash:${hash}`;
+        } else if (allowSignature && signature && botId && isValidSignature(urlParams, signature, botId, publicKeyHex)) {
+            replayKey = `signature:${signature}`;
+        } else {
+            logger.debug(`initData validation: ${hash ? 'hash mismatch' : 'invalid signature'}`);
+            return fail(hash ? INIT_DATA_ERRORS.HASH_MISMATCH : INIT_DATA_ERRORS.SIGNATURE_INVALID);
+        }
+
+        const userJson = urlParams.get('user');
+        if (!userJson) {
+            logger.debug("initData validation: user data missing");
+            return fail(INIT_DATA_ERRORS.USER_MISSING);
+        }
+        let user;
+        try {
+            user = JSON.parse(userJson); // Parse the user JSON string
+        } catch (parseError) {
+            logger.debug("initData validation: user JSON is invalid", { error: parseError });
+            return fail(INIT_DATA_ERRORS.USER_INVALID);
+        }
+        if (!user || !user.id) {
+            return fail(INIT_DATA_ERRORS.USER_INVALID);
+        }
+
+        // Only authentic data reaches the replay cache, so it can't be filled with junk
+        if (replayCache) {
+            if (replayCache.has(replayKey, now)) {
+                logger.warn("initData replay rejected", { userId: String(user.id) });
+                return fail(INIT_DATA_ERRORS.REPLAYED);
+            }
+            replayCache.add(replayKey, authDate + maxAgeSeconds);
+        }
+
+        logger.debug("initData validation succeeded", { userId: String(user.id) });
+        // start_param carries the ?startapp= / ?start= payload (e.g. a referral code)
+        return { valid: true, user, startParam: urlParams.get('start_param') || null };
+    } catch (error) {
+        logger.error("Unexpected error during initData validation", { error });
+        return fail(INIT_DATA_ERRORS.INTERNAL_ERROR);
+    }
+}
+
+module.exports = {
+    INIT_DATA_ERRORS,
+    TELEGRAM_PUBLIC_KEYS,
+    createReplayCache,
+    isValidTelegramData,
+};
@@ -0,0 +1,118 @@
+// backend/test/airdrop.test.js
+// Merkle claim list (odd levels carry their last node up unchanged) and eligibility rule checks
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { buildMerkleTree, verifyMerkleProof, validateRules, buildSnapshot } = require('../airdrop');
+const { createDataStore } = require('../datastore');
+const { createRepositories } = require('../repositories');
+const { ConfigError } = require('../config');
+const { createTestConfig } = require('./helpers');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const leafHash = ({ index, address, amount }) => sha256(`${index}:${address}:${amount}`);
+const pairHash = (a, b) => sha256(Buffer.compare(a, b) <= 0 ? Buffer.concat([a, b]) : Buffer.concat([b, a]));
+
+const makeLeaves = (count) => Array.from({ length: count }, (_, index) => ({ index, address: `0:${String(index).padStart(64, 'a')}`, amount: 100 + index }));
+
+describe('buildMerkleTree / verifyMerkleProof', () => {
+    it('returns no root for an empty list', () => {
+        assert.deepEqual(buildMerkleTree([]), { root: null, proofs: [] });
+    });
+
+    it('uses the leaf hash as the root of a single leaf, with an empty proof', () => {
+        const [leaf] = makeLeaves(1);
+        const { root, proofs } = buildMerkleTree([leaf]);
+
+        assert.equal(root, leafHash(leaf).toString('hex'));
+        assert.deepEqual(proofs, [[]]);
+        assert.ok(verifyMerkleProof(leaf, proofs[0], root));
+    });
+
+    it('hashes two leaves as a sorted pair', () => {
+        const leaves = makeLeaves(2);
+        const { root, proofs } = buildMerkleTree(leaves);
+
+        assert.equal(root, pairHash(leafHash(leaves[0]), leafHash(leaves[1])).toString('hex'));
+        assert.deepEqual(proofs, [[leafHash(leaves[1]).toString('hex')], [leafHash(leaves[0]).toString('hex')]]);
+    });
+
+    it('carries the odd leaf of three up unchanged', () => {
+        const leaves = makeLeaves(3);
+        const [h0, h1, h2] = leaves.map(leafHash);
+        const { root, proofs } = buildMerkleTree(leaves);
+
+        assert.equal(root, pairHash(pairHash(h0, h1), h2).toString('hex'));
+        // The carried-up leaf has no sibling on the first level, so its proof is one step shorter
+        assert.deepEqual(proofs[2], [pairHash(h0, h1).toString('hex')]);
+        assert.equal(proofs[0].length, 2);
+    });
+
+    it('carries a node up more than one level (five leaves)', () => {
+        const leaves = makeLeaves(5);
+        const [h0, h1, h2, h3, h4] = leaves.map(leafHash);
+        const { root, proofs } = buildMerkleTree(leaves);
+
+        assert.equal(root, pairHash(pairHash(pairHash(h0, h1), pairHash(h2, h3)), h4).toString('hex'));
+        assert.equal(proofs[4].length, 1);
+    });
+
+    for (const count of [1, 2, 3, 5, 6, 7, 9, 16, 17]) {
+        it(`verifies every proof of ${count} leaves and rejects altered claims`, () => {
+            const leaves = makeLeaves(count);
+            const { root, proofs } = buildMerkleTree(leaves);
+
+            leaves.forEach((leaf, i) => {
+                assert.ok(verifyMerkleProof(leaf, proofs[i], root), `leaf ${i}`);
+                assert.ok(!verifyMerkleProof({ ...leaf, amount: leaf.amount + 1 }, proofs[i], root), `leaf ${i} with another amount`);
+                assert.ok(!verifyMerkleProof({ ...leaf, index: leaf.index + count }, proofs[i], root), `leaf ${i} with another index`);
+            });
+            if (count > 1) {
+                assert.ok(!verifyMerkleProof(leaves[0], proofs[1], root), 'proof of another leaf');
+            }
+        });
+    }
+
+    it('builds the same root for the same leaves', () => {
+        assert.equal(buildMerkleTree(makeLeaves(7)).root, buildMerkleTree(makeLeaves(7)).root);
+    });
+});
+
+describe('validateRules', () => {
+    it('accepts known rules with the right types', () => {
+        assert.deepEqual(validateRules({}), []);
+        assert.deepEqual(validateRules({ minBalance: 0, minAccountAgeDays: 30, requireWallet: false, excludeBanned: true }), []);
+    });
+
+    it('rejects non-integer thresholds, NaN included', () => {
+        assert.deepEqual(validateRules({ minBalance: NaN }), ['minBalance must be an integer >= 0']);
+        assert.deepEqual(validateRules({ minBalance: 'abc' }), ['minBalance must be an integer >= 0']);
+        assert.deepEqual(validateRules({ minAccountAgeDays: -1 }), ['minAccountAgeDays must be an integer >= 0']);
+        assert.deepEqual(validateRules({ minAccountAgeDays: 1.5 }), ['minAccountAgeDays must be an integer >= 0']);
+    });
+
+    it('rejects unknown rules, wrong booleans and non-objects', () => {
+        assert.deepEqual(validateRules({ minBalanse: 10 }), ["unknown rule 'minBalanse'"]);
+        assert.deepEqual(validateRules({ requireWallet: 'false' }), ['requireWallet must be true or false']);
+        assert.deepEqual(validateRules([]), ['rules must be an object']);
+    });
+
+    it('stops buildSnapshot before it reads anything', async () => {
+        const repos = createRepositories(createDataStore({ store: 'memory' }));
+        await assert.rejects(
+            buildSnapshot(repos, { defaults: { minBalance: 100, minAccountAgeDays: 7, requireWallet: true }, rules: { minBalance: NaN } }),
+            /Invalid airdrop rules: minBalance must be an integer >= 0/,
+        );
+    });
+});
+
+describe('config.airdrop', () => {
+    it('fails at startup on a threshold that is not a number', () => {
+        assert.throws(() => createTestConfig({ AIRDROP_MIN_BALANCE: 'abc' }), (error) => error instanceof ConfigError
+            && error.errors.some(message => message.startsWith('airdrop.minBalance (AIRDROP_MIN_BALANCE)')));
+    });
+
+    it('reads the defaults for snapshots', () => {
+        assert.deepEqual({ ...createTestConfig({ AIRDROP_MIN_BALANCE: '250', AIRDROP_REQUIRE_WALLET: 'false' }).airdrop }, { minBalance: 250, minAccountAgeDays: 7, requireWallet: false });
+    });
+});
@@ -0,0 +1,111 @@
+// backend/test/auth.test.js
+// POST /api/auth/validate end to end: initData signed with the test bot token, against the in-memory store
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, signInitData } = require('./helpers');
+
+const MAX_AGE_SECONDS = 3600;
+
+describe('POST /api/auth/validate', () => {
+    let testApp;
+    let nextUserId = 500000001;
+    const newUser = () => ({ id: nextUserId++, first_name: 'Test', username: 'tester', language_code: 'en' });
+    const validate = (initData) => testApp.request('POST', '/api/auth/validate', { body: { initData } });
+
+    before(async () => {
+        testApp = await startTestApp({ env: { INIT_DATA_MAX_AGE_SECONDS: String(MAX_AGE_SECONDS) } });
+    });
+
+    after(() => testApp.close());
+
+    it('creates the user and issues a working session for valid initData', async () => {
+        const user = newUser();
+        const { status, body } = await validate(signInitData({ user }));
+
+        assert.equal(status, 200);
+        assert.equal(body.user.userId, user.id);
+        assert.equal(body.user.firstName, 'Test');
+        assert.equal(body.user.tokens, 0);
+        assert.equal(body.user.risk, undefined, 'risk data is admin-only');
+        assert.ok(body.session.token);
+
+        const me = await testApp.request('GET', '/api/me', { token: body.session.token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.user.userId, user.id);
+    });
+
+    it('logs an existing user in again with new initData', async () => {
+        const user = newUser();
+        const authDate = Math.floor(Date.now() / 1000);
+        assert.equal((await validate(signInitData({ user, authDate: authDate - 10 }))).status, 200);
+
+        const { status, body } = await validate(signInitData({ user: { ...user, first_name: 'Renamed' }, authDate }));
+        assert.equal(status, 200);
+        assert.equal(body.user.firstName, 'Renamed');
+    });
+
+    it('rejects initData whose hash does not match', async () => {
+        const initData = new URLSearchParams(signInitData({ user: newUser() }));
+        initData.set('user', JSON.stringify({ id: 1, first_name: 'Someone else' }));
+        const { status, body } = await validate(initData.toString());
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'hash_mismatch');
+    });
+
+    it('rejects initData signed with another bot token', async () => {
+        const { status, body } = await validate(signInitData({ user: newUser() }, '654321:other-bot-token'));
+        assert.equal(status, 401);
+        assert.equal(body.error, 'hash_mismatch');
+    });
+
+    it('rejects initData without a hash', async () => {
+        const initData = new URLSearchParams(signInitData({ user: newUser() }));
+        initData.delete('hash');
+        const { status, body } = await validate(initData.toString());
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'hash_missing');
+    });
+
+    it('rejects initData older than the max age', async () => {
+        const authDate = Math.floor(Date.now() / 1000) - MAX_AGE_SECONDS - 60;
+        const { status, body } = await validate(signInitData({ user: newUser(), authDate }));
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'expired');
+    });
+
+    it('rejects an auth_date in the future', async () => {
+        const authDate = Math.floor(Date.now() / 1000) + 3600;
+        const { status, body } = await validate(signInitData({ user: newUser(), authDate }));
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'auth_date_invalid');
+    });
+
+    it('rejects the same initData a second time', async () => {
+        const initData = signInitData({ user: newUser() });
+        assert.equal((await validate(initData)).status, 200);
+
+        const { status, body } = await validate(initData);
+        assert.equal(status, 401);
+        assert.equal(body.error, 'replayed');
+    });
+
+    it('requires initData', async () => {
+        const { status, body } = await testApp.request('POST', '/api/auth/validate', { body: {} });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'missing_init_data');
+    });
+
+    it('refuses banned users', async () => {
+        const user = newUser();
+        assert.equal((await validate(signInitData({ user }))).status, 200);
+        await testApp.db.collection('users').doc(String(user.id)).update({ banned: true });
+
+        const { status, body } = await validate(signInitData({ user, authDate: Math.floor(Date.now() / 1000) - 1 }));
+        assert.equal(status, 403);
+        assert.equal(body.error, 'banned');
+    });
+});
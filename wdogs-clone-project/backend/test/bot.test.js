@@ -0,0 +1,135 @@
+// backend/test/bot.test.js
+// Bot webhook against a stubbed Bot API: the secret token check and /start <code> deep links
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, signInitData } = require('./helpers');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const WEB_APP_URL = 'https://app.example.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('POST /api/telegram/webhook', () => {
+    let testApp;
+    let nextUserId = 600000001;
+    let updateId = 1;
+
+    const sendUpdate = (update, secret = WEBHOOK_SECRET) => testApp.request('POST', '/api/telegram/webhook', {
+        body: { update_id: updateId++, ...update },
+        headers: secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {},
+    });
+    const privateMessage = (from, text) => ({ message: { message_id: 1, from, chat: { id: from.id, type: 'private' }, text } });
+    const newTelegramUser = () => ({ id: nextUserId++, is_bot: false, first_name: 'Bot', language_code: 'en' });
+    const signUp = async (telegramUser) => {
+        const { status, body } = await testApp.request('POST', '/api/auth/validate', { body: { initData: signInitData({ user: telegramUser }) } });
+        assert.equal(status, 200);
+        return body;
+    };
+
+    before(async () => {
+        testApp = await startTestApp({
+            env: { TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET, TELEGRAM_WEBAPP_URL: WEB_APP_URL, PENDING_REFERRAL_CODE_TTL_DAYS: '3' },
+        });
+    });
+
+    beforeEach(() => {
+        testApp.botApi.calls.length = 0;
+    });
+
+    after(() => testApp.close());
+
+    it('rejects updates without the secret token', async () => {
+        const { status, body } = await sendUpdate(privateMessage(newTelegramUser(), '/help'), null);
+        assert.equal(status, 401);
+        assert.equal(body.error, 'invalid_secret');
+        assert.equal(testApp.botApi.calls.length, 0);
+    });
+
+    it('rejects updates with a wrong secret token', async () => {
+        const { status } = await sendUpdate(privateMessage(newTelegramUser(), '/help'), 'wrong-secret');
+        assert.equal(status, 401);
+        assert.equal(testApp.botApi.calls.length, 0);
+    });
+
+    it('answers /start with a button that opens the Mini App', async () => {
+        const from = newTelegramUser();
+        const { status } = await sendUpdate(privateMessage(from, '/start'));
+
+        assert.equal(status, 200);
+        assert.equal(testApp.botApi.calls.length, 1);
+        const [{ method, params }] = testApp.botApi.calls;
+        assert.equal(method, 'sendMessage');
+        assert.equal(params.chat_id, from.id);
+        assert.deepEqual(params.reply_markup.inline_keyboard[0][0].web_app, { url: WEB_APP_URL });
+    });
+
+    it('remembers the code of /start <code> and credits it at signup', async () => {
+        const referrer = await signUp(newTelegramUser());
+        const from = newTelegramUser();
+        const before = Date.now();
+        await sendUpdate(privateMessage(from, `/start ${referrer.user.referralCode}`));
+
+        const pendingDoc = await testApp.db.collection('pendingReferralCodes').doc(String(from.id)).get();
+        assert.ok(pendingDoc.exists);
+        assert.equal(pendingDoc.data().code, referrer.user.referralCode);
+        // PENDING_REFERRAL_CODE_TTL_DAYS=3
+        assert.ok(pendingDoc.data().expiresAt >= before + 3 * DAY_MS && pendingDoc.data().expiresAt <= Date.now() + 3 * DAY_MS);
+        assert.equal(testApp.botApi.calls[0].method, 'sendMessage');
+
+        // The Mini App opened from the bot's button has no start_param; the remembered code applies
+        const signup = await signUp(from);
+        assert.deepEqual(signup.referral, { applied: true, reason: null });
+        assert.equal(signup.user.referredBy, referrer.user.userId.toString());
+        assert.equal(signup.user.tokens, testApp.config.rewards.referralBonusReferred);
+        assert.equal((await testApp.db.collection('pendingReferralCodes').doc(String(from.id)).get()).exists, false);
+    });
+
+    it('ignores a /start argument that is not a referral code', async () => {
+        const from = newTelegramUser();
+        await sendUpdate(privateMessage(from, '/start not a code'));
+        assert.equal((await testApp.db.collection('pendingReferralCodes').doc(String(from.id)).get()).exists, false);
+    });
+
+    it('does not remember a code for a user who already has an account, and marks them reachable', async () => {
+        const referrer = await signUp(newTelegramUser());
+        const existing = newTelegramUser();
+        await signUp(existing);
+        await testApp.db.collection('users').doc(String(existing.id)).update({ canMessage: false });
+
+        await sendUpdate(privateMessage(existing, `/start ${referrer.user.referralCode}`));
+        assert.equal((await testApp.db.collection('pendingReferralCodes').doc(String(existing.id)).get()).exists, false);
+        assert.equal((await testApp.db.collection('users').doc(String(existing.id)).get()).data().canMessage, true);
+    });
+
+    it('replies to /balance with the balance', async () => {
+        const from = newTelegramUser();
+        await signUp(from);
+        await sendUpdate(privateMessage(from, '/balance'));
+
+        assert.equal(testApp.botApi.calls.length, 1);
+        assert.match(testApp.botApi.calls[0].params.text, /\b0\b/);
+    });
+
+    it('acknowledges group messages and bots without answering', async () => {
+        const from = newTelegramUser();
+        const groupMessage = { message: { message_id: 1, from, chat: { id: -100123, type: 'group' }, text: '/start' } };
+        assert.equal((await sendUpdate(groupMessage)).status, 200);
+        assert.equal((await sendUpdate(privateMessage({ ...from, is_bot: true }, '/help'))).status, 200);
+        assert.equal(testApp.botApi.calls.length, 0);
+    });
+});
+
+describe('POST /api/telegram/webhook without a configured secret', () => {
+    it('rejects every update', async () => {
+        const testApp = await startTestApp();
+        try {
+            const { status } = await testApp.request('POST', '/api/telegram/webhook', {
+                body: { update_id: 1, message: { message_id: 1, from: { id: 1, first_name: 'A' }, chat: { id: 1, type: 'private' }, text: '/help' } },
+                headers: { 'X-Telegram-Bot-Api-Secret-Token': 'anything' },
+            });
+            assert.equal(status, 401);
+            assert.equal(testApp.botApi.calls.length, 0);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
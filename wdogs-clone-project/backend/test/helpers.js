@@ -0,0 +1,96 @@
+// backend/test/helpers.js
+// Shared test setup: the app on the in-memory store with an explicit config (nothing is read from the
+// environment), initData signed the way Telegram signs it, and a Bot API stub that records calls.
+const crypto = require('crypto');
+const { createDataStore } = require('../datastore');
+const { createApp } = require('../app');
+const { loadConfig } = require('../config');
+const { createSessionToken, resolveSigningKeys } = require('../session');
+const { logger } = require('../logger');
+
+const TEST_BOT_TOKEN = '123456:test-bot-token';
+
+logger.setLevel('error');
+
+// Validated config from these env values only; rate limits are off unless a test turns them on
+function createTestConfig(env = {}) {
+    return loadConfig({ env: { TELEGRAM_BOT_TOKEN: TEST_BOT_TOKEN, RATE_LIMIT_ENABLED: 'false', ...env } });
+}
+
+// initData query string with a valid hash under botToken (see telegramAuth.js)
+function signInitData({ user, authDate = Math.floor(Date.now() / 1000), ...fields }, botToken = TEST_BOT_TOKEN) {
+    const params = new URLSearchParams({ auth_date: String(authDate), user: JSON.stringify(user), ...fields });
+    const dataCheckString = [...params].map(([key, value]) => `${key}=${value}`).sort().join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+}
+
+// Bot API client (see botApi.js) that records every call and answers with respond(method, params)
+function createStubBotApi(respond = () => true) {
+    const calls = [];
+    const call = async (method, params = {}) => {
+        calls.push({ method, params });
+        return respond(method, params);
+    };
+    return {
+        calls,
+        call,
+        sendMessage: (chatId, text, extra = {}) => call('sendMessage', { chat_id: chatId, text, ...extra }),
+        getChatMember: (chatId, userId) => call('getChatMember', { chat_id: chatId, user_id: userId }),
+        answerInlineQuery: (inlineQueryId, results, extra = {}) => call('answerInlineQuery', { inline_query_id: inlineQueryId, results, ...extra }),
+        setWebhook: (params) => call('setWebhook', params),
+    };
+}
+
+// Starts the app on a free port. Resolves to { db, admin, config, baseUrl, request, sessionFor, close }:
+//   request(method, path, { body, token, headers }) -> { status, body }
+//   sessionFor(userId) -> a session token for that user
+async function startTestApp({ env = {}, config = createTestConfig(env), botApi = createStubBotApi(), now } = {}) {
+    const { db, admin } = createDataStore({ store: 'memory' });
+    const app = createApp({ db, admin, config, botApi, ...(now ? { now } : {}) });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const sessionKeys = resolveSigningKeys(config.session.signingKeys, config.telegram.botToken);
+
+    async function request(method, path, { body, token, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers,
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+
+    return {
+        db,
+        admin,
+        config,
+        botApi,
+        baseUrl,
+        request,
+        sessionFor: (userId) => createSessionToken(sessionKeys, userId, { ttlSeconds: config.session.ttlSeconds }).token,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+// Idempotency-Key for reward-granting POSTs (8-128 of [A-Za-z0-9_-], see idempotency.js)
+function idempotencyKey() {
+    return crypto.randomUUID();
+}
+
+module.exports = {
+    TEST_BOT_TOKEN,
+    createTestConfig,
+    signInitData,
+    createStubBotApi,
+    startTestApp,
+    idempotencyKey,
+};
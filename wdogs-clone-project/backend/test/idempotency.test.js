@@ -0,0 +1,66 @@
+// backend/test/idempotency.test.js
+// Idempotency-Key on reward-granting POSTs: a retry gets the first response back and is credited once
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LEDGER_REASONS } = require('../ledger');
+const { startTestApp, idempotencyKey } = require('./helpers');
+
+describe('Idempotency-Key', () => {
+    const ADMIN_SECRET = 'test-admin-secret-0123456789';
+    let testApp;
+
+    before(async () => {
+        // The onboarding claim pays a flat 1000 DOGS
+        testApp = await startTestApp({ env: { ADMIN_SECRET, ONBOARDING_BASE_REWARD: '1000', ONBOARDING_REWARD_PER_YEAR: '0' } });
+        const users = testApp.db.collection('users');
+        await Promise.all(['1', '2', '3'].map(userId => users.doc(userId).set({ firstName: `User ${userId}`, tokens: 0 })));
+    });
+
+    after(() => testApp.close());
+
+    const ledgerOf = async (userId, reason) => (await testApp.db.collection('users').doc(userId).collection('ledger').get()).docs
+        .map(doc => doc.data())
+        .filter(entry => entry.reason === reason);
+    const claim = (userId, key) => testApp.request('POST', '/api/onboarding/claim', { token: testApp.sessionFor(userId), headers: { 'Idempotency-Key': key } });
+    const adjust = (userId, body, key) => testApp.request('POST', `/api/admin/users/${userId}/adjust-balance`, {
+        body,
+        headers: { 'x-admin-secret': ADMIN_SECRET, 'Idempotency-Key': key },
+    });
+
+    it('replays the first response to a retried claim and credits it once', async () => {
+        const key = idempotencyKey();
+        const first = await claim('1', key);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.tokens, 1000);
+
+        const retry = await claim('1', key);
+        assert.deepEqual(retry, first);
+        assert.equal((await ledgerOf('1', LEDGER_REASONS.ONBOARDING)).length, 1);
+        assert.equal((await testApp.db.collection('users').doc('1').get()).data().tokens, 1000);
+    });
+
+    it('keeps keys apart per user', async () => {
+        const key = idempotencyKey();
+        assert.equal((await claim('2', key)).status, 200);
+        assert.equal((await claim('3', key)).status, 200);
+        assert.equal((await ledgerOf('3', LEDGER_REASONS.ONBOARDING)).length, 1);
+    });
+
+    it('applies a retried admin adjustment once and refuses the key for a different request', async () => {
+        const key = idempotencyKey();
+        const first = await adjust('2', { amount: 50, reason: 'Support ticket' }, key);
+        assert.equal(first.status, 200);
+        assert.deepEqual(await adjust('2', { amount: 50, reason: 'Support ticket' }, key), first);
+
+        const reused = await adjust('2', { amount: 500, reason: 'Support ticket' }, key);
+        assert.equal(reused.status, 422);
+        assert.equal(reused.body.error, 'idempotency_key_reused');
+        assert.deepEqual((await ledgerOf('2', LEDGER_REASONS.ADMIN_ADJUSTMENT)).map(entry => entry.amount), [50]);
+    });
+
+    it('rejects a malformed key', async () => {
+        const { status, body } = await claim('1', 'short');
+        assert.equal(status, 400);
+        assert.equal(body.error, 'invalid_idempotency_key');
+    });
+});
@@ -0,0 +1,85 @@
+// backend/test/leaderboard.test.js
+// Public leaderboard rows: display names only, with banned and deleted users left out of the board and the ranks,
+// and the cache settings from config.leaderboard
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LEADERBOARD_SETTINGS, assignRanks, countRank } = require('../leaderboard');
+const { createRepositories } = require('../repositories');
+const { ConfigError } = require('../config');
+const { startTestApp, createTestConfig } = require('./helpers');
+
+describe('assignRanks', () => {
+    it('shares a rank between equal values and skips the ranks after them', () => {
+        const docs = [{ id: 'a', tokens: 30 }, { id: 'b', tokens: 20 }, { id: 'c', tokens: 20 }, { id: 'd', tokens: 10 }];
+        assert.deepEqual(assignRanks(docs, 'tokens').map(entry => entry.rank), [1, 2, 2, 4]);
+    });
+
+    it('puts nothing from the profile but the display name in a row', () => {
+        const [entry] = assignRanks([{ id: '1', tokens: 5, firstName: 'Ann', lastName: 'Lee', username: 'ann_lee', languageCode: 'en' }], 'tokens');
+        assert.deepEqual(entry, { rank: 1, id: '1', name: 'Ann L.', value: 5 });
+    });
+});
+
+describe('GET /api/leaderboard', () => {
+    let testApp;
+
+    before(async () => {
+        testApp = await startTestApp();
+        const users = testApp.db.collection('users');
+        await Promise.all([
+            users.doc('1').set({ firstName: 'Top', username: 'top_user', tokens: 500, referralsMade: 0 }),
+            users.doc('2').set({ firstName: 'Banned', tokens: 400, referralsMade: 0, banned: true }),
+            users.doc('3').set({ firstName: 'Second', tokens: 300, referralsMade: 0 }),
+            // Tombstone (see privacy.js): the balance is written off, referral counts are kept
+            users.doc('4').set({ firstName: null, tokens: 0, referralsMade: 9, deletedAt: new Date() }),
+            users.doc('5').set({ firstName: 'Third', tokens: 100, referralsMade: 2, deletedAt: null }),
+        ]);
+    });
+
+    after(() => testApp.close());
+
+    it('leaves banned and deleted users off the token board', async () => {
+        const { status, body } = await testApp.request('GET', '/api/leaderboard', { token: testApp.sessionFor('5') });
+        assert.equal(status, 200);
+        assert.deepEqual(body.entries.map(entry => [entry.rank, entry.name]), [[1, 'Top'], [2, 'Second'], [3, 'Third']]);
+        assert.ok(body.entries.every(entry => !('username' in entry) && !('id' in entry)));
+        assert.equal(body.me.rank, 3);
+    });
+
+    it('leaves deleted users off the referral board', async () => {
+        const { body } = await testApp.request('GET', '/api/leaderboard/referrals', { token: testApp.sessionFor('5') });
+        assert.equal(body.entries[0].name, 'Third');
+        assert.equal(body.entries[0].rank, 1);
+        assert.equal(body.me.rank, 1);
+    });
+
+    it('counts only listed users for ranks outside the cached board', async () => {
+        const repos = createRepositories({ db: testApp.db, admin: testApp.admin });
+        assert.equal(await countRank(testApp.db, repos, 'tokens', 350), 2);
+        assert.equal(await countRank(testApp.db, repos, 'tokens', 200), 3);
+        assert.equal(await countRank(testApp.db, repos, 'referrals', 1), 2);
+        assert.equal(await countRank(testApp.db, repos, 'referrals', 2), 1);
+    });
+});
+
+describe('config.leaderboard', () => {
+    it('defaults to the module defaults and fails at startup when invalid', () => {
+        assert.deepEqual(createTestConfig().leaderboard, DEFAULT_LEADERBOARD_SETTINGS);
+        assert.deepEqual(createTestConfig({ LEADERBOARD_SIZE: '100', LEADERBOARD_TTL_MS: '0' }).leaderboard, { size: 100, ttlMs: 0 });
+        assert.throws(() => createTestConfig({ LEADERBOARD_SIZE: '0' }), ConfigError);
+        assert.throws(() => createTestConfig({ LEADERBOARD_TTL_MS: 'a minute' }), ConfigError);
+    });
+
+    it('serves a board no larger than the configured size', async () => {
+        const testApp = await startTestApp({ env: { LEADERBOARD_SIZE: '2' } });
+        try {
+            const users = testApp.db.collection('users');
+            await Promise.all([1, 2, 3].map(id => users.doc(String(id)).set({ firstName: `User ${id}`, tokens: id * 100, referralsMade: 0 })));
+            const { body } = await testApp.request('GET', '/api/leaderboard', { token: testApp.sessionFor('1') });
+            assert.deepEqual(body.entries.map(entry => entry.value), [300, 200]);
+            assert.equal(body.me.rank, 3);
+        } finally {
+            await testApp.close();
+        }
+    });
+});
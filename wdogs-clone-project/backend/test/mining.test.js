@@ -0,0 +1,170 @@
+// backend/test/mining.test.js
+// Farming and tap-to-earn on a controllable clock: the pure accrual functions, then the routes with
+// createApp's injected `now`
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_MINING_SETTINGS, TAP_REJECTIONS, computeEnergy, computeFarming, checkTapBatch } = require('../mining');
+const { startTestApp, signInitData, idempotencyKey } = require('./helpers');
+
+const settings = DEFAULT_MINING_SETTINGS; // energyMax 500, 1 energy/s, 15 taps/s, batches of up to 10 s
+const T0 = Date.UTC(2025, 0, 15, 12, 0, 0);
+const SECOND = 1000;
+
+describe('computeEnergy', () => {
+    it('starts new users with a full tank', () => {
+        assert.deepEqual(computeEnergy(null, T0, settings), { energy: 500, asOf: T0 });
+    });
+
+    it('regenerates energyRegenPerSecond per whole second', () => {
+        const mining = { energy: 100, energyUpdatedAt: T0 };
+        assert.equal(computeEnergy(mining, T0, settings).energy, 100);
+        assert.equal(computeEnergy(mining, T0 + 999, settings).energy, 100);
+        assert.equal(computeEnergy(mining, T0 + 30 * SECOND, settings).energy, 130);
+        assert.equal(computeEnergy(mining, T0 + 30 * SECOND, { ...settings, energyRegenPerSecond: 3 }).energy, 190);
+    });
+
+    it('keeps the partly refilled unit in asOf', () => {
+        const { energy, asOf } = computeEnergy({ energy: 100, energyUpdatedAt: T0 }, T0 + 2500, settings);
+        assert.equal(energy, 102);
+        assert.equal(asOf, T0 + 2000);
+        // Saving { energy, energyUpdatedAt: asOf } and reading later loses no refill time
+        assert.equal(computeEnergy({ energy, energyUpdatedAt: asOf }, T0 + 3000, settings).energy, 103);
+    });
+
+    it('caps at energyMax', () => {
+        assert.deepEqual(computeEnergy({ energy: 490, energyUpdatedAt: T0 }, T0 + 3600 * SECOND, settings), { energy: 500, asOf: T0 + 3600 * SECOND });
+        assert.equal(computeEnergy({ energy: 900, energyUpdatedAt: T0 }, T0, settings).energy, 500, 'stored energy above the max (the max was lowered)');
+    });
+
+    it('never drains when the clock goes backwards', () => {
+        assert.equal(computeEnergy({ energy: 100, energyUpdatedAt: T0 }, T0 - 60 * SECOND, settings).energy, 100);
+    });
+});
+
+describe('checkTapBatch', () => {
+    it('clamps accepted taps to the energy available', () => {
+        const mining = { energy: 20, energyUpdatedAt: T0, lastTapBatchAt: T0 - 10 * SECOND };
+        assert.deepEqual(checkTapBatch(mining, 50, T0, settings), { valid: true, accepted: 20, energy: 20, asOf: T0 });
+        assert.equal(checkTapBatch(mining, 10, T0, settings).accepted, 10);
+        assert.equal(checkTapBatch({ ...mining, energy: 0 }, 10, T0, settings).accepted, 0);
+    });
+
+    it('allows maxTapsPerSecond over the time since the previous batch', () => {
+        const mining = { energy: 500, energyUpdatedAt: T0, lastTapBatchAt: T0 };
+        assert.equal(checkTapBatch(mining, 30, T0 + 2 * SECOND, settings).valid, true);
+        assert.deepEqual(checkTapBatch(mining, 31, T0 + 2 * SECOND, settings), { valid: false, error: TAP_REJECTIONS.TAP_RATE_EXCEEDED, allowed: 30 });
+    });
+
+    it('rejects impossible rates, counting at most maxTapBatchSeconds since the previous batch', () => {
+        const mining = { energy: 500, energyUpdatedAt: T0, lastTapBatchAt: T0 - 3600 * SECOND };
+        assert.equal(checkTapBatch(mining, 150, T0, settings).valid, true);
+        // 151 > 15 taps/s * 10 s is outside any batch
+        assert.equal(checkTapBatch(mining, 151, T0, settings).error, TAP_REJECTIONS.INVALID_TAPS);
+        assert.equal(checkTapBatch({ ...mining, lastTapBatchAt: T0 }, 1, T0, settings).error, TAP_REJECTIONS.TAP_RATE_EXCEEDED);
+        assert.equal(checkTapBatch({ ...mining, lastTapBatchAt: T0 + 60 * SECOND }, 1, T0, settings).error, TAP_REJECTIONS.TAP_RATE_EXCEEDED, 'batch from the future');
+    });
+
+    it('rejects counts that are not a positive integer', () => {
+        for (const taps of [0, -5, 1.5, '10', null]) {
+            assert.equal(checkTapBatch(null, taps, T0, settings).error, TAP_REJECTIONS.INVALID_TAPS, `taps: ${taps}`);
+        }
+    });
+});
+
+describe('computeFarming', () => {
+    const mining = { farming: { startedAt: T0, endsAt: T0 + 8 * 3600 * SECOND, reward: 60 } };
+
+    it('accrues linearly up to the reward', () => {
+        assert.equal(computeFarming(null, T0), null);
+        assert.deepEqual(computeFarming(mining, T0), { ...mining.farming, accrued: 0, isFinished: false });
+        assert.equal(computeFarming(mining, T0 + 4 * 3600 * SECOND).accrued, 30);
+        assert.deepEqual(computeFarming(mining, T0 + 8 * 3600 * SECOND), { ...mining.farming, accrued: 60, isFinished: true });
+        assert.equal(computeFarming(mining, T0 + 48 * 3600 * SECOND).accrued, 60);
+    });
+});
+
+describe('/api/mining with an injected clock', () => {
+    let testApp;
+    let time = T0;
+    let nextUserId = 700000001;
+    const clock = () => time;
+
+    const signUp = async () => {
+        const user = { id: nextUserId++, first_name: 'Miner' };
+        const { status, body } = await testApp.request('POST', '/api/auth/validate', { body: { initData: signInitData({ user }) } });
+        assert.equal(status, 200);
+        return body.session.token;
+    };
+    const post = (path, token, body) => testApp.request('POST', `/api/mining${path}`, { token, body, headers: { 'Idempotency-Key': idempotencyKey() } });
+
+    before(async () => {
+        testApp = await startTestApp({ now: clock });
+    });
+
+    after(() => testApp.close());
+
+    it('pays a farming session only once it has ended, and only once', async () => {
+        const token = await signUp();
+        const durationMs = settings.farmingDurationSeconds * SECOND;
+
+        const started = await post('/farming/start', token);
+        assert.equal(started.status, 200);
+        assert.equal(started.body.mining.farming.endsAt, time + durationMs);
+        assert.equal((await post('/farming/start', token)).body.error, 'farming_active');
+
+        time += durationMs - SECOND;
+        const early = await post('/farming/claim', token);
+        assert.equal(early.status, 409);
+        assert.equal(early.body.error, 'farming_not_finished');
+        assert.equal((await testApp.request('GET', '/api/mining', { token })).body.mining.farming.accrued, settings.farmingReward - 1);
+
+        time += SECOND;
+        assert.equal((await post('/farming/start', token)).body.error, 'farming_unclaimed');
+        const claimed = await post('/farming/claim', token);
+        assert.equal(claimed.status, 200);
+        assert.equal(claimed.body.reward, settings.farmingReward);
+        assert.equal(claimed.body.tokens, settings.farmingReward);
+        assert.equal(claimed.body.mining.farming, null);
+
+        const again = await post('/farming/claim', token);
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error, 'farming_not_started');
+        assert.equal((await testApp.request('GET', '/api/me', { token })).body.user.tokens, settings.farmingReward);
+    });
+
+    it('clamps taps to the energy and refills it as the clock moves', async () => {
+        const token = await signUp();
+
+        // Full tank (500), then 10 energy back per 10 s batch: 500 - 150, 360 - 150, 220 - 150
+        for (let i = 0; i < 3; i++) {
+            time += 10 * SECOND;
+            assert.equal((await post('/taps', token, { taps: 150 })).body.accepted, 150);
+        }
+        // 70 left plus 10 regenerated
+        time += 10 * SECOND;
+        const clamped = await post('/taps', token, { taps: 150 });
+        assert.equal(clamped.status, 200);
+        assert.equal(clamped.body.accepted, 80);
+        assert.equal(clamped.body.rejected, 70);
+        assert.equal(clamped.body.mining.energy.current, 0);
+
+        time += 5 * SECOND;
+        assert.equal((await testApp.request('GET', '/api/mining', { token })).body.mining.energy.current, 5);
+        time += 3600 * SECOND;
+        assert.equal((await testApp.request('GET', '/api/mining', { token })).body.mining.energy.current, settings.energyMax);
+        assert.equal((await testApp.request('GET', '/api/me', { token })).body.user.tokens, 530 * settings.tapReward);
+    });
+
+    it('rejects batches faster than the tap rate allows', async () => {
+        const token = await signUp();
+        time += 10 * SECOND;
+        assert.equal((await post('/taps', token, { taps: 10 })).status, 200);
+
+        time += SECOND;
+        const tooFast = await post('/taps', token, { taps: 16 });
+        assert.equal(tooFast.status, 422);
+        assert.equal(tooFast.body.error, TAP_REJECTIONS.TAP_RATE_EXCEEDED);
+        assert.equal((await post('/taps', token, { taps: 15 })).status, 200);
+        assert.equal((await post('/taps', token, { taps: 0 })).body.error, TAP_REJECTIONS.INVALID_TAPS);
+    });
+});
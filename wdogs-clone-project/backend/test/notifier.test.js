@@ -0,0 +1,135 @@
+// backend/test/notifier.test.js
+// Notifier rate limits and 429 backoff, on a fake clock and timers with a stubbed Bot API
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier } = require('../notifier');
+const { BotApiError } = require('../botApi');
+const { createStubBotApi } = require('./helpers');
+
+// Clock and setTimer for createNotifier; advance(ms) moves time and runs the timers that came due
+function createFakeTimers() {
+    let time = 0;
+    let timers = [];
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+    return {
+        now: () => time,
+        setTimer: (callback, delayMs) => {
+            const timer = { at: time + delayMs, callback };
+            timers.push(timer);
+            return timer;
+        },
+        async advance(ms) {
+            const target = time + ms;
+            for (;;) {
+                const due = timers.filter(timer => timer.at <= target).sort((a, b) => a.at - b.at)[0];
+                if (!due) break;
+                timers = timers.filter(timer => timer !== due);
+                time = Math.max(time, due.at);
+                due.callback();
+                await settle();
+            }
+            time = target;
+            await settle();
+        },
+        settle,
+    };
+}
+
+function setup({ maxPerSecond = 25, perChatIntervalMs = 1000, respond } = {}) {
+    const timers = createFakeTimers();
+    const botApi = createStubBotApi(respond);
+    const blocked = [];
+    const notifier = createNotifier({
+        botApi,
+        maxPerSecond,
+        perChatIntervalMs,
+        onBlocked: (chatId) => blocked.push(chatId),
+        now: timers.now,
+        setTimer: timers.setTimer,
+    });
+    const sentTo = () => botApi.calls.map(call => call.params.chat_id);
+    return { timers, botApi, blocked, notifier, sentTo };
+}
+
+describe('createNotifier', () => {
+    it('sends at most maxPerSecond messages per second', async () => {
+        const { timers, notifier, sentTo } = setup({ maxPerSecond: 2 });
+        const results = ['1', '2', '3', '4', '5'].map(chatId => notifier.notify(chatId, 'hello'));
+        await timers.settle();
+        assert.deepEqual(sentTo(), ['1', '2']);
+
+        await timers.advance(999);
+        assert.deepEqual(sentTo(), ['1', '2']);
+        await timers.advance(1);
+        assert.deepEqual(sentTo(), ['1', '2', '3', '4']);
+        await timers.advance(1000);
+        assert.deepEqual(sentTo(), ['1', '2', '3', '4', '5']);
+
+        assert.deepEqual(await Promise.all(results), Array(5).fill({ sent: true }));
+        assert.equal(notifier.pending(), 0);
+    });
+
+    it('spaces messages to the same chat by perChatIntervalMs, without holding up other chats', async () => {
+        const { timers, notifier, sentTo } = setup({ perChatIntervalMs: 1000 });
+        notifier.notify('1', 'first');
+        notifier.notify('1', 'second');
+        notifier.notify('2', 'other chat');
+        await timers.settle();
+        assert.deepEqual(sentTo(), ['1', '2']);
+
+        await timers.advance(999);
+        assert.deepEqual(sentTo(), ['1', '2']);
+        await timers.advance(1);
+        assert.deepEqual(sentTo(), ['1', '2', '1']);
+    });
+
+    it('pauses the whole queue for retry_after on a 429, then retries the message', async () => {
+        let rateLimited = true;
+        const { timers, notifier, botApi, sentTo } = setup({
+            respond: (method, params) => {
+                if (rateLimited && params.chat_id === '1') {
+                    rateLimited = false;
+                    throw new BotApiError(method, { error_code: 429, description: 'Too Many Requests: retry after 3', parameters: { retry_after: 3 } });
+                }
+                return true;
+            },
+        });
+        const first = notifier.notify('1', 'hello');
+        notifier.notify('2', 'hello');
+        await timers.settle();
+        assert.deepEqual(sentTo(), ['1'], 'only the rate-limited attempt');
+
+        await timers.advance(2999);
+        assert.equal(botApi.calls.length, 1);
+        await timers.advance(1);
+        assert.deepEqual(sentTo(), ['1', '1', '2']);
+        assert.deepEqual(await first, { sent: true });
+    });
+
+    it('reports chats that refuse messages and moves on', async () => {
+        const { timers, notifier, blocked } = setup({
+            respond: (method, params) => {
+                if (params.chat_id === '1') throw new BotApiError(method, { error_code: 403, description: 'Forbidden: bot was blocked by the user' });
+                return true;
+            },
+        });
+        const results = await Promise.all([notifier.notify('1', 'hello'), notifier.notify('2', 'hello')]);
+        await timers.settle();
+
+        assert.deepEqual(results, [{ sent: false, error: 'blocked' }, { sent: true }]);
+        assert.deepEqual(blocked, ['1']);
+    });
+
+    it('resolves idle() once the queue has drained', async () => {
+        const { timers, notifier } = setup({ maxPerSecond: 1 });
+        notifier.notify('1', 'a');
+        notifier.notify('2', 'b');
+        let idle = false;
+        notifier.idle().then(() => { idle = true; });
+        await timers.settle();
+        assert.equal(idle, false);
+
+        await timers.advance(1000);
+        assert.equal(idle, true);
+    });
+});
@@ -0,0 +1,146 @@
+// backend/test/onboarding.test.js
+// Account age estimation at the id-to-date table's boundaries, the reward formula, and the one-time claim
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_ACCOUNT_AGE_TABLE, estimateAccountCreationDate, estimateAccountYears, computeOnboardingReward } = require('../onboarding');
+const { ConfigError } = require('../config');
+const { LEDGER_REASONS } = require('../ledger');
+const { startTestApp, createTestConfig, signInitData, idempotencyKey } = require('./helpers');
+
+const NOW = Date.UTC(2030, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SETTINGS = { baseReward: 100, rewardPerYear: 250, premiumBonus: 500 };
+const TABLE = [
+    [1000, '2020-01-01'],
+    [2000, '2021-01-01'],
+    [4000, '2021-01-01'], // Flat segment
+    [5000, '2022-01-01'],
+];
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+describe('estimateAccountCreationDate', () => {
+    it('returns the exact date for an id on a table point', () => {
+        for (const [id, date] of DEFAULT_ACCOUNT_AGE_TABLE) {
+            assert.equal(estimateAccountCreationDate(id, DEFAULT_ACCOUNT_AGE_TABLE, NOW).toISOString(), new Date(date).toISOString(), `id ${id}`);
+        }
+    });
+
+    it('returns the first date for ids at or below the first point', () => {
+        assert.equal(isoDate(estimateAccountCreationDate(1000, TABLE, NOW)), '2020-01-01');
+        assert.equal(isoDate(estimateAccountCreationDate(999, TABLE, NOW)), '2020-01-01');
+        assert.equal(isoDate(estimateAccountCreationDate(0, TABLE, NOW)), '2020-01-01');
+    });
+
+    it('interpolates linearly between points', () => {
+        // Halfway through 2020 (a leap year: 366 days)
+        assert.equal(estimateAccountCreationDate(1500, TABLE, NOW).getTime(), Date.UTC(2020, 0, 1) + 183 * DAY_MS);
+        assert.equal(isoDate(estimateAccountCreationDate(1001, TABLE, NOW)), '2020-01-01');
+        assert.equal(isoDate(estimateAccountCreationDate(3000, TABLE, NOW)), '2021-01-01', 'flat segment');
+        assert.equal(isoDate(estimateAccountCreationDate(4001, TABLE, NOW)), '2021-01-01');
+    });
+
+    it('extrapolates past the last point along the last segment', () => {
+        // The last segment is 1000 ids per 365 days
+        assert.equal(estimateAccountCreationDate(5001, TABLE, NOW).getTime(), Date.UTC(2022, 0, 1) + Math.round(365 * DAY_MS / 1000));
+        assert.equal(isoDate(estimateAccountCreationDate(6000, TABLE, NOW)), '2023-01-01');
+    });
+
+    it('never returns a date after now', () => {
+        const now = Date.UTC(2022, 6, 1);
+        assert.equal(estimateAccountCreationDate(6000, TABLE, now).getTime(), now);
+        assert.equal(estimateAccountCreationDate(5000, TABLE, Date.UTC(2021, 6, 1)).getTime(), Date.UTC(2021, 6, 1));
+        assert.equal(estimateAccountYears(6000, TABLE, now), 0);
+    });
+});
+
+describe('computeOnboardingReward', () => {
+    it('pays baseReward plus rewardPerYear per whole year', () => {
+        // Created 2020-01-01, so 9 whole years by 2029-12-31 and 10 on 2030-01-02
+        assert.equal(estimateAccountYears(1000, TABLE, NOW - DAY_MS), 9);
+        assert.equal(estimateAccountYears(1000, TABLE, NOW + DAY_MS), 10);
+
+        const reward = computeOnboardingReward({ userId: 1000, isPremium: false }, { table: TABLE, settings: SETTINGS, now: NOW + DAY_MS });
+        assert.deepEqual(reward, {
+            estimatedCreatedAt: '2020-01-01T00:00:00.000Z',
+            accountYears: 10,
+            isPremium: false,
+            ageReward: 100 + 10 * 250,
+            premiumBonus: 0,
+            reward: 2600,
+        });
+    });
+
+    it('adds the premium bonus for premium users', () => {
+        const reward = computeOnboardingReward({ userId: 5000, isPremium: true }, { table: TABLE, settings: SETTINGS, now: Date.UTC(2022, 0, 2) });
+        assert.equal(reward.accountYears, 0);
+        assert.equal(reward.isPremium, true);
+        assert.equal(reward.premiumBonus, 500);
+        assert.equal(reward.reward, 100 + 500);
+    });
+});
+
+describe('config.onboarding.accountAgeTable', () => {
+    it('replaces the table from ACCOUNT_AGE_TABLE', () => {
+        const config = createTestConfig({ ACCOUNT_AGE_TABLE: JSON.stringify(TABLE) });
+        assert.deepEqual(config.onboarding.accountAgeTable, TABLE);
+    });
+
+    it('fails at startup on a table that is out of order', () => {
+        assert.throws(() => createTestConfig({ ACCOUNT_AGE_TABLE: '[[2000,"2021-01-01"],[1000,"2020-01-01"]]' }), (error) => error instanceof ConfigError
+            && /onboarding\.accountAgeTable \(ACCOUNT_AGE_TABLE\): point 1: ids must be ascending/.test(error.message));
+    });
+});
+
+describe('POST /api/onboarding/claim', () => {
+    let testApp;
+
+    before(async () => {
+        testApp = await startTestApp({
+            env: { ACCOUNT_AGE_TABLE: JSON.stringify(TABLE), ONBOARDING_BASE_REWARD: '100', ONBOARDING_REWARD_PER_YEAR: '250', ONBOARDING_PREMIUM_BONUS: '500' },
+            now: () => Date.UTC(2024, 0, 2),
+        });
+    });
+
+    after(() => testApp.close());
+
+    const signUp = async (user) => {
+        const { status, body } = await testApp.request('POST', '/api/auth/validate', { body: { initData: signInitData({ user }) } });
+        assert.equal(status, 200);
+        return body.session.token;
+    };
+    const claim = (token, key = idempotencyKey()) => testApp.request('POST', '/api/onboarding/claim', { token, headers: { 'Idempotency-Key': key } });
+    const ledgerOf = async (userId) => (await testApp.db.collection('users').doc(String(userId)).collection('ledger').get()).docs.map(doc => doc.data());
+
+    it('grants the reward once, through the ledger', async () => {
+        const token = await signUp({ id: 1000, first_name: 'Early' });
+        const preview = await testApp.request('GET', '/api/onboarding', { token });
+        assert.equal(preview.body.claimed, false);
+        // 2020-01-01 to 2024-01-02: 4 whole years
+        assert.equal(preview.body.onboarding.reward, 100 + 4 * 250);
+
+        const first = await claim(token);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.reward, 1100);
+        assert.equal(first.body.tokens, 1100);
+
+        const second = await claim(token);
+        assert.equal(second.status, 409);
+        assert.equal(second.body.error, 'onboarding_claimed');
+
+        const entries = (await ledgerOf(1000)).filter(entry => entry.reason === LEDGER_REASONS.ONBOARDING);
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].amount, 1100);
+        const me = await testApp.request('GET', '/api/me', { token });
+        assert.equal(me.body.user.tokens, 1100);
+        assert.equal((await testApp.request('GET', '/api/onboarding', { token })).body.claimed, true);
+    });
+
+    it('adds the premium bonus from the signed initData', async () => {
+        const token = await signUp({ id: 5000, first_name: 'Premium', is_premium: true });
+        const { status, body } = await claim(token);
+        assert.equal(status, 200);
+        assert.equal(body.onboarding.isPremium, true);
+        assert.equal(body.reward, 100 + 2 * 250 + 500);
+    });
+});
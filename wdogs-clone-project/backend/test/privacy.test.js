@@ -0,0 +1,111 @@
+// backend/test/privacy.test.js
+// Account deletion (the tombstone, the written-off balance, the sessions refused afterwards) and pruning of expiring records
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LEDGER_REASONS } = require('../ledger');
+const { pruneExpiredData } = require('../privacy');
+const { createDataStore } = require('../datastore');
+const { createRepositories } = require('../repositories');
+const { startTestApp, signInitData, idempotencyKey } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('DELETE /api/me', () => {
+    let testApp;
+    let authDate = Math.floor(Date.now() / 1000) - 100;
+
+    before(async () => {
+        testApp = await startTestApp({ env: { SIGNUP_BONUS: '100' } });
+    });
+
+    after(() => testApp.close());
+
+    const validate = (user) => testApp.request('POST', '/api/auth/validate', { body: { initData: signInitData({ user, authDate: authDate++ }) } });
+    const userRef = (userId) => testApp.db.collection('users').doc(String(userId));
+    const ledgerOf = async (userId) => (await userRef(userId).collection('ledger').get()).docs.map(doc => doc.data());
+
+    it('tombstones the account, writes the balance off and refuses its session', async () => {
+        const user = { id: 400000001, first_name: 'Leaving', last_name: 'User', username: 'leaving', language_code: 'en' };
+        const { body } = await validate(user);
+        const token = body.session.token;
+        assert.equal(body.user.tokens, 100);
+
+        const deletion = await testApp.request('DELETE', '/api/me', { token, headers: { 'Idempotency-Key': idempotencyKey() } });
+        assert.equal(deletion.status, 200);
+        assert.equal(deletion.body.deleted, true);
+
+        // Kept as a tombstone: the ledger still adds up to the (now zero) balance
+        const tombstone = (await userRef(user.id).get()).data();
+        assert.ok(tombstone.deletedAt);
+        assert.equal(tombstone.firstName, null);
+        assert.equal(tombstone.username, null);
+        assert.equal(tombstone.referralCode, null);
+        assert.equal(tombstone.tokens, 0);
+        const ledger = await ledgerOf(user.id);
+        assert.deepEqual(ledger.filter(entry => entry.reason === LEDGER_REASONS.ACCOUNT_DELETED).map(entry => entry.amount), [-100]);
+        assert.equal(ledger.reduce((sum, entry) => sum + entry.amount, 0), 0);
+
+        // The session still has time left, but the account is gone
+        const me = await testApp.request('GET', '/api/me', { token });
+        assert.equal(me.status, 401);
+        assert.equal(me.body.error, 'account_deleted');
+        const refresh = await testApp.request('POST', '/api/auth/refresh', { token });
+        assert.equal(refresh.status, 401);
+        assert.equal(refresh.body.error, 'account_deleted');
+        const claim = await testApp.request('POST', '/api/onboarding/claim', { token, headers: { 'Idempotency-Key': idempotencyKey() } });
+        assert.equal(claim.status, 401);
+        assert.equal((await userRef(user.id).get()).data().onboarding, null);
+    });
+
+    it('starts a fresh profile on the tombstone at the next login', async () => {
+        const user = { id: 400000002, first_name: 'Returning', username: 'returning', language_code: 'en' };
+        const first = await validate(user);
+        await testApp.request('DELETE', '/api/me', { token: first.body.session.token, headers: { 'Idempotency-Key': idempotencyKey() } });
+
+        const { status, body } = await validate(user);
+        assert.equal(status, 200);
+        assert.equal(body.user.deletedAt, null);
+        assert.equal(body.user.tokens, 0);
+        assert.match(body.user.referralCode, /^[A-Za-z0-9_-]{8}$/);
+        assert.equal((await testApp.request('GET', '/api/me', { token: body.session.token })).status, 200);
+    });
+});
+
+describe('pruneExpiredData', () => {
+    const NOW = Date.UTC(2030, 0, 1);
+    const retention = { loginSignalRetentionDays: 90, auditLogRetentionDays: 365 };
+    let db;
+    let admin;
+    let repos;
+
+    before(async () => {
+        ({ db, admin } = createDataStore({ store: 'memory' }));
+        repos = createRepositories({ db, admin });
+        const at = (ms) => admin.firestore.Timestamp.fromMillis(ms);
+        await Promise.all([
+            db.collection('idempotencyKeys').doc('old').set({ expiresAt: NOW - 1 }),
+            db.collection('idempotencyKeys').doc('live').set({ expiresAt: NOW + DAY_MS }),
+            db.collection('pendingReferralCodes').doc('1').set({ code: 'Abcdefgh', expiresAt: NOW }),
+            db.collection('adminAuditLog').doc('old').set({ createdAt: at(NOW - 366 * DAY_MS) }),
+            db.collection('adminAuditLog').doc('recent').set({ createdAt: at(NOW - 364 * DAY_MS) }),
+            db.collection('users').doc('1').set({ tokens: 0 }),
+            db.collection('users').doc('1').collection('loginSignals').doc('old').set({ createdAt: at(NOW - 91 * DAY_MS) }),
+            db.collection('users').doc('1').collection('loginSignals').doc('recent').set({ createdAt: at(NOW - 89 * DAY_MS) }),
+        ]);
+    });
+
+    it('only counts with dryRun', async () => {
+        const counts = await pruneExpiredData(db, admin, repos, { retention, now: NOW, dryRun: true });
+        assert.deepEqual(counts, { idempotencyKeys: 1, walletProofPayloads: 0, pendingReferralCodes: 1, adminAuditLog: 1, loginSignals: 1 });
+        assert.equal((await db.collection('idempotencyKeys').doc('old').get()).exists, true);
+    });
+
+    it('deletes what is past its expiry or retention period and keeps the rest', async () => {
+        const deleted = await pruneExpiredData(db, admin, repos, { retention, now: NOW });
+        assert.deepEqual(deleted, { idempotencyKeys: 1, walletProofPayloads: 0, pendingReferralCodes: 1, adminAuditLog: 1, loginSignals: 1 });
+        assert.deepEqual((await db.collection('idempotencyKeys').get()).docs.map(doc => doc.id), ['live']);
+        assert.deepEqual((await db.collection('adminAuditLog').get()).docs.map(doc => doc.id), ['recent']);
+        assert.deepEqual((await db.collection('users').doc('1').collection('loginSignals').get()).docs.map(doc => doc.id), ['recent']);
+        assert.equal((await db.collection('users').doc('1').get()).exists, true);
+    });
+});
@@ -0,0 +1,82 @@
+// backend/test/rateLimit.test.js
+// Fixed-window limits per IP and per user: 429 with Retry-After over the limit, a fresh window afterwards
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRateLimitStore, createRateLimiter } = require('../rateLimit');
+const { startTestApp, signInitData } = require('./helpers');
+
+describe('createRateLimiter', () => {
+    // Runs the middleware once; resolves to the 429 response, or null if the request was let through
+    const run = (limiter, req) => new Promise((resolve) => {
+        const res = {
+            headers: {},
+            set(name, value) { this.headers[name] = value; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { resolve({ status: this.statusCode, headers: this.headers, body }); },
+        };
+        limiter(req, res, () => resolve(null));
+    });
+
+    it('counts per window and starts over once it has passed', async () => {
+        let time = 0;
+        const store = createMemoryRateLimitStore({ now: () => time });
+        const limiter = createRateLimiter({ store, group: 'claims', by: 'user', limit: 2, windowSeconds: 60 });
+        const req = { userId: '1', method: 'POST', originalUrl: '/api/tasks/x/claim' };
+
+        assert.equal(await run(limiter, req), null);
+        time = 10000;
+        assert.equal(await run(limiter, req), null);
+        const limited = await run(limiter, req);
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers['Retry-After'], '50');
+        assert.deepEqual({ error: limited.body.error, retryAfter: limited.body.retryAfter }, { error: 'rate_limited', retryAfter: 50 });
+        // Other users have their own bucket
+        assert.equal(await run(limiter, { ...req, userId: '2' }), null);
+
+        time = 60000;
+        assert.equal(await run(limiter, req), null);
+    });
+
+    it('lets everything through with a limit of 0', async () => {
+        const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), group: 'api', by: 'ip', limit: 0 });
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await run(limiter, { ip: '127.0.0.1' }), null);
+        }
+    });
+});
+
+describe('rate limits in the app', () => {
+    let testApp;
+
+    before(async () => {
+        testApp = await startTestApp({ env: { RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_AUTH_PER_IP: '2', RATE_LIMIT_API_PER_USER: '3' } });
+        await testApp.db.collection('users').doc('1').set({ firstName: 'Busy', tokens: 0 });
+        await testApp.db.collection('users').doc('2').set({ firstName: 'Calm', tokens: 0 });
+    });
+
+    after(() => testApp.close());
+
+    // fetch directly: the 429 headers are part of what is checked
+    const get = (path, token) => fetch(`${testApp.baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+    it('limits each signed-in user separately', async () => {
+        const busy = testApp.sessionFor('1');
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await get('/api/me', busy)).status, 200);
+        }
+        const limited = await get('/api/me', busy);
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        assert.equal((await limited.json()).error, 'rate_limited');
+        assert.equal((await get('/api/me', testApp.sessionFor('2'))).status, 200);
+    });
+
+    it('limits /api/auth per IP, before initData is checked', async () => {
+        const statuses = [];
+        for (let authDate = Math.floor(Date.now() / 1000) - 10; statuses.length < 3; authDate++) {
+            const initData = signInitData({ user: { id: 600000001, first_name: 'Hammer' }, authDate });
+            statuses.push((await testApp.request('POST', '/api/auth/validate', { body: { initData } })).status);
+        }
+        assert.deepEqual(statuses, [200, 200, 429]);
+    });
+});
@@ -0,0 +1,151 @@
+// backend/test/referrals.test.js
+// Signup bonuses and referral capture at signup, checked against the ledger, and which referrals are refused
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LEDGER_REASONS } = require('../ledger');
+const { startTestApp, signInitData } = require('./helpers');
+
+describe('signup and referral bonuses', () => {
+    let testApp;
+
+    before(async () => {
+        testApp = await startTestApp({ env: { SIGNUP_BONUS: '10', REFERRAL_BONUS_REFERRER: '100', REFERRAL_BONUS_REFERRED: '50' } });
+    });
+
+    after(() => testApp.close());
+
+    const signUp = async (user, startParam) => {
+        const { status, body } = await testApp.request('POST', '/api/auth/validate', {
+            body: { initData: signInitData({ user, ...(startParam ? { start_param: startParam } : {}) }) },
+        });
+        assert.equal(status, 200);
+        return body;
+    };
+    const userRef = (userId) => testApp.db.collection('users').doc(String(userId));
+    const ledgerOf = async (userId) => (await userRef(userId).collection('ledger').get()).docs.map(doc => doc.data());
+
+    // The stored balance must be exactly what the ledger adds up to
+    const assertBalanceMatchesLedger = async (userId) => {
+        const ledgerTotal = (await ledgerOf(userId)).reduce((sum, entry) => sum + entry.amount, 0);
+        assert.equal((await userRef(userId).get()).data().tokens, ledgerTotal, `stored balance of ${userId}`);
+        return ledgerTotal;
+    };
+    const amountsFor = async (userId, reason) => (await ledgerOf(userId)).filter(entry => entry.reason === reason).map(entry => entry.amount);
+
+    it('pays the signup bonus once', async () => {
+        const body = await signUp({ id: 200000001, first_name: 'Solo', username: 'solo', language_code: 'en' });
+        assert.equal(body.user.tokens, 10);
+        assert.equal(await assertBalanceMatchesLedger(200000001), 10);
+        assert.deepEqual(await amountsFor(200000001, LEDGER_REASONS.SIGNUP), [10]);
+    });
+
+    it('pays both referral bonuses once', async () => {
+        const referrer = await signUp({ id: 200000002, first_name: 'Referrer', username: 'referrer', language_code: 'en' });
+        const referred = await signUp({ id: 200000003, first_name: 'Friend', username: 'friend', language_code: 'en' }, referrer.user.referralCode);
+        assert.deepEqual(referred.referral, { applied: true, reason: null });
+        assert.equal(referred.user.tokens, 10 + 50);
+        assert.equal(await assertBalanceMatchesLedger(200000003), 10 + 50);
+        assert.deepEqual(await amountsFor(200000003, LEDGER_REASONS.REFERRAL), [50]);
+        // The referrer may also get an achievement reward for the first referral
+        await assertBalanceMatchesLedger(200000002);
+        assert.deepEqual(await amountsFor(200000002, LEDGER_REASONS.REFERRAL), [100]);
+        assert.equal((await userRef(200000003).get()).data().referralStatus, 'credited');
+    });
+});
+
+describe('referral capture', () => {
+    const ADMIN_SECRET = 'test-admin-secret-0123456789';
+    let testApp;
+    let nextUserId = 300000001;
+    let authDate = Math.floor(Date.now() / 1000) - 100;
+
+    before(async () => {
+        // New accounts without a username reach the high threshold, so their referrals are held
+        testApp = await startTestApp({
+            env: { SIGNUP_BONUS: '0', REFERRAL_BONUS_REFERRER: '100', REFERRAL_BONUS_REFERRED: '50', ADMIN_SECRET, RISK_RULES: JSON.stringify({ thresholds: { medium: 20, high: 35 } }) },
+        });
+    });
+
+    after(() => testApp.close());
+
+    // Each call signs fresh initData (the backend accepts each one once)
+    const validate = (user, startParam) => testApp.request('POST', '/api/auth/validate', {
+        body: { initData: signInitData({ user, authDate: authDate++, ...(startParam ? { start_param: startParam } : {}) }) },
+    });
+    const newUser = (name) => ({ id: nextUserId++, first_name: name, username: name.toLowerCase(), language_code: 'en' });
+    const signUpReferrer = async () => {
+        const { body } = await validate(newUser('Referrer'));
+        return { userId: String(body.user.userId), code: body.user.referralCode };
+    };
+    const userData = async (userId) => (await testApp.db.collection('users').doc(String(userId)).get()).data();
+    const referralEntries = async (userId) => (await testApp.db.collection('users').doc(String(userId)).collection('ledger').get()).docs
+        .map(doc => doc.data())
+        .filter(entry => entry.reason === LEDGER_REASONS.REFERRAL);
+
+    it('credits a valid code to both users', async () => {
+        const referrer = await signUpReferrer();
+        const { status, body } = await validate(newUser('Friend'), referrer.code);
+        assert.equal(status, 200);
+        assert.deepEqual(body.referral, { applied: true, reason: null });
+        assert.equal(body.user.referredBy, referrer.userId);
+        assert.equal((await userData(referrer.userId)).referralsMade, 1);
+        assert.deepEqual((await referralEntries(referrer.userId)).map(entry => entry.amount), [100]);
+        assert.deepEqual((await referralEntries(body.user.userId)).map(entry => entry.amount), [50]);
+    });
+
+    it('ignores an unknown code', async () => {
+        const { body } = await validate(newUser('Lost'), 'Unknown1');
+        assert.deepEqual(body.referral, { applied: false, reason: 'unknown_code' });
+        assert.equal(body.user.referredBy, null);
+        assert.equal(body.user.tokens, 0);
+        assert.equal((await testApp.db.collection('referrals').doc(String(body.user.userId)).get()).exists, false);
+    });
+
+    it('ignores a code for a user who already has an account, including their own code', async () => {
+        const referrer = await signUpReferrer();
+        const existing = newUser('Existing');
+        await validate(existing);
+
+        const { body } = await validate(existing, referrer.code);
+        assert.deepEqual(body.referral, { applied: false, reason: 'existing_user' });
+        const own = await validate({ id: Number(referrer.userId), first_name: 'Referrer' }, referrer.code);
+        assert.deepEqual(own.body.referral, { applied: false, reason: 'existing_user' });
+        assert.equal((await userData(referrer.userId)).referralsMade, 0);
+        assert.deepEqual(await referralEntries(referrer.userId), []);
+    });
+
+    it('refuses a banned referrer', async () => {
+        const referrer = await signUpReferrer();
+        await testApp.db.collection('users').doc(referrer.userId).update({ banned: true });
+
+        const { body } = await validate(newUser('Farmed'), referrer.code);
+        assert.deepEqual(body.referral, { applied: false, reason: 'referrer_banned' });
+        assert.equal(body.user.referredBy, null);
+        assert.equal(body.user.tokens, 0);
+        assert.equal((await userData(referrer.userId)).referralsMade, 0);
+        assert.deepEqual(await referralEntries(referrer.userId), []);
+    });
+
+    it('refuses a deleted referrer', async () => {
+        const referrer = await signUpReferrer();
+        await testApp.db.collection('users').doc(referrer.userId).update({ deletedAt: new Date() });
+
+        const { body } = await validate(newUser('Orphan'), referrer.code);
+        assert.deepEqual(body.referral, { applied: false, reason: 'referrer_deleted' });
+        assert.deepEqual(await referralEntries(referrer.userId), []);
+    });
+
+    it('refuses to approve a held referral once the referrer is banned', async () => {
+        const referrer = await signUpReferrer();
+        // No username and a recent id: held for review
+        const { body } = await validate({ id: 7400000002, first_name: 'Risky', language_code: 'en' }, referrer.code);
+        assert.deepEqual(body.referral, { applied: false, reason: 'pending_review' });
+        await testApp.db.collection('users').doc(referrer.userId).update({ banned: true });
+
+        const approve = await testApp.request('POST', '/api/admin/referrals/7400000002/approve', { body: {}, headers: { 'x-admin-secret': ADMIN_SECRET } });
+        assert.equal(approve.status, 409);
+        assert.equal(approve.body.error, 'referrer_banned');
+        assert.deepEqual(await referralEntries(referrer.userId), []);
+        assert.deepEqual(await referralEntries(7400000002), []);
+    });
+});
@@ -0,0 +1,137 @@
+// backend/test/risk.test.js
+// Risk scoring on synthetic users: one case per rule, the level thresholds and the referral hold
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RISK_RULES, RISK_LEVELS, parseRiskRules, collectLoginSignals, nextReferralBurst, computeRiskScore, shouldHoldReferral } = require('../risk');
+const { startTestApp, signInitData } = require('./helpers');
+
+// An established account that no rule objects to: old id, username, language set, not premium
+const baseline = { telegramId: 100000000, hasUsername: true, isPremium: false, languageCode: 'en' };
+const score = (signals, rules = DEFAULT_RISK_RULES) => computeRiskScore({ ...baseline, ...signals }, rules);
+
+describe('computeRiskScore', () => {
+    it('scores a baseline user 0, low risk', () => {
+        assert.deepEqual(score({}), { score: 0, level: RISK_LEVELS.LOW, reasons: [] });
+    });
+
+    it('weighs recent account id ranges', () => {
+        assert.deepEqual(score({ telegramId: 5999999999 }).reasons, []);
+        assert.deepEqual(score({ telegramId: 6000000000 }), { score: 10, level: RISK_LEVELS.LOW, reasons: ['new_account'] });
+        assert.deepEqual(score({ telegramId: 7000000000 }), { score: 20, level: RISK_LEVELS.LOW, reasons: ['very_new_account'] });
+        assert.deepEqual(score({ telegramId: 9000000000 }).reasons, ['very_new_account']);
+    });
+
+    it('weighs a missing username', () => {
+        assert.deepEqual(score({ hasUsername: false }), { score: 15, level: RISK_LEVELS.LOW, reasons: ['missing_username'] });
+    });
+
+    it('takes weight off for premium, but never below 0', () => {
+        assert.deepEqual(score({ isPremium: true }), { score: 0, level: RISK_LEVELS.LOW, reasons: ['premium'] });
+        assert.deepEqual(score({ telegramId: 7100000000, hasUsername: false, isPremium: true }).score, 20 + 15 - 30);
+    });
+
+    it('weighs a missing language, or a listed one', () => {
+        assert.deepEqual(score({ languageCode: null }), { score: 10, level: RISK_LEVELS.LOW, reasons: ['missing_language'] });
+        const rules = { ...DEFAULT_RISK_RULES, languageWeights: { xx: 25 } };
+        assert.deepEqual(score({ languageCode: 'xx' }, rules), { score: 25, level: RISK_LEVELS.LOW, reasons: ['language_xx'] });
+        assert.deepEqual(score({ languageCode: 'en' }, rules).reasons, []);
+    });
+
+    it('weighs referral bursts above the threshold', () => {
+        assert.deepEqual(score({ referralBurstCount: 10 }).reasons, []);
+        assert.deepEqual(score({ referralBurstCount: 11 }), { score: 30, level: RISK_LEVELS.MEDIUM, reasons: ['referral_burst'] });
+    });
+
+    it('weighs each other account that used the same wallet', () => {
+        assert.deepEqual(score({ walletSharedWith: 1 }), { score: 40, level: RISK_LEVELS.MEDIUM, reasons: ['wallet_reuse'] });
+        assert.deepEqual(score({ walletSharedWith: 2 }), { score: 80, level: RISK_LEVELS.HIGH, reasons: ['wallet_reuse'] });
+        assert.equal(score({ walletSharedWith: 5 }).score, 100, 'capped at 100');
+    });
+
+    it('maps scores to levels at the thresholds', () => {
+        // 20 + 10 = 30 (medium threshold), 20 + 15 + 10 + 30 = 75
+        assert.equal(score({ telegramId: 7000000000, languageCode: null }).level, RISK_LEVELS.MEDIUM);
+        assert.equal(score({ telegramId: 7000000000 }).level, RISK_LEVELS.LOW);
+        const rules = { ...DEFAULT_RISK_RULES, thresholds: { medium: 30, high: 35 } };
+        assert.equal(score({ telegramId: 7000000000, hasUsername: false }, rules).level, RISK_LEVELS.HIGH);
+        assert.equal(score({ telegramId: 7000000000, hasUsername: false, languageCode: null, referralBurstCount: 11 }).score, 75);
+    });
+});
+
+describe('shouldHoldReferral', () => {
+    it('holds only high-risk referrals, i.e. from the high threshold up', () => {
+        // 20 + 15 + 10 = 45 (medium); adding a burst makes 75 (high)
+        const farmLike = { telegramId: 7400000000, hasUsername: false, languageCode: null };
+        assert.equal(shouldHoldReferral(score(farmLike)), false);
+        assert.equal(shouldHoldReferral(score({ ...farmLike, referralBurstCount: 12 })), true);
+
+        const atThreshold = score({ walletSharedWith: 1, telegramId: 7000000000 });
+        assert.equal(atThreshold.score, DEFAULT_RISK_RULES.thresholds.high);
+        assert.equal(shouldHoldReferral(atThreshold), true);
+        assert.equal(shouldHoldReferral(score({ walletSharedWith: 1, telegramId: 6000000000 })), false);
+    });
+});
+
+describe('collectLoginSignals / nextReferralBurst', () => {
+    it('reads the signals from the initData user', () => {
+        assert.deepEqual(collectLoginSignals({ id: '7400000000', username: 'x', is_premium: true, language_code: 'de' }), { telegramId: 7400000000, hasUsername: true, isPremium: true, languageCode: 'de' });
+        assert.deepEqual(collectLoginSignals({ id: 1 }), { telegramId: 1, hasUsername: false, isPremium: false, languageCode: null });
+    });
+
+    it('counts referrals within the window and restarts after it', () => {
+        const t0 = 1700000000000;
+        const first = nextReferralBurst(null, t0);
+        assert.deepEqual(first, { windowStart: t0, count: 1 });
+        assert.deepEqual(nextReferralBurst(first, t0 + 3599 * 1000), { windowStart: t0, count: 2 });
+        assert.deepEqual(nextReferralBurst(first, t0 + 3600 * 1000), { windowStart: t0 + 3600 * 1000, count: 1 });
+    });
+});
+
+describe('parseRiskRules', () => {
+    it('merges overrides over the defaults', () => {
+        const { value, errors } = parseRiskRules({ thresholds: { high: 50 }, languageWeights: { xx: 5 } });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value.thresholds, { medium: 30, high: 50 });
+        assert.deepEqual(value.languageWeights, { xx: 5 });
+        assert.deepEqual(value.referralBurst, DEFAULT_RISK_RULES.referralBurst);
+    });
+
+    it('reports unusable rules', () => {
+        assert.deepEqual(parseRiskRules([]).errors, ['must be a JSON object']);
+        assert.deepEqual(parseRiskRules({ thresholds: { medium: 70 } }).errors, ['thresholds must be { medium, high } numbers with medium <= high']);
+        assert.deepEqual(parseRiskRules({ premiumWeight: '-30' }).errors, ['premiumWeight must be a number']);
+    });
+});
+
+describe('referral hold at signup', () => {
+    let testApp;
+
+    before(async () => {
+        // New accounts without a username reach the high threshold
+        testApp = await startTestApp({ env: { RISK_RULES: JSON.stringify({ thresholds: { medium: 20, high: 35 } }) } });
+    });
+
+    after(() => testApp.close());
+
+    const signUp = async (user, startParam) => {
+        const { status, body } = await testApp.request('POST', '/api/auth/validate', {
+            body: { initData: signInitData({ user, ...(startParam ? { start_param: startParam } : {}) }) },
+        });
+        assert.equal(status, 200);
+        return body;
+    };
+
+    it('holds the referral of a high-risk user and credits a low-risk one', async () => {
+        const referrer = await signUp({ id: 100000001, first_name: 'Referrer', username: 'referrer', language_code: 'en' });
+        const code = referrer.user.referralCode;
+
+        const risky = await signUp({ id: 7400000001, first_name: 'Risky', language_code: 'en' }, code);
+        assert.deepEqual(risky.referral, { applied: false, reason: 'pending_review' });
+        assert.equal(risky.user.tokens, 0);
+        assert.equal((await testApp.db.collection('referrals').doc('7400000001').get()).data().status, 'pending');
+
+        const fine = await signUp({ id: 100000002, first_name: 'Fine', username: 'fine', language_code: 'en' }, code);
+        assert.deepEqual(fine.referral, { applied: true, reason: null });
+        assert.equal((await testApp.db.collection('referrals').doc('100000002').get()).data().status, 'credited');
+    });
+});
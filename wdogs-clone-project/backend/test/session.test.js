@@ -0,0 +1,88 @@
+// backend/test/session.test.js
+// Session tokens: expiry, signing key rotation, and refreshing through POST /api/auth/refresh
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionToken, verifySessionToken } = require('../session');
+const { startTestApp } = require('./helpers');
+
+const NEW_KEY = { kid: 'new', secret: 'n'.repeat(32) };
+const OLD_KEY = { kid: 'old', secret: 'o'.repeat(32) };
+const NOW = 1900000000;
+
+// kid from a token's header
+const kidOf = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString()).kid;
+
+describe('verifySessionToken', () => {
+    it('accepts a token until it expires', () => {
+        const { token, expiresAt } = createSessionToken([NEW_KEY], 42, { ttlSeconds: 900, now: NOW });
+        assert.equal(expiresAt, NOW + 900);
+        assert.deepEqual(verifySessionToken([NEW_KEY], token, NOW + 899), { valid: true, userId: '42', exp: NOW + 900 });
+        assert.deepEqual(verifySessionToken([NEW_KEY], token, NOW + 900), { valid: false, error: 'token_expired' });
+    });
+
+    it('accepts tokens of every listed key and rejects them once their key is dropped', () => {
+        const { token } = createSessionToken([OLD_KEY], 42, { ttlSeconds: 900, now: NOW });
+        assert.equal(verifySessionToken([NEW_KEY, OLD_KEY], token, NOW).valid, true);
+        assert.deepEqual(verifySessionToken([NEW_KEY], token, NOW), { valid: false, error: 'unknown_key' });
+    });
+
+    it('rejects a token whose payload was changed', () => {
+        const { token } = createSessionToken([NEW_KEY], 42, { ttlSeconds: 900, now: NOW });
+        const [header, , signature] = token.split('.');
+        const payload = Buffer.from(JSON.stringify({ sub: '1', iat: NOW, exp: NOW + 900 })).toString('base64url');
+        assert.deepEqual(verifySessionToken([NEW_KEY], `${header}.${payload}.${signature}`, NOW), { valid: false, error: 'invalid_signature' });
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    let testApp;
+
+    before(async () => {
+        // The new key signs; tokens from before the rotation are still accepted
+        testApp = await startTestApp({ env: { SESSION_SIGNING_KEYS: `${NEW_KEY.kid}:${NEW_KEY.secret},${OLD_KEY.kid}:${OLD_KEY.secret}` } });
+        const users = testApp.db.collection('users');
+        await Promise.all([
+            users.doc('1').set({ firstName: 'Active', tokens: 0 }),
+            users.doc('2').set({ firstName: 'Banned', tokens: 0, banned: true }),
+        ]);
+    });
+
+    after(() => testApp.close());
+
+    const refresh = (token) => testApp.request('POST', '/api/auth/refresh', { token });
+
+    it('exchanges a live token for a new one signed with the active key', async () => {
+        const { status, body } = await refresh(testApp.sessionFor('1'));
+        assert.equal(status, 200);
+        assert.equal(kidOf(body.session.token), NEW_KEY.kid);
+        assert.ok(body.session.expiresAt > Math.floor(Date.now() / 1000));
+        assert.equal((await testApp.request('GET', '/api/me', { token: body.session.token })).status, 200);
+    });
+
+    it('moves a token signed with the previous key over to the active one', async () => {
+        const { token } = createSessionToken([OLD_KEY], '1', { ttlSeconds: 900 });
+        const { status, body } = await refresh(token);
+        assert.equal(status, 200);
+        assert.equal(kidOf(body.session.token), NEW_KEY.kid);
+    });
+
+    it('refuses an expired token, so the client has to validate initData again', async () => {
+        const { token } = createSessionToken([NEW_KEY], '1', { ttlSeconds: 900, now: Math.floor(Date.now() / 1000) - 901 });
+        for (const response of [await refresh(token), await testApp.request('GET', '/api/me', { token })]) {
+            assert.equal(response.status, 401);
+            assert.equal(response.body.error, 'token_expired');
+        }
+    });
+
+    it('requires a bearer token', async () => {
+        const { status, body } = await testApp.request('POST', '/api/auth/refresh');
+        assert.equal(status, 401);
+        assert.equal(body.error, 'missing_auth');
+    });
+
+    it('refuses to refresh the session of a banned user', async () => {
+        const { status, body } = await refresh(testApp.sessionFor('2'));
+        assert.equal(status, 403);
+        assert.equal(body.error, 'banned');
+    });
+});
@@ -0,0 +1,118 @@
+// backend/test/squads.test.js
+// Squad membership through the API, and the squad total kept equal to what its members' ledgers add up to
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepositories } = require('../repositories');
+const { reconcileSquadTotals } = require('../squads');
+const { startTestApp, idempotencyKey } = require('./helpers');
+
+describe('squads', () => {
+    const ADMIN_SECRET = 'test-admin-secret-0123456789';
+    let testApp;
+    let repos;
+
+    before(async () => {
+        // The onboarding claim pays a flat 1000 DOGS; achievements off so no reward lands in the middle of a check
+        testApp = await startTestApp({
+            env: { ADMIN_SECRET, ONBOARDING_BASE_REWARD: '1000', ONBOARDING_REWARD_PER_YEAR: '0', FEATURE_ACHIEVEMENTS: 'false' },
+        });
+        repos = createRepositories({ db: testApp.db, admin: testApp.admin });
+        for (const userId of ['1', '2', '3', '4']) {
+            await repos.users.ref(userId).set({ firstName: `Member ${userId}`, tokens: 0 });
+            const claim = await testApp.request('POST', '/api/onboarding/claim', { token: testApp.sessionFor(userId), headers: { 'Idempotency-Key': idempotencyKey() } });
+            assert.equal(claim.status, 200);
+        }
+    });
+
+    after(() => testApp.close());
+
+    const post = (userId, path, body) => testApp.request('POST', `/api/squads${path}`, {
+        body,
+        token: testApp.sessionFor(userId),
+        headers: { 'Idempotency-Key': idempotencyKey() },
+    });
+    const adjust = (userId, amount) => testApp.request('POST', `/api/admin/users/${userId}/adjust-balance`, {
+        body: { amount, reason: 'Squad test' },
+        headers: { 'x-admin-secret': ADMIN_SECRET, 'Idempotency-Key': idempotencyKey() },
+    });
+    const squadData = async (squadId) => (await testApp.db.collection('squads').doc(squadId).get()).data();
+
+    // The squad's stored total and member count must match its members and what their ledgers add up to
+    const assertTotalsMatchLedger = async (squadId) => {
+        const members = await repos.users.query().where('squadId', '==', squadId).get();
+        let ledgerTotal = 0;
+        for (const member of members.docs) {
+            ledgerTotal += (await repos.ledger.listAll(member.id)).reduce((sum, entry) => sum + entry.amount, 0);
+        }
+        const squad = await squadData(squadId);
+        assert.equal(squad.totalTokens, ledgerTotal, `total of squad ${squadId}`);
+        assert.equal(squad.memberCount, members.docs.length);
+        return ledgerTotal;
+    };
+
+    let squadId;
+
+    it('creates a squad holding its owner\'s balance', async () => {
+        const { status, body } = await post('1', '', { name: 'Pack' });
+        assert.equal(status, 200);
+        squadId = body.squad.code;
+        assert.equal(body.squad.isOwner, true);
+        assert.equal(body.squad.totalTokens, 1000);
+        assert.equal(await assertTotalsMatchLedger(squadId), 1000);
+    });
+
+    it('adds a joining member\'s balance and refuses a second squad', async () => {
+        const { status, body } = await post('2', `/${squadId}/join`);
+        assert.equal(status, 200);
+        assert.equal(body.squad.memberCount, 2);
+        assert.equal(await assertTotalsMatchLedger(squadId), 2000);
+
+        const second = await post('2', '', { name: 'Other pack' });
+        assert.equal(second.status, 409);
+        assert.equal(second.body.error, 'already_in_squad');
+    });
+
+    it('moves the total with every ledger entry of a member', async () => {
+        assert.equal((await adjust('2', 250)).status, 200);
+        assert.equal((await adjust('1', -400)).status, 200);
+        assert.equal(await assertTotalsMatchLedger(squadId), 2000 + 250 - 400);
+        // Ledger entries of someone outside the squad leave it alone
+        assert.equal((await adjust('3', 70)).status, 200);
+        assert.equal(await assertTotalsMatchLedger(squadId), 1850);
+    });
+
+    it('takes a leaving or kicked member\'s balance off the total', async () => {
+        assert.equal((await post('3', `/${squadId}/join`)).status, 200);
+        assert.equal(await assertTotalsMatchLedger(squadId), 1850 + 1070);
+        assert.equal((await post('1', `/${squadId}/members/3/kick`)).status, 200);
+        assert.equal((await repos.users.get('3')).squadId, null);
+        assert.equal(await assertTotalsMatchLedger(squadId), 1850);
+
+        assert.equal((await post('4', `/${squadId}/join`)).status, 200);
+        const { status, body } = await post('4', '/leave');
+        assert.equal(status, 200);
+        assert.equal(body.squad, null);
+        assert.equal(await assertTotalsMatchLedger(squadId), 1850);
+    });
+
+    it('hands the squad over when the owner leaves and deletes it after the last member', async () => {
+        assert.equal((await post('1', '/leave')).status, 200);
+        assert.equal((await squadData(squadId)).ownerId, '2');
+        assert.equal(await assertTotalsMatchLedger(squadId), 1250);
+
+        assert.equal((await post('2', '/leave')).status, 200);
+        assert.equal(await squadData(squadId), undefined);
+        const { checked, drifted } = await reconcileSquadTotals(testApp.db, repos);
+        assert.deepEqual({ checked, drifted }, { checked: 0, drifted: [] });
+    });
+
+    it('only lets the owner kick', async () => {
+        const { body } = await post('3', '', { name: 'Second pack' });
+        assert.equal((await post('4', `/${body.squad.code}/join`)).status, 200);
+        const kick = await post('4', `/${body.squad.code}/members/3/kick`);
+        assert.equal(kick.status, 403);
+        assert.equal(kick.body.error, 'not_squad_owner');
+        assert.equal(await assertTotalsMatchLedger(body.squad.code), 1070 + 1000);
+        assert.deepEqual((await reconcileSquadTotals(testApp.db, repos)).drifted, []);
+    });
+});
@@ -0,0 +1,87 @@
+// backend/test/streaks.test.js
+// Streak freezes bought through the API and the logins that count visits, on an injected clock
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LEDGER_REASONS } = require('../ledger');
+const { createRepositories } = require('../repositories');
+const { recordStreakVisit } = require('../streaks');
+const { computeRiskScore } = require('../risk');
+const { startTestApp, signInitData, idempotencyKey } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('streak freezes and logins', () => {
+    let testApp;
+    let time = Date.UTC(2030, 0, 1, 12);
+    let authDate = Math.floor(Date.now() / 1000) - 100;
+
+    before(async () => {
+        // The onboarding claim is the starting balance: a flat 1000 DOGS
+        testApp = await startTestApp({
+            env: { ONBOARDING_BASE_REWARD: '1000', ONBOARDING_REWARD_PER_YEAR: '0', STREAK_FREEZE_PRICE: '200' },
+            now: () => time,
+        });
+    });
+
+    after(() => testApp.close());
+
+    // Each login needs initData the backend hasn't seen yet
+    const login = (user) => testApp.request('POST', '/api/auth/validate', { body: { initData: signInitData({ user, authDate: authDate++ }) } });
+    const signUpWithBalance = async (user) => {
+        const { body } = await login(user);
+        const token = body.session.token;
+        const claim = await testApp.request('POST', '/api/onboarding/claim', { token, headers: { 'Idempotency-Key': idempotencyKey() } });
+        assert.equal(claim.body.tokens, 1000);
+        return token;
+    };
+    const buyFreeze = (token) => testApp.request('POST', '/api/me/streak/freezes', { token, headers: { 'Idempotency-Key': idempotencyKey() } });
+    const userData = async (userId) => (await testApp.db.collection('users').doc(String(userId)).get()).data();
+    const ledgerOf = async (userId) => (await testApp.db.collection('users').doc(String(userId)).collection('ledger').get()).docs.map(doc => doc.data());
+
+    it('keeps a freeze bought alongside a login', async () => {
+        const user = { id: 301, first_name: 'Racer' };
+        const token = await signUpWithBalance(user);
+
+        const [loginResponse, freezeResponse] = await Promise.all([login(user), buyFreeze(token)]);
+        assert.equal(loginResponse.status, 200);
+        assert.equal(freezeResponse.status, 200);
+
+        const stored = await userData(user.id);
+        assert.equal(stored.streak.freezes, 1);
+        assert.equal(stored.tokens, 800);
+        const debits = (await ledgerOf(user.id)).filter(entry => entry.reason === LEDGER_REASONS.STREAK_FREEZE);
+        assert.equal(debits.length, 1);
+        assert.equal(debits[0].amount, -200);
+    });
+
+    it('records a login from the profile as read in its transaction', async () => {
+        const user = { id: 302, first_name: 'Interleaved' };
+        const token = await signUpWithBalance(user);
+        const repos = createRepositories({ db: testApp.db, admin: testApp.admin });
+
+        // The purchase starts after the login has read the profile; it must not be overwritten
+        let purchase;
+        await repos.users.recordLogin(String(user.id), (stored) => {
+            purchase ??= buyFreeze(token);
+            return { changes: { streak: recordStreakVisit(stored.streak, time, testApp.config.streaks).streak }, riskSignals: {}, risk: computeRiskScore({}, testApp.config.risk.rules) };
+        });
+        assert.equal((await purchase).status, 200);
+        assert.equal((await userData(user.id)).streak.freezes, 1);
+    });
+
+    it('uses a bought freeze for a missed day at the next login', async () => {
+        time = Date.UTC(2030, 1, 1, 12);
+        const user = { id: 303, first_name: 'Skipper' };
+        const token = await signUpWithBalance(user);
+        assert.equal((await buyFreeze(token)).status, 200);
+
+        time += 2 * DAY_MS; // One day missed
+        const { status, body } = await login(user);
+        assert.equal(status, 200);
+        assert.equal(body.user.streak.current, 2);
+        assert.equal(body.user.streak.freezes, 0);
+        assert.equal(body.user.streak.freezesUsed, 1);
+        assert.equal(body.user.tokens, 800);
+        assert.deepEqual((await userData(user.id)).streak, body.user.streak);
+    });
+});
@@ -0,0 +1,38 @@
+// backend/test/tasks.test.js
+// The default task catalog seeded at startup, with the optional channel and link tasks from config.tasks
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TASK_TYPES, seedDefaultTasks } = require('../tasks');
+const { createDataStore } = require('../datastore');
+const { createRepositories } = require('../repositories');
+const { ConfigError } = require('../config');
+const { createTestConfig } = require('./helpers');
+
+const seededIds = async (repos) => (await repos.tasks.listAll()).map(task => task.id).sort();
+
+describe('seedDefaultTasks', () => {
+    it('leaves the channel and link tasks out when they are not configured', async () => {
+        const repos = createRepositories(createDataStore({ store: 'memory' }));
+        await seedDefaultTasks(repos, createTestConfig().tasks);
+        assert.deepEqual(await seededIds(repos), ['daily-checkin', 'invite-10-friends', 'invite-3-friends']);
+    });
+
+    it('adds them from config.tasks and never overwrites an existing task', async () => {
+        const repos = createRepositories(createDataStore({ store: 'memory' }));
+        await repos.tasks.ref('daily-checkin').set({ type: TASK_TYPES.DAILY_CHECKIN, title: 'Edited', reward: 25, active: false });
+        const { tasks } = createTestConfig({ TASK_CHANNEL_USERNAME: '@wdogs_news', TASK_VISIT_URL: 'https://example.com/about' });
+        await seedDefaultTasks(repos, tasks);
+
+        assert.deepEqual(await seededIds(repos), ['daily-checkin', 'invite-10-friends', 'invite-3-friends', 'join-channel', 'visit-link']);
+        assert.equal((await repos.tasks.get('join-channel')).channelUsername, '@wdogs_news');
+        assert.equal((await repos.tasks.get('visit-link')).url, 'https://example.com/about');
+        assert.deepEqual(await repos.tasks.get('daily-checkin'), { type: TASK_TYPES.DAILY_CHECKIN, title: 'Edited', reward: 25, active: false });
+    });
+});
+
+describe('config.tasks', () => {
+    it('fails at startup on an invalid channel username or link', () => {
+        assert.throws(() => createTestConfig({ TASK_CHANNEL_USERNAME: 'https://t.me/wdogs_news' }), ConfigError);
+        assert.throws(() => createTestConfig({ TASK_VISIT_URL: 'example.com' }), ConfigError);
+    });
+});
@@ -0,0 +1,136 @@
+// backend/test/tonProof.test.js
+// Offline ton_proof verification with a wallet made up for the test: a locally generated Ed25519 keypair
+// in a v4-style data cell, so the address and public key checks run against real state_init hashing
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { beginCell, contractAddress, storeStateInit } = require('@ton/core');
+const { TON_NETWORKS, TON_PROOF_ERRORS, buildSignedHash, verifyTonProof } = require('../tonProof');
+const { ConfigError } = require('../config');
+const { createTestConfig } = require('./helpers');
+
+const NOW = 1750000000;
+const MAX_AGE_SECONDS = 900;
+const DOMAIN = 'app.example.com';
+const PAYLOAD = 'a1'.repeat(32);
+
+function generateWallet() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const rawPublicKey = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+    // v4 layout: seqno (32) + subwallet id (32) + public key, then an empty plugin dict
+    const data = beginCell().storeUint(0, 32).storeUint(698983191, 32).storeBuffer(rawPublicKey).storeBit(0).endCell();
+    const code = beginCell().storeUint(0xC0DE, 16).endCell();
+    const init = { code, data };
+    return {
+        privateKey,
+        publicKeyHex: rawPublicKey.toString('hex'),
+        address: contractAddress(0, init),
+        stateInit: beginCell().store(storeStateInit(init)).endCell().toBoc().toString('base64'),
+    };
+}
+
+// The account + ton_proof item as the frontend sends them, signed by `signer` (the wallet's own key by default)
+function makeProofRequest(wallet, { domain = DOMAIN, timestamp = NOW, payload = PAYLOAD, signer = wallet.privateKey } = {}) {
+    const signature = crypto.sign(null, buildSignedHash(wallet.address, domain, timestamp, payload), signer);
+    return {
+        address: wallet.address.toRawString(),
+        network: TON_NETWORKS.MAINNET,
+        publicKey: wallet.publicKeyHex,
+        proof: {
+            timestamp,
+            domain: { lengthBytes: Buffer.byteLength(domain), value: domain },
+            payload,
+            signature: signature.toString('base64'),
+            state_init: wallet.stateInit,
+        },
+    };
+}
+
+const verify = (request, options = {}) => verifyTonProof(request, {
+    expectedPayload: PAYLOAD,
+    allowedDomains: [DOMAIN],
+    maxAgeSeconds: MAX_AGE_SECONDS,
+    now: NOW,
+    ...options,
+});
+
+describe('verifyTonProof', () => {
+    const wallet = generateWallet();
+
+    it('accepts a proof signed by the wallet for an allowed domain and the issued payload', () => {
+        const result = verify(makeProofRequest(wallet));
+
+        assert.equal(result.valid, true);
+        assert.equal(result.rawAddress, wallet.address.toRawString());
+        assert.equal(result.friendlyAddress, wallet.address.toString({ bounceable: false, urlSafe: true }));
+        assert.equal(result.network, TON_NETWORKS.MAINNET);
+    });
+
+    it('accepts the friendly address form too', () => {
+        const request = makeProofRequest(wallet);
+        assert.equal(verify({ ...request, address: wallet.address.toString() }).valid, true);
+    });
+
+    it('rejects a payload other than the one issued', () => {
+        assert.deepEqual(verify(makeProofRequest(wallet, { payload: 'b2'.repeat(32) })), { valid: false, error: TON_PROOF_ERRORS.PAYLOAD_MISMATCH });
+        assert.deepEqual(verify(makeProofRequest(wallet), { expectedPayload: null }), { valid: false, error: TON_PROOF_ERRORS.PAYLOAD_MISMATCH });
+    });
+
+    it('rejects a domain that is not allowed', () => {
+        assert.deepEqual(verify(makeProofRequest(wallet, { domain: 'evil.example.org' })), { valid: false, error: TON_PROOF_ERRORS.DOMAIN_NOT_ALLOWED });
+    });
+
+    it('matches wildcard domains given as RegExps', () => {
+        const request = makeProofRequest(wallet, { domain: 'mywdogsclonebot--pr-12.web.app' });
+        assert.equal(verify(request, { allowedDomains: [/^mywdogsclonebot--[A-Za-z0-9-]+\.web\.app$/] }).valid, true);
+    });
+
+    it('rejects a proof older than the max age', () => {
+        assert.equal(verify(makeProofRequest(wallet, { timestamp: NOW - MAX_AGE_SECONDS })).valid, true);
+        assert.deepEqual(verify(makeProofRequest(wallet, { timestamp: NOW - MAX_AGE_SECONDS - 1 })), { valid: false, error: TON_PROOF_ERRORS.PROOF_EXPIRED });
+    });
+
+    it('rejects a proof from more than a minute in the future', () => {
+        assert.deepEqual(verify(makeProofRequest(wallet, { timestamp: NOW + 61 })), { valid: false, error: TON_PROOF_ERRORS.PROOF_EXPIRED });
+    });
+
+    it('rejects a signature made with another key', () => {
+        const other = generateWallet();
+        assert.deepEqual(verify(makeProofRequest(wallet, { signer: other.privateKey })), { valid: false, error: TON_PROOF_ERRORS.INVALID_SIGNATURE });
+    });
+
+    it('rejects a signed field changed after signing', () => {
+        const request = makeProofRequest(wallet);
+        request.proof.timestamp = NOW - 1;
+        assert.deepEqual(verify(request), { valid: false, error: TON_PROOF_ERRORS.INVALID_SIGNATURE });
+    });
+
+    it("rejects another wallet's address with this wallet's state_init", () => {
+        const other = generateWallet();
+        const request = { ...makeProofRequest(wallet), address: other.address.toRawString() };
+        assert.deepEqual(verify(request), { valid: false, error: TON_PROOF_ERRORS.ADDRESS_MISMATCH });
+    });
+
+    it('rejects a public key that is not in the state_init', () => {
+        const other = generateWallet();
+        const request = { ...makeProofRequest(wallet), publicKey: other.publicKeyHex };
+        assert.deepEqual(verify(request), { valid: false, error: TON_PROOF_ERRORS.PUBLIC_KEY_MISMATCH });
+    });
+
+    it('rejects incomplete requests and unknown networks', () => {
+        const request = makeProofRequest(wallet);
+        assert.deepEqual(verify({ ...request, proof: { ...request.proof, signature: undefined } }), { valid: false, error: TON_PROOF_ERRORS.INVALID_REQUEST });
+        assert.deepEqual(verify({ ...request, network: '1' }), { valid: false, error: TON_PROOF_ERRORS.INVALID_REQUEST });
+    });
+
+    it('requires a max age', () => {
+        assert.throws(() => verify(makeProofRequest(wallet), { maxAgeSeconds: undefined }), /maxAgeSeconds is required/);
+    });
+});
+
+describe('config.wallet.proofMaxAgeSeconds', () => {
+    it('comes from TON_PROOF_MAX_AGE_SECONDS and fails at startup when invalid', () => {
+        assert.equal(createTestConfig({ TON_PROOF_MAX_AGE_SECONDS: '600' }).wallet.proofMaxAgeSeconds, 600);
+        assert.throws(() => createTestConfig({ TON_PROOF_MAX_AGE_SECONDS: 'soon' }), ConfigError);
+    });
+});
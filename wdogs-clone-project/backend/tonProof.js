@@ -0,0 +1,181 @@
+// backend/tonProof.js
+// Offline verification of TON Connect 'ton_proof' (wallet ownership proof).
+// See https://docs.ton.org/develop/dapps/ton-connect/sign
+//
+// No network calls: the wallet's public key is read from its state_init, and the state_init
+// must hash to the claimed address, so a proof can't be made for someone else's wallet.
+const crypto = require('crypto');
+const { Address, Cell, loadStateInit, contractAddress } = require('@ton/core');
+
+const TON_PROOF_PREFIX = 'ton-proof-item-v2/';
+const TON_CONNECT_PREFIX = 'ton-connect';
+
+// TON Connect chain ids
+const TON_NETWORKS = {
+    MAINNET: '-239',
+    TESTNET: '-3',
+};
+
+const TON_PROOF_ERRORS = {
+    INVALID_REQUEST: 'invalid_request',
+    INVALID_ADDRESS: 'invalid_address',
+    INVALID_STATE_INIT: 'invalid_state_init',
+    ADDRESS_MISMATCH: 'address_mismatch',
+    PUBLIC_KEY_MISMATCH: 'public_key_mismatch',
+    DOMAIN_NOT_ALLOWED: 'domain_not_allowed',
+    PROOF_EXPIRED: 'proof_expired',
+    PAYLOAD_MISMATCH: 'payload_mismatch',
+    INVALID_SIGNATURE: 'invalid_signature',
+};
+
+// DER prefix that turns a raw 32-byte Ed25519 key into SPKI, which node's crypto can import
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Standard wallet contracts keep the public key right after a few fixed fields in their data cell:
+//   v3 / v4: seqno (32) + subwallet id (32), then the key
+//   v5r1:    is_signature_allowed (1) + seqno (32) + wallet id (32), then the key
+const PUBLIC_KEY_BIT_OFFSETS = [64, 65];
+
+// Candidate public keys (hex) found in the wallet's data cell
+function readPublicKeyCandidates(dataCell) {
+    const candidates = [];
+    for (const offset of PUBLIC_KEY_BIT_OFFSETS) {
+        try {
+            const slice = dataCell.beginParse();
+            slice.skip(offset);
+            candidates.push(slice.loadBuffer(32).toString('hex'));
+        } catch {
+            // Data cell too short for this layout
+        }
+    }
+    return candidates;
+}
+
+// The exact bytes the wallet signs:
+//   sha256(0xffff ++ "ton-connect" ++ sha256(message))
+//   message = "ton-proof-item-v2/" ++ workchain (int32 BE) ++ address hash ++
+//             domain length (uint32 LE) ++ domain ++ timestamp (uint64 LE) ++ payload
+function buildSignedHash(address, domain, timestamp, payload) {
+    const workchain = Buffer.alloc(4);
+    workchain.writeInt32BE(address.workChain);
+    const domainLength = Buffer.alloc(4);
+    domainLength.writeUInt32LE(Buffer.byteLength(domain));
+    const timestampBuffer = Buffer.alloc(8);
+    timestampBuffer.writeBigUInt64LE(BigInt(timestamp));
+
+    const message = Buffer.concat([
+        Buffer.from(TON_PROOF_PREFIX),
+        workchain,
+        address.hash,
+        domainLength,
+        Buffer.from(domain),
+        timestampBuffer,
+        Buffer.from(payload),
+    ]);
+    const messageHash = crypto.createHash('sha256').update(message).digest();
+    return crypto.createHash('sha256')
+        .update(Buffer.concat([Buffer.from([0xff, 0xff]), Buffer.from(TON_CONNECT_PREFIX), messageHash]))
+        .digest();
+}
+
+// Raw form "0:<hex>" - used as the unique key for a wallet
+function toRawAddress(address) {
+    return `${address.workChain}:${address.hash.toString('hex')}`;
+}
+
+// User-friendly, non-bounceable form - what wallets show and what we display in the app
+function toFriendlyAddress(address, network) {
+    return address.toString({ bounceable: false, urlSafe: true, testOnly: network === TON_NETWORKS.TESTNET });
+}
+
+// request: { address, network, publicKey, proof: { timestamp, domain: { lengthBytes, value }, payload, signature, state_init } }
+//          (the TON Connect account + ton_proof item, as sent by the frontend)
+// options: { expectedPayload, allowedDomains, maxAgeSeconds, now }
+//   allowedDomains: hosts as strings (exact match) or RegExps (e.g. for preview-deployment wildcards)
+//   maxAgeSeconds: required; config.wallet.proofMaxAgeSeconds
+// Returns { valid: true, rawAddress, friendlyAddress, network } or { valid: false, error }
+function verifyTonProof(request, options) {
+    const {
+        expectedPayload,
+        allowedDomains = [],
+        maxAgeSeconds,
+        now = Math.floor(Date.now() / 1000),
+    } = options;
+    if (!Number.isInteger(maxAgeSeconds)) {
+        throw new Error("verifyTonProof: options.maxAgeSeconds is required");
+    }
+    const fail = (error) => ({ valid: false, error });
+
+    const proof = request?.proof;
+    if (!request?.address || !request.publicKey || !proof?.signature || !proof.state_init || !proof.domain?.value || !proof.timestamp) {
+        return fail(TON_PROOF_ERRORS.INVALID_REQUEST);
+    }
+    if (![TON_NETWORKS.MAINNET, TON_NETWORKS.TESTNET].includes(String(request.network))) {
+        return fail(TON_PROOF_ERRORS.INVALID_REQUEST);
+    }
+
+    let address;
+    try {
+        address = Address.parse(request.address);
+    } catch {
+        return fail(TON_PROOF_ERRORS.INVALID_ADDRESS);
+    }
+
+    // The state_init must hash to the claimed address, and contain the claimed public key
+    let stateInit;
+    try {
+        stateInit = loadStateInit(Cell.fromBase64(proof.state_init).beginParse());
+    } catch {
+        return fail(TON_PROOF_ERRORS.INVALID_STATE_INIT);
+    }
+    if (!stateInit.code || !stateInit.data) {
+        return fail(TON_PROOF_ERRORS.INVALID_STATE_INIT);
+    }
+    if (!contractAddress(address.workChain, stateInit).equals(address)) {
+        return fail(TON_PROOF_ERRORS.ADDRESS_MISMATCH);
+    }
+    const publicKeyHex = String(request.publicKey).toLowerCase();
+    if (!readPublicKeyCandidates(stateInit.data).includes(publicKeyHex)) {
+        return fail(TON_PROOF_ERRORS.PUBLIC_KEY_MISMATCH);
+    }
+
+    const domain = proof.domain.value;
+    if (!allowedDomains.some(allowed => (allowed instanceof RegExp ? allowed.test(domain) : allowed === domain))) {
+        return fail(TON_PROOF_ERRORS.DOMAIN_NOT_ALLOWED);
+    }
+    const timestamp = Number(proof.timestamp);
+    if (!Number.isInteger(timestamp) || now - timestamp > maxAgeSeconds || timestamp - now > 60) {
+        return fail(TON_PROOF_ERRORS.PROOF_EXPIRED);
+    }
+    if (!expectedPayload || proof.payload !== expectedPayload) {
+        return fail(TON_PROOF_ERRORS.PAYLOAD_MISMATCH);
+    }
+
+    try {
+        const publicKey = crypto.createPublicKey({
+            key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, 'hex')]),
+            format: 'der',
+            type: 'spki',
+        });
+        const signedHash = buildSignedHash(address, proof.domain.value, timestamp, proof.payload);
+        if (!crypto.verify(null, signedHash, publicKey, Buffer.from(proof.signature, 'base64'))) {
+            return fail(TON_PROOF_ERRORS.INVALID_SIGNATURE);
+        }
+    } catch {
+        return fail(TON_PROOF_ERRORS.INVALID_SIGNATURE);
+    }
+
+    return {
+        valid: true,
+        rawAddress: toRawAddress(address),
+        friendlyAddress: toFriendlyAddress(address, String(request.network)),
+        network: String(request.network),
+    };
+}
+
+module.exports = {
+    TON_NETWORKS,
+    TON_PROOF_ERRORS,
+    buildSignedHash,
+    verifyTonProof,
+};
@@ -0,0 +1,146 @@
+// backend/wallet.js
+// TON wallet connection: issue a ton_proof payload, verify the proof, bind the wallet to the user.
+// One wallet address can be bound to only one Telegram account at a time ('walletBindings' collection).
+// Every account that ever connected an address is kept in 'walletBindingHistory' for risk scoring (see risk.js).
+const crypto = require('crypto');
+const express = require('express');
+const { TON_PROOF_ERRORS, verifyTonProof } = require('./tonProof');
+const { DEFAULT_RISK_RULES, computeRiskScore, recordRiskAssessment } = require('./risk');
+const { ACHIEVEMENT_EVENTS } = require('./achievements');
+const { logger } = require('./logger');
+
+// --- Payloads ---
+// A payload is a one-time nonce the wallet has to sign. Stored in walletProofPayloads/{payload}
+// with the user it was issued to, and deleted when used.
+function createProofPayload() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// repos: from repositories.js; requireAuth must set req.userId (string Telegram user ID)
+// allowedDomains: hostnames (with port, if any) the frontend is served from - ton_proof domains must match.
+//                 Strings match exactly, RegExps match wildcard hosts (see toHostMatchers in config.js)
+// proofMaxAgeSeconds: how long a payload and a proof stay valid (config.wallet.proofMaxAgeSeconds)
+// achievements: engine from achievements.js (null when achievements are off)
+function createWalletRouter({ db, admin, repos, requireAuth, allowedDomains, proofMaxAgeSeconds, riskRules = DEFAULT_RISK_RULES, achievements = null }) {
+    const router = express.Router();
+    const payloadsCol = db.collection('walletProofPayloads');
+    const bindingsCol = db.collection('walletBindings');
+    const historyCol = db.collection('walletBindingHistory');
+
+    // POST /api/wallet/proof-payload - nonce to pass to TON Connect as tonProof
+    router.post('/proof-payload', requireAuth, async (req, res) => {
+        const payload = createProofPayload();
+        const expiresAt = Date.now() + proofMaxAgeSeconds * 1000;
+        try {
+            await payloadsCol.doc(payload).set({ userId: req.userId, expiresAt });
+            res.status(200).json({ payload, expiresAt: new Date(expiresAt).toISOString() });
+        } catch (error) {
+            logger.error("Failed to create wallet proof payload", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error creating proof payload." });
+        }
+    });
+
+    // POST /api/wallet/connect - body: { address, network, publicKey, proof }
+    router.post('/connect', requireAuth, async (req, res) => {
+        const payload = req.body?.proof?.payload;
+        if (typeof payload !== 'string' || !payload) {
+            return res.status(400).json({ message: "Missing ton_proof payload.", error: TON_PROOF_ERRORS.INVALID_REQUEST });
+        }
+        const userRef = repos.users.ref(req.userId);
+        const payloadRef = payloadsCol.doc(payload);
+
+        try {
+            const result = await db.runTransaction(async (transaction) => {
+                const [payloadDoc, userDoc] = await Promise.all([transaction.get(payloadRef), transaction.get(userRef)]);
+                if (!userDoc.exists) {
+                    return { status: 404, body: { message: "User not found. Validate first.", error: 'user_not_found' } };
+                }
+                // Payload must exist, belong to this user and still be fresh
+                if (!payloadDoc.exists || payloadDoc.data().userId !== req.userId || payloadDoc.data().expiresAt < Date.now()) {
+                    return { status: 400, body: { message: "Proof payload is invalid or expired. Please try again.", error: TON_PROOF_ERRORS.PAYLOAD_MISMATCH } };
+                }
+
+                const verification = verifyTonProof(req.body, { expectedPayload: payload, allowedDomains, maxAgeSeconds: proofMaxAgeSeconds });
+                if (!verification.valid) {
+                    logger.warn("ton_proof rejected", { userId: req.userId, reason: verification.error });
+                    return { status: 400, body: { message: "Wallet ownership could not be verified.", error: verification.error } };
+                }
+
+                const bindingRef = bindingsCol.doc(verification.rawAddress);
+                const historyRef = historyCol.doc(verification.rawAddress);
+                const [bindingDoc, historyDoc] = await Promise.all([transaction.get(bindingRef), transaction.get(historyRef)]);
+                if (bindingDoc.exists && bindingDoc.data().userId !== req.userId) {
+                    return { status: 409, body: { message: "This wallet is already connected to another account.", error: 'wallet_in_use' } };
+                }
+
+                // Other accounts that connected this wallet before (and since disconnected) count against this one
+                const user = userDoc.data();
+                const previousUserIds = historyDoc.exists ? historyDoc.data().userIds || [] : [];
+                const walletSharedWith = previousUserIds.filter(id => id !== req.userId).length;
+                const riskSignals = { ...user.riskSignals, walletSharedWith };
+                if (walletSharedWith > 0) {
+                    logger.warn("Wallet was used before by other accounts", { userId: req.userId, wallet: verification.rawAddress, walletSharedWith });
+                }
+
+                // --- Writes (after all reads) ---
+                if (user.connectedWalletRaw && user.connectedWalletRaw !== verification.rawAddress) {
+                    transaction.delete(bindingsCol.doc(user.connectedWalletRaw)); // Switching wallets frees the old one
+                }
+                transaction.delete(payloadRef);
+                transaction.set(bindingRef, {
+                    userId: req.userId,
+                    network: verification.network,
+                    boundAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                transaction.update(userRef, {
+                    connectedWallet: verification.friendlyAddress,
+                    connectedWalletRaw: verification.rawAddress,
+                    walletNetwork: verification.network,
+                    walletConnectedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                transaction.set(historyRef, { userIds: admin.firestore.FieldValue.arrayUnion(req.userId) }, { merge: true });
+                recordRiskAssessment(transaction, admin, userRef, riskSignals, computeRiskScore(riskSignals, riskRules), { logLogin: false });
+                return { status: 200, body: { message: "Wallet connected.", connectedWallet: verification.friendlyAddress } };
+            });
+
+            if (result.status === 200) {
+                logger.info("Wallet connected", { userId: req.userId, wallet: result.body.connectedWallet });
+                achievements?.evaluate(req.userId, ACHIEVEMENT_EVENTS.WALLET_CONNECTED);
+            }
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            logger.error("Failed to connect wallet", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error connecting wallet." });
+        }
+    });
+
+    // DELETE /api/wallet - unbind the connected wallet
+    router.delete('/', requireAuth, async (req, res) => {
+        const userRef = repos.users.ref(req.userId);
+        try {
+            await db.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                if (!userDoc.exists) return;
+                const { connectedWalletRaw } = userDoc.data();
+                if (connectedWalletRaw) {
+                    transaction.delete(bindingsCol.doc(connectedWalletRaw));
+                }
+                transaction.update(userRef, {
+                    connectedWallet: null,
+                    connectedWalletRaw: null,
+                    walletNetwork: null,
+                    walletConnectedAt: null,
+                });
+            });
+            logger.info("Wallet disconnected", { userId: req.userId });
+            res.status(200).json({ message: "Wallet disconnected.", connectedWallet: null });
+        } catch (error) {
+            logger.error("Failed to disconnect wallet", { userId: req.userId, error });
+            res.status(500).json({ message: "Internal server error disconnecting wallet." });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWalletRouter };
@@ -0,0 +1,353 @@
+// frontend/src/Admin.jsx
+// Admin dashboard (served at /admin): users, balances, bans, held referrals, tasks and the audit log.
+// Authenticates with the backend's ADMIN_SECRET, kept in sessionStorage for this tab only.
+
+import { useState, useEffect, useCallback } from 'react';
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+const SECRET_STORAGE_KEY = 'wdogs-admin-secret';
+
+const TASK_TYPES = ['daily_checkin', 'join_channel', 'visit_link', 'invite_friends'];
+const TASK_PERIODS = ['daily', 'once'];
+const emptyTaskForm = { id: '', type: 'daily_checkin', period: 'daily', title: '', description: '', reward: 10, url: '', channelUsername: '', target: '', order: 0 };
+
+const pageStyle = { padding: '20px', maxWidth: '900px', margin: '0 auto', textAlign: 'left', fontFamily: 'system-ui, sans-serif' };
+const sectionStyle = { marginBottom: '30px', padding: '15px', border: '1px solid #8884', borderRadius: '8px' };
+const inputStyle = { padding: '6px 8px', marginRight: '8px', marginBottom: '8px', borderRadius: '4px', border: '1px solid #8886' };
+const smallButtonStyle = { padding: '6px 12px', marginRight: '8px', marginBottom: '8px' };
+const tableStyle = { width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' };
+const cellStyle = { borderBottom: '1px solid #8884', padding: '4px 6px', textAlign: 'left' };
+
+function Admin() {
+  const [secret, setSecret] = useState(() => sessionStorage.getItem(SECRET_STORAGE_KEY) || '');
+  const [secretInput, setSecretInput] = useState('');
+  const [message, setMessage] = useState('');
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [selected, setSelected] = useState(null); // { user, referrer, referrals }
+  const [adjustAmount, setAdjustAmount] = useState('');
+  const [adjustReason, setAdjustReason] = useState('');
+  const [banReason, setBanReason] = useState('');
+
+  const [tasks, setTasks] = useState([]);
+  const [taskForm, setTaskForm] = useState(emptyTaskForm);
+  const [editingTaskId, setEditingTaskId] = useState(null);
+
+  const [pendingReferrals, setPendingReferrals] = useState([]);
+
+  const [auditLog, setAuditLog] = useState([]);
+
+  // Calls the admin API; resolves with the JSON body or rejects with the backend's message
+  const adminFetch = useCallback((path, options = {}) => {
+    return fetch(`${BACKEND_URL}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', 'X-Admin-Secret': secret, ...(options.headers || {}) },
+    }).then(response => response.json().catch(() => ({})).then(data => {
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error! Status: ${response.status}`);
+      }
+      return data;
+    }));
+  }, [secret]);
+
+  const showError = (error) => setMessage(`Error: ${error.message}`);
+
+  const loadTasks = useCallback(() => {
+    adminFetch('/api/admin/tasks').then(data => setTasks(data.tasks)).catch(showError);
+  }, [adminFetch]);
+
+  const loadPendingReferrals = useCallback(() => {
+    adminFetch('/api/admin/referrals/pending').then(data => setPendingReferrals(data.referrals)).catch(showError);
+  }, [adminFetch]);
+
+  const loadAuditLog = useCallback(() => {
+    adminFetch('/api/admin/audit-log?limit=50').then(data => setAuditLog(data.entries)).catch(showError);
+  }, [adminFetch]);
+
+  useEffect(() => {
+    if (!secret) return;
+    loadTasks();
+    loadPendingReferrals();
+    loadAuditLog();
+  }, [secret, loadTasks, loadPendingReferrals, loadAuditLog]);
+
+  // --- Users ---
+  const searchUsers = (e) => {
+    e.preventDefault();
+    adminFetch(`/api/admin/users/search?q=${encodeURIComponent(searchQuery)}`)
+      .then(data => {
+        setSearchResults(data.users);
+        setMessage(data.users.length ? '' : 'No users found.');
+      })
+      .catch(showError);
+  };
+
+  const openUser = (userId) => {
+    adminFetch(`/api/admin/users/${encodeURIComponent(userId)}`).then(setSelected).catch(showError);
+  };
+
+  // Runs an admin action, then reloads the selected user and the audit log
+  const runUserAction = (path, body, successMessage, headers = {}) => {
+    adminFetch(path, { method: 'POST', body: JSON.stringify(body), headers })
+      .then(() => {
+        setMessage(successMessage);
+        openUser(selected.user.id);
+        loadAuditLog();
+      })
+      .catch(showError);
+  };
+
+  const adjustBalance = (e) => {
+    e.preventDefault();
+    // One Idempotency-Key per submitted adjustment (see backend/idempotency.js)
+    runUserAction(`/api/admin/users/${selected.user.id}/adjust-balance`, { amount: parseInt(adjustAmount, 10), reason: adjustReason }, 'Balance adjusted.', { 'Idempotency-Key': crypto.randomUUID() });
+    setAdjustAmount('');
+    setAdjustReason('');
+  };
+
+  const toggleBan = () => {
+    if (selected.user.banned) {
+      runUserAction(`/api/admin/users/${selected.user.id}/unban`, {}, 'User unbanned.');
+    } else {
+      runUserAction(`/api/admin/users/${selected.user.id}/ban`, { reason: banReason }, 'User banned.');
+      setBanReason('');
+    }
+  };
+
+  // --- Referral Review ---
+  const reviewReferral = (referral, approve) => {
+    adminFetch(`/api/admin/referrals/${encodeURIComponent(referral.id)}/${approve ? 'approve' : 'reject'}`, { method: 'POST', body: JSON.stringify({}) })
+      .then(data => {
+        setMessage(data.message);
+        loadPendingReferrals();
+        loadAuditLog();
+      })
+      .catch(showError);
+  };
+
+  // --- Tasks ---
+  const submitTask = (e) => {
+    e.preventDefault();
+    const body = {
+      type: taskForm.type,
+      period: taskForm.period,
+      title: taskForm.title,
+      description: taskForm.description,
+      reward: parseInt(taskForm.reward, 10),
+      order: parseInt(taskForm.order, 10) || 0,
+      url: taskForm.url || null,
+      channelUsername: taskForm.channelUsername || null,
+      target: taskForm.target ? parseInt(taskForm.target, 10) : null,
+    };
+    const request = editingTaskId
+      ? adminFetch(`/api/admin/tasks/${encodeURIComponent(editingTaskId)}`, { method: 'PATCH', body: JSON.stringify(body) })
+      : adminFetch('/api/admin/tasks', { method: 'POST', body: JSON.stringify({ ...body, id: taskForm.id || undefined }) });
+    request
+      .then(() => {
+        setMessage(editingTaskId ? 'Task updated.' : 'Task created.');
+        setTaskForm(emptyTaskForm);
+        setEditingTaskId(null);
+        loadTasks();
+        loadAuditLog();
+      })
+      .catch(showError);
+  };
+
+  const editTask = (task) => {
+    setEditingTaskId(task.id);
+    setTaskForm({ ...emptyTaskForm, ...task, url: task.url || '', channelUsername: task.channelUsername || '', target: task.target || '' });
+  };
+
+  const setTaskActive = (task, active) => {
+    const request = active
+      ? adminFetch(`/api/admin/tasks/${encodeURIComponent(task.id)}`, { method: 'PATCH', body: JSON.stringify({ active: true }) })
+      : adminFetch(`/api/admin/tasks/${encodeURIComponent(task.id)}/disable`, { method: 'POST' });
+    request.then(() => { loadTasks(); loadAuditLog(); }).catch(showError);
+  };
+
+  // --- Login ---
+  if (!secret) {
+    return (
+      <div style={pageStyle}>
+        <h1>wDogs Admin</h1>
+        <form onSubmit={(e) => {
+          e.preventDefault();
+          sessionStorage.setItem(SECRET_STORAGE_KEY, secretInput);
+          setSecret(secretInput);
+        }}>
+          <input type="password" placeholder="Admin secret" value={secretInput} onChange={(e) => setSecretInput(e.target.value)} style={inputStyle} />
+          <button type="submit" style={smallButtonStyle}>Sign In</button>
+        </form>
+      </div>
+    );
+  }
+
+  const taskField = (name, props = {}) => (
+    <input
+      placeholder={name}
+      value={taskForm[name]}
+      onChange={(e) => setTaskForm(prevForm => ({ ...prevForm, [name]: e.target.value }))}
+      style={inputStyle}
+      {...props}
+    />
+  );
+
+  return (
+    <div style={pageStyle}>
+      <h1>wDogs Admin</h1>
+      <button style={smallButtonStyle} onClick={() => { sessionStorage.removeItem(SECRET_STORAGE_KEY); setSecret(''); }}>Sign Out</button>
+      {message && <p style={{ padding: '8px', background: '#8882', borderRadius: '4px' }}>{message}</p>}
+
+      {/* Users */}
+      <section style={sectionStyle}>
+        <h2>Users</h2>
+        <form onSubmit={searchUsers}>
+          <input placeholder="User ID, @username or referral code" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} style={{ ...inputStyle, width: '300px' }} />
+          <button type="submit" style={smallButtonStyle}>Search</button>
+        </form>
+        {searchResults.length > 0 && (
+          <table style={tableStyle}>
+            <thead><tr><th style={cellStyle}>ID</th><th style={cellStyle}>Name</th><th style={cellStyle}>Tokens</th><th style={cellStyle}>Code</th><th style={cellStyle}></th></tr></thead>
+            <tbody>
+              {searchResults.map(user => (
+                <tr key={user.id}>
+                  <td style={cellStyle}>{user.id}</td>
+                  <td style={cellStyle}>{user.firstName} {user.username ? `(@${user.username})` : ''}{user.banned ? ' [BANNED]' : ''}</td>
+                  <td style={cellStyle}>{user.tokens.toLocaleString()}</td>
+                  <td style={cellStyle}>{user.referralCode}</td>
+                  <td style={cellStyle}><button onClick={() => openUser(user.id)}>Open</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {selected && (
+          <div style={{ marginTop: '20px' }}>
+            <h3>{selected.user.firstName} {selected.user.lastName || ''} — {selected.user.id}</h3>
+            <pre style={{ fontSize: '0.8em', background: '#8881', padding: '8px', overflowX: 'auto' }}>{JSON.stringify(selected.user, null, 2)}</pre>
+            <p>Referred by: {selected.referrer ? <button onClick={() => openUser(selected.referrer.id)}>{selected.referrer.firstName} ({selected.referrer.id})</button> : 'nobody'}</p>
+            <p>Direct referrals ({selected.referrals.length}):</p>
+            <ul>
+              {selected.referrals.map(referral => (
+                <li key={referral.id}>
+                  <button onClick={() => openUser(referral.id)}>{referral.firstName} ({referral.id})</button>
+                  {' '}— {referral.tokens.toLocaleString()} DOGS, {referral.referralsMade} referrals{referral.banned ? ' [BANNED]' : ''}
+                </li>
+              ))}
+            </ul>
+
+            <form onSubmit={adjustBalance}>
+              <h4>Adjust Balance</h4>
+              <input type="number" placeholder="Amount (+/-)" value={adjustAmount} onChange={(e) => setAdjustAmount(e.target.value)} style={inputStyle} required />
+              <input placeholder="Reason (required)" value={adjustReason} onChange={(e) => setAdjustReason(e.target.value)} style={{ ...inputStyle, width: '300px' }} required />
+              <button type="submit" style={smallButtonStyle}>Apply</button>
+            </form>
+
+            <h4>{selected.user.banned ? `Banned: ${selected.user.banReason || ''}` : 'Ban User'}</h4>
+            {!selected.user.banned && (
+              <input placeholder="Ban reason (required)" value={banReason} onChange={(e) => setBanReason(e.target.value)} style={{ ...inputStyle, width: '300px' }} />
+            )}
+            <button style={smallButtonStyle} onClick={toggleBan} disabled={!selected.user.banned && !banReason.trim()}>
+              {selected.user.banned ? 'Unban' : 'Ban'}
+            </button>
+          </div>
+        )}
+      </section>
+
+      {/* Referral Review */}
+      <section style={sectionStyle}>
+        <h2>Held Referrals ({pendingReferrals.length})</h2>
+        <button style={smallButtonStyle} onClick={loadPendingReferrals}>Refresh</button>
+        {pendingReferrals.length === 0 ? <p>No referrals waiting for review.</p> : (
+          <table style={tableStyle}>
+            <thead><tr><th style={cellStyle}>Created</th><th style={cellStyle}>Referrer</th><th style={cellStyle}>New User</th><th style={cellStyle}>Risk</th><th style={cellStyle}>Signals</th><th style={cellStyle}></th></tr></thead>
+            <tbody>
+              {pendingReferrals.map(referral => (
+                <tr key={referral.id}>
+                  <td style={cellStyle}>{referral.createdAt ? new Date(referral.createdAt).toLocaleString() : ''}</td>
+                  <td style={cellStyle}><button onClick={() => openUser(referral.referrerId)}>{referral.referrerId}</button></td>
+                  <td style={cellStyle}><button onClick={() => openUser(referral.referredId)}>{referral.referredId}</button></td>
+                  <td style={cellStyle}>{referral.riskScore}</td>
+                  <td style={{ ...cellStyle, fontSize: '0.8em' }}>{(referral.riskReasons || []).join(', ')}</td>
+                  <td style={cellStyle}>
+                    <button onClick={() => reviewReferral(referral, true)}>Approve</button>{' '}
+                    <button onClick={() => reviewReferral(referral, false)}>Reject</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {/* Tasks */}
+      <section style={sectionStyle}>
+        <h2>Tasks</h2>
+        <table style={tableStyle}>
+          <thead><tr><th style={cellStyle}>ID</th><th style={cellStyle}>Title</th><th style={cellStyle}>Type</th><th style={cellStyle}>Reward</th><th style={cellStyle}>Active</th><th style={cellStyle}></th></tr></thead>
+          <tbody>
+            {tasks.map(task => (
+              <tr key={task.id} style={{ opacity: task.active ? 1 : 0.5 }}>
+                <td style={cellStyle}>{task.id}</td>
+                <td style={cellStyle}>{task.title}</td>
+                <td style={cellStyle}>{task.type} / {task.period}</td>
+                <td style={cellStyle}>{task.reward}</td>
+                <td style={cellStyle}>{task.active ? 'yes' : 'no'}</td>
+                <td style={cellStyle}>
+                  <button onClick={() => editTask(task)}>Edit</button>{' '}
+                  <button onClick={() => setTaskActive(task, !task.active)}>{task.active ? 'Disable' : 'Enable'}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <form onSubmit={submitTask} style={{ marginTop: '15px' }}>
+          <h4>{editingTaskId ? `Edit Task '${editingTaskId}'` : 'New Task'}</h4>
+          {!editingTaskId && taskField('id')}
+          <select value={taskForm.type} onChange={(e) => setTaskForm(prevForm => ({ ...prevForm, type: e.target.value }))} style={inputStyle}>
+            {TASK_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <select value={taskForm.period} onChange={(e) => setTaskForm(prevForm => ({ ...prevForm, period: e.target.value }))} style={inputStyle}>
+            {TASK_PERIODS.map(period => <option key={period} value={period}>{period}</option>)}
+          </select>
+          {taskField('title', { required: true })}
+          {taskField('description')}
+          {taskField('reward', { type: 'number', min: 0, required: true })}
+          {taskField('order', { type: 'number' })}
+          {taskForm.type === 'visit_link' && taskField('url', { required: true })}
+          {taskForm.type === 'join_channel' && taskField('channelUsername', { required: true })}
+          {taskForm.type === 'invite_friends' && taskField('target', { type: 'number', min: 1, required: true })}
+          <div>
+            <button type="submit" style={smallButtonStyle}>{editingTaskId ? 'Save' : 'Create'}</button>
+            {editingTaskId && <button type="button" style={smallButtonStyle} onClick={() => { setEditingTaskId(null); setTaskForm(emptyTaskForm); }}>Cancel</button>}
+          </div>
+        </form>
+      </section>
+
+      {/* Audit Log */}
+      <section style={sectionStyle}>
+        <h2>Audit Log</h2>
+        <button style={smallButtonStyle} onClick={loadAuditLog}>Refresh</button>
+        <table style={tableStyle}>
+          <thead><tr><th style={cellStyle}>Time</th><th style={cellStyle}>Admin</th><th style={cellStyle}>Action</th><th style={cellStyle}>Target</th><th style={cellStyle}>Details</th></tr></thead>
+          <tbody>
+            {auditLog.map(entry => (
+              <tr key={entry.id}>
+                <td style={cellStyle}>{entry.createdAt ? new Date(entry.createdAt).toLocaleString() : ''}</td>
+                <td style={cellStyle}>{entry.adminId}</td>
+                <td style={cellStyle}>{entry.action}</td>
+                <td style={cellStyle}>{entry.targetType}:{entry.targetId}</td>
+                <td style={{ ...cellStyle, fontFamily: 'monospace', fontSize: '0.8em' }}>{JSON.stringify(entry.details)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+export default Admin;
@@ -0,0 +1,48 @@
+// frontend/src/Airdrop.jsx
+// Airdrop claim status from the latest snapshot
+
+import { useState, useEffect } from 'react';
+import { api } from './api.js';
+import { useI18n } from './i18n.js';
+
+function Airdrop() {
+  const [status, setStatus] = useState(null); // Response of GET /api/airdrop/claim
+  const [error, setError] = useState(null);
+  const { t, formatDate } = useI18n();
+
+  useEffect(() => {
+    api.get('/api/airdrop/claim')
+      .then(data => setStatus(data))
+      .catch(err => {
+        console.error("Error loading airdrop status:", err);
+        setError(err);
+      });
+  }, []);
+
+  const renderStatus = () => {
+    if (error) return <p style={{ color: 'var(--tg-hint-color)' }}>{t('airdrop.loadError')}</p>;
+    if (!status) return <p style={{ color: 'var(--tg-hint-color)' }}>{t('common.loading')}</p>;
+    if (!status.snapshot) {
+      return <p style={{ color: 'var(--tg-hint-color)' }}>{t('airdrop.noSnapshot')}</p>;
+    }
+    const snapshotDate = status.snapshot.snapshotAt ? formatDate(status.snapshot.snapshotAt, { dateStyle: 'medium' }) : '';
+    if (!status.eligible) {
+      return <p style={{ color: 'var(--tg-hint-color)' }}>{t('airdrop.notEligible', { date: snapshotDate })}</p>;
+    }
+    return (
+      <p style={{ color: 'var(--tg-hint-color)' }}>
+        {t('airdrop.eligible', { date: snapshotDate })}{' '}
+        <strong style={{ color: 'var(--tg-link-color)' }}>{t('common.dogsAmount', { amount: status.claim.amount })}</strong>
+      </p>
+    );
+  };
+
+  return (
+    <section className="airdrop" style={{ marginBottom: '40px' }}>
+      <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>{t('airdrop.title')}</h3>
+      {renderStatus()}
+    </section>
+  );
+}
+
+export default Airdrop;
@@ -3,109 +3,167 @@
 
 import { useState, useEffect } from 'react';
 import './App.css'; // Keep this import, even if the file is empty
-
-// Define initial state clearly
+import Home from './Home.jsx';
+import Tasks from './Tasks.jsx';
+import Friends from './Friends.jsx';
+import Leaderboard from './Leaderboard.jsx';
+import Transactions from './Transactions.jsx';
+import Wallet from './Wallet.jsx';
+import Airdrop from './Airdrop.jsx';
+import Settings from './Settings.jsx';
+import Profile from './Profile.jsx';
+import Squad from './Squad.jsx';
+import Privacy from './Privacy.jsx';
+import Onboarding from './Onboarding.jsx';
+import TabBar, { TAB_BAR_HEIGHT } from './TabBar.jsx';
+import { SCREENS, TABS, isScreenEnabled, screenFromStartParam, useNavigation } from './navigation.js';
+import { BACKEND_URL, api } from './api.js';
+import { loadSavedSession, useSession, useUser } from './store.js';
+import { useI18n, hasTranslation } from './i18n.js';
+import { debugLog } from './debug.js';
+
+// Define initial state clearly (the validated user and the session live in the store, see store.js)
 const initialState = {
-  validatedUser: null, // Store user data confirmed by backend
-  error: '',
+  error: null, // { key, values } - catalog message (see i18n.js), translated when rendered
   isLoading: true, // Start in loading state
-  rawInitData: '', // Store raw initData for sending
 };
 
-// Define backend URL (adjust if your backend runs elsewhere)
-// IMPORTANT: For deployment, this needs to be your actual backend server URL, not localhost!
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
-console.log("Using Backend URL:", BACKEND_URL); // Log to confirm which URL is used
-// You can create a .env file in the 'frontend' directory with VITE_BACKEND_URL=YOUR_DEPLOYED_BACKEND_URL
+// Used until GET /api/config answers (or if it fails): everything on, bot username from Telegram
+const DEFAULT_PUBLIC_CONFIG = {
+  telegram: { botUsername: null },
+  rewards: null, // { signupBonus, referralBonusReferrer, referralBonusReferred }
+  features: { wallet: true, airdrop: true, leaderboard: true, mining: true, onboarding: true, achievements: true, squads: true },
+};
+
+// Refresh the session this many seconds before it expires
+const SESSION_REFRESH_MARGIN_SECONDS = 60;
+
+// Backend URL: VITE_BACKEND_URL (see api.js)
+debugLog("Using Backend URL:", BACKEND_URL); // Log to confirm which URL is used
 
 
 function App() {
   const [state, setState] = useState(initialState);
+  const { user: validatedUser, setUser } = useUser();
+  const { session, setSession } = useSession();
+  const { locale, t } = useI18n();
+  // Deep link (t.me/<bot>?startapp=tasks) - telegram-web-app.js loads before the app, so start_param is already there
+  const navigation = useNavigation(screenFromStartParam(window.Telegram?.WebApp?.initDataUnsafe?.start_param));
+  const [publicConfig, setPublicConfig] = useState(DEFAULT_PUBLIC_CONFIG); // Public backend settings (see backend/config.js)
+  const [isOnboardingSkipped, setIsOnboardingSkipped] = useState(false); // Only if the age check couldn't load
+  const [isAccountDeleted, setIsAccountDeleted] = useState(false); // DELETE /api/me succeeded (see Privacy.jsx)
+  const handleAccountDeleted = () => {
+    setSession(null);
+    setUser(null);
+    setIsAccountDeleted(true);
+  };
+
+  // --- Effect for Loading the Public Config ---
+  // Needs no session, so it runs alongside validation
+  useEffect(() => {
+    api.get('/api/config', { auth: false })
+      .then(data => setPublicConfig(data.config))
+      .catch(error => console.error("Could not load app config, using defaults:", error));
+  }, []);
 
   // --- Effect for Initialization and Validation ---
   useEffect(() => {
-    console.log("App Component Mounted. Scheduling Telegram Init Check...");
-    setState(prevState => ({ ...prevState, isLoading: true, error: '' })); // Reset state on mount
+    debugLog("App Component Mounted. Scheduling Telegram Init Check...");
+    setState(prevState => ({ ...prevState, isLoading: true, error: null })); // Reset state on mount
 
     const initializeMiniApp = () => {
-      console.log("Running initializeMiniApp function...");
+      debugLog("Running initializeMiniApp function...");
       const tg = window.Telegram?.WebApp;
 
       if (tg) {
-        console.log("Telegram WebApp object FOUND.");
+        debugLog("Telegram WebApp object FOUND.");
         tg.ready(); // Inform Telegram app is ready
         tg.expand(); // Expand the Mini App to full height
 
-        const rawInitData = tg.initData;
-        const initDataUnsafe = tg.initDataUnsafe; // Can still log unsafe for comparison/debug
+        const rawInitData = tg.initData; // Signed - never log it, it works as a login until it expires
 
-        console.log("Raw InitData:", rawInitData);
-        console.log("Unsafe InitData Object:", initDataUnsafe);
+        debugLog("Telegram user:", tg.initDataUnsafe?.user?.id, "start_param:", tg.initDataUnsafe?.start_param || null);
 
 
         if (!rawInitData) {
           console.error("Raw initData is missing or empty!");
           setState({
             ...initialState,
-            error: "Could not retrieve initialization data from Telegram. Please restart the app.",
+            error: { key: 'errors.missing_init_data' },
             isLoading: false,
           });
           return; // Stop processing
         }
 
         // --- Call Backend for Validation ---
-        console.log(`Sending initData to backend (${BACKEND_URL}) for validation...`);
-        fetch(`${BACKEND_URL}/api/auth/validate`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ initData: rawInitData }),
-        })
-        .then(response => {
-          if (!response.ok) {
-            // Try to parse error message from backend if available
-            return response.json().then(errData => {
-               throw new Error(errData.message || `Backend error! Status: ${response.status}`);
-            }).catch(() => {
-               // Fallback if parsing error response fails
-               throw new Error(`Backend error! Status: ${response.status}`);
-            });
-          }
-          return response.json(); // Parse successful JSON response
-        })
-        .then(data => {
-          console.log("Backend validation response:", data);
-          if (data.user) {
-            console.log("Validation successful! User:", data.user);
-            setState({
-              validatedUser: data.user, // Use the user data from backend response
-              error: '',
-              isLoading: false,
-              rawInitData: rawInitData,
-            });
-            // --- SUCCESS --- User is validated, app can proceed ---
-
-          } else {
-            // Backend responded OK, but didn't return a user or indicated failure
-            console.error("Backend validation logic failed:", data.message);
+        const validateInitData = () => {
+          debugLog(`Sending initData to backend (${BACKEND_URL}) for validation...`);
+          // Never retried: the backend accepts each initData only once
+          api.post('/api/auth/validate', { initData: rawInitData }, { auth: false })
+          .then(data => {
+            debugLog("Backend validation response:", data.message, data.referral);
+            if (data.user) {
+              debugLog("Validation successful! User:", data.user.userId);
+              setSession(data.session); // { token, expiresAt } - the API client sends it as `Authorization: Bearer <token>`
+              setUser(data.user); // Use the user data from backend response
+              setState({ error: null, isLoading: false });
+              // --- SUCCESS --- User is validated, app can proceed ---
+
+            } else {
+              // Backend responded OK, but didn't return a user or indicated failure
+              console.error("Backend validation logic failed:", data.message);
+              setState({
+                ...initialState,
+                error: { key: 'app.validationFailed', values: { reason: data.message } },
+                isLoading: false,
+              });
+            }
+          })
+          .catch(error => {
+            console.error("Error calling backend validation:", error);
             setState({
               ...initialState,
-              error: `Backend validation failed: ${data.message || 'Unknown reason'}`,
+              error: hasTranslation(`errors.${error.code}`) ? { key: `errors.${error.code}` } : { key: 'app.connectFailed', values: { error: error.message } },
               isLoading: false,
-              rawInitData: rawInitData,
             });
-          }
-        })
-        .catch(error => {
-          console.error("Error calling backend validation:", error);
-          setState({
-            ...initialState,
-            error: `Failed to connect or validate with backend. Please check your connection or try again later. Error: ${error.message}`,
-            isLoading: false,
-            rawInitData: rawInitData,
           });
-        });
+        };
+
+        // A reload sends the initData the backend already accepted, so the session saved before it is reused
+        const savedSession = loadSavedSession();
+        if (savedSession) {
+          debugLog("Restoring the saved session...");
+          setSession(savedSession);
+          api.get('/api/me')
+            .then(data => {
+              if (data.user.userId !== String(tg.initDataUnsafe?.user?.id)) {
+                // Saved for another Telegram account: sign in with this one's initData
+                setSession(null);
+                validateInitData();
+                return;
+              }
+              debugLog("Session restored! User:", data.user.userId);
+              setUser(data.user);
+              setState({ error: null, isLoading: false });
+            })
+            .catch(error => {
+              console.error("Could not restore the saved session:", error);
+              if (error.status === 401) {
+                // Rejected (e.g. signed with a key that has since been retired): fall back to the initData
+                setSession(null);
+                validateInitData();
+                return;
+              }
+              // Kept, so reloading once the backend is reachable again still works
+              setState({
+                ...initialState,
+                error: hasTranslation(`errors.${error.code}`) ? { key: `errors.${error.code}` } : { key: 'app.connectFailed', values: { error: error.message } },
+                isLoading: false,
+              });
+            });
+        } else {
+          validateInitData();
+        }
         // --- End Backend Call ---
 
       } else {
@@ -114,14 +172,14 @@ function App() {
          if (!window.location.href.includes('tgWebAppData')) { // Simple check if not likely inside TG
              setState({
                  ...initialState,
-                 error: "This is a Telegram Mini App. Please open it through the Telegram application.",
+                 error: { key: 'app.openInTelegram' },
                  isLoading: false,
              });
          } else {
              // If it seems like it *should* be in TG but object is missing, might be a load issue
               setState({
                  ...initialState,
-                 error: "Telegram context still not available after delay. Please try restarting the app inside Telegram.", // Slightly updated error
+                 error: { key: 'app.telegramUnavailable' },
                  isLoading: false,
               });
          }
@@ -133,19 +191,44 @@ function App() {
 
     // Cleanup function to clear the timeout if the component unmounts quickly
     return () => {
-      console.log("App Component Unmounting - Clearing init timeout.");
+      debugLog("App Component Unmounting - Clearing init timeout.");
       clearTimeout(initTimeoutId);
     };
 
-  }, []); // Empty dependency array ensures it runs only once on mount
+  }, [setSession, setUser]); // Stable store functions: runs only once on mount
+
+
+  // --- Effect for Keeping the Session Alive ---
+  // Swaps the session token for a fresh one shortly before it expires. initData can't be
+  // re-sent (the backend rejects replays), so if this fails the user has to reopen the app.
+  const sessionExpiresAt = session?.expiresAt;
+  const sessionToken = session?.token;
+  useEffect(() => {
+    if (!sessionToken || !sessionExpiresAt) return;
+
+    const refreshSession = () => {
+      api.post('/api/auth/refresh')
+        .then(data => {
+          setSession(data.session);
+        })
+        .catch(error => {
+          console.error("Could not renew session:", error);
+          setState(prevState => ({ ...prevState, error: { key: 'errors.session_expired' } }));
+        });
+    };
+
+    const delayMs = Math.max((sessionExpiresAt - SESSION_REFRESH_MARGIN_SECONDS) * 1000 - Date.now(), 0);
+    const refreshTimeoutId = setTimeout(refreshSession, delayMs);
+    return () => clearTimeout(refreshTimeoutId);
+  }, [sessionToken, sessionExpiresAt, setSession]);
 
 
   // --- Effect for Applying Theme ---
   const tg = window.Telegram?.WebApp; // Get instance safely for use outside initial effect
   useEffect(() => {
     // Only apply theme if user is validated AND tg object is available
-    if (state.validatedUser && tg) {
-      console.log("Applying Telegram theme colors");
+    if (validatedUser && tg) {
+      debugLog("Applying Telegram theme colors");
       // Apply basic theme adjustments using CSS variables
       document.body.style.setProperty('--tg-bg-color', tg.themeParams.bg_color || '#ffffff');
       document.body.style.setProperty('--tg-text-color', tg.themeParams.text_color || '#000000');
@@ -162,21 +245,27 @@ function App() {
     }
     // Optional: Cleanup function if needed
     // return () => { ... };
-  }, [state.validatedUser, tg]); // Re-run if user data arrives or tg object reference changes
+  }, [validatedUser, tg]); // Re-run if user data arrives or tg object reference changes
+
+
+  // --- Effect for the Document Language ---
+  // Screen readers and hyphenation follow <html lang>; the locale changes with the profile (see i18n.js)
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
 
 
   // --- Render Logic ---
-  console.log("Rendering App component with state:", state);
+  debugLog("Rendering App component:", { isLoading: state.isLoading, error: state.error, userId: validatedUser?.userId });
 
   // --- Loading State ---
   if (state.isLoading) {
     // Use a simple loading text, Telegram UI calls might not be ready yet
-    return <div className="loading-message" style={{ padding: '20px', textAlign: 'center', color: 'var(--tg-text-color, #000)' }}>Validating session... Please wait...</div>;
+    return <div className="loading-message" style={{ padding: '20px', textAlign: 'center', color: 'var(--tg-text-color, #000)' }}>{t('app.loading')}</div>;
   }
 
   // --- Error State ---
   if (state.error) {
-    tg?.MainButton.setParams({ text: 'ERROR', is_visible: false }); // Hide button on error
     return (
       <div className="App error-page" style={{
           backgroundColor: 'var(--tg-secondary-bg-color, #f8d7da)', // Use theme or fallback red-ish
@@ -186,168 +275,88 @@ function App() {
           borderRadius: '8px',
           border: '1px solid #f5c6cb'
         }}>
-        <h1>Initialization Error</h1>
-        <p style={{ whiteSpace: 'pre-wrap' }}>{state.error}</p>
-        <p>Please try restarting the app within Telegram. If the problem persists, contact support.</p>
+        <h1>{t('app.errorTitle')}</h1>
+        <p style={{ whiteSpace: 'pre-wrap' }}>{t(state.error.key, state.error.values)}</p>
+        <p>{t('app.errorHint')}</p>
+      </div>
+    );
+  }
+
+  // --- Deleted Account ---
+  // Signed out for good; opening the app again from Telegram starts a fresh profile
+  if (isAccountDeleted) {
+    return (
+      <div className="App account-deleted-page" style={{ padding: '20px', textAlign: 'center', color: 'var(--tg-text-color)' }}>
+        <h1>{t('privacy.deletedTitle')}</h1>
+        <p style={{ color: 'var(--tg-hint-color)' }}>{t('privacy.deletedText')}</p>
       </div>
     );
   }
 
   // --- Success State (Validated User) ---
-  if (state.validatedUser) {
-    // Configure Main Button (example: navigate to tasks)
-    // Define handler outside to easily remove/add
-    const handleMainButtonClick = () => {
-        tg?.showPopup({ message: 'Navigate to Tasks section (Not Implemented Yet)' });
-    };
-    // Ensure previous listener is removed before adding a new one
-    // Important if this effect block could re-run and tg object changes reference
-    tg?.MainButton.offClick(handleMainButtonClick);
-    tg?.MainButton.setParams({ text: 'VIEW DAILY TASKS', is_visible: true, is_active: true });
-    tg?.MainButton.onClick(handleMainButtonClick);
+  if (validatedUser) {
+    // The account age check comes first, once (the profile's `onboarding` is set when it is claimed)
+    if (publicConfig.features.onboarding && !validatedUser.onboarding && !isOnboardingSkipped) {
+      return <Onboarding onSkip={() => setIsOnboardingSkipped(true)} />;
+    }
 
+    const tabs = TABS.filter(tab => isScreenEnabled(tab.screen, publicConfig.features));
+    // A screen whose feature is off (e.g. a stale deep link) falls back to Home
+    const activeScreen = isScreenEnabled(navigation.screen, publicConfig.features) ? navigation.screen : SCREENS.HOME;
+
+    let screen;
+    switch (activeScreen) {
+      case SCREENS.TASKS:
+        screen = <Tasks />;
+        break;
+      case SCREENS.FRIENDS:
+        screen = <Friends publicConfig={publicConfig} />;
+        break;
+      case SCREENS.LEADERBOARD:
+        screen = <Leaderboard publicConfig={publicConfig} />;
+        break;
+      case SCREENS.WALLET:
+        screen = (
+          <div className="wallet-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+            {publicConfig.features.wallet && <Wallet />}
+            {publicConfig.features.airdrop && <Airdrop />}
+          </div>
+        );
+        break;
+      case SCREENS.TRANSACTIONS:
+        screen = <Transactions onBack={navigation.goBack} />;
+        break;
+      case SCREENS.SETTINGS:
+        screen = <Settings onNavigate={navigation.navigate} />;
+        break;
+      case SCREENS.PROFILE:
+        screen = <Profile />;
+        break;
+      case SCREENS.PRIVACY:
+        screen = <Privacy onDeleted={handleAccountDeleted} />;
+        break;
+      case SCREENS.SQUAD:
+        screen = <Squad publicConfig={publicConfig} />;
+        break;
+      default:
+        screen = <Home publicConfig={publicConfig} onNavigate={navigation.navigate} />;
+    }
 
     // --- Main App Layout ---
     return (
-      // Apply theme colors via CSS variables defined in the effect above
-      <div className="App" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
-
-        {/* Header Welcome */}
-        <header style={{ marginBottom: '20px', textAlign: 'center' }}>
-          <h1 style={{ color: 'var(--tg-text-color)' }}>Welcome, {state.validatedUser.firstName || 'DOGS User'}!</h1>
-          {state.validatedUser.username && <p style={{ color: 'var(--tg-hint-color)' }}>@{state.validatedUser.username}</p>}
-        </header>
-
-        {/* Token Balance Section */}
-        <section className="token-balance" style={{ marginBottom: '30px', padding: '20px', backgroundColor: 'var(--tg-secondary-bg-color)', borderRadius: '10px', textAlign: 'center' }}>
-          <h2 style={{ marginBottom: '10px', fontSize: '1.2em', color: 'var(--tg-text-color)' }}>Your Balance</h2>
-          <p style={{ fontSize: '2.5em', fontWeight: 'bold', color: 'var(--tg-link-color)', margin: '0' }}>
-            {state.validatedUser.tokens?.toLocaleString() || '0'} DOGS
-          </p>
-        </section>
-
-        {/* Referral Section */}
-        <section className="referral-section" style={{ marginBottom: '30px', padding: '15px', border: `1px solid var(--tg-hint-color)`, borderRadius: '8px' }}>
-          <h3 style={{ marginTop: '0', marginBottom: '10px' }}>Invite Friends & Earn!</h3>
-          <p style={{ fontSize: '0.9em', color: 'var(--tg-hint-color)' }}>Share your code to earn DOGS tokens for each friend who joins.</p>
-          <p style={{ marginBottom: '5px' }}>Your Referral Code:</p>
-          <input
-            type="text"
-            readOnly
-            value={state.validatedUser.referralCode || 'N/A'}
-            style={{
-              width: 'calc(100% - 22px)', // Adjust width accounting for padding
-              padding: '10px',
-              border: `1px solid var(--tg-hint-color)`,
-              borderRadius: '5px',
-              backgroundColor: 'var(--tg-bg-color)',
-              color: 'var(--tg-text-color)',
-              textAlign: 'center',
-              marginBottom: '10px',
-              fontSize: '1.1em',
-              fontWeight: 'bold',
-            }}
-            onClick={(e) => e.target.select()} // Select text on click
-          />
-          <button
-            style={{
-              padding: '8px 15px',
-              backgroundColor: 'var(--tg-button-color)',
-              color: 'var(--tg-button-text-color)',
-              border: 'none',
-              borderRadius: '5px',
-              cursor: 'pointer',
-              width: '100%', // Make button full width
-              boxSizing: 'border-box' // Include padding in width calculation
-            }}
-            onClick={() => {
-              // Attempt to get bot username dynamically if possible
-               let botUsername = 'mywdogsclone_bot'; // Fallback
-               try {
-                   const unsafeData = window.Telegram?.WebApp?.initDataUnsafe;
-                   if (unsafeData?.bot?.username) { // Look for bot username property
-                      botUsername = unsafeData.bot.username;
-                   }
-               } catch (e) { console.error("Could not get bot username dynamically", e); }
-
-              const referralLink = `https://t.me/${botUsername}?start=${state.validatedUser.referralCode}`;
-              const shareText = 'Come join me on this cool DOGS Clone app!';
-
-              // Use Web Share API if available (better mobile experience)
-              if (navigator.share) {
-                  navigator.share({
-                      title: 'Join DOGS Clone!',
-                      text: shareText,
-                      url: referralLink,
-                  }).then(() => {
-                      console.log('Shared successfully');
-                      tg?.showPopup({ message: 'Link shared!' });
-                  }).catch((error) => {
-                      console.log('Error sharing:', error);
-                      if (error.name !== 'AbortError') { // Don't show popup if user cancelled share dialog
-                        tg?.showPopup({ message: 'Could not share automatically.' });
-                      }
-                  });
-              } else {
-                   // Fallback for desktop or unsupported browsers - Use Telegram's share window
-                   tg?.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(referralLink)}&text=${encodeURIComponent(shareText)}`);
-                   // Give feedback that something happened, as openTelegramLink doesn't have a callback
-                   tg?.showPopup({ message: 'Opening share options...' });
-              }
-            }}
-          >
-            Share Your Code
-          </button>
-           <p style={{ fontSize: '0.9em', marginTop: '10px', color: 'var(--tg-hint-color)' }}>Friends Referred: {state.validatedUser.referralsMade || 0}</p>
-        </section>
-
-        {/* Placeholder Sections */}
-        <section className="daily-tasks-placeholder" style={{ marginBottom: '20px' }}>
-          <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>Daily Tasks</h3>
-          <p style={{ color: 'var(--tg-hint-color)' }}>(Task list coming soon! Click the button below.)</p>
-        </section>
-
-        <section className="leaderboard-placeholder" style={{ marginBottom: '20px' }}>
-          <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>Leaderboard</h3>
-          <button disabled style={{ marginRight: '10px', cursor: 'not-allowed', opacity: 0.6, padding: '8px 12px' }}>View Top Users (Soon)</button>
-        </section>
-
-        <section className="wallet-placeholder" style={{ marginBottom: '40px' }}>
-           <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>Wallet</h3>
-           {state.validatedUser.connectedWallet ? (
-               <p style={{ color: 'var(--tg-hint-color)' }}>Wallet Connected: <span style={{ fontFamily: 'monospace', color: 'var(--tg-text-color)' }}>{state.validatedUser.connectedWallet.substring(0, 6)}...{state.validatedUser.connectedWallet.substring(state.validatedUser.connectedWallet.length - 4)}</span></p>
-           ) : (
-               <button disabled style={{ cursor: 'not-allowed', opacity: 0.6, padding: '8px 12px' }}>Connect TON Wallet (Soon)</button>
-           )}
-        </section>
-
-        {/* Footer/Meta Info - Optional */}
-        <footer style={{ textAlign: 'center', fontSize: '0.8em', color: 'var(--tg-hint-color)', marginTop: '30px', borderTop: `1px solid var(--tg-secondary-bg-color)`, paddingTop: '10px' }}>
-          User ID: {state.validatedUser.userId} | v0.1.1
-          {/* Raw InitData for Debug (Comment out for production) */}
-          {/*
-          <details>
-            <summary style={{ cursor: 'pointer' }}>Debug Info</summary>
-            <pre style={{ fontSize: '10px', wordBreak: 'break-all', textAlign: 'left', backgroundColor: 'var(--tg-secondary-bg-color)', padding: '5px', borderRadius: '4px', maxHeight: '100px', overflowY: 'auto' }}>
-              {state.rawInitData || 'N/A'}
-            </pre>
-          </details>
-          */}
-        </footer>
+      <div style={{ paddingBottom: `${TAB_BAR_HEIGHT + 10}px` }}>
+        {screen}
+        <TabBar tabs={tabs} activeScreen={activeScreen} onSelect={navigation.navigate} />
       </div>
     );
   }
 
   // Fallback if not loading, no error, but no user
-  const handleReloadClick = () => window.location.reload();
-  tg?.MainButton.offClick(handleReloadClick); // Clean up previous listener
-  tg?.MainButton.setParams({ text: 'RELOAD APP', is_visible: true, is_active: true });
-  tg?.MainButton.onClick(handleReloadClick);
   return (
     <div className="App fallback-page" style={{ padding: '20px', textAlign: 'center', color: 'var(--tg-text-color)' }}>
-      Application initialized, but no user data available. Something went wrong.
+      {t('app.noUser')}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
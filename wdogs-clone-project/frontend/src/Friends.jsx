@@ -0,0 +1,200 @@
+// frontend/src/Friends.jsx
+// Friends screen: the referral link (copy / send in Telegram / share), totals and the list of
+// friends who joined through it, with each referral's status and what it earned
+
+import { useUser, useReferrals } from './store.js';
+import { useI18n } from './i18n.js';
+import { debugLog } from './debug.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%', // Make button full width
+  boxSizing: 'border-box' // Include padding in width calculation
+};
+
+const secondaryButtonStyle = { ...buttonStyle, backgroundColor: 'var(--tg-secondary-bg-color)', color: 'var(--tg-text-color)' };
+
+// Catalog keys and colors for referral statuses (see backend/referrals.js)
+const STATUS_LABELS = {
+  credited: { labelKey: 'friends.status.credited', color: 'var(--tg-link-color)' },
+  pending: { labelKey: 'friends.status.pending', color: 'var(--tg-hint-color)' },
+  rejected: { labelKey: 'friends.status.rejected', color: '#d9534f' },
+};
+
+const statStyle = { flex: 1, padding: '10px 5px', backgroundColor: 'var(--tg-secondary-bg-color)', borderRadius: '8px', textAlign: 'center' };
+
+function Friends({ publicConfig }) {
+  const { user } = useUser();
+  const { referrals, totals, nextCursor, isLoading, error, loadMore } = useReferrals();
+  const { t, formatNumber, formatDate, errorText } = useI18n();
+  const tg = window.Telegram?.WebApp;
+
+  // Bot username from the backend config (TELEGRAM_BOT_USERNAME), else from Telegram if possible
+  let botUsername = publicConfig.telegram.botUsername || 'mywdogsclone_bot'; // Fallback
+  try {
+    const unsafeData = tg?.initDataUnsafe;
+    if (!publicConfig.telegram.botUsername && unsafeData?.bot?.username) { // Look for bot username property
+      botUsername = unsafeData.bot.username;
+    }
+  } catch (e) { console.error("Could not get bot username dynamically", e); }
+
+  // startapp= opens the Mini App directly and arrives as start_param in initData (used for referral capture)
+  const referralLink = `https://t.me/${botUsername}?startapp=${user.referralCode}`;
+  const shareText = t('friends.shareText');
+  const friendCount = totals?.referrals ?? user.referralsMade ?? 0;
+
+  const handleCopy = () => {
+    if (!navigator.clipboard) {
+      tg?.showPopup({ message: referralLink });
+      return;
+    }
+    navigator.clipboard.writeText(referralLink)
+      .then(() => tg?.showPopup({ message: t('friends.linkCopied') }))
+      .catch(error => {
+        debugLog('Error copying:', error);
+        tg?.showPopup({ message: referralLink }); // Let the user copy it from the popup
+      });
+  };
+
+  const handleShare = () => {
+    // Use Web Share API if available (better mobile experience)
+    if (navigator.share) {
+      navigator.share({
+        title: t('friends.shareTitle'),
+        text: shareText,
+        url: referralLink,
+      }).then(() => {
+        debugLog('Shared successfully');
+        tg?.showPopup({ message: t('friends.shared') });
+      }).catch((error) => {
+        debugLog('Error sharing:', error);
+        if (error.name !== 'AbortError') { // Don't show popup if user cancelled share dialog
+          tg?.showPopup({ message: t('friends.shareFailed') });
+        }
+      });
+    } else {
+      // Fallback for desktop or unsupported browsers - Use Telegram's share window
+      tg?.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(referralLink)}&text=${encodeURIComponent(shareText)}`);
+      // Give feedback that something happened, as openTelegramLink doesn't have a callback
+      tg?.showPopup({ message: t('friends.openingShare') });
+    }
+  };
+
+  // Picks a chat and puts "@bot invite" in it; the bot answers with the user's invite message (see backend/bot.js).
+  // Falls back to the share flow on old clients or when the bot's inline mode is off.
+  const handleSendInTelegram = () => {
+    if (!tg?.switchInlineQuery || !tg.isVersionAtLeast?.('6.7')) {
+      handleShare();
+      return;
+    }
+    try {
+      tg.switchInlineQuery('invite', ['users', 'groups', 'channels']);
+    } catch (error) {
+      debugLog('switchInlineQuery failed:', error);
+      handleShare();
+    }
+  };
+
+  return (
+    <div className="friends-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '20px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('friends.title')}</h1>
+        <p style={{ color: 'var(--tg-hint-color)', fontSize: '0.9em' }}>
+          {publicConfig.rewards
+            ? t('friends.rewardText', { referrer: publicConfig.rewards.referralBonusReferrer, referred: publicConfig.rewards.referralBonusReferred })
+            : t('friends.defaultText')}
+        </p>
+      </header>
+
+      {/* Totals over all referrals */}
+      <section className="referral-totals" style={{ display: 'flex', gap: '8px', marginBottom: '20px' }}>
+        <div style={statStyle}>
+          <div style={{ fontSize: '1.4em', fontWeight: 'bold' }}>{formatNumber(friendCount)}</div>
+          <div style={{ fontSize: '0.8em', color: 'var(--tg-hint-color)' }}>{t('friends.statFriends', { count: friendCount })}</div>
+        </div>
+        <div style={statStyle}>
+          <div style={{ fontSize: '1.4em', fontWeight: 'bold', color: 'var(--tg-link-color)' }}>{formatNumber(totals?.tokensEarned ?? 0)}</div>
+          <div style={{ fontSize: '0.8em', color: 'var(--tg-hint-color)' }}>{t('friends.statEarned')}</div>
+        </div>
+        <div style={statStyle}>
+          <div style={{ fontSize: '1.4em', fontWeight: 'bold' }}>{formatNumber(totals?.secondLevelReferrals ?? 0)}</div>
+          <div style={{ fontSize: '0.8em', color: 'var(--tg-hint-color)' }}>{t('friends.statSecondLevel')}</div>
+        </div>
+      </section>
+
+      <section className="referral-section" style={{ marginBottom: '25px', padding: '15px', border: `1px solid var(--tg-hint-color)`, borderRadius: '8px' }}>
+        <h3 style={{ marginTop: '0', marginBottom: '10px' }}>{t('friends.linkTitle')}</h3>
+        <input
+          type="text"
+          readOnly
+          value={user.referralCode ? referralLink : t('common.notAvailable')}
+          style={{
+            width: 'calc(100% - 22px)', // Adjust width accounting for padding
+            padding: '10px',
+            border: `1px solid var(--tg-hint-color)`,
+            borderRadius: '5px',
+            backgroundColor: 'var(--tg-bg-color)',
+            color: 'var(--tg-text-color)',
+            textAlign: 'center',
+            marginBottom: '10px',
+            fontSize: '0.9em',
+          }}
+          onClick={(e) => e.target.select()} // Select text on click
+        />
+        <button style={{ ...buttonStyle, marginBottom: '8px' }} onClick={handleSendInTelegram} disabled={!user.referralCode}>
+          {t('friends.sendInTelegram')}
+        </button>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button style={secondaryButtonStyle} onClick={handleCopy} disabled={!user.referralCode}>{t('friends.copyLink')}</button>
+          <button style={secondaryButtonStyle} onClick={handleShare} disabled={!user.referralCode}>{t('friends.share')}</button>
+        </div>
+      </section>
+
+      <section className="referral-list">
+        <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>
+          {t('friends.listTitle')}{totals?.pending ? ` (${t('friends.pendingCount', { count: totals.pending })})` : ''}
+        </h3>
+
+        {error && <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('friends.loadError', { reason: errorText(error) })}</p>}
+
+        {!isLoading && !error && referrals.length === 0 && (
+          <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('friends.empty')}</p>
+        )}
+
+        {referrals.map(referral => {
+          const status = STATUS_LABELS[referral.status];
+          return (
+            <div key={referral.id} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px', padding: '10px 12px', marginBottom: '6px', borderRadius: '8px', backgroundColor: 'var(--tg-secondary-bg-color)', textAlign: 'left' }}>
+              <div>
+                <div style={{ fontWeight: 'bold' }}>{referral.name}</div>
+                <div style={{ fontSize: '0.8em', color: 'var(--tg-hint-color)' }}>
+                  {t('friends.joined', { date: referral.joinedAt ? formatDate(referral.joinedAt, { dateStyle: 'medium' }) : '' })}
+                  {referral.referralsMade > 0 ? ` · ${t('friends.invitedCount', { count: referral.referralsMade })}` : ''}
+                </div>
+              </div>
+              <div style={{ textAlign: 'right' }}>
+                <div style={{ color: 'var(--tg-link-color)' }}>{t('common.signedDogsAmount', { sign: '+', amount: referral.tokensEarned })}</div>
+                <div style={{ fontSize: '0.8em', color: status?.color || 'var(--tg-hint-color)' }}>{status ? t(status.labelKey) : referral.status}</div>
+              </div>
+            </div>
+          );
+        })}
+
+        {isLoading && <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('common.loading')}</p>}
+
+        {!isLoading && nextCursor && (
+          <button style={{ ...secondaryButtonStyle, marginTop: '10px' }} onClick={loadMore}>
+            {t('common.loadMore')}
+          </button>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default Friends;
@@ -0,0 +1,105 @@
+// frontend/src/Home.jsx
+// Home screen: welcome with the daily streak (a link to the profile), balance (with a link to the history),
+// farming and tapping (Mining.jsx) and shortcuts to tasks, friends, the squad and settings
+
+import Mining from './Mining.jsx';
+import { SCREENS, useMainButton } from './navigation.js';
+import { useUser } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+const sectionTitleStyle = { borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' };
+
+function Home({ publicConfig, onNavigate }) {
+  const { user, balance } = useUser();
+  const { t } = useI18n();
+  useMainButton({ text: t('home.mainButton'), onClick: () => onNavigate(SCREENS.TASKS) });
+
+  return (
+    // Apply theme colors via CSS variables set in App.jsx
+    <div className="App" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+
+      {/* Header Welcome */}
+      <header style={{ marginBottom: '20px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)' }}>{t('home.welcome', { name: user.firstName || t('common.defaultName') })}</h1>
+        {user.username && <p style={{ color: 'var(--tg-hint-color)' }}>@{user.username}</p>}
+        {publicConfig.features.achievements && (
+          <button
+            style={{ padding: '4px 12px', border: 'none', borderRadius: '14px', backgroundColor: 'var(--tg-secondary-bg-color)', color: 'var(--tg-text-color)', cursor: 'pointer', fontSize: '0.9em' }}
+            onClick={() => onNavigate(SCREENS.PROFILE)}
+          >
+            {t('home.streak', { count: user.streak?.current || 0 })}
+          </button>
+        )}
+      </header>
+
+      {/* Token Balance Section */}
+      <section className="token-balance" style={{ marginBottom: '30px', padding: '20px', backgroundColor: 'var(--tg-secondary-bg-color)', borderRadius: '10px', textAlign: 'center' }}>
+        <h2 style={{ marginBottom: '10px', fontSize: '1.2em', color: 'var(--tg-text-color)' }}>{t('home.balanceTitle')}</h2>
+        <p style={{ fontSize: '2.5em', fontWeight: 'bold', color: 'var(--tg-link-color)', margin: '0' }}>
+          {t('common.dogsAmount', { amount: balance })}
+        </p>
+        <button
+          style={{ marginTop: '10px', padding: '4px 10px', background: 'none', border: 'none', color: 'var(--tg-link-color)', cursor: 'pointer', fontSize: '0.9em' }}
+          onClick={() => onNavigate(SCREENS.TRANSACTIONS)}
+        >
+          {t('home.viewHistory')}
+        </button>
+      </section>
+
+      {publicConfig.features.mining && <Mining />}
+
+      <section className="daily-tasks" style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>{t('home.tasksTitle')}</h3>
+        <p style={{ color: 'var(--tg-hint-color)' }}>{t('home.tasksText')}</p>
+        <button style={buttonStyle} onClick={() => onNavigate(SCREENS.TASKS)}>
+          {t('home.openTasks')}
+        </button>
+      </section>
+
+      <section className="invite-friends" style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>{t('home.friendsTitle')}</h3>
+        <p style={{ color: 'var(--tg-hint-color)' }}>
+          {publicConfig.rewards
+            ? t('home.friendsReward', { reward: publicConfig.rewards.referralBonusReferrer })
+            : t('home.friendsText')} {t('home.friendsReferred', { count: user.referralsMade || 0 })}
+        </p>
+        <button style={buttonStyle} onClick={() => onNavigate(SCREENS.FRIENDS)}>
+          {t('home.inviteButton')}
+        </button>
+      </section>
+
+      {publicConfig.features.squads && (
+        <section className="squad" style={{ marginBottom: '20px' }}>
+          <h3 style={sectionTitleStyle}>{t('home.squadTitle')}</h3>
+          <p style={{ color: 'var(--tg-hint-color)' }}>{user.squadId ? t('home.squadMember') : t('home.squadText')}</p>
+          <button style={buttonStyle} onClick={() => onNavigate(SCREENS.SQUAD)}>
+            {user.squadId ? t('home.openSquad') : t('home.findSquad')}
+          </button>
+        </section>
+      )}
+
+      {/* Footer/Meta Info - Optional */}
+      <footer style={{ textAlign: 'center', fontSize: '0.8em', color: 'var(--tg-hint-color)', marginTop: '30px', borderTop: `1px solid var(--tg-secondary-bg-color)`, paddingTop: '10px' }}>
+        <button
+          style={{ marginBottom: '6px', padding: '4px 10px', background: 'none', border: 'none', color: 'var(--tg-link-color)', cursor: 'pointer', fontSize: '1em' }}
+          onClick={() => onNavigate(SCREENS.SETTINGS)}
+        >
+          {t('home.settings')}
+        </button>
+        <div>{t('home.footer', { userId: user.userId, version: '0.1.1' })}</div>
+      </footer>
+    </div>
+  );
+}
+
+export default Home;
@@ -0,0 +1,90 @@
+// frontend/src/Leaderboard.jsx
+// Leaderboard screen: top users by DOGS balance or by referrals, or top squads (when squads are on),
+// plus the user's own rank (or their squad's)
+
+import { useState } from 'react';
+import { useLeaderboard } from './store.js';
+import { useI18n } from './i18n.js';
+
+// labelKey / valueKey: catalog keys (see i18n.js); valueKey formats the entry's { value }.
+// A board with `feature` is shown if that public config feature is on.
+const BOARDS = [
+  { type: 'tokens', labelKey: 'leaderboard.boardTokens', path: '/api/leaderboard', valueKey: 'leaderboard.valueTokens' },
+  { type: 'referrals', labelKey: 'leaderboard.boardReferrals', path: '/api/leaderboard/referrals', valueKey: 'leaderboard.valueReferrals' },
+  { type: 'squads', labelKey: 'leaderboard.boardSquads', path: '/api/leaderboard/squads', valueKey: 'leaderboard.valueTokens', feature: 'squads' },
+];
+
+const tabStyle = (isActive) => ({
+  flex: 1,
+  padding: '8px 0',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  backgroundColor: isActive ? 'var(--tg-button-color)' : 'var(--tg-secondary-bg-color)',
+  color: isActive ? 'var(--tg-button-text-color)' : 'var(--tg-text-color)',
+});
+
+const rowStyle = (isMe) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '10px',
+  padding: '10px 12px',
+  marginBottom: '6px',
+  borderRadius: '8px',
+  backgroundColor: 'var(--tg-secondary-bg-color)',
+  border: isMe ? '1px solid var(--tg-link-color)' : '1px solid transparent',
+  textAlign: 'left',
+});
+
+function Leaderboard({ publicConfig }) {
+  const boards = BOARDS.filter(b => !b.feature || publicConfig.features[b.feature]);
+  const [board, setBoard] = useState(boards[0]);
+  const { entries, me, nextCursor, isLoading, error, loadMore } = useLeaderboard(board); // First page cached per board
+  const { t, formatNumber, errorText } = useI18n();
+
+  return (
+    <div className="App leaderboard-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '15px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('leaderboard.title')}</h1>
+      </header>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '15px' }}>
+        {boards.map(b => (
+          <button key={b.type} style={tabStyle(b.type === board.type)} onClick={() => setBoard(b)}>{t(b.labelKey)}</button>
+        ))}
+      </div>
+
+      {/* The user's own rank, shown even when outside the loaded pages */}
+      {me && (
+        <section className="leaderboard-me" style={{ ...rowStyle(true), marginBottom: '15px' }}>
+          <strong style={{ minWidth: '40px' }}>#{formatNumber(me.rank)}</strong>
+          <span style={{ flex: 1 }}>{board.type === 'squads' ? t('leaderboard.yourSquad') : t('leaderboard.you')}</span>
+          <span style={{ color: 'var(--tg-link-color)' }}>{t(board.valueKey, { value: me.value })}</span>
+        </section>
+      )}
+
+      {error && <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('leaderboard.loadError', { reason: errorText(error) })}</p>}
+
+      {/* Entries are only ever appended, so the index is a stable key */}
+      {entries.map((entry, index) => (
+        <div key={index} style={rowStyle(entry.isMe)}>
+          <strong style={{ minWidth: '40px' }}>#{formatNumber(entry.rank)}</strong>
+          <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {entry.isMe ? t('leaderboard.youSuffix', { name: entry.name }) : entry.name}
+          </span>
+          <span style={{ color: 'var(--tg-link-color)' }}>{t(board.valueKey, { value: entry.value })}</span>
+        </div>
+      ))}
+
+      {isLoading && <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('common.loading')}</p>}
+
+      {!isLoading && nextCursor && (
+        <button style={{ ...tabStyle(false), width: '100%', marginTop: '10px' }} onClick={loadMore}>
+          {t('common.loadMore')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Leaderboard;
@@ -0,0 +1,163 @@
+// frontend/src/Mining.jsx
+// Farming and tap-to-earn on the Home screen. The numbers come from the server (see backend/mining.js);
+// between requests they are counted on locally from the server's time, never from the device clock.
+
+import { useState, useEffect, useRef } from 'react';
+import { useMining } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+const disabledButtonStyle = { ...buttonStyle, cursor: 'not-allowed', opacity: 0.6 };
+
+const sectionTitleStyle = { borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' };
+
+const progressTrackStyle = { height: '8px', margin: '8px 0', borderRadius: '4px', backgroundColor: 'var(--tg-secondary-bg-color)', overflow: 'hidden' };
+const progressBarStyle = (fraction) => ({ width: `${Math.min(fraction, 1) * 100}%`, height: '100%', backgroundColor: 'var(--tg-button-color)', transition: 'width 0.3s' });
+
+const TICK_MS = 1000;
+const PRESS_ANIMATION_MS = 100;
+
+function Mining() {
+  const { mining, clockOffsetMs, error, isLoading, unconfirmedTaps, tapError, tap, startFarming, claimFarming } = useMining();
+  const { t, errorText } = useI18n();
+  const [serverNow, setServerNow] = useState(() => Date.now() + clockOffsetMs);
+  const [isBusy, setIsBusy] = useState(false);
+  const [isPressed, setIsPressed] = useState(false);
+  // Idempotency-Key per farming action; kept after a network error so pressing again retries it
+  const actionKey = useRef(null);
+  const tg = window.Telegram?.WebApp;
+
+  // Energy refills and farming accrues every second
+  useEffect(() => {
+    const update = () => setServerNow(Date.now() + clockOffsetMs);
+    update();
+    const intervalId = setInterval(update, TICK_MS);
+    return () => clearInterval(intervalId);
+  }, [clockOffsetMs]);
+
+  useEffect(() => {
+    if (!isPressed) return;
+    const timeoutId = setTimeout(() => setIsPressed(false), PRESS_ANIMATION_MS);
+    return () => clearTimeout(timeoutId);
+  }, [isPressed]);
+
+  if (isLoading) return <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('mining.loading')}</p>;
+  if (!mining) return error ? <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('mining.loadError', { reason: errorText(error) })}</p> : null;
+
+  // The same formulas as the server, from the time of its last answer
+  const elapsedSeconds = Math.max(serverNow - mining.serverTime, 0) / 1000;
+  const energy = Math.max(Math.min(mining.energy.current + Math.floor(elapsedSeconds * mining.energy.regenPerSecond), mining.energy.max) - unconfirmedTaps, 0);
+  const farming = mining.farming;
+  const farmingProgress = farming ? Math.min(Math.max(serverNow - farming.startedAt, 0) / (farming.endsAt - farming.startedAt), 1) : 0;
+  const isFarmingFinished = farming && farmingProgress >= 1;
+  const remainingMinutes = farming ? Math.ceil(Math.max(farming.endsAt - serverNow, 0) / 60000) : 0;
+
+  const runFarmingAction = (action, onDone) => {
+    setIsBusy(true);
+    actionKey.current = actionKey.current || crypto.randomUUID();
+    action(actionKey.current)
+      .then(data => {
+        actionKey.current = null;
+        onDone?.(data);
+      })
+      .catch(err => {
+        console.error("Error updating farming:", err);
+        if (err.status) actionKey.current = null;
+        tg?.showPopup({ message: errorText(err) });
+      })
+      .finally(() => setIsBusy(false));
+  };
+
+  const handleTap = () => {
+    if (energy <= 0) return;
+    tap();
+    setIsPressed(true);
+    tg?.HapticFeedback?.impactOccurred('light');
+  };
+
+  const renderFarmingAction = () => {
+    if (!farming) {
+      return (
+        <button style={isBusy ? disabledButtonStyle : buttonStyle} disabled={isBusy} onClick={() => runFarmingAction(startFarming)}>
+          {isBusy ? '...' : t('mining.startFarming')}
+        </button>
+      );
+    }
+    if (isFarmingFinished) {
+      return (
+        <button
+          style={isBusy ? disabledButtonStyle : buttonStyle}
+          disabled={isBusy}
+          onClick={() => runFarmingAction(claimFarming, data => tg?.showPopup({ message: t('mining.farmingClaimed', { reward: data.reward }) }))}
+        >
+          {isBusy ? '...' : t('mining.claimFarming', { reward: farming.reward })}
+        </button>
+      );
+    }
+    return (
+      <button style={disabledButtonStyle} disabled>
+        {t('mining.farmingEndsIn', { hours: Math.floor(remainingMinutes / 60), minutes: remainingMinutes % 60 })}
+      </button>
+    );
+  };
+
+  return (
+    <>
+      <section className="farming" style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>{t('mining.farmingTitle')}</h3>
+        {farming ? (
+          <>
+            <div style={progressTrackStyle}><div style={progressBarStyle(farmingProgress)} /></div>
+            <p style={{ margin: '0 0 10px', color: 'var(--tg-hint-color)' }}>
+              {t('mining.farmingProgress', { accrued: Math.floor(farming.reward * farmingProgress), reward: farming.reward })}
+            </p>
+          </>
+        ) : (
+          <p style={{ color: 'var(--tg-hint-color)' }}>
+            {t('mining.farmingIdle', { reward: mining.farmingReward, hours: Math.round(mining.farmingDurationSeconds / 3600) })}
+          </p>
+        )}
+        {renderFarmingAction()}
+      </section>
+
+      <section className="tap-to-earn" style={{ marginBottom: '20px', textAlign: 'center' }}>
+        <h3 style={{ ...sectionTitleStyle, textAlign: 'left' }}>{t('mining.tapTitle')}</h3>
+        <p style={{ color: 'var(--tg-hint-color)', textAlign: 'left' }}>{t('mining.tapHint', { reward: mining.tapReward })}</p>
+        <button
+          aria-label={t('mining.tapTitle')}
+          style={{
+            width: '140px',
+            height: '140px',
+            borderRadius: '50%',
+            border: 'none',
+            backgroundColor: 'var(--tg-secondary-bg-color)',
+            fontSize: '4em',
+            cursor: energy > 0 ? 'pointer' : 'not-allowed',
+            opacity: energy > 0 ? 1 : 0.5,
+            transform: isPressed ? 'scale(0.92)' : 'scale(1)',
+            transition: `transform ${PRESS_ANIMATION_MS}ms`,
+            touchAction: 'manipulation', // No double-tap zoom while tapping fast
+          }}
+          onClick={handleTap}
+        >
+          🐶
+        </button>
+        <div style={progressTrackStyle}><div style={progressBarStyle(energy / mining.energy.max)} /></div>
+        <p style={{ margin: 0, fontSize: '0.9em' }}>{t('mining.energy', { current: energy, max: mining.energy.max })}</p>
+        {energy <= 0 && <p style={{ color: 'var(--tg-hint-color)', fontSize: '0.9em' }}>{t('mining.noEnergy', { rate: mining.energy.regenPerSecond })}</p>}
+        {tapError && <p style={{ color: '#d9534f', fontSize: '0.9em' }}>{errorText(tapError)}</p>}
+      </section>
+    </>
+  );
+}
+
+export default Mining;
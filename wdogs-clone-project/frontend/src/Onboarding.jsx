@@ -0,0 +1,180 @@
+// frontend/src/Onboarding.jsx
+// Shown once, before Home: the account age check. Counts up the years on Telegram, the Premium bonus
+// and the reward, then claims it (POST /api/onboarding/claim, see backend/onboarding.js)
+
+import { useState, useEffect, useRef } from 'react';
+import { useMainButton } from './navigation.js';
+import { useOnboarding, useUser } from './store.js';
+import { useI18n } from './i18n.js';
+
+const STEPS = {
+  CHECKING: 'checking',
+  AGE: 'age',
+  PREMIUM: 'premium',
+  REWARD: 'reward',
+};
+
+const CHECK_DURATION_MS = 1800; // The "checking" bar takes at least this long, even if the answer is faster
+const COUNT_UP_MS = 1200;
+
+const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+const bigNumberStyle = { fontSize: '4em', fontWeight: 'bold', color: 'var(--tg-link-color)', margin: '10px 0' };
+const hintStyle = { color: 'var(--tg-hint-color)' };
+
+// Counts from 0 up to `target` (easing out) once `isRunning`; jumps straight there with reduced motion
+function useCountUp(target, isRunning) {
+  const [value, setValue] = useState(0);
+  useEffect(() => {
+    if (!isRunning) return;
+    if (prefersReducedMotion()) {
+      setValue(target);
+      return;
+    }
+    let frameId;
+    const startedAt = performance.now();
+    const step = (time) => {
+      const progress = Math.min((time - startedAt) / COUNT_UP_MS, 1);
+      setValue(Math.round(target * (1 - (1 - progress) ** 3)));
+      if (progress < 1) frameId = requestAnimationFrame(step);
+    };
+    frameId = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frameId);
+  }, [target, isRunning]);
+  return value;
+}
+
+// onSkip: continue to the app without the reward (only offered when the check can't be loaded)
+function Onboarding({ onSkip }) {
+  const { onboarding, error, claim } = useOnboarding();
+  const { refresh } = useUser();
+  const { t, formatDate, errorText } = useI18n();
+  const [step, setStep] = useState(STEPS.CHECKING);
+  const [isCheckBarFull, setIsCheckBarFull] = useState(false);
+  const [isCheckTimeOver, setIsCheckTimeOver] = useState(false);
+  const [isClaiming, setIsClaiming] = useState(false);
+  // Idempotency-Key of the claim; kept after a network error so pressing again retries the same claim
+  const claimKey = useRef(null);
+  const tg = window.Telegram?.WebApp;
+
+  // The bar fills over CHECK_DURATION_MS (started a frame later so the CSS transition runs)
+  useEffect(() => {
+    const frameId = requestAnimationFrame(() => setIsCheckBarFull(true));
+    const timeoutId = setTimeout(() => setIsCheckTimeOver(true), CHECK_DURATION_MS);
+    return () => {
+      cancelAnimationFrame(frameId);
+      clearTimeout(timeoutId);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (step === STEPS.CHECKING && isCheckTimeOver && onboarding) {
+      setStep(STEPS.AGE);
+      tg?.HapticFeedback?.notificationOccurred('success');
+    }
+  }, [step, isCheckTimeOver, onboarding, tg]);
+
+  const steps = [STEPS.AGE, ...(onboarding?.isPremium ? [STEPS.PREMIUM] : []), STEPS.REWARD];
+  const years = useCountUp(onboarding?.accountYears || 0, step === STEPS.AGE);
+  const premiumBonus = useCountUp(onboarding?.premiumBonus || 0, step === STEPS.PREMIUM);
+  const reward = useCountUp(onboarding?.reward || 0, step === STEPS.REWARD);
+
+  // Once the claim is confirmed the profile has `onboarding` set, and App.jsx shows Home instead
+  const claimReward = () => {
+    if (isClaiming) return;
+    setIsClaiming(true);
+    claimKey.current = claimKey.current || crypto.randomUUID();
+    claim(claimKey.current)
+      .then(() => tg?.HapticFeedback?.notificationOccurred('success'))
+      .catch(err => {
+        console.error("Error claiming onboarding reward:", err);
+        setIsClaiming(false);
+        if (err.status) claimKey.current = null;
+        if (err.code === 'onboarding_claimed') {
+          refresh().catch(() => {}); // Claimed before (another device): the profile says so
+          return;
+        }
+        tg?.showPopup({ message: errorText(err, 'onboarding.claimFailed') });
+      });
+  };
+
+  const next = () => setStep(steps[steps.indexOf(step) + 1]);
+
+  let mainButton = { text: t('onboarding.continue'), onClick: next, isVisible: step !== STEPS.CHECKING };
+  if (step === STEPS.CHECKING && error) {
+    mainButton = { text: t('onboarding.skip'), onClick: onSkip };
+  } else if (step === STEPS.REWARD) {
+    mainButton = { text: isClaiming ? '...' : t('onboarding.claim', { reward: onboarding.reward }), onClick: claimReward };
+  }
+  useMainButton(mainButton);
+
+  let content;
+  switch (step) {
+    case STEPS.AGE:
+      content = (
+        <>
+          <h2>{t('onboarding.ageTitle')}</h2>
+          {onboarding.accountYears > 0 ? (
+            <>
+              <p style={bigNumberStyle}>{years}</p>
+              <h3>{t('onboarding.years', { count: onboarding.accountYears })}</h3>
+            </>
+          ) : (
+            <p style={{ ...bigNumberStyle, fontSize: '2em' }}>{t('onboarding.newAccount')}</p>
+          )}
+          <p style={hintStyle}>{t('onboarding.createdAround', { date: formatDate(onboarding.estimatedCreatedAt, { year: 'numeric', month: 'long' }) })}</p>
+        </>
+      );
+      break;
+    case STEPS.PREMIUM:
+      content = (
+        <>
+          <p style={{ fontSize: '4em', margin: 0 }}>⭐</p>
+          <h2>{t('onboarding.premiumTitle')}</h2>
+          <p style={bigNumberStyle}>+{premiumBonus}</p>
+          <p style={hintStyle}>{t('onboarding.premiumText')}</p>
+        </>
+      );
+      break;
+    case STEPS.REWARD:
+      content = (
+        <>
+          <h2>{t('onboarding.rewardTitle')}</h2>
+          <p style={bigNumberStyle}>{reward}</p>
+          <h3>DOGS</h3>
+          <p style={hintStyle}>
+            {t('onboarding.rewardAge', { reward: onboarding.ageReward })}
+            {onboarding.premiumBonus > 0 && <><br />{t('onboarding.rewardPremium', { reward: onboarding.premiumBonus })}</>}
+          </p>
+        </>
+      );
+      break;
+    default:
+      content = (
+        <>
+          <p style={{ fontSize: '4em', margin: 0 }}>🐶</p>
+          <h2>{t('onboarding.checkingTitle')}</h2>
+          <div style={{ height: '8px', margin: '20px 0', borderRadius: '4px', backgroundColor: 'var(--tg-secondary-bg-color)', overflow: 'hidden' }}>
+            <div style={{ width: isCheckBarFull ? '100%' : '0%', height: '100%', backgroundColor: 'var(--tg-button-color)', transition: `width ${CHECK_DURATION_MS}ms ease-in-out` }} />
+          </div>
+          {error
+            ? <p style={{ color: '#d9534f' }}>{t('onboarding.loadError', { reason: errorText(error) })}</p>
+            : <p style={hintStyle}>{t('onboarding.checkingText')}</p>}
+        </>
+      );
+  }
+
+  return (
+    <div className="App onboarding-screen" style={{ padding: '40px 20px', textAlign: 'center', color: 'var(--tg-text-color)' }}>
+      <div key={step} className="onboarding-step">{content}</div>
+      {/* Step dots */}
+      <div style={{ display: 'flex', justifyContent: 'center', gap: '6px', marginTop: '30px' }}>
+        {[STEPS.CHECKING, ...steps].map(dot => (
+          <span key={dot} style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: dot === step ? 'var(--tg-link-color)' : 'var(--tg-hint-color)', opacity: dot === step ? 1 : 0.4 }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default Onboarding;
@@ -0,0 +1,122 @@
+// frontend/src/Privacy.jsx
+// Privacy screen: what the app stores about the user, a download of all of it (GET /api/me/export)
+// and deleting the account (DELETE /api/me, see backend/privacy.js)
+
+import { useState, useRef } from 'react';
+import { api } from './api.js';
+import { useUser } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+const dangerButtonStyle = { ...buttonStyle, backgroundColor: '#d9534f', color: '#fff' };
+const disabledStyle = { cursor: 'not-allowed', opacity: 0.6 };
+
+const sectionTitleStyle = { borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' };
+const hintStyle = { color: 'var(--tg-hint-color)', fontSize: '0.9em' };
+
+const STORED_DATA_KEYS = ['privacy.dataProfile', 'privacy.dataLogins', 'privacy.dataLedger', 'privacy.dataReferrals', 'privacy.dataActivity'];
+
+// Asks with Telegram's confirm popup (window.confirm outside Telegram)
+function confirmAction(message) {
+  const tg = window.Telegram?.WebApp;
+  if (!tg?.showConfirm) return Promise.resolve(window.confirm(message));
+  return new Promise(resolve => tg.showConfirm(message, resolve));
+}
+
+// Saves `data` as a JSON file through a temporary download link
+function downloadJson(data, fileName) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// onDeleted: called once the account is gone (App.jsx signs out)
+function Privacy({ onDeleted }) {
+  const { user, balance } = useUser();
+  const { t, errorText } = useI18n();
+  const [isExporting, setIsExporting] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  // Idempotency-Key of the deletion; kept after a network error so pressing again retries the same one
+  const deleteKey = useRef(null);
+  const tg = window.Telegram?.WebApp;
+
+  const handleExport = () => {
+    if (isExporting) return;
+    setIsExporting(true);
+    api.get('/api/me/export')
+      .then(data => {
+        downloadJson(data, `wdogs-data-${user.userId}.json`);
+        tg?.showPopup({ message: t('privacy.exported') });
+      })
+      .catch(err => {
+        console.error("Error exporting data:", err);
+        tg?.showPopup({ message: errorText(err, 'privacy.exportFailed') });
+      })
+      .finally(() => setIsExporting(false));
+  };
+
+  const handleDelete = async () => {
+    if (isDeleting || !(await confirmAction(t('privacy.deleteConfirm', { balance })))) return;
+    setIsDeleting(true);
+    deleteKey.current = deleteKey.current || crypto.randomUUID();
+    api.delete('/api/me', { headers: { 'Idempotency-Key': deleteKey.current } })
+      .then(() => {
+        tg?.HapticFeedback?.notificationOccurred('success');
+        onDeleted();
+      })
+      .catch(err => {
+        console.error("Error deleting account:", err);
+        if (err.status) deleteKey.current = null;
+        tg?.showPopup({ message: errorText(err, 'privacy.deleteFailed') });
+        setIsDeleting(false);
+      });
+  };
+
+  return (
+    <div className="App privacy-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '15px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('privacy.title')}</h1>
+      </header>
+
+      <section className="privacy-data" style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>{t('privacy.dataTitle')}</h3>
+        <ul style={{ paddingLeft: '20px', margin: '10px 0' }}>
+          {STORED_DATA_KEYS.map(key => <li key={key} style={{ marginBottom: '4px' }}>{t(key)}</li>)}
+        </ul>
+        <p style={hintStyle}>{t('privacy.retention')}</p>
+      </section>
+
+      <section className="privacy-export" style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>{t('privacy.exportTitle')}</h3>
+        <p style={hintStyle}>{t('privacy.exportText')}</p>
+        <button style={isExporting ? { ...buttonStyle, ...disabledStyle } : buttonStyle} disabled={isExporting} onClick={handleExport}>
+          {isExporting ? '...' : t('privacy.exportButton')}
+        </button>
+      </section>
+
+      <section className="privacy-delete" style={{ marginBottom: '20px' }}>
+        <h3 style={sectionTitleStyle}>{t('privacy.deleteTitle')}</h3>
+        <p style={hintStyle}>{t('privacy.deleteText')}</p>
+        <button style={isDeleting ? { ...dangerButtonStyle, ...disabledStyle } : dangerButtonStyle} disabled={isDeleting} onClick={handleDelete}>
+          {isDeleting ? '...' : t('privacy.deleteButton')}
+        </button>
+      </section>
+    </div>
+  );
+}
+
+export default Privacy;
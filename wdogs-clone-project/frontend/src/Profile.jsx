@@ -0,0 +1,126 @@
+// frontend/src/Profile.jsx
+// Profile screen: the daily streak (with streak freezes to buy) and the achievement badges, earned or
+// locked with progress (GET /api/me/achievements, see backend/achievements.js and backend/streaks.js)
+
+import { useState, useRef } from 'react';
+import { useAchievements } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+const disabledButtonStyle = { ...buttonStyle, cursor: 'not-allowed', opacity: 0.6 };
+
+const sectionTitleStyle = { borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' };
+
+const statStyle = { flex: 1, textAlign: 'center' };
+const statValueStyle = { fontSize: '1.6em', fontWeight: 'bold', margin: 0 };
+const statLabelStyle = { color: 'var(--tg-hint-color)', fontSize: '0.85em', margin: 0 };
+
+function Badge({ achievement }) {
+  const { t, formatDate } = useI18n();
+  const { id, icon, condition, reward, earned, earnedAt, progress } = achievement;
+
+  let status;
+  if (earned) {
+    status = earnedAt ? t('profile.earnedOn', { date: formatDate(earnedAt, { dateStyle: 'medium' }) }) : t('profile.earned');
+  } else if (progress && condition === 'rank') {
+    status = t('profile.rankProgress', { rank: progress.value });
+  } else if (progress) {
+    status = t('profile.progress', { value: progress.value, target: progress.target });
+  } else {
+    status = t('profile.locked');
+  }
+
+  return (
+    <div style={{ padding: '12px 8px', borderRadius: '10px', backgroundColor: 'var(--tg-secondary-bg-color)', textAlign: 'center', opacity: earned ? 1 : 0.6 }}>
+      <div style={{ fontSize: '2em', filter: earned ? 'none' : 'grayscale(1)' }} aria-hidden="true">{earned ? icon : '🔒'}</div>
+      <div style={{ fontWeight: 'bold', margin: '4px 0' }}>{t(`achievements.${id}.title`)}</div>
+      <div style={{ fontSize: '0.8em', color: 'var(--tg-hint-color)' }}>{t(`achievements.${id}.description`)}</div>
+      {reward > 0 && <div style={{ fontSize: '0.8em', color: 'var(--tg-link-color)', marginTop: '4px' }}>{t('profile.reward', { reward })}</div>}
+      <div style={{ fontSize: '0.8em', marginTop: '6px' }}>{status}</div>
+    </div>
+  );
+}
+
+function Profile() {
+  const { achievements, streak, error, isLoading, buyFreeze } = useAchievements();
+  const { t, errorText } = useI18n();
+  const [isBuying, setIsBuying] = useState(false);
+  // Idempotency-Key of the purchase; kept after a network error so pressing again retries the same one
+  const buyKey = useRef(null);
+  const tg = window.Telegram?.WebApp;
+
+  const handleBuyFreeze = () => {
+    if (isBuying) return;
+    setIsBuying(true);
+    buyKey.current = buyKey.current || crypto.randomUUID();
+    buyFreeze(buyKey.current)
+      .then(() => {
+        buyKey.current = null;
+        tg?.HapticFeedback?.notificationOccurred('success');
+      })
+      .catch(err => {
+        console.error("Error buying streak freeze:", err);
+        if (err.status) buyKey.current = null;
+        tg?.showPopup({ message: errorText(err, 'profile.buyFreezeFailed') });
+      })
+      .finally(() => setIsBuying(false));
+  };
+
+  const earnedCount = achievements.filter(achievement => achievement.earned).length;
+  const canBuyFreeze = streak && streak.freezes < streak.maxFreezes && !isBuying;
+
+  return (
+    <div className="App profile-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '15px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('profile.title')}</h1>
+      </header>
+
+      {isLoading && <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('profile.loading')}</p>}
+      {error && <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('profile.loadError', { reason: errorText(error) })}</p>}
+
+      {streak && (
+        <section className="streak" style={{ marginBottom: '20px' }}>
+          <h3 style={sectionTitleStyle}>{t('profile.streakTitle')}</h3>
+          <div style={{ display: 'flex', margin: '10px 0' }}>
+            <div style={statStyle}>
+              <p style={statValueStyle}>🔥 {streak.current}</p>
+              <p style={statLabelStyle}>{t('profile.streakCurrent', { count: streak.current })}</p>
+            </div>
+            <div style={statStyle}>
+              <p style={statValueStyle}>{streak.longest}</p>
+              <p style={statLabelStyle}>{t('profile.streakLongest')}</p>
+            </div>
+            <div style={statStyle}>
+              <p style={statValueStyle}>🧊 {streak.freezes}/{streak.maxFreezes}</p>
+              <p style={statLabelStyle}>{t('profile.freezes')}</p>
+            </div>
+          </div>
+          <p style={{ color: 'var(--tg-hint-color)', fontSize: '0.9em' }}>{t('profile.freezeHint')}</p>
+          <button style={canBuyFreeze ? buttonStyle : disabledButtonStyle} disabled={!canBuyFreeze} onClick={handleBuyFreeze}>
+            {isBuying ? '...' : streak.freezes >= streak.maxFreezes ? t('profile.freezesFull') : t('profile.buyFreeze', { price: streak.freezePrice })}
+          </button>
+        </section>
+      )}
+
+      {achievements.length > 0 && (
+        <section className="achievements">
+          <h3 style={sectionTitleStyle}>{t('profile.badgesTitle', { earned: earnedCount, total: achievements.length })}</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+            {achievements.map(achievement => <Badge key={achievement.id} achievement={achievement} />)}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default Profile;
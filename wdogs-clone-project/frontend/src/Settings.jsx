@@ -0,0 +1,79 @@
+// frontend/src/Settings.jsx
+// Settings screen: the app's language, saved on the profile (PATCH /api/me) so the bot uses it too,
+// and a link to the privacy screen (data export, account deletion)
+
+import { useState } from 'react';
+import { api } from './api.js';
+import { SCREENS } from './navigation.js';
+import { useUser } from './store.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, resolveLocale, languageName, useI18n } from './i18n.js';
+
+const optionStyle = (isSelected) => ({
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  width: '100%',
+  padding: '12px 15px',
+  marginBottom: '6px',
+  border: isSelected ? '1px solid var(--tg-link-color)' : '1px solid transparent',
+  borderRadius: '8px',
+  backgroundColor: 'var(--tg-secondary-bg-color)',
+  color: 'var(--tg-text-color)',
+  cursor: 'pointer',
+  fontSize: '1em',
+  textAlign: 'left',
+});
+
+function Settings({ onNavigate }) {
+  const { user, setUser } = useUser();
+  const { t, errorText } = useI18n();
+  const [savingLocale, setSavingLocale] = useState(undefined); // Option being saved; null is "Telegram language"
+  const tg = window.Telegram?.WebApp;
+
+  // null follows the Telegram language again
+  const options = [null, ...SUPPORTED_LOCALES];
+  const telegramLanguage = languageName(resolveLocale(user.languageCode) || DEFAULT_LOCALE);
+
+  const selectLocale = (locale) => {
+    if (locale === (user.locale ?? null) || savingLocale !== undefined) return;
+    setSavingLocale(locale);
+    api.patch('/api/me', { locale })
+      .then(data => setUser(data.user)) // The whole app switches language with the profile
+      .catch(error => {
+        console.error("Error saving language:", error);
+        tg?.showPopup({ message: errorText(error, 'settings.saveFailed') });
+      })
+      .finally(() => setSavingLocale(undefined));
+  };
+
+  return (
+    <div className="App settings-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '15px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('settings.title')}</h1>
+      </header>
+
+      <section className="language-settings">
+        <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>{t('settings.language')}</h3>
+        {options.map(locale => {
+          const isSelected = locale === (user.locale ?? null);
+          return (
+            <button key={locale || 'auto'} style={optionStyle(isSelected)} disabled={savingLocale !== undefined} onClick={() => selectLocale(locale)}>
+              <span>{locale ? languageName(locale) : t('settings.languageAuto', { language: telegramLanguage })}</span>
+              <span style={{ color: 'var(--tg-link-color)' }}>{savingLocale === locale ? '...' : isSelected ? '✓' : ''}</span>
+            </button>
+          );
+        })}
+      </section>
+
+      <section className="privacy-settings" style={{ marginTop: '20px' }}>
+        <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>{t('settings.privacy')}</h3>
+        <button style={optionStyle(false)} onClick={() => onNavigate(SCREENS.PRIVACY)}>
+          <span>{t('settings.privacyLink')}</span>
+          <span style={{ color: 'var(--tg-hint-color)' }}>›</span>
+        </button>
+      </section>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,224 @@
+// frontend/src/Squad.jsx
+// Squad screen: the user's squad (pooled balance, members, invite link, leave; the owner can kick), or
+// forms to create one or join one by code. An invite link (startapp=squad_<code>, see navigation.js)
+// opens this screen with that squad to join. See backend/squads.js.
+
+import { useState, useEffect, useRef } from 'react';
+import { api } from './api.js';
+import { squadCodeFromStartParam, squadInviteLink } from './navigation.js';
+import { useSquad } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+const disabledButtonStyle = { ...buttonStyle, cursor: 'not-allowed', opacity: 0.6 };
+const secondaryButtonStyle = { ...buttonStyle, backgroundColor: 'var(--tg-secondary-bg-color)', color: 'var(--tg-text-color)' };
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '8px 10px',
+  marginBottom: '8px',
+  borderRadius: '5px',
+  border: '1px solid var(--tg-hint-color)',
+  backgroundColor: 'var(--tg-bg-color)',
+  color: 'var(--tg-text-color)',
+};
+
+const sectionTitleStyle = { borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' };
+
+const statStyle = { flex: 1, textAlign: 'center' };
+const statValueStyle = { fontSize: '1.6em', fontWeight: 'bold', margin: 0 };
+const statLabelStyle = { color: 'var(--tg-hint-color)', fontSize: '0.85em', margin: 0 };
+
+const rowStyle = (isMe) => ({
+  display: 'flex',
+  alignItems: 'center',
+  gap: '10px',
+  padding: '10px 12px',
+  marginBottom: '6px',
+  borderRadius: '8px',
+  backgroundColor: 'var(--tg-secondary-bg-color)',
+  border: isMe ? '1px solid var(--tg-link-color)' : '1px solid transparent',
+});
+
+// Asks with Telegram's confirm popup (window.confirm outside Telegram)
+function confirmAction(message) {
+  const tg = window.Telegram?.WebApp;
+  if (!tg?.showConfirm) return Promise.resolve(window.confirm(message));
+  return new Promise(resolve => tg.showConfirm(message, resolve));
+}
+
+function Squad({ publicConfig }) {
+  const { squad, error, isLoading, createSquad, joinSquad, leaveSquad, kickMember } = useSquad();
+  const { t, errorText } = useI18n();
+  const [name, setName] = useState('');
+  const [code, setCode] = useState('');
+  const [busyAction, setBusyAction] = useState(null); // 'create' | 'join' | 'leave' | 'kick:<userId>'
+  // Idempotency-Key per action; kept after a network error so pressing again retries the same one
+  const actionKeys = useRef({});
+  const tg = window.Telegram?.WebApp;
+
+  // The squad of an invite link, shown with a Join button while the user isn't in a squad
+  const inviteCode = squadCodeFromStartParam(tg?.initDataUnsafe?.start_param);
+  const [invite, setInvite] = useState(null); // { squad } or { error }
+
+  useEffect(() => {
+    if (!inviteCode) return;
+    let cancelled = false;
+    api.get(`/api/squads/${encodeURIComponent(inviteCode)}`)
+      .then(data => { if (!cancelled) setInvite({ squad: data.squad }); })
+      .catch(err => {
+        console.error("Error loading invited squad:", err);
+        if (!cancelled) setInvite({ error: err });
+      });
+    return () => { cancelled = true; };
+  }, [inviteCode]);
+
+  const botUsername = publicConfig.telegram.botUsername || tg?.initDataUnsafe?.bot?.username || 'mywdogsclone_bot';
+
+  const run = (action, request, failedKey) => {
+    if (busyAction) return;
+    setBusyAction(action);
+    actionKeys.current[action] = actionKeys.current[action] || crypto.randomUUID();
+    request(actionKeys.current[action])
+      .then(() => {
+        delete actionKeys.current[action];
+        tg?.HapticFeedback?.notificationOccurred('success');
+      })
+      .catch(err => {
+        console.error(`Error in squad action ${action}:`, err);
+        if (err.status) delete actionKeys.current[action];
+        tg?.showPopup({ message: errorText(err, failedKey) });
+      })
+      .finally(() => setBusyAction(null));
+  };
+
+  const handleCreate = () => run('create', key => createSquad(name.trim(), key).then(() => setName('')), 'squad.createFailed');
+  const handleJoin = (joinCode) => run('join', key => joinSquad(joinCode, key).then(() => setCode('')), 'squad.joinFailed');
+
+  const handleLeave = async () => {
+    if (!(await confirmAction(t('squad.leaveConfirm', { name: squad.name })))) return;
+    run('leave', leaveSquad, 'squad.leaveFailed');
+  };
+
+  const handleKick = async (member) => {
+    if (!(await confirmAction(t('squad.kickConfirm', { name: member.name })))) return;
+    run(`kick:${member.userId}`, key => kickMember(squad.code, member.userId, key), 'squad.kickFailed');
+  };
+
+  const handleShare = () => {
+    const link = squadInviteLink(botUsername, squad.code);
+    const text = t('squad.shareText', { name: squad.name });
+    if (tg?.openTelegramLink) {
+      tg.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(text)}`);
+    } else if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).catch(err => console.error("Error copying invite link:", err));
+    }
+  };
+
+  const isBusy = Boolean(busyAction);
+  const canCreate = name.trim().length >= 3 && !isBusy;
+  const canJoin = code.trim().length > 0 && !isBusy;
+
+  return (
+    <div className="App squad-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '15px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{squad ? squad.name : t('squad.title')}</h1>
+      </header>
+
+      {isLoading && <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('common.loading')}</p>}
+      {error && <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('squad.loadError', { reason: errorText(error) })}</p>}
+
+      {squad && (
+        <>
+          <section className="squad-stats" style={{ marginBottom: '20px' }}>
+            <div style={{ display: 'flex', margin: '10px 0' }}>
+              <div style={statStyle}>
+                <p style={statValueStyle}>{t('common.dogsAmount', { amount: squad.totalTokens })}</p>
+                <p style={statLabelStyle}>{t('squad.totalTokens')}</p>
+              </div>
+              <div style={statStyle}>
+                <p style={statValueStyle}>{squad.memberCount}/{squad.maxMembers}</p>
+                <p style={statLabelStyle}>{t('squad.members', { count: squad.memberCount })}</p>
+              </div>
+            </div>
+            <p style={{ color: 'var(--tg-hint-color)', fontSize: '0.9em', textAlign: 'center' }}>{t('squad.code', { code: squad.code })}</p>
+            <button style={buttonStyle} onClick={handleShare}>{t('squad.invite')}</button>
+          </section>
+
+          <section className="squad-members" style={{ marginBottom: '20px' }}>
+            <h3 style={sectionTitleStyle}>{t('squad.membersTitle')}</h3>
+            {squad.members.map((member, index) => (
+              <div key={member.userId || index} style={rowStyle(member.isMe)}>
+                <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {member.isOwner && '👑 '}{member.isMe ? t('leaderboard.youSuffix', { name: member.name }) : member.name}
+                </span>
+                <span style={{ color: 'var(--tg-link-color)' }}>{t('common.dogsAmount', { amount: member.tokens })}</span>
+                {squad.isOwner && !member.isMe && (
+                  <button
+                    style={{ padding: '4px 8px', border: 'none', borderRadius: '5px', backgroundColor: '#d9534f', color: '#fff', cursor: isBusy ? 'not-allowed' : 'pointer' }}
+                    disabled={isBusy}
+                    onClick={() => handleKick(member)}
+                  >
+                    {busyAction === `kick:${member.userId}` ? '...' : t('squad.kick')}
+                  </button>
+                )}
+              </div>
+            ))}
+          </section>
+
+          <button style={isBusy ? disabledButtonStyle : secondaryButtonStyle} disabled={isBusy} onClick={handleLeave}>
+            {busyAction === 'leave' ? '...' : t('squad.leave')}
+          </button>
+        </>
+      )}
+
+      {!squad && !isLoading && !error && (
+        <>
+          {invite?.squad && (
+            <section className="squad-invite" style={{ marginBottom: '20px', padding: '15px', borderRadius: '10px', backgroundColor: 'var(--tg-secondary-bg-color)', textAlign: 'center' }}>
+              <p style={{ margin: '0 0 5px' }}>{t('squad.invitedTo')}</p>
+              <h2 style={{ margin: '0 0 5px' }}>{invite.squad.name}</h2>
+              <p style={{ color: 'var(--tg-hint-color)', margin: '0 0 10px' }}>
+                {t('squad.members', { count: invite.squad.memberCount })} · {t('common.dogsAmount', { amount: invite.squad.totalTokens })}
+              </p>
+              <button style={isBusy ? disabledButtonStyle : buttonStyle} disabled={isBusy} onClick={() => handleJoin(invite.squad.code)}>
+                {busyAction === 'join' ? '...' : t('squad.join')}
+              </button>
+            </section>
+          )}
+          {invite?.error && <p style={{ textAlign: 'center', color: '#d9534f' }}>{errorText(invite.error, 'squad.inviteInvalid')}</p>}
+
+          <p style={{ color: 'var(--tg-hint-color)' }}>{t('squad.intro')}</p>
+
+          <section className="squad-create" style={{ marginBottom: '20px' }}>
+            <h3 style={sectionTitleStyle}>{t('squad.createTitle')}</h3>
+            <input style={inputStyle} value={name} maxLength={32} placeholder={t('squad.namePlaceholder')} onChange={e => setName(e.target.value)} />
+            <button style={canCreate ? buttonStyle : disabledButtonStyle} disabled={!canCreate} onClick={handleCreate}>
+              {busyAction === 'create' ? '...' : t('squad.create')}
+            </button>
+          </section>
+
+          <section className="squad-join" style={{ marginBottom: '20px' }}>
+            <h3 style={sectionTitleStyle}>{t('squad.joinTitle')}</h3>
+            <input style={inputStyle} value={code} maxLength={10} placeholder={t('squad.codePlaceholder')} onChange={e => setCode(e.target.value)} />
+            <button style={canJoin ? buttonStyle : disabledButtonStyle} disabled={!canJoin} onClick={() => handleJoin(code.trim())}>
+              {busyAction === 'join' && !invite?.squad ? '...' : t('squad.join')}
+            </button>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Squad;
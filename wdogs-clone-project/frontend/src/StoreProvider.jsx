@@ -0,0 +1,24 @@
+// frontend/src/StoreProvider.jsx
+// Makes the global store (see store.js) available to the Mini App
+
+import { useState, useEffect } from 'react';
+import { StoreContext, createAppStore } from './store.js';
+
+function StoreProvider({ store: providedStore, children }) {
+  const [store] = useState(() => providedStore || createAppStore());
+
+  // Referral bonuses and admin adjustments happen elsewhere: reload the profile when the app is reopened
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible' && store.getState().session) {
+        store.refreshUser().catch(error => console.error("Could not refresh profile:", error));
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [store]);
+
+  return <StoreContext.Provider value={store}>{children}</StoreContext.Provider>;
+}
+
+export default StoreProvider;
@@ -0,0 +1,49 @@
+// frontend/src/TabBar.jsx
+// Bottom tab bar for switching between the main screens (tabs are defined in navigation.js)
+
+import { useI18n } from './i18n.js';
+
+export const TAB_BAR_HEIGHT = 60;
+
+const tabStyle = (isActive) => ({
+  flex: 1,
+  display: 'flex',
+  flexDirection: 'column',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: '2px',
+  padding: '6px 0',
+  border: 'none',
+  background: 'none',
+  cursor: 'pointer',
+  fontSize: '0.75em',
+  color: isActive ? 'var(--tg-link-color)' : 'var(--tg-hint-color)',
+  fontWeight: isActive ? 'bold' : 'normal',
+});
+
+function TabBar({ tabs, activeScreen, onSelect }) {
+  const { t } = useI18n();
+  return (
+    <nav style={{
+      position: 'fixed',
+      left: 0,
+      right: 0,
+      bottom: 0,
+      display: 'flex',
+      height: `${TAB_BAR_HEIGHT}px`,
+      paddingBottom: 'env(safe-area-inset-bottom)', // Clear the iPhone home indicator
+      backgroundColor: 'var(--tg-secondary-bg-color)',
+      borderTop: '1px solid var(--tg-hint-color)',
+      zIndex: 10,
+    }}>
+      {tabs.map(tab => (
+        <button key={tab.screen} style={tabStyle(tab.screen === activeScreen)} onClick={() => onSelect(tab.screen)}>
+          <span style={{ fontSize: '1.5em' }}>{tab.icon}</span>
+          {t(tab.labelKey)}
+        </button>
+      ))}
+    </nav>
+  );
+}
+
+export default TabBar;
@@ -0,0 +1,111 @@
+// frontend/src/Tasks.jsx
+// Daily Tasks screen: lists tasks from the backend and claims rewards
+
+import { useState, useRef } from 'react';
+import { useTasks } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  whiteSpace: 'nowrap',
+};
+
+const disabledButtonStyle = { ...buttonStyle, cursor: 'not-allowed', opacity: 0.6 };
+
+function Tasks() {
+  const { tasks, nextResetAt, isLoading, error, claimTask: submitClaim } = useTasks();
+  const { t, formatDate, errorText } = useI18n();
+  const [claimingId, setClaimingId] = useState(null);
+  const [startedIds, setStartedIds] = useState([]); // Link/channel tasks the user has opened
+  // Idempotency-Key per task claim; kept after a network error so tapping again retries the same claim
+  const claimKeys = useRef({});
+  const tg = window.Telegram?.WebApp;
+
+  // The task shows as done and the balance goes up right away; both are undone if the claim fails
+  const claimTask = (task) => {
+    setClaimingId(task.id);
+    claimKeys.current[task.id] = claimKeys.current[task.id] || crypto.randomUUID();
+    submitClaim(task, claimKeys.current[task.id])
+      .then(data => {
+        setClaimingId(null);
+        delete claimKeys.current[task.id]; // The server answered; a new attempt is a new claim
+        tg?.showPopup({ message: t('tasks.claimed', { reward: data.reward }) });
+      })
+      .catch(err => {
+        console.error("Error completing task:", err);
+        setClaimingId(null);
+        if (err.status) {
+          delete claimKeys.current[task.id];
+        }
+        tg?.showPopup({ message: errorText(err, 'tasks.claimFailed') });
+      });
+  };
+
+  // Link and channel tasks are opened first; the second tap claims (and the backend verifies)
+  const startTask = (task) => {
+    if (task.type === 'visit_link' && task.url) {
+      tg?.openLink(task.url);
+    } else if (task.type === 'join_channel' && task.channelUsername) {
+      tg?.openTelegramLink(`https://t.me/${task.channelUsername.replace(/^@/, '')}`);
+    }
+    setStartedIds(prevIds => [...prevIds, task.id]);
+  };
+
+  const needsStart = (task) => (task.type === 'visit_link' || task.type === 'join_channel') && !startedIds.includes(task.id);
+
+  const renderAction = (task) => {
+    if (task.completed) {
+      return <button disabled style={disabledButtonStyle}>{t('tasks.done')}</button>;
+    }
+    if (!task.claimable) {
+      return <button disabled style={disabledButtonStyle}>{task.progress ?? 0}/{task.target}</button>;
+    }
+    if (needsStart(task)) {
+      return <button style={buttonStyle} onClick={() => startTask(task)}>{t(task.type === 'visit_link' ? 'tasks.visit' : 'tasks.join')}</button>;
+    }
+    const label = t(task.type === 'join_channel' ? 'tasks.check' : 'tasks.claim');
+    return (
+      <button style={buttonStyle} disabled={claimingId === task.id} onClick={() => claimTask(task)}>
+        {claimingId === task.id ? '...' : label}
+      </button>
+    );
+  };
+
+  return (
+    <div className="App tasks-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '20px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('tasks.title')}</h1>
+        {nextResetAt && (
+          <p style={{ color: 'var(--tg-hint-color)', fontSize: '0.9em' }}>
+            {t('tasks.resetAt', { time: formatDate(nextResetAt) })}
+          </p>
+        )}
+      </header>
+
+      {isLoading && <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('tasks.loading')}</p>}
+      {error && tasks.length === 0 && <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('tasks.loadError', { reason: errorText(error) })}</p>}
+
+      {!isLoading && !error && tasks.length === 0 && (
+        <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('tasks.empty')}</p>
+      )}
+
+      {tasks.map(task => (
+        <section key={task.id} className="task-item" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px', marginBottom: '10px', padding: '12px 15px', backgroundColor: 'var(--tg-secondary-bg-color)', borderRadius: '10px', textAlign: 'left' }}>
+          <div>
+            <div style={{ fontWeight: 'bold' }}>{task.title}</div>
+            <div style={{ fontSize: '0.85em', color: 'var(--tg-hint-color)' }}>{task.description}</div>
+            <div style={{ fontSize: '0.85em', color: 'var(--tg-link-color)' }}>{t(task.period === 'daily' ? 'tasks.rewardDaily' : 'tasks.reward', { reward: task.reward })}</div>
+          </div>
+          {renderAction(task)}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default Tasks;
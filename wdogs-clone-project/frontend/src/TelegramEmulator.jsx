@@ -0,0 +1,141 @@
+// frontend/src/TelegramEmulator.jsx
+// Development only: the Telegram chrome around the Mini App when it runs in the emulator (see
+// telegramEmulator.js) - header with the BackButton, the MainButton, popups, HapticFeedback - and a
+// panel to switch the test user, theme and start_param
+
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { SCREENS } from './navigation.js';
+import { DEV_USERS, DEV_THEMES, NEW_USER_ID, applyEmulatorSettings, emulatedUser } from './telegramEmulator.js';
+
+const HEADER_HEIGHT = 44;
+const MAIN_BUTTON_HEIGHT = 52;
+const HAPTIC_FLASH_MS = 800;
+
+const chromeColor = '#517da2'; // Telegram's header blue
+const headerButtonStyle = { padding: '6px 10px', border: 'none', background: 'none', color: '#ffffff', cursor: 'pointer', fontSize: '0.95em' };
+const fieldStyle = { width: '100%', padding: '6px', marginTop: '4px', marginBottom: '12px', boxSizing: 'border-box' };
+
+// Popup button types as Telegram labels them
+const POPUP_BUTTON_LABELS = { ok: 'OK', close: 'Close', cancel: 'Cancel' };
+
+function TelegramEmulator({ emulator, settings, hasBotToken }) {
+  const state = useSyncExternalStore(emulator.subscribe, emulator.getState);
+  const [isPanelOpen, setIsPanelOpen] = useState(!hasBotToken);
+  const [draft, setDraft] = useState(settings);
+  const [now, setNow] = useState(0);
+  const user = emulatedUser(settings);
+  const { mainButton, popup, haptic } = state;
+
+  // The app is laid out between the header and the MainButton, like Telegram's webview. The transform
+  // makes position: fixed children (the tab bar) stick to this box instead of the browser window.
+  useEffect(() => {
+    const root = document.getElementById('root');
+    Object.assign(root.style, {
+      position: 'fixed',
+      top: `${HEADER_HEIGHT}px`,
+      left: '0',
+      right: '0',
+      bottom: mainButton.isVisible ? `${MAIN_BUTTON_HEIGHT}px` : '0',
+      overflowY: 'auto',
+      transform: 'translateZ(0)',
+    });
+  }, [mainButton.isVisible]);
+
+  // Re-render once the haptic flash is over
+  useEffect(() => {
+    if (!haptic) return;
+    const timeoutId = setTimeout(() => setNow(Date.now()), HAPTIC_FLASH_MS);
+    return () => clearTimeout(timeoutId);
+  }, [haptic]);
+  const showHaptic = haptic && haptic.at + HAPTIC_FLASH_MS > Math.max(now, haptic.at);
+
+  return (
+    <div style={{ fontFamily: 'system-ui, sans-serif' }}>
+      <header style={{ position: 'fixed', top: 0, left: 0, right: 0, height: `${HEADER_HEIGHT}px`, display: 'flex', alignItems: 'center', gap: '6px', padding: '0 6px', backgroundColor: chromeColor, color: '#ffffff', zIndex: 1000 }}>
+        {state.backButtonVisible
+          ? <button style={headerButtonStyle} onClick={emulator.clickBackButton}>← Back</button>
+          : <button style={headerButtonStyle} disabled>✕</button>}
+        <strong style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          wDogs <span style={{ fontWeight: 'normal', opacity: 0.8 }}>· emulator · {user.first_name} ({user.id})</span>
+        </strong>
+        {showHaptic && <span title="HapticFeedback" style={{ fontSize: '0.8em' }}>📳 {haptic.kind}</span>}
+        <button style={headerButtonStyle} onClick={() => setIsPanelOpen(open => !open)}>⚙️</button>
+      </header>
+
+      {mainButton.isVisible && (
+        <button
+          style={{ position: 'fixed', left: 0, right: 0, bottom: 0, height: `${MAIN_BUTTON_HEIGHT}px`, border: 'none', backgroundColor: DEV_THEMES[settings.theme]?.button_color || chromeColor, color: '#ffffff', fontWeight: 'bold', fontSize: '1em', cursor: mainButton.isActive ? 'pointer' : 'default', opacity: mainButton.isActive ? 1 : 0.6, zIndex: 1000 }}
+          onClick={emulator.clickMainButton}
+        >
+          {mainButton.isProgressVisible ? '...' : mainButton.text}
+        </button>
+      )}
+
+      {popup && (
+        <div style={{ position: 'fixed', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', backgroundColor: 'rgba(0, 0, 0, 0.4)', zIndex: 1002 }}>
+          <div style={{ width: '280px', padding: '16px', borderRadius: '12px', backgroundColor: '#ffffff', color: '#000000', boxShadow: '0 4px 20px rgba(0, 0, 0, 0.3)' }}>
+            {popup.title && <h3 style={{ marginTop: 0 }}>{popup.title}</h3>}
+            <p style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{popup.message}</p>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+              {popup.buttons.map((button, index) => (
+                <button key={button.id || index} style={{ ...headerButtonStyle, color: button.type === 'destructive' ? '#d9534f' : chromeColor, fontWeight: 'bold' }} onClick={() => emulator.closePopup(button.id)}>
+                  {button.text || POPUP_BUTTON_LABELS[button.type] || 'OK'}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isPanelOpen && (
+        <aside style={{ position: 'fixed', top: `${HEADER_HEIGHT}px`, right: 0, width: '280px', maxWidth: '100%', padding: '14px', boxSizing: 'border-box', backgroundColor: '#ffffff', color: '#000000', borderLeft: '1px solid #cccccc', borderBottom: '1px solid #cccccc', boxShadow: '0 4px 12px rgba(0, 0, 0, 0.2)', fontSize: '0.9em', zIndex: 1001 }}>
+          <h3 style={{ marginTop: 0 }}>Telegram emulator</h3>
+          {!hasBotToken && (
+            <p style={{ color: '#d9534f' }}>
+              VITE_DEV_BOT_TOKEN is not set. Set it here and DEV_BOT_TOKEN on the backend to the same made-up token (e.g. 123456:dev).
+            </p>
+          )}
+
+          <label>
+            User
+            <select style={fieldStyle} value={draft.userId} onChange={e => setDraft({ ...draft, userId: e.target.value === NEW_USER_ID ? NEW_USER_ID : Number(e.target.value) })}>
+              {DEV_USERS.map(devUser => (
+                <option key={devUser.id} value={devUser.id}>
+                  {devUser.first_name} · {devUser.language_code}{devUser.is_premium ? ' · premium' : ''} ({devUser.id})
+                </option>
+              ))}
+              {settings.newUser && (
+                <option value={settings.newUser.id}>{settings.newUser.first_name} · {settings.newUser.language_code} ({settings.newUser.id})</option>
+              )}
+              <option value={NEW_USER_ID}>New user (fresh id)</option>
+            </select>
+          </label>
+
+          <label>
+            Theme
+            <select style={fieldStyle} value={draft.theme} onChange={e => setDraft({ ...draft, theme: e.target.value })}>
+              {Object.keys(DEV_THEMES).map(theme => <option key={theme} value={theme}>{theme}</option>)}
+            </select>
+          </label>
+
+          <label>
+            start_param <span style={{ color: '#888888' }}>(screen or referral code)</span>
+            <input style={fieldStyle} list="emulator-start-params" value={draft.startParam} placeholder="none" onChange={e => setDraft({ ...draft, startParam: e.target.value.trim() })} />
+            <datalist id="emulator-start-params">
+              {Object.values(SCREENS).map(screen => <option key={screen} value={screen} />)}
+            </datalist>
+          </label>
+
+          <button
+            style={{ width: '100%', padding: '8px', border: 'none', borderRadius: '5px', backgroundColor: chromeColor, color: '#ffffff', cursor: 'pointer' }}
+            onClick={() => applyEmulatorSettings(draft)}
+          >
+            Apply and reopen
+          </button>
+        </aside>
+      )}
+    </div>
+  );
+}
+
+export default TelegramEmulator;
@@ -0,0 +1,89 @@
+// frontend/src/Transactions.jsx
+// Transaction history screen: every DOGS credit/debit from the backend ledger
+
+import { useState, useEffect, useCallback } from 'react';
+import { api } from './api.js';
+import { useI18n, hasTranslation } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-secondary-bg-color)',
+  color: 'var(--tg-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+function Transactions({ onBack }) {
+  const [transactions, setTransactions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { t, formatDate, errorText } = useI18n();
+
+  // cursor = null loads the first page; otherwise appends the next one
+  const loadPage = useCallback((cursor) => {
+    setIsLoading(true);
+    setError(null);
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    api.get(`/api/me/transactions${query}`)
+      .then(data => {
+        setTransactions(prevTransactions => cursor ? [...prevTransactions, ...data.transactions] : data.transactions);
+        setNextCursor(data.nextCursor);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        console.error("Error loading transactions:", err);
+        setError(err);
+        setIsLoading(false);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  return (
+    <div className="App transactions-screen" style={{ padding: '15px', color: 'var(--tg-text-color)' }}>
+      <header style={{ marginBottom: '15px', textAlign: 'center' }}>
+        <h1 style={{ color: 'var(--tg-text-color)', fontSize: '2em' }}>{t('transactions.title')}</h1>
+      </header>
+
+      {error && <p style={{ textAlign: 'center', color: '#d9534f' }}>{t('transactions.loadError', { reason: errorText(error) })}</p>}
+
+      {!isLoading && !error && transactions.length === 0 && (
+        <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('transactions.empty')}</p>
+      )}
+
+      {transactions.map(tx => (
+        <div key={tx.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '10px 12px', marginBottom: '6px', borderRadius: '8px', backgroundColor: 'var(--tg-secondary-bg-color)', textAlign: 'left' }}>
+          <div>
+            {/* Ledger reasons (see backend/ledger.js) have a label each in the catalogs */}
+            <div>{hasTranslation(`transactions.reason.${tx.reason}`) ? t(`transactions.reason.${tx.reason}`) : tx.reason}</div>
+            <div style={{ fontSize: '0.8em', color: 'var(--tg-hint-color)' }}>
+              {tx.createdAt ? formatDate(tx.createdAt) : ''}
+            </div>
+          </div>
+          <strong style={{ color: tx.amount >= 0 ? 'var(--tg-link-color)' : '#d9534f' }}>
+            {t('common.signedDogsAmount', { sign: tx.amount >= 0 ? '+' : '', amount: tx.amount })}
+          </strong>
+        </div>
+      ))}
+
+      {isLoading && <p style={{ textAlign: 'center', color: 'var(--tg-hint-color)' }}>{t('common.loading')}</p>}
+
+      {!isLoading && nextCursor && (
+        <button style={{ ...buttonStyle, marginTop: '10px' }} onClick={() => loadPage(nextCursor)}>
+          {t('common.loadMore')}
+        </button>
+      )}
+
+      <button style={{ ...buttonStyle, marginTop: '20px', backgroundColor: 'transparent', color: 'var(--tg-link-color)' }} onClick={onBack}>
+        {t('common.back')}
+      </button>
+    </div>
+  );
+}
+
+export default Transactions;
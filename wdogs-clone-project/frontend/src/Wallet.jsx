@@ -0,0 +1,112 @@
+// frontend/src/Wallet.jsx
+// TON wallet section: connects through TON Connect with a ton_proof the backend verifies
+
+import { useState, useEffect, useCallback } from 'react';
+import { useTonConnectUI } from '@tonconnect/ui-react';
+import { api } from './api.js';
+import { useUser } from './store.js';
+import { useI18n } from './i18n.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  backgroundColor: 'var(--tg-button-color)',
+  color: 'var(--tg-button-text-color)',
+  border: 'none',
+  borderRadius: '5px',
+  cursor: 'pointer',
+  width: '100%',
+};
+
+function shortAddress(address) {
+  return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+}
+
+function Wallet() {
+  const [tonConnectUI] = useTonConnectUI();
+  const { user, setUser } = useUser();
+  const connectedWallet = user?.connectedWallet;
+  const [isBusy, setIsBusy] = useState(false);
+  const { t, errorText } = useI18n();
+  const tg = window.Telegram?.WebApp;
+
+  // Ask the backend for a fresh one-time payload and hand it to TON Connect as tonProof
+  const prepareProofRequest = useCallback(() => {
+    tonConnectUI.setConnectRequestParameters({ state: 'loading' });
+    return api.post('/api/wallet/proof-payload')
+      .then(data => {
+        tonConnectUI.setConnectRequestParameters({ state: 'ready', value: { tonProof: data.payload } });
+      })
+      .catch(error => {
+        console.error("Could not get wallet proof payload:", error);
+        tonConnectUI.setConnectRequestParameters(null);
+      });
+  }, [tonConnectUI]);
+
+  // When the wallet returns a ton_proof, send it to the backend for verification
+  useEffect(() => {
+    return tonConnectUI.onStatusChange(wallet => {
+      const tonProof = wallet?.connectItems?.tonProof;
+      if (!wallet || !tonProof || !('proof' in tonProof)) return;
+
+      setIsBusy(true);
+      api.post('/api/wallet/connect', {
+        address: wallet.account.address,
+        network: wallet.account.chain,
+        publicKey: wallet.account.publicKey,
+        proof: { ...tonProof.proof, state_init: wallet.account.walletStateInit },
+      })
+        .then(data => {
+          setIsBusy(false);
+          setUser(prevUser => ({ ...prevUser, connectedWallet: data.connectedWallet }));
+        })
+        .catch(error => {
+          console.error("Error connecting wallet:", error);
+          setIsBusy(false);
+          // Don't keep a TON Connect session the backend didn't accept
+          tonConnectUI.disconnect();
+          tg?.showPopup({ message: errorText(error, 'wallet.connectFailed') });
+        });
+    });
+  }, [tonConnectUI, setUser, tg, errorText]);
+
+  const handleConnect = () => {
+    prepareProofRequest().then(() => tonConnectUI.openModal());
+  };
+
+  const handleDisconnect = () => {
+    setIsBusy(true);
+    api.delete('/api/wallet')
+      .then(() => {
+        setIsBusy(false);
+        if (tonConnectUI.connected) {
+          tonConnectUI.disconnect();
+        }
+        setUser(prevUser => ({ ...prevUser, connectedWallet: null }));
+      })
+      .catch(error => {
+        console.error("Error disconnecting wallet:", error);
+        setIsBusy(false);
+        tg?.showPopup({ message: t('wallet.disconnectFailed') });
+      });
+  };
+
+  return (
+    <section className="wallet" style={{ marginBottom: '40px' }}>
+      <h3 style={{ borderBottom: `1px solid var(--tg-hint-color)`, paddingBottom: '5px' }}>{t('wallet.title')}</h3>
+      {connectedWallet ? (
+        <>
+          <p style={{ color: 'var(--tg-hint-color)' }}>{t('wallet.connected')} <span style={{ fontFamily: 'monospace', color: 'var(--tg-text-color)' }}>{shortAddress(connectedWallet)}</span></p>
+          <button style={{ ...buttonStyle, backgroundColor: 'var(--tg-secondary-bg-color)', color: 'var(--tg-text-color)' }} disabled={isBusy} onClick={handleDisconnect}>
+            {t('wallet.disconnect')}
+          </button>
+        </>
+      ) : (
+        <button style={buttonStyle} disabled={isBusy} onClick={handleConnect}>
+          {t(isBusy ? 'wallet.verifying' : 'wallet.connect')}
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default Wallet;
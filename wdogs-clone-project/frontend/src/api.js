@@ -0,0 +1,106 @@
+// frontend/src/api.js
+// Shared client for the backend API: adds the session token, parses JSON, turns error responses
+// into ApiError (with the backend's error code) and retries transient failures. User-facing texts
+// for the error codes are the errors.<code> entries of the catalogs (see i18n.js errorText).
+//
+// Retries (up to `retries` times, with backoff or the server's Retry-After) happen on network errors
+// and 408/429/502/503/504 - but only for requests that are safe to repeat: GET/HEAD, or requests
+// carrying an Idempotency-Key (see backend/idempotency.js). A plain POST is never sent twice.
+
+// IMPORTANT: For deployment, this needs to be your actual backend server URL, not localhost!
+// You can create a .env file in the 'frontend' directory with VITE_BACKEND_URL=YOUR_DEPLOYED_BACKEND_URL
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
+
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const MAX_RETRY_DELAY_MS = 5000;
+
+export class ApiError extends Error {
+  // status: HTTP status (0 for network errors); code: the backend's `error` field; data: the parsed body
+  constructor(message, { status = 0, code = null, data = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.retryAfter = retryAfter; // Seconds, from the Retry-After header
+  }
+}
+
+// Session token sent as `Authorization: Bearer <token>`; set by the store when the session changes
+let authToken = null;
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timeoutId = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timeoutId);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+function retryDelayMs(attempt, retryAfter) {
+  if (retryAfter !== null) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  return Math.min(300 * 2 ** attempt + Math.random() * 100, MAX_RETRY_DELAY_MS);
+}
+
+export function createApiClient({ baseUrl = BACKEND_URL, getToken = () => authToken, retries = 2 } = {}) {
+  // options: { method, body (sent as JSON), headers, auth (default true), retries, signal }
+  async function request(path, { method = 'GET', body, headers = {}, auth = true, retries: maxRetries = retries, signal } = {}) {
+    const token = auth ? getToken() : null;
+    const requestHeaders = {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+      ...headers,
+    };
+    const canRetry = method === 'GET' || method === 'HEAD' || Boolean(requestHeaders['Idempotency-Key']);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers: requestHeaders,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal,
+        });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        if (canRetry && attempt < maxRetries) {
+          await sleep(retryDelayMs(attempt, null), signal);
+          continue;
+        }
+        throw new ApiError(`Network error: ${error.message}`, { code: 'network_error' });
+      }
+
+      const data = await response.json().catch(() => null);
+      if (response.ok) return data;
+
+      const retryAfterHeader = parseInt(response.headers.get('Retry-After'), 10);
+      const retryAfter = Number.isNaN(retryAfterHeader) ? null : retryAfterHeader;
+      const isTransient = RETRYABLE_STATUSES.includes(response.status) || data?.error === 'request_in_progress';
+      if (canRetry && isTransient && attempt < maxRetries) {
+        await sleep(retryDelayMs(attempt, retryAfter), signal);
+        continue;
+      }
+      throw new ApiError(data?.message || `Backend error! Status: ${response.status}`, {
+        status: response.status,
+        code: data?.error || null,
+        data,
+        retryAfter,
+      });
+    }
+  }
+
+  return {
+    request,
+    get: (path, options) => request(path, { ...options, method: 'GET' }),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+  };
+}
+
+// Shared instance used by the Mini App
+export const api = createApiClient();
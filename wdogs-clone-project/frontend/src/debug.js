@@ -0,0 +1,9 @@
+// frontend/src/debug.js
+// Debug logging, only in development (`npm run dev`) or in a build made with VITE_DEBUG=true.
+// Never pass initData, session tokens or other secrets - debug builds can end up on real devices.
+
+export const DEBUG = import.meta.env.DEV || import.meta.env.VITE_DEBUG === 'true';
+
+export function debugLog(...args) {
+  if (DEBUG) console.log(...args);
+}
@@ -0,0 +1,184 @@
+// frontend/src/i18n.js
+// Translations for the Mini App, from the catalogs shared with the bot (../../locales/<locale>.json).
+//
+// Messages use a subset of ICU MessageFormat; backend/i18n.js implements the same subset, keep them in sync:
+//   {name}                                          - value as is
+//   {amount, number}                                - locale-aware number (1,234 / 1 234 / 1.234)
+//   {count, plural, =0 {...} one {...} other {...}} - plural branch by Intl.PluralRules, # is the formatted count
+//   {kind, select, a {...} other {...}}             - branch by value
+// Missing keys fall back to English, then to the key itself.
+//
+// The locale is the one saved on the profile (Settings, PATCH /api/me), else the user's Telegram language.
+
+import { useMemo } from 'react';
+import { useUser } from './store.js';
+import en from '../../locales/en.json';
+import ru from '../../locales/ru.json';
+import es from '../../locales/es.json';
+
+const CATALOGS = { en, ru, es };
+
+export const DEFAULT_LOCALE = 'en';
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// 'ru', 'ru-RU', 'es_419' -> supported locale; null when unsupported or not a string
+export function resolveLocale(code) {
+  if (typeof code !== 'string') return null;
+  const language = code.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+// A language's own name ("Русский"), for the language picker
+export function languageName(locale) {
+  return CATALOGS[locale]?.languageName || locale;
+}
+
+export function hasTranslation(key) {
+  return CATALOGS[DEFAULT_LOCALE][key] !== undefined;
+}
+
+// --- Message Parsing ---
+const parsedMessages = new Map(); // message -> nodes
+
+// Nodes: { type: 'text', value } | { type: 'arg' | 'number', name } | { type: 'pound' }
+//        | { type: 'plural' | 'select', name, options: { selector: nodes } }
+function parseMessage(message) {
+  let pos = 0;
+
+  const fail = (reason) => { throw new Error(`Invalid message "${message}": ${reason} at ${pos}`); };
+  const skipWhitespace = () => { while (/\s/.test(message[pos] || '')) pos++; };
+  const readUntil = (pattern) => {
+    const start = pos;
+    while (pos < message.length && !pattern.test(message[pos])) pos++;
+    if (pos >= message.length) fail('unterminated argument');
+    return message.slice(start, pos).trim();
+  };
+
+  function parseNodes(inPlural) {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push({ type: 'text', value: text });
+      text = '';
+    };
+    while (pos < message.length && message[pos] !== '}') {
+      if (message[pos] === '{') {
+        flush();
+        pos++;
+        nodes.push(parseArgument(inPlural));
+      } else if (message[pos] === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        pos++;
+      } else {
+        text += message[pos++];
+      }
+    }
+    flush();
+    return nodes;
+  }
+
+  function parseArgument(inPlural) {
+    const name = readUntil(/[,}]/);
+    if (message[pos++] === '}') return { type: 'arg', name };
+    const type = readUntil(/[,}]/);
+    if (message[pos++] === '}') return { type: type === 'number' ? 'number' : 'arg', name };
+    if (type !== 'plural' && type !== 'select') fail(`unknown argument type "${type}"`);
+
+    const options = {};
+    for (;;) {
+      skipWhitespace();
+      if (message[pos] === '}') {
+        pos++;
+        break;
+      }
+      const selector = readUntil(/[\s{]/);
+      skipWhitespace();
+      if (message[pos++] !== '{') fail(`expected "{" after "${selector}"`);
+      options[selector] = parseNodes(inPlural || type === 'plural');
+      if (message[pos++] !== '}') fail(`unterminated "${selector}" branch`);
+    }
+    if (!options.other) fail(`"${name}" has no "other" branch`);
+    return { type, name, options };
+  }
+
+  const nodes = parseNodes(false);
+  if (pos < message.length) fail('unexpected "}"');
+  return nodes;
+}
+
+// --- Formatting ---
+const numberFormats = new Map(); // locale -> Intl.NumberFormat
+const pluralRules = new Map(); // locale -> Intl.PluralRules
+
+export function formatNumber(locale, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return String(value ?? '');
+  if (!numberFormats.has(locale)) numberFormats.set(locale, new Intl.NumberFormat(locale));
+  return numberFormats.get(locale).format(value);
+}
+
+function pluralCategory(locale, value) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(value);
+}
+
+function formatNodes(locale, nodes, values, pluralValue) {
+  return nodes.map(node => {
+    const value = values[node.name];
+    switch (node.type) {
+      case 'text': return node.value;
+      case 'arg': return value === undefined || value === null ? '' : String(value);
+      case 'number': return formatNumber(locale, value);
+      case 'pound': return formatNumber(locale, pluralValue);
+      case 'plural': {
+        const count = Number(value) || 0;
+        const branch = node.options[`=${count}`] || node.options[pluralCategory(locale, count)] || node.options.other;
+        return formatNodes(locale, branch, values, count);
+      }
+      default: // select
+        return formatNodes(locale, node.options[String(value)] || node.options.other, values, pluralValue);
+    }
+  }).join('');
+}
+
+export function formatMessage(locale, message, values = {}) {
+  if (!parsedMessages.has(message)) parsedMessages.set(message, parseMessage(message));
+  return formatNodes(locale, parsedMessages.get(message), values);
+}
+
+// translate('ru', 'friends.invitedCount', { count: 3 }) -> "пригласил 3 друзей"
+export function translate(locale, key, values) {
+  const resolved = resolveLocale(locale) || DEFAULT_LOCALE;
+  const message = CATALOGS[resolved][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (message === undefined) return key;
+  return formatMessage(CATALOGS[resolved][key] === undefined ? DEFAULT_LOCALE : resolved, message, values);
+}
+
+// Before the profile arrives (loading and error screens) Telegram's or the browser's language is used
+function detectLocale(user) {
+  return resolveLocale(user?.locale)
+    || resolveLocale(user?.languageCode)
+    || resolveLocale(window.Telegram?.WebApp?.initDataUnsafe?.user?.language_code)
+    || resolveLocale(navigator.language)
+    || DEFAULT_LOCALE;
+}
+
+// { locale, t(key, values), formatNumber(n), formatDate(date, options), errorText(error, fallbackKey) }
+export function useI18n() {
+  const { user } = useUser();
+  const locale = detectLocale(user);
+
+  return useMemo(() => {
+    const t = (key, values) => translate(locale, key, values);
+    return {
+      locale,
+      t,
+      formatNumber: (value) => formatNumber(locale, value),
+      formatDate: (date, options) => new Date(date).toLocaleString(locale, options),
+      // Text for an ApiError (see api.js): the catalog's errors.<code>, else the server's message, else fallbackKey
+      errorText: (error, fallbackKey = 'errors.generic') => (
+        error?.code && hasTranslation(`errors.${error.code}`) ? t(`errors.${error.code}`) : error?.data?.message || t(fallbackKey)
+      ),
+    };
+  }, [locale]);
+}
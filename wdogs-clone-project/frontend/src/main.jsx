@@ -1,10 +1,38 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { TonConnectUIProvider } from '@tonconnect/ui-react'
 import './index.css'
 import App from './App.jsx'
+import StoreProvider from './StoreProvider.jsx'
+import Admin from './Admin.jsx'
 
-createRoot(document.getElementById('root')).render(
+// TON Connect needs a publicly reachable manifest describing the app (see public/tonconnect-manifest.json)
+const TONCONNECT_MANIFEST_URL = import.meta.env.VITE_TONCONNECT_MANIFEST_URL || `${window.location.origin}/tonconnect-manifest.json`
+
+// The admin dashboard is a separate page at /admin (Firebase Hosting rewrites every path to index.html)
+const isAdminPage = window.location.pathname.replace(/\/+$/, '') === '/admin'
+
+const renderApp = () => createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {isAdminPage ? (
+      <Admin />
+    ) : (
+      <TonConnectUIProvider manifestUrl={TONCONNECT_MANIFEST_URL}>
+        <StoreProvider>
+          <App />
+        </StoreProvider>
+      </TonConnectUIProvider>
+    )}
   </StrictMode>,
 )
+
+// `npm run dev` in a normal browser: Telegram gave no initData, so run inside the Telegram emulator
+// (see telegramEmulator.js). The dynamic import keeps it out of production builds.
+if (import.meta.env.DEV && !isAdminPage && !window.Telegram?.WebApp?.initData) {
+  import('./telegramEmulator.js')
+    .then(({ installTelegramEmulator }) => installTelegramEmulator())
+    .catch(error => console.error('Telegram emulator failed to start:', error))
+    .finally(renderApp)
+} else {
+  renderApp()
+}
@@ -0,0 +1,116 @@
+// frontend/src/navigation.js
+// Screen navigation: a history stack of screens, the bottom tab bar's tabs, start_param deep links
+// and hooks for Telegram's BackButton / MainButton (their click handlers live in effects, so they
+// are removed again when the screen changes instead of piling up on every render)
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+export const SCREENS = {
+  HOME: 'home',
+  TASKS: 'tasks',
+  FRIENDS: 'friends',
+  LEADERBOARD: 'leaderboard',
+  WALLET: 'wallet',
+  TRANSACTIONS: 'transactions', // Pushed from Home ("View History"), not a tab
+  SETTINGS: 'settings', // Pushed from Home, not a tab
+  PROFILE: 'profile', // Pushed from Home (the streak button), not a tab
+  SQUAD: 'squad', // Pushed from Home, not a tab
+  PRIVACY: 'privacy', // Pushed from Settings, not a tab
+};
+
+// Bottom tab bar (labelKey: catalog key, see i18n.js). A tab with `features` is shown if any of
+// those public config features is on.
+export const TABS = [
+  { screen: SCREENS.HOME, labelKey: 'tabs.home', icon: '🏠' },
+  { screen: SCREENS.TASKS, labelKey: 'tabs.tasks', icon: '✅' },
+  { screen: SCREENS.FRIENDS, labelKey: 'tabs.friends', icon: '👥' },
+  { screen: SCREENS.LEADERBOARD, labelKey: 'tabs.leaderboard', icon: '🏆', features: ['leaderboard'] },
+  { screen: SCREENS.WALLET, labelKey: 'tabs.wallet', icon: '👛', features: ['wallet', 'airdrop'] },
+];
+
+// Screens that aren't tabs but still depend on a public config feature
+const SCREEN_FEATURES = {
+  [SCREENS.PROFILE]: ['achievements'],
+  [SCREENS.SQUAD]: ['squads'],
+};
+
+export function isScreenEnabled(screen, features) {
+  const screenFeatures = TABS.find(item => item.screen === screen)?.features || SCREEN_FEATURES[screen];
+  return !screenFeatures || screenFeatures.some(feature => features[feature]);
+}
+
+// start_param deep links: t.me/<bot>?startapp=tasks opens the Tasks screen and squad_<code> a squad
+// invite. Referral codes (8 characters, see backend/referrals.js) never match a screen name and open Home.
+const SQUAD_INVITE_PREFIX = 'squad_';
+
+export function screenFromStartParam(startParam) {
+  if (squadCodeFromStartParam(startParam)) return SCREENS.SQUAD;
+  const screen = Object.values(SCREENS).find(name => name === startParam);
+  return screen && screen !== SCREENS.HOME ? screen : null;
+}
+
+// Squad code of an invite link's start_param (see squadInviteLink), else null
+export function squadCodeFromStartParam(startParam) {
+  return startParam?.startsWith(SQUAD_INVITE_PREFIX) ? startParam.slice(SQUAD_INVITE_PREFIX.length) || null : null;
+}
+
+export function squadInviteLink(botUsername, code) {
+  return `https://t.me/${botUsername}?startapp=${SQUAD_INVITE_PREFIX}${code}`;
+}
+
+// History stack of screens; the last entry is on screen. Home is always at the bottom, so Back
+// from a deep-linked screen lands on Home. Navigating to a screen already in the history goes
+// back to it (Home -> Tasks -> Home leaves just [Home]) so tab switching can't grow it forever.
+export function useNavigation(initialScreen) {
+  const [history, setHistory] = useState(() => (
+    initialScreen && initialScreen !== SCREENS.HOME ? [SCREENS.HOME, initialScreen] : [SCREENS.HOME]
+  ));
+
+  const navigate = useCallback((screen) => {
+    setHistory(prevHistory => {
+      const index = prevHistory.indexOf(screen);
+      return index === -1 ? [...prevHistory, screen] : prevHistory.slice(0, index + 1);
+    });
+  }, []);
+
+  const goBack = useCallback(() => {
+    setHistory(prevHistory => (prevHistory.length > 1 ? prevHistory.slice(0, -1) : prevHistory));
+  }, []);
+
+  const canGoBack = history.length > 1;
+
+  // Telegram's BackButton (top bar, and the hardware back button on Android) follows the history
+  useEffect(() => {
+    const backButton = window.Telegram?.WebApp?.BackButton;
+    if (!backButton || !canGoBack) return;
+    backButton.onClick(goBack);
+    backButton.show();
+    return () => {
+      backButton.offClick(goBack);
+      backButton.hide();
+    };
+  }, [canGoBack, goBack]);
+
+  return { screen: history[history.length - 1], canGoBack, navigate, goBack };
+}
+
+// Shows Telegram's MainButton while the calling screen is mounted (and isVisible is true).
+// onClick may change on every render; the latest one is called without re-registering.
+export function useMainButton({ text, onClick, isVisible = true }) {
+  const onClickRef = useRef(onClick);
+  useEffect(() => {
+    onClickRef.current = onClick;
+  });
+
+  useEffect(() => {
+    const mainButton = window.Telegram?.WebApp?.MainButton;
+    if (!mainButton || !isVisible) return;
+    const handleClick = () => onClickRef.current?.();
+    mainButton.setParams({ text, is_visible: true, is_active: true });
+    mainButton.onClick(handleClick);
+    return () => {
+      mainButton.offClick(handleClick);
+      mainButton.hide();
+    };
+  }, [text, isVisible]);
+}
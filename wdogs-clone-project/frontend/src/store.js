@@ -0,0 +1,455 @@
+// frontend/src/store.js
+// Global client state: the signed-in user, the session and cached API responses.
+// A small external store read through useSyncExternalStore; StoreProvider.jsx hands one to the app.
+//
+// Cached queries (useQuery, useTasks, useOnboarding, useMining, useLeaderboard, useReferrals) show the
+// last response right away when a screen is revisited, and revalidate in the background once stale or
+// when the app comes back to the foreground.
+//
+// Balance changes are optimistic: adjustBalance() shows the new balance at once and is then committed
+// with the balance the server reported, or rolled back. When nothing is pending any more the profile
+// is reloaded (GET /api/me) so the shown balance ends up matching the server.
+
+import { createContext, useContext, useSyncExternalStore, useCallback, useEffect, useRef, useState } from 'react';
+import { api, setAuthToken } from './api.js';
+
+const DEFAULT_STALE_MS = 30 * 1000;
+const USER_QUERY_KEY = 'me';
+const SESSION_STORAGE_KEY = 'wdogs.session';
+
+// The session is kept in sessionStorage (this tab only) so a page reload can reuse it: the backend
+// accepts each initData only once, and a reload sends the same initData again
+function saveSession(session) {
+  try {
+    if (session) sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch (error) {
+    console.error("Could not save session:", error);
+  }
+}
+
+// The session saved before a reload, or null if there is none or it has expired
+export function loadSavedSession() {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+    return session?.token && session.expiresAt * 1000 > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+export function createAppStore() {
+  let state = {
+    user: null,          // Profile from /api/auth/validate or /api/me
+    session: null,       // { token, expiresAt }
+    pendingBalance: {},  // Optimistic balance changes not confirmed yet: id -> delta
+    queries: {},         // Cached responses: key -> { data, error, isFetching, updatedAt }
+  };
+  const listeners = new Set();
+  const inFlight = new Map(); // Query key -> Promise, so a key is only requested once at a time
+  let nextPendingId = 1;
+
+  const updateQuery = (key, changes) => {
+    store.setState(prev => ({ queries: { ...prev.queries, [key]: { ...prev.queries[key], ...changes } } }));
+  };
+
+  const store = {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setState(changes) {
+      state = { ...state, ...(typeof changes === 'function' ? changes(state) : changes) };
+      listeners.forEach(listener => listener());
+    },
+
+    setSession(session) {
+      setAuthToken(session?.token);
+      saveSession(session);
+      store.setState({ session });
+    },
+    setUser(updater) {
+      store.setState(prev => ({ user: typeof updater === 'function' ? updater(prev.user) : updater }));
+    },
+    refreshUser() {
+      return store.fetchQuery(USER_QUERY_KEY, () => api.get('/api/me')).then(data => {
+        store.setUser(data.user);
+        return data.user;
+      });
+    },
+
+    // Optimistic balance change by `delta`. Returns { commit(tokens), rollback() }; commit takes the
+    // balance from the server's response (if it sent one). Either can be called once.
+    adjustBalance(delta) {
+      const id = nextPendingId++;
+      store.setState(prev => ({ pendingBalance: { ...prev.pendingBalance, [id]: delta } }));
+      let isSettled = false;
+      const settle = (tokens) => {
+        if (isSettled) return;
+        isSettled = true;
+        store.setState(prev => {
+          const pendingBalance = { ...prev.pendingBalance };
+          delete pendingBalance[id];
+          const user = typeof tokens === 'number' && prev.user ? { ...prev.user, tokens } : prev.user;
+          return { pendingBalance, user };
+        });
+        // Responses can arrive out of order; the server has the final word
+        if (Object.keys(state.pendingBalance).length === 0) {
+          store.refreshUser().catch(error => console.error("Could not refresh profile:", error));
+        }
+      };
+      return { commit: settle, rollback: () => settle(undefined) };
+    },
+
+    // Runs fetcher() for `key` unless a request for it is already running; resolves with the data
+    fetchQuery(key, fetcher) {
+      if (inFlight.has(key)) return inFlight.get(key);
+      updateQuery(key, { isFetching: true });
+      const promise = fetcher()
+        .then(data => {
+          updateQuery(key, { data, error: null, isFetching: false, updatedAt: Date.now() });
+          return data;
+        })
+        .catch(error => {
+          updateQuery(key, { error, isFetching: false });
+          throw error;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+      return promise;
+    },
+    setQueryData(key, updater) {
+      updateQuery(key, { data: typeof updater === 'function' ? updater(state.queries[key]?.data) : updater });
+    },
+  };
+  return store;
+}
+
+export const StoreContext = createContext(null);
+
+export function useAppStore() {
+  const store = useContext(StoreContext);
+  if (!store) throw new Error('useAppStore must be used inside <StoreProvider>');
+  return store;
+}
+
+export function useSession() {
+  const store = useAppStore();
+  const session = useSyncExternalStore(store.subscribe, () => store.getState().session);
+  return { session, setSession: store.setSession };
+}
+
+// balance: the user's tokens including optimistic changes still in flight
+export function useUser() {
+  const store = useAppStore();
+  const user = useSyncExternalStore(store.subscribe, () => store.getState().user);
+  const pendingBalance = useSyncExternalStore(store.subscribe, () => store.getState().pendingBalance);
+  const balance = (user?.tokens ?? 0) + Object.values(pendingBalance).reduce((sum, delta) => sum + delta, 0);
+  return { user, balance, setUser: store.setUser, refresh: store.refreshUser, adjustBalance: store.adjustBalance };
+}
+
+// Cached response for `key`, loaded with fetcher(). Revalidates on mount when older than staleMs
+// (or missing) and when the app becomes visible again. mutate() edits the cached data locally.
+export function useQuery(key, fetcher, { staleMs = DEFAULT_STALE_MS } = {}) {
+  const store = useAppStore();
+  const entry = useSyncExternalStore(store.subscribe, () => store.getState().queries[key]);
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const revalidate = useCallback(() => (
+    store.fetchQuery(key, () => fetcherRef.current()).catch(error => console.error(`Error loading ${key}:`, error))
+  ), [store, key]);
+
+  useEffect(() => {
+    const revalidateIfStale = () => {
+      const current = store.getState().queries[key];
+      if (!current?.updatedAt || Date.now() - current.updatedAt > staleMs) revalidate();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') revalidateIfStale();
+    };
+    revalidateIfStale();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [store, key, staleMs, revalidate]);
+
+  const mutate = useCallback((updater) => store.setQueryData(key, updater), [store, key]);
+
+  return {
+    data: entry?.data,
+    error: entry?.error || null,
+    isLoading: entry?.data === undefined && !entry?.error,
+    isValidating: Boolean(entry?.isFetching),
+    revalidate,
+    mutate,
+  };
+}
+
+// Daily tasks (GET /api/tasks). claimTask marks the task done and adds its reward right away,
+// then confirms with the server's balance or undoes both if the claim fails (and rethrows).
+export function useTasks() {
+  const store = useAppStore();
+  const query = useQuery('tasks', () => api.get('/api/tasks'));
+
+  const claimTask = useCallback(async (task, idempotencyKey) => {
+    const setCompleted = (completed) => store.setQueryData('tasks', data => data && {
+      ...data,
+      tasks: data.tasks.map(t => t.id === task.id ? { ...t, completed, claimable: !completed } : t),
+    });
+    const balanceChange = store.adjustBalance(task.reward);
+    setCompleted(true);
+    try {
+      const data = await api.post(`/api/tasks/${encodeURIComponent(task.id)}/complete`, undefined, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      });
+      balanceChange.commit(data.tokens);
+      return data;
+    } catch (error) {
+      balanceChange.rollback();
+      setCompleted(false);
+      store.fetchQuery('tasks', () => api.get('/api/tasks')).catch(() => {}); // Get the real task state back
+      throw error;
+    }
+  }, [store]);
+
+  return {
+    tasks: query.data?.tasks || [],
+    nextResetAt: query.data?.nextResetAt || null,
+    error: query.error,
+    isLoading: query.isLoading,
+    revalidate: query.revalidate,
+    claimTask,
+  };
+}
+
+// One-time onboarding reward (GET /api/onboarding, see backend/onboarding.js). claim() adds the reward
+// right away and marks the profile as onboarded once the server confirms, or undoes it (and rethrows).
+export function useOnboarding() {
+  const store = useAppStore();
+  const query = useQuery('onboarding', () => api.get('/api/onboarding'), { staleMs: Infinity });
+
+  const claim = useCallback(async (idempotencyKey) => {
+    const balanceChange = store.adjustBalance(store.getState().queries.onboarding?.data?.onboarding.reward || 0);
+    try {
+      const data = await api.post('/api/onboarding/claim', undefined, { headers: { 'Idempotency-Key': idempotencyKey } });
+      store.setUser(user => ({ ...user, onboarding: data.onboarding }));
+      balanceChange.commit(data.tokens);
+      return data;
+    } catch (error) {
+      balanceChange.rollback();
+      throw error;
+    }
+  }, [store]);
+
+  return {
+    onboarding: query.data?.onboarding || null,
+    error: query.error,
+    isLoading: query.isLoading,
+    claim,
+  };
+}
+
+// Farming and tap-to-earn (GET /api/mining, see backend/mining.js). The server computes everything from
+// its own clock; clockOffsetMs (server minus local time) lets the UI keep counting between requests.
+// tap() shows the reward right away and queues the tap; queued taps go out as one batch every
+// TAP_BATCH_INTERVAL_MS (and when the screen closes or the app goes to the background). The server may
+// accept fewer than sent (out of energy, or too fast) - the balance then settles on its number.
+const TAP_BATCH_INTERVAL_MS = 2000;
+
+const withClockOffset = (mining) => ({ mining, clockOffsetMs: mining.serverTime - Date.now() });
+
+export function useMining() {
+  const store = useAppStore();
+  const query = useQuery('mining', () => api.get('/api/mining').then(data => withClockOffset(data.mining)));
+  const { revalidate } = query;
+  const setMining = useCallback((mining) => store.setQueryData('mining', withClockOffset(mining)), [store]);
+  const queuedTaps = useRef([]); // adjustBalance() handles of taps not sent yet
+  const [unconfirmedTaps, setUnconfirmedTaps] = useState(0); // Queued plus in-flight taps
+  const [tapError, setTapError] = useState(null);
+
+  const tapReward = query.data?.mining.tapReward || 0;
+  const tap = useCallback(() => {
+    queuedTaps.current.push(store.adjustBalance(tapReward));
+    setUnconfirmedTaps(count => count + 1);
+  }, [store, tapReward]);
+
+  const flushTaps = useCallback(() => {
+    const changes = queuedTaps.current;
+    if (changes.length === 0) return;
+    queuedTaps.current = [];
+    const settle = (tokens) => {
+      changes.slice(1).forEach(change => change.rollback());
+      changes[0].commit(tokens); // Last, so the profile refresh sees nothing pending
+      setUnconfirmedTaps(count => count - changes.length);
+    };
+    // A retried batch (network error) must not count twice
+    api.post('/api/mining/taps', { taps: changes.length }, { headers: { 'Idempotency-Key': crypto.randomUUID() } })
+      .then(data => {
+        setMining(data.mining);
+        settle(data.tokens);
+        setTapError(null);
+      })
+      .catch(error => {
+        console.error("Error sending taps:", error);
+        settle(undefined);
+        setTapError(error);
+        revalidate();
+      });
+  }, [setMining, revalidate]);
+
+  useEffect(() => {
+    const intervalId = setInterval(flushTaps, TAP_BATCH_INTERVAL_MS);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushTaps();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearInterval(intervalId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flushTaps();
+    };
+  }, [flushTaps]);
+
+  const startFarming = useCallback(async (idempotencyKey) => {
+    const data = await api.post('/api/mining/farming/start', undefined, { headers: { 'Idempotency-Key': idempotencyKey } });
+    setMining(data.mining);
+    return data;
+  }, [setMining]);
+
+  // The reward shows right away; undone if the claim fails (and rethrown)
+  const claimFarming = useCallback(async (idempotencyKey) => {
+    const balanceChange = store.adjustBalance(store.getState().queries.mining?.data?.mining.farming?.reward || 0);
+    try {
+      const data = await api.post('/api/mining/farming/claim', undefined, { headers: { 'Idempotency-Key': idempotencyKey } });
+      setMining(data.mining);
+      balanceChange.commit(data.tokens);
+      return data;
+    } catch (error) {
+      balanceChange.rollback();
+      revalidate();
+      throw error;
+    }
+  }, [store, setMining, revalidate]);
+
+  return {
+    mining: query.data?.mining || null,
+    clockOffsetMs: query.data?.clockOffsetMs || 0,
+    error: query.error,
+    isLoading: query.isLoading,
+    unconfirmedTaps,
+    tapError,
+    tap,
+    startFarming,
+    claimFarming,
+  };
+}
+
+// Cursor-paginated list at `path`: the first page is cached under `key`, loadMore() fetches the
+// next one and appends its `listField` items (other fields, e.g. totals, stay from the first page)
+function usePagedQuery(key, path, listField, options) {
+  const store = useAppStore();
+  const query = useQuery(key, () => api.get(path), options);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+
+  const loadMore = useCallback(() => {
+    const cursor = store.getState().queries[key]?.data?.nextCursor;
+    if (!cursor) return;
+    setIsLoadingMore(true);
+    setLoadMoreError(null);
+    api.get(`${path}${path.includes('?') ? '&' : '?'}cursor=${encodeURIComponent(cursor)}`)
+      .then(page => store.setQueryData(key, data => ({ ...data, ...page, [listField]: [...(data?.[listField] || []), ...page[listField]] })))
+      .catch(error => {
+        console.error(`Error loading more ${key}:`, error);
+        setLoadMoreError(error);
+      })
+      .finally(() => setIsLoadingMore(false));
+  }, [store, key, path, listField]);
+
+  return {
+    data: query.data,
+    items: query.data?.[listField] || [],
+    nextCursor: query.data?.nextCursor || null,
+    error: query.error || loadMoreError,
+    isLoading: query.isLoading || isLoadingMore,
+    revalidate: query.revalidate,
+    loadMore,
+  };
+}
+
+// Leaderboard board ({ type, path }, see Leaderboard.jsx): first page cached per board, loadMore() appends
+export function useLeaderboard(board) {
+  const { data, items, ...page } = usePagedQuery(`leaderboard:${board.type}`, board.path, 'entries', { staleMs: 60 * 1000 });
+  return { ...page, entries: items, me: data?.me || null };
+}
+
+// The user's referrals (GET /api/me/referrals) with totals, including their friends' referrals
+export function useReferrals() {
+  const { data, items, ...page } = usePagedQuery('referrals', '/api/me/referrals?secondLevel=true', 'referrals');
+  return { ...page, referrals: items, totals: data?.totals || null };
+}
+
+// Badges and the daily streak (GET /api/me/achievements, see backend/achievements.js). buyFreeze()
+// takes the price off the balance right away and settles on the server's balance, or undoes it (and rethrows).
+export function useAchievements() {
+  const store = useAppStore();
+  const query = useQuery('achievements', () => api.get('/api/me/achievements'));
+
+  const buyFreeze = useCallback(async (idempotencyKey) => {
+    const balanceChange = store.adjustBalance(-(store.getState().queries.achievements?.data?.streak.freezePrice || 0));
+    try {
+      const data = await api.post('/api/me/streak/freezes', undefined, { headers: { 'Idempotency-Key': idempotencyKey } });
+      store.setQueryData('achievements', prev => (prev ? { ...prev, streak: { ...prev.streak, ...data.streak } } : prev));
+      store.setUser(user => ({ ...user, streak: data.streak }));
+      balanceChange.commit(data.tokens);
+      return data;
+    } catch (error) {
+      balanceChange.rollback();
+      throw error;
+    }
+  }, [store]);
+
+  return {
+    achievements: query.data?.achievements || [],
+    streak: query.data?.streak || null,
+    error: query.error,
+    isLoading: query.isLoading,
+    revalidate: query.revalidate,
+    buyFreeze,
+  };
+}
+
+// The user's squad (GET /api/squads/mine, see backend/squads.js), null when not in one. Every membership
+// change answers with the squad as it is afterwards (null after leaving), which replaces the cached one.
+export function useSquad() {
+  const store = useAppStore();
+  const query = useQuery('squad', () => api.get('/api/squads/mine'));
+
+  const change = useCallback(async (path, body, idempotencyKey) => {
+    const data = await api.post(path, body, { headers: { 'Idempotency-Key': idempotencyKey } });
+    store.setQueryData('squad', { squad: data.squad });
+    store.setUser(user => ({ ...user, squadId: data.squad?.isMember ? data.squad.code : null }));
+    return data;
+  }, [store]);
+
+  const createSquad = useCallback((name, idempotencyKey) => change('/api/squads', { name }, idempotencyKey), [change]);
+  const joinSquad = useCallback((code, idempotencyKey) => change(`/api/squads/${encodeURIComponent(code)}/join`, undefined, idempotencyKey), [change]);
+  const leaveSquad = useCallback((idempotencyKey) => change('/api/squads/leave', undefined, idempotencyKey), [change]);
+  const kickMember = useCallback((code, userId, idempotencyKey) => (
+    change(`/api/squads/${encodeURIComponent(code)}/members/${encodeURIComponent(userId)}/kick`, undefined, idempotencyKey)
+  ), [change]);
+
+  return {
+    squad: query.data?.squad || null,
+    error: query.error,
+    isLoading: query.isLoading,
+    revalidate: query.revalidate,
+    createSquad,
+    joinSquad,
+    leaveSquad,
+    kickMember,
+  };
+}
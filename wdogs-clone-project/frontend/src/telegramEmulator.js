@@ -0,0 +1,242 @@
+// frontend/src/telegramEmulator.js
+// Development only: a stand-in for window.Telegram.WebApp so the Mini App runs in a normal browser
+// (`npm run dev`, no tunnel, no Telegram client). main.jsx loads it when Telegram gave no initData.
+//
+// The initData is signed like Telegram does it, but with a made-up bot token: VITE_DEV_BOT_TOKEN here and
+// DEV_BOT_TOKEN on the backend (which then accepts it, see backend/config.js). Without the token the
+// emulator still starts, and /api/auth/validate answers hash_mismatch.
+//
+// The test user, theme and start_param are picked in the emulator panel (TelegramEmulator.jsx), kept in
+// localStorage, and take effect on reload - just like reopening the Mini App in Telegram.
+
+import { createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import TelegramEmulator from './TelegramEmulator.jsx';
+import { debugLog } from './debug.js';
+
+const SETTINGS_STORAGE_KEY = 'wdogs.telegramEmulator';
+const EMULATED_VERSION = '8.0';
+
+// Picking "new user" makes up a user with a fresh random id (kept as settings.newUser), for testing signup and referrals
+export const NEW_USER_ID = 'new';
+
+export const DEV_USERS = [
+  { id: 100000001, first_name: 'Alice', last_name: 'Dev', username: 'alice_dev', language_code: 'en', is_premium: true, allows_write_to_pm: true },
+  { id: 100000002, first_name: 'Борис', last_name: 'Тестов', username: 'boris_dev', language_code: 'ru', allows_write_to_pm: true },
+  { id: 100000003, first_name: 'Carmen', username: 'carmen_dev', language_code: 'es', allows_write_to_pm: false },
+];
+
+// Telegram's default light and dark palettes
+export const DEV_THEMES = {
+  light: {
+    bg_color: '#ffffff',
+    text_color: '#000000',
+    hint_color: '#999999',
+    link_color: '#2481cc',
+    button_color: '#2481cc',
+    button_text_color: '#ffffff',
+    secondary_bg_color: '#efeff3',
+  },
+  dark: {
+    bg_color: '#212121',
+    text_color: '#ffffff',
+    hint_color: '#aaaaaa',
+    link_color: '#8774e1',
+    button_color: '#8774e1',
+    button_text_color: '#ffffff',
+    secondary_bg_color: '#0f0f0f',
+  },
+};
+
+const DEFAULT_SETTINGS = { userId: DEV_USERS[0].id, newUser: null, theme: 'light', startParam: '' };
+
+export function loadEmulatorSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+// Saves the settings and reloads, so the app starts again with the new initData
+export function applyEmulatorSettings(settings) {
+  const next = { ...settings };
+  if (next.userId === NEW_USER_ID) {
+    const id = 200000000 + Math.floor(Math.random() * 100000000);
+    next.newUser = { id, first_name: `New ${id % 10000}`, username: null, language_code: navigator.language?.split('-')[0] || 'en', allows_write_to_pm: true };
+    next.userId = id;
+  }
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(next));
+  window.location.reload();
+}
+
+export function emulatedUser(settings) {
+  return [...DEV_USERS, settings.newUser].find(user => user?.id === settings.userId) || DEV_USERS[0];
+}
+
+// --- Signing ---
+// Same scheme as backend/telegramAuth.js (isValidHash): HMAC-SHA256 over the sorted key=value lines,
+// keyed with HMAC-SHA256("WebAppData", botToken)
+async function hmacSha256(key, message) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message)));
+}
+
+export async function signInitData(fields, botToken) {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = [...params].map(([key, value]) => `${key}=${value}`).sort().join('\n');
+  const secretKey = await hmacSha256(new TextEncoder().encode('WebAppData'), botToken);
+  const hash = Array.from(await hmacSha256(secretKey, dataCheckString), byte => byte.toString(16).padStart(2, '0')).join('');
+  params.set('hash', hash);
+  return params.toString();
+}
+
+// --- Emulated WebApp ---
+// The parts of Telegram.WebApp the app uses, plus a small store the emulator panel renders from:
+// { mainButton, backButtonVisible, popup, haptic }
+function createWebApp({ initData, initDataUnsafe, theme }) {
+  let state = {
+    mainButton: { text: '', isVisible: false, isActive: true, isProgressVisible: false },
+    backButtonVisible: false,
+    popup: null, // { title, message, buttons, callback }
+    haptic: null, // { kind, at } - last HapticFeedback call, flashed in the panel
+  };
+  const listeners = new Set();
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+  const mainButtonHandlers = new Set();
+  const backButtonHandlers = new Set();
+
+  const setMainButton = (changes) => setState({ mainButton: { ...state.mainButton, ...changes } });
+
+  const MainButton = {
+    get text() { return state.mainButton.text; },
+    get isVisible() { return state.mainButton.isVisible; },
+    get isActive() { return state.mainButton.isActive; },
+    setText(text) { setMainButton({ text }); return MainButton; },
+    setParams({ text, is_visible: isVisible, is_active: isActive }) {
+      setMainButton({
+        ...(text !== undefined && { text }),
+        ...(isVisible !== undefined && { isVisible }),
+        ...(isActive !== undefined && { isActive }),
+      });
+      return MainButton;
+    },
+    show() { setMainButton({ isVisible: true }); return MainButton; },
+    hide() { setMainButton({ isVisible: false }); return MainButton; },
+    enable() { setMainButton({ isActive: true }); return MainButton; },
+    disable() { setMainButton({ isActive: false }); return MainButton; },
+    showProgress() { setMainButton({ isProgressVisible: true }); return MainButton; },
+    hideProgress() { setMainButton({ isProgressVisible: false }); return MainButton; },
+    onClick(handler) { mainButtonHandlers.add(handler); return MainButton; },
+    offClick(handler) { mainButtonHandlers.delete(handler); return MainButton; },
+  };
+
+  const BackButton = {
+    get isVisible() { return state.backButtonVisible; },
+    show() { setState({ backButtonVisible: true }); return BackButton; },
+    hide() { setState({ backButtonVisible: false }); return BackButton; },
+    onClick(handler) { backButtonHandlers.add(handler); return BackButton; },
+    offClick(handler) { backButtonHandlers.delete(handler); return BackButton; },
+  };
+
+  const haptic = (kind) => {
+    debugLog('[emulator] HapticFeedback:', kind);
+    setState({ haptic: { kind, at: Date.now() } });
+  };
+
+  const showPopup = ({ title = '', message, buttons = [{ type: 'close' }] }, callback) => {
+    setState({ popup: { title, message, buttons, callback } });
+  };
+
+  const webApp = {
+    initData,
+    initDataUnsafe,
+    version: EMULATED_VERSION,
+    platform: 'emulator',
+    colorScheme: theme === 'dark' ? 'dark' : 'light',
+    themeParams: DEV_THEMES[theme] || DEV_THEMES.light,
+    isExpanded: true,
+    ready() {},
+    expand() {},
+    close() { showPopup({ message: 'The Mini App would close now.' }); },
+    isVersionAtLeast(version) {
+      const [major, minor = 0] = String(version).split('.').map(Number);
+      const [emulatedMajor, emulatedMinor] = EMULATED_VERSION.split('.').map(Number);
+      return emulatedMajor > major || (emulatedMajor === major && emulatedMinor >= minor);
+    },
+    MainButton,
+    BackButton,
+    HapticFeedback: {
+      impactOccurred(style) { haptic(`impact: ${style}`); return webApp.HapticFeedback; },
+      notificationOccurred(type) { haptic(`notification: ${type}`); return webApp.HapticFeedback; },
+      selectionChanged() { haptic('selection'); return webApp.HapticFeedback; },
+    },
+    showPopup,
+    showAlert(message, callback) { showPopup({ message }, () => callback?.()); },
+    showConfirm(message, callback) {
+      showPopup({ message, buttons: [{ id: 'ok', type: 'ok' }, { type: 'cancel' }] }, id => callback?.(id === 'ok'));
+    },
+    openLink(url) { window.open(url, '_blank', 'noopener'); },
+    openTelegramLink(url) { window.open(url, '_blank', 'noopener'); },
+    switchInlineQuery(query, chatTypes = []) {
+      showPopup({ title: 'switchInlineQuery', message: `Telegram would open a chat picker (${chatTypes.join(', ') || 'current chat'}) with "@bot ${query}".` });
+    },
+    onEvent() {},
+    offEvent() {},
+  };
+
+  // Used by the panel only
+  const emulator = {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    clickMainButton: () => state.mainButton.isActive && mainButtonHandlers.forEach(handler => handler()),
+    clickBackButton: () => backButtonHandlers.forEach(handler => handler()),
+    closePopup(buttonId) {
+      const { popup } = state;
+      setState({ popup: null });
+      popup?.callback?.(buttonId);
+    },
+  };
+  return { webApp, emulator };
+}
+
+// Replaces window.Telegram.WebApp with the emulator and mounts its panel. Resolves once the
+// initData is signed, so the app can be rendered right after.
+export async function installTelegramEmulator() {
+  const settings = loadEmulatorSettings();
+  const user = emulatedUser(settings);
+  const botToken = import.meta.env.VITE_DEV_BOT_TOKEN;
+  const fields = {
+    query_id: `AAdev${Math.random().toString(36).slice(2, 12)}`, // Unique per load, so reloads aren't replays
+    user: JSON.stringify(user),
+    auth_date: String(Math.floor(Date.now() / 1000)),
+    ...(settings.startParam && { start_param: settings.startParam }),
+  };
+
+  let initData;
+  if (botToken) {
+    initData = await signInitData(fields, botToken);
+  } else {
+    console.warn("Telegram emulator: VITE_DEV_BOT_TOKEN is not set, the backend will reject this initData.");
+    initData = new URLSearchParams({ ...fields, hash: 'unsigned' }).toString();
+  }
+
+  const { webApp, emulator } = createWebApp({
+    initData,
+    initDataUnsafe: { ...fields, user, auth_date: Number(fields.auth_date), start_param: settings.startParam || undefined },
+    theme: settings.theme,
+  });
+  window.Telegram = { ...window.Telegram, WebApp: webApp };
+  debugLog('[emulator] Running as', user.id, 'theme:', settings.theme, 'start_param:', settings.startParam || null);
+
+  const container = document.createElement('div');
+  container.id = 'telegram-emulator';
+  document.body.appendChild(container);
+  createRoot(container).render(createElement(TelegramEmulator, { emulator, settings, hasBotToken: Boolean(botToken) }));
+}
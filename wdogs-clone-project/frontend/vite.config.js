@@ -1,7 +1,14 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // The translation catalogs live in ../locales, shared with the backend's bot messages
+      allow: [fileURLToPath(new URL('.', import.meta.url)), fileURLToPath(new URL('../locales', import.meta.url))],
+    },
+  },
 })